@@ -0,0 +1,189 @@
+/**
+ * The lighting of the normal map. Escaped points are seen as a height field
+ * whose slope is their normal, the direction of z / z' at bailout, scaled by
+ * the height scale. They are lit with the Blinn-Phong model by lights spread
+ * evenly around the azimuth, all at the same elevation over the plane, in
+ * degrees: the ambient, diffuse and specular terms weigh the color of the
+ * point, the light it reflects, and the white highlights.
+ */
+export const DEFAULT_LIGHTING = {
+  azimuth: 45,
+  elevation: 45,
+  lights: 1,
+  ambient: 0.5,
+  diffuse: 1,
+  specular: 0.2,
+  heightScale: 1,
+};
+
+export const MAX_LIGHTS = 4;
+// Shininess of the specular highlights
+export const SPECULAR_SHININESS = 32;
+
+/**
+ * Parse a lighting "azimuth,elevation,lights;ambient,diffuse,specular;height",
+ * with the angles in degrees. Returns the lighting, or null if invalid: the
+ * elevation is in [0, 90], there are 1 to MAX_LIGHTS lights, the terms are not
+ * negative and the height scale is positive.
+ */
+export function parseLighting(text) {
+  const parts = text.split(";").map((part) => part.split(","));
+  if (
+    parts.length !== 3 ||
+    parts[0].length !== 3 ||
+    parts[1].length !== 3 ||
+    parts[2].length !== 1
+  ) {
+    return null;
+  }
+  const values = parts
+    .flat()
+    .map((s) => (s.trim() === "" ? NaN : Number(s)));
+  if (!values.every(Number.isFinite)) {
+    return null;
+  }
+  const [azimuth, elevation, lights, ambient, diffuse, specular, heightScale] =
+    values;
+  if (
+    elevation < 0 ||
+    elevation > 90 ||
+    !Number.isInteger(lights) ||
+    lights < 1 ||
+    lights > MAX_LIGHTS ||
+    ambient < 0 ||
+    diffuse < 0 ||
+    specular < 0 ||
+    !(heightScale > 0)
+  ) {
+    return null;
+  }
+  return {
+    azimuth,
+    elevation,
+    lights,
+    ambient,
+    diffuse,
+    specular,
+    heightScale,
+  };
+}
+
+export function renderLighting({
+  azimuth,
+  elevation,
+  lights,
+  ambient,
+  diffuse,
+  specular,
+  heightScale,
+}) {
+  return (
+    `${azimuth},${elevation},${lights};` +
+    `${ambient},${diffuse},${specular};${heightScale}`
+  );
+}
+
+/**
+ * The unit directions {x, y, z} towards the lights, z pointing out of the
+ * plane, y up.
+ */
+export function lightDirections({ azimuth, elevation, lights }) {
+  const cosElevation = Math.cos((elevation * Math.PI) / 180);
+  const sinElevation = Math.sin((elevation * Math.PI) / 180);
+  return Array.from({ length: lights }, (_, i) => {
+    const angle = ((azimuth + (360 * i) / lights) * Math.PI) / 180;
+    return {
+      x: cosElevation * Math.cos(angle),
+      y: cosElevation * Math.sin(angle),
+      z: sinElevation,
+    };
+  });
+}
+
+/**
+ * Lights the colors of the points by their shading: the distance shade they
+ * were darkened by, and their normal, whose length is how much they are lit.
+ * The normal of a pixel is the mean of the ones of its samples, 0 where they
+ * are not lit, so that pixels lit in part are lit as much.
+ */
+export class LightingModel {
+  constructor(lighting = DEFAULT_LIGHTING) {
+    this.ambient = lighting.ambient;
+    this.diffuse = lighting.diffuse;
+    this.specular = lighting.specular;
+    this.heightScale = lighting.heightScale;
+    this.lights = lightDirections(lighting);
+    // The halfway vectors between the lights and the viewer, over the plane
+    this.halfways = this.lights.map(({ x, y, z }) => {
+      const length = Math.hypot(x, y, z + 1);
+      return { x: x / length, y: y / length, z: (z + 1) / length };
+    });
+    // The diffuse and specular light of the last normal
+    this.diffuseLight = 0;
+    this.specularLight = 0;
+  }
+
+  // The light reflected by the surface of normal (heightScale * (nx, ny), 1),
+  // for the unit normal (nx, ny) of the point.
+  #reflect(nx, ny) {
+    const sx = this.heightScale * nx;
+    const sy = this.heightScale * ny;
+    const length = Math.hypot(sx, sy, 1);
+    let diffuse = 0;
+    let specular = 0;
+    for (let i = 0; i < this.lights.length; i++) {
+      const light = this.lights[i];
+      const halfway = this.halfways[i];
+      diffuse += Math.max(
+        (sx * light.x + sy * light.y + light.z) / length,
+        0
+      );
+      specular +=
+        Math.max((sx * halfway.x + sy * halfway.y + halfway.z) / length, 0) **
+        SPECULAR_SHININESS;
+    }
+    this.diffuseLight = diffuse / this.lights.length;
+    this.specularLight = specular / this.lights.length;
+  }
+
+  /**
+   * The color {r, g, b} of a point of the given color, distance shade and
+   * normal, from 0 to 255 and brighter where it is highlighted.
+   */
+  lightColor(color, shade, normal) {
+    const lit = Math.min(Math.hypot(normal.x, normal.y), 1);
+    if (lit === 0) {
+      return { r: color.r, g: color.g, b: color.b };
+    }
+    this.#reflect(normal.x / lit, normal.y / lit);
+    const light = this.ambient + this.diffuse * this.diffuseLight;
+    const gain = 1 + lit * (light - 1);
+    const highlight = lit * shade * this.specular * this.specularLight * 255;
+    return {
+      r: color.r * gain + highlight,
+      g: color.g * gain + highlight,
+      b: color.b * gain + highlight,
+    };
+  }
+
+  /**
+   * Light the RGBA `colors` into `out`, by their `shading`: the x and y of the
+   * normal and the distance shade of each pixel.
+   */
+  lightPixels(colors, shading, out) {
+    const color = { r: 0, g: 0, b: 0 };
+    const normal = { x: 0, y: 0 };
+    for (let i = 0, j = 0; i < colors.length; i += 4, j += 3) {
+      color.r = colors[i];
+      color.g = colors[i + 1];
+      color.b = colors[i + 2];
+      normal.x = shading[j];
+      normal.y = shading[j + 1];
+      const lit = this.lightColor(color, shading[j + 2], normal);
+      out[i] = lit.r;
+      out[i + 1] = lit.g;
+      out[i + 2] = lit.b;
+      out[i + 3] = colors[i + 3];
+    }
+  }
+}
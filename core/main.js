@@ -1,4 +1,5 @@
 import { appState, StateAttributes } from "../core/state.js";
+import { RenderingEngine, RenderMode } from "../renderers/renderer.js";
 import {
   getDefaultRenderingEngine,
   getSupportedRenderers,
@@ -7,10 +8,17 @@ import { JuliaExplorer } from "../ui/julia-explorer.js";
 import { Palette } from "../core/palette.js";
 import { Layout } from "../core/state.js";
 import { AppStateEditor } from "../ui/state-editor.js";
+import { MisiurewiczPanel } from "../ui/misiurewicz-panel.js";
+import { NucleusPanel } from "../ui/nucleus-panel.js";
 const MAX_UPDATE_STATS_FREQ = 10;
 
 let juliaExplorer = null;
 let controlPanel = null;
+let nucleusPanel = null;
+let misiurewiczPanel = null;
+// Only the latest nucleus or Misiurewicz search shows its result.
+let latestSearch = 0;
+let inspecting = false;
 let updateStatsTimeoutId = null;
 let lastStatsUpdate = null;
 
@@ -20,15 +28,31 @@ let lastStatsUpdate = null;
  */
 window.addEventListener("DOMContentLoaded", async () => {
   juliaExplorer = await JuliaExplorer.create({
-    renderingEngine:
-      appState.renderingEngine ?? (await getDefaultRenderingEngine()),
+    renderingEngine: await getRenderingEngine(),
     options: {
       palette: appState.palette,
+      gradient: appState.gradient,
       paletteInterpolation: appState.paletteInterpolation,
+      histogram: appState.histogram,
       maxIter: appState.maxIter,
       deepMode: appState.deepMode,
+      bla: appState.bla,
+      persistOrbits: appState.persistOrbits,
       maxSuperSamples: appState.maxSuperSamples,
       normalMap: appState.normalMap,
+      lighting: appState.lighting,
+      distanceEstimation: appState.distanceEstimation,
+      interiorColoring: appState.interiorColoring,
+      orbitTrap: appState.orbitTrap,
+      trapGeometry: appState.trapGeometry,
+      averageColoring: appState.averageColoring,
+      decomposition: appState.decomposition,
+      exponent: appState.exponent,
+      fractal: appState.fractal,
+      roots: appState.roots,
+      formula: appState.formula,
+      renderMode: appState.renderMode,
+      rays: appState.rays,
     },
     layout: appState.layout ?? Layout.MANDEL,
     onChanged: onViewportChanged,
@@ -48,10 +72,23 @@ window.addEventListener("DOMContentLoaded", async () => {
   document
     .getElementById("downloadIcon")
     .addEventListener("click", downloadViewport);
+  nucleusPanel = new NucleusPanel();
+  document
+    .getElementById("nucleusIcon")
+    .addEventListener("click", snapToNucleus);
+  misiurewiczPanel = new MisiurewiczPanel(jumpToMisiurewicz);
+  document
+    .getElementById("misiurewiczIcon")
+    .addEventListener("click", pickMisiurewicz);
+  document.getElementById("orbitIcon").addEventListener("click", () => {
+    setInspecting(!inspecting);
+  });
 });
 
 document.addEventListener("keydown", (e) => {
-  if (e.key === "d") {
+  if (e.key === "Escape") {
+    juliaExplorer.mandelExplorer.cancelPick();
+  } else if (e.key === "d") {
     let fractalExplorer;
     switch (juliaExplorer.layout) {
       case Layout.MANDEL:
@@ -72,6 +109,96 @@ document.addEventListener("keydown", (e) => {
   }
 });
 
+/**
+ * Dive to the nucleus of the lowest period minibrot in view, and show it in
+ * the nucleus panel.
+ */
+async function snapToNucleus() {
+  const fractalExplorer =
+    juliaExplorer.layout === Layout.JULIA
+      ? juliaExplorer.juliaExplorer
+      : juliaExplorer.mandelExplorer;
+  const search = ++latestSearch;
+  misiurewiczPanel.hide();
+  nucleusPanel.showMessage("searching…");
+  try {
+    const result = await fractalExplorer.snapToNucleus();
+    if (search !== latestSearch) {
+      return;
+    }
+    if (result === null) {
+      nucleusPanel.showMessage("no minibrot found in view");
+    } else {
+      nucleusPanel.show(result);
+    }
+  } catch (err) {
+    if (search === latestSearch) {
+      nucleusPanel.showMessage(err.message);
+    }
+  }
+}
+
+/**
+ * Find the Misiurewicz points around the next point clicked in the Mandelbrot
+ * panel, and list them in the Misiurewicz panel. Clicking the icon again, or
+ * Escape, cancels the pick.
+ */
+async function pickMisiurewicz() {
+  const mandelExplorer = juliaExplorer.mandelExplorer;
+  if (mandelExplorer.cancelPick()) {
+    return;
+  }
+  const search = ++latestSearch;
+  nucleusPanel.hide();
+  if (juliaExplorer.layout === Layout.JULIA) {
+    appState.setLayout(Layout.MANDEL);
+  }
+  misiurewiczPanel.showMessage("click near the boundary of the set");
+  const point = await mandelExplorer.pickPoint();
+  if (search !== latestSearch) {
+    return;
+  }
+  if (point === null) {
+    misiurewiczPanel.hide();
+    return;
+  }
+  misiurewiczPanel.showMessage("searching…");
+  try {
+    const points = await mandelExplorer.locateMisiurewicz(point);
+    if (search !== latestSearch) {
+      return;
+    }
+    if (points.length === 0) {
+      misiurewiczPanel.showMessage("no Misiurewicz point found");
+    } else {
+      misiurewiczPanel.show(points);
+    }
+  } catch (err) {
+    if (search === latestSearch) {
+      misiurewiczPanel.showMessage(err.message);
+    }
+  }
+}
+
+/**
+ * Center the Mandelbrot panel on the Misiurewicz point, and show its dendrite
+ * Julia set next to it.
+ */
+function jumpToMisiurewicz({ point }) {
+  juliaExplorer.mandelExplorer.jumpTo(point);
+  juliaExplorer.updateJuliaFn();
+  appState.setLayout(Layout.SPLIT);
+}
+
+/**
+ * Toggle the inspection mode, where clicking a pixel draws its orbit.
+ */
+function setInspecting(value) {
+  inspecting = value;
+  juliaExplorer.setInspecting(inspecting);
+  document.getElementById("orbitIcon").classList.toggle("active", inspecting);
+}
+
 function updateStats(renderContext) {
   clearTimeout(updateStatsTimeoutId);
   // Render stats one last time after all renderings are done
@@ -100,6 +227,17 @@ function doUpdateStats(renderContext) {
   if (renderContext.flops != null) {
     lines.push(floatToHumanReadable(renderContext.flops) + " flops");
   }
+  if (renderContext.savedFlops) {
+    lines.push(
+      floatToHumanReadable(renderContext.savedFlops) + " flops saved"
+    );
+  }
+  if (renderContext.skippedIterations) {
+    lines.push(renderContext.skippedIterations + " iterations skipped");
+  }
+  if (renderContext.references > 1) {
+    lines.push(renderContext.references + " references");
+  }
 
   document.getElementById("stats").innerHTML = lines.join("<br/>");
 }
@@ -163,9 +301,18 @@ async function onAppStateChanged(event) {
     case StateAttributes.PALETTE_INTERPOLATION:
       updatePaletteInterpolation();
       break;
+    case StateAttributes.HISTOGRAM:
+      updateHistogram();
+      break;
     case StateAttributes.DEEP_MODE:
       updateDeepMode();
       break;
+    case StateAttributes.BLA:
+      updateBla();
+      break;
+    case StateAttributes.PERSIST_ORBITS:
+      updatePersistOrbits();
+      break;
     case StateAttributes.MAX_ITER:
       updateMaxIter();
       break;
@@ -175,25 +322,93 @@ async function onAppStateChanged(event) {
     case StateAttributes.NORMAL_MAP:
       updateNormalMap();
       break;
+    case StateAttributes.LIGHTING:
+      updateLighting();
+      break;
+    case StateAttributes.DISTANCE_ESTIMATION:
+      updateDistanceEstimation();
+      break;
+    case StateAttributes.INTERIOR_COLORING:
+      updateInteriorColoring();
+      break;
+    case StateAttributes.ORBIT_TRAP:
+      updateOrbitTrap();
+      break;
+    case StateAttributes.AVERAGE_COLORING:
+      updateAverageColoring();
+      break;
+    case StateAttributes.DECOMPOSITION:
+      updateDecomposition();
+      break;
+    case StateAttributes.EXPONENT:
+      juliaExplorer.setExponent(appState.exponent);
+      break;
+    case StateAttributes.FRACTAL:
+      juliaExplorer.setFractal(appState.fractal);
+      break;
+    case StateAttributes.ROOTS:
+      juliaExplorer.setRoots(appState.roots);
+      break;
+    case StateAttributes.FORMULA:
+      juliaExplorer.setFormula(appState.formula);
+      break;
+    case StateAttributes.RENDER_MODE:
+      await updateRenderMode();
+      break;
+    case StateAttributes.RAYS:
+      juliaExplorer.setRays(appState.rays);
+      break;
     case StateAttributes.LAYOUT:
       juliaExplorer.setLayout(appState.layout);
       break;
   }
 }
 
-async function updateRenderer() {
+/**
+ * The density render modes accumulate orbits with WebGPU compute, or in the
+ * CPU workers: WebGL falls back to the CPU for them.
+ */
+async function getRenderingEngine() {
   const renderer =
     appState.renderingEngine ?? (await getDefaultRenderingEngine());
+  if (
+    appState.renderMode !== RenderMode.ESCAPE &&
+    renderer !== RenderingEngine.WEBGPU
+  ) {
+    return RenderingEngine.CPU;
+  }
+  return renderer;
+}
+
+async function updateRenderer() {
+  const renderer = await getRenderingEngine();
   juliaExplorer.detach();
   juliaExplorer = await JuliaExplorer.create({
     renderingEngine: renderer,
     options: {
       palette: appState.palette,
+      gradient: appState.gradient,
       paletteInterpolation: appState.paletteInterpolation,
+      histogram: appState.histogram,
       maxIter: appState.maxIter,
       deepMode: appState.deepMode,
+      bla: appState.bla,
+      persistOrbits: appState.persistOrbits,
       maxSuperSamples: appState.maxSuperSamples,
       normalMap: appState.normalMap,
+      lighting: appState.lighting,
+      distanceEstimation: appState.distanceEstimation,
+      interiorColoring: appState.interiorColoring,
+      orbitTrap: appState.orbitTrap,
+      trapGeometry: appState.trapGeometry,
+      averageColoring: appState.averageColoring,
+      decomposition: appState.decomposition,
+      exponent: appState.exponent,
+      fractal: appState.fractal,
+      roots: appState.roots,
+      formula: appState.formula,
+      renderMode: appState.renderMode,
+      rays: appState.rays,
     },
     onChanged: onViewportChanged,
     onRendered: updateStats,
@@ -202,12 +417,28 @@ async function updateRenderer() {
   juliaExplorer.juliaExplorer.map.moveTo(appState.jcenter, appState.jzoom);
   juliaExplorer.setLayout(appState.layout);
   juliaExplorer.updateJuliaFn();
+  juliaExplorer.setInspecting(inspecting);
+}
+
+async function updateRenderMode() {
+  if (
+    (await getRenderingEngine()) !== juliaExplorer.mandelExplorer.renderer.id()
+  ) {
+    await updateRenderer();
+    return;
+  }
+  juliaExplorer.mandelExplorer.options.renderMode = appState.renderMode;
+  juliaExplorer.juliaExplorer.options.renderMode = appState.renderMode;
+  juliaExplorer.mandelExplorer.render(true);
+  juliaExplorer.juliaExplorer.render(true);
 }
 
 function updatePalette() {
   const palette = appState.palette ?? Palette.WIKIPEDIA;
   juliaExplorer.mandelExplorer.options.palette = palette;
   juliaExplorer.juliaExplorer.options.palette = palette;
+  juliaExplorer.mandelExplorer.options.gradient = appState.gradient;
+  juliaExplorer.juliaExplorer.options.gradient = appState.gradient;
   juliaExplorer.mandelExplorer.render(true);
   juliaExplorer.juliaExplorer.render(true);
 }
@@ -221,6 +452,13 @@ function updatePaletteInterpolation() {
   juliaExplorer.juliaExplorer.render(true);
 }
 
+function updateHistogram() {
+  juliaExplorer.mandelExplorer.options.histogram = appState.histogram;
+  juliaExplorer.juliaExplorer.options.histogram = appState.histogram;
+  juliaExplorer.mandelExplorer.render(true);
+  juliaExplorer.juliaExplorer.render(true);
+}
+
 function updateDeepMode() {
   juliaExplorer.mandelExplorer.options.deepMode = appState.deepMode;
   juliaExplorer.juliaExplorer.options.deepMode = appState.deepMode;
@@ -228,6 +466,18 @@ function updateDeepMode() {
   juliaExplorer.juliaExplorer.render(true);
 }
 
+function updateBla() {
+  juliaExplorer.mandelExplorer.options.bla = appState.bla;
+  juliaExplorer.juliaExplorer.options.bla = appState.bla;
+  juliaExplorer.mandelExplorer.render(true);
+  juliaExplorer.juliaExplorer.render(true);
+}
+
+function updatePersistOrbits() {
+  juliaExplorer.mandelExplorer.options.persistOrbits = appState.persistOrbits;
+  juliaExplorer.juliaExplorer.options.persistOrbits = appState.persistOrbits;
+}
+
 function updateMaxIter() {
   juliaExplorer.mandelExplorer.options.maxIter = appState.maxIter;
   juliaExplorer.juliaExplorer.options.maxIter = appState.maxIter;
@@ -254,6 +504,66 @@ function updateNormalMap() {
   juliaExplorer.juliaExplorer.render(true);
 }
 
+// The lighting only shades the last frames again, without iterating them.
+function updateLighting() {
+  for (const explorer of [
+    juliaExplorer.mandelExplorer,
+    juliaExplorer.juliaExplorer,
+  ]) {
+    explorer.options.lighting = appState.lighting;
+    explorer.relight();
+  }
+}
+
+function updateDistanceEstimation() {
+  juliaExplorer.mandelExplorer.options.distanceEstimation =
+    appState.distanceEstimation;
+  juliaExplorer.juliaExplorer.options.distanceEstimation =
+    appState.distanceEstimation;
+  juliaExplorer.mandelExplorer.render(true);
+  juliaExplorer.juliaExplorer.render(true);
+}
+
+function updateInteriorColoring() {
+  juliaExplorer.mandelExplorer.options.interiorColoring =
+    appState.interiorColoring;
+  juliaExplorer.juliaExplorer.options.interiorColoring =
+    appState.interiorColoring;
+  juliaExplorer.mandelExplorer.render(true);
+  juliaExplorer.juliaExplorer.render(true);
+}
+
+function updateOrbitTrap() {
+  for (const explorer of [
+    juliaExplorer.mandelExplorer,
+    juliaExplorer.juliaExplorer,
+  ]) {
+    explorer.options.orbitTrap = appState.orbitTrap;
+    explorer.options.trapGeometry = appState.trapGeometry;
+    explorer.render(true);
+  }
+}
+
+function updateAverageColoring() {
+  for (const explorer of [
+    juliaExplorer.mandelExplorer,
+    juliaExplorer.juliaExplorer,
+  ]) {
+    explorer.options.averageColoring = appState.averageColoring;
+    explorer.render(true);
+  }
+}
+
+function updateDecomposition() {
+  for (const explorer of [
+    juliaExplorer.mandelExplorer,
+    juliaExplorer.juliaExplorer,
+  ]) {
+    explorer.options.decomposition = appState.decomposition;
+    explorer.render(true);
+  }
+}
+
 function downloadViewport() {
   const dpr = window.devicePixelRatio ?? 1;
   let canvas = null;
@@ -264,24 +574,24 @@ function downloadViewport() {
     canvas.height = window.innerHeight * dpr;
     const ctx = canvas.getContext("2d");
     if (verticalSplit) {
-      ctx.drawImage(juliaExplorer.mandelExplorer.canvas, 0, 0);
+      ctx.drawImage(juliaExplorer.mandelExplorer.snapshot(), 0, 0);
       ctx.drawImage(
-        juliaExplorer.juliaExplorer.canvas,
+        juliaExplorer.juliaExplorer.snapshot(),
         juliaExplorer.mandelExplorer.canvas.width,
         0
       );
     } else {
-      ctx.drawImage(juliaExplorer.mandelExplorer.canvas, 0, 0);
+      ctx.drawImage(juliaExplorer.mandelExplorer.snapshot(), 0, 0);
       ctx.drawImage(
-        juliaExplorer.juliaExplorer.canvas,
+        juliaExplorer.juliaExplorer.snapshot(),
         0,
         juliaExplorer.mandelExplorer.canvas.height
       );
     }
   } else if (juliaExplorer.layout === Layout.MANDEL) {
-    canvas = juliaExplorer.mandelExplorer.canvas;
+    canvas = juliaExplorer.mandelExplorer.snapshot();
   } else {
-    canvas = juliaExplorer.juliaExplorer.canvas;
+    canvas = juliaExplorer.juliaExplorer.snapshot();
   }
   const link = document.createElement("a");
   link.download = "juliamap.png";
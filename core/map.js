@@ -23,8 +23,10 @@ const ZOOM_FRICTION = 0.95;
 
 const NATIVE_COMPLEX_PRECISION = 40;
 
-// Maximum allowed zoom level. Rendering becomes unstable past this point.
-export const MAX_ZOOM = 200;
+// Maximum allowed zoom level. The perturbations run on extended-range floats
+// past the range of doubles, but the reference orbits get slower with the
+// precision of the plane.
+export const MAX_ZOOM = 5000;
 
 export class MapControl {
   constructor() {
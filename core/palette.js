@@ -4,49 +4,94 @@ export const Palette = {
   ZEBRA: "zebra",
   WIKIPEDIA: "wikipedia",
   BLANK: "blank",
+  CUSTOM: "custom",
 };
 
+/**
+ * How the colors of a palette blend between its stops: linearly, along a
+ * Catmull-Rom spline, or not at all, in flat bands.
+ */
 export const PaletteInterpolation = {
   LINEAR: "LINEAR",
   SPLINE: "SPLINE",
+  STEP: "STEP",
 };
 
-export const ELECTRIC_PALETTE_ID = 0;
-export const RAINBOW_PALETTE_ID = 1;
-export const ZEBRA_PALETTE_ID = 2;
-export const WIKIPEDIA_PALETTE_ID = 3;
-export const BLANK_PALETTE_ID = 4;
+/**
+ * How points inside the set are colored: flat black, by the period of the
+ * cycle their orbit is attracted to, or by the phase and magnitude of the
+ * multiplier of that cycle. Atom domains color the interior by period, and
+ * the exterior by the period of the atom domain of each point.
+ */
+export const InteriorColoring = {
+  NONE: "none",
+  PERIOD: "period",
+  MULTIPLIER: "multiplier",
+  ATOM_DOMAINS: "atom domains",
+};
+
+/**
+ * How escaping points are split by the angle of their orbit at bailout: binary
+ * decomposition by the sign of Im z_n, and field lines along the lines of
+ * constant arg z_n. Both reveal the external angles of the points.
+ */
+export const Decomposition = {
+  NONE: "none",
+  BINARY: "binary",
+  FIELD_LINES: "field lines",
+};
 
 export const LINEAR_PALETTE_INTERPOLATION_ID = 0;
 export const SPLINE_PALETTE_INTERPOLATION_ID = 1;
+export const STEP_PALETTE_INTERPOLATION_ID = 2;
 
-export function getPaletteId(palette) {
-  switch (palette) {
-    case Palette.ELECTRIC:
-      return ELECTRIC_PALETTE_ID;
-    case Palette.RAINBOW:
-      return RAINBOW_PALETTE_ID;
-    case Palette.ZEBRA:
-      return ZEBRA_PALETTE_ID;
-    case Palette.WIKIPEDIA:
-      return WIKIPEDIA_PALETTE_ID;
-    case Palette.BLANK:
-      return BLANK_PALETTE_ID;
-    default:
-      return WIKIPEDIA_PALETTE_ID;
-  }
-}
+export const NO_INTERIOR_COLORING_ID = 0;
+export const PERIOD_INTERIOR_COLORING_ID = 1;
+export const MULTIPLIER_INTERIOR_COLORING_ID = 2;
+export const ATOM_DOMAINS_INTERIOR_COLORING_ID = 3;
+
+export const NO_DECOMPOSITION_ID = 0;
+export const BINARY_DECOMPOSITION_ID = 1;
+export const FIELD_LINES_DECOMPOSITION_ID = 2;
 
 export function getPaletteInterpolationId(paletteInterpolation) {
   switch (paletteInterpolation) {
     case PaletteInterpolation.LINEAR:
       return LINEAR_PALETTE_INTERPOLATION_ID;
+    case PaletteInterpolation.STEP:
+      return STEP_PALETTE_INTERPOLATION_ID;
     case PaletteInterpolation.SPLINE:
     default:
       return SPLINE_PALETTE_INTERPOLATION_ID;
   }
 }
 
+export function getInteriorColoringId(interiorColoring) {
+  switch (interiorColoring) {
+    case InteriorColoring.PERIOD:
+      return PERIOD_INTERIOR_COLORING_ID;
+    case InteriorColoring.MULTIPLIER:
+      return MULTIPLIER_INTERIOR_COLORING_ID;
+    case InteriorColoring.ATOM_DOMAINS:
+      return ATOM_DOMAINS_INTERIOR_COLORING_ID;
+    case InteriorColoring.NONE:
+    default:
+      return NO_INTERIOR_COLORING_ID;
+  }
+}
+
+export function getDecompositionId(decomposition) {
+  switch (decomposition) {
+    case Decomposition.BINARY:
+      return BINARY_DECOMPOSITION_ID;
+    case Decomposition.FIELD_LINES:
+      return FIELD_LINES_DECOMPOSITION_ID;
+    case Decomposition.NONE:
+    default:
+      return NO_DECOMPOSITION_ID;
+  }
+}
+
 class Color {
   constructor(r, g, b) {
     this.r = r;
@@ -79,40 +124,155 @@ const WIKIPEDIA = [
 ];
 const WIKIPEDIA_POSITIONS = [0.0, 0.16, 0.42, 0.6425, 0.8575];
 
+export const MAX_GRADIENT_STOPS = 16;
+// Range of the escape velocity a gradient spans before it repeats
+export const MIN_GRADIENT_PERIOD = 1;
+export const MAX_GRADIENT_PERIOD = 1000;
+
+// A gradient of colors evenly spaced, see GRADIENTS
+function evenGradient(colors, period, interpolation = null) {
+  return {
+    colors,
+    positions: colors.map((_, i) => i / colors.length),
+    period,
+    interpolation,
+  };
+}
+
+/**
+ * The gradients of the palettes: their colors at increasing positions in
+ * [0, 1), wrapping around from the last one to the first one, repeated every
+ * period of the escape velocity. A gradient with an interpolation keeps it
+ * whatever the interpolation of the palette.
+ */
+const GRADIENTS = {
+  [Palette.ELECTRIC]: evenGradient(ELECTRIC, 100),
+  [Palette.RAINBOW]: evenGradient(RAINBOW, 150),
+  [Palette.ZEBRA]: evenGradient(ZEBRA, 5, PaletteInterpolation.STEP),
+  [Palette.WIKIPEDIA]: {
+    colors: WIKIPEDIA,
+    positions: WIKIPEDIA_POSITIONS,
+    period: 150,
+    interpolation: null,
+  },
+  [Palette.BLANK]: evenGradient([GRAY], 1),
+};
+
+export const DEFAULT_GRADIENT = GRADIENTS[Palette.WIKIPEDIA];
+
+/**
+ * The gradient of the palette, the given custom one for Palette.CUSTOM.
+ */
+export function getGradient(palette, customGradient) {
+  if (palette === Palette.CUSTOM) {
+    return customGradient ?? DEFAULT_GRADIENT;
+  }
+  return GRADIENTS[palette] ?? DEFAULT_GRADIENT;
+}
+
+export function getGradientInterpolationId(gradient, paletteInterpolation) {
+  return getPaletteInterpolationId(
+    gradient.interpolation ?? paletteInterpolation
+  );
+}
+
+export function hexToColor(hex) {
+  const value = parseInt(hex.replace(/^#/, ""), 16);
+  return new Color((value >> 16) & 255, (value >> 8) & 255, value & 255);
+}
+
+// The hex code "rrggbb" of the color, clamped to [0, 255]: splines overshoot
+// the colors of their stops.
+export function colorToHex({ r, g, b }) {
+  return [r, g, b]
+    .map((c) =>
+      Math.min(Math.max(Math.round(c), 0), 255)
+        .toString(16)
+        .padStart(2, "0")
+    )
+    .join("");
+}
+
+/**
+ * Parse a gradient "period;rrggbb,position;rrggbb,position;...", its stops at
+ * increasing positions in [0, 1). Returns the gradient, or null if invalid.
+ */
+export function parseGradient(text) {
+  const [periodText, ...stops] = text.split(";");
+  const period = periodText.trim() === "" ? NaN : Number(periodText);
+  if (
+    !(period >= MIN_GRADIENT_PERIOD && period <= MAX_GRADIENT_PERIOD) ||
+    stops.length === 0 ||
+    stops.length > MAX_GRADIENT_STOPS
+  ) {
+    return null;
+  }
+  const colors = [];
+  const positions = [];
+  for (const stop of stops) {
+    const [hex, positionText, ...rest] = stop.split(",");
+    const position =
+      positionText === undefined || positionText.trim() === ""
+        ? NaN
+        : Number(positionText);
+    if (
+      rest.length > 0 ||
+      !/^[0-9a-fA-F]{6}$/.test(hex) ||
+      !(position >= 0 && position < 1) ||
+      (positions.length > 0 && position <= positions[positions.length - 1])
+    ) {
+      return null;
+    }
+    colors.push(hexToColor(hex));
+    positions.push(position);
+  }
+  return { colors, positions, period, interpolation: null };
+}
+
+export function renderGradient({ colors, positions, period }) {
+  return [
+    period,
+    ...colors.map(
+      (color, i) => `${colorToHex(color)},${Number(positions[i].toFixed(4))}`
+    ),
+  ].join(";");
+}
+
+/**
+ * The colors and positions of the gradient for the GPU renderers: r, g, b in
+ * [0, 1] and the position of each stop, over MAX_GRADIENT_STOPS stops.
+ */
+export function packGradient({ colors, positions }) {
+  const packed = new Float32Array(4 * MAX_GRADIENT_STOPS);
+  colors.forEach(({ r, g, b }, i) => {
+    packed.set([r / 255, g / 255, b / 255, positions[i]], 4 * i);
+  });
+  return packed;
+}
+
 function fmod(a, b) {
   return a - b * Math.floor(a / b);
 }
 
-function interpolatePaletteLinear(palette, index) {
-  const len = palette.length;
-  const wrapped = fmod(index, 1);
-  const scaled = wrapped * len;
-  const i = Math.min(Math.floor(scaled), len - 1);
-  const localT = scaled - i;
-  const c0 = palette[i];
-  const c1 = palette[(i + 1) % len];
-  const r = c0.r + localT * (c1.r - c0.r);
-  const g = c0.g + localT * (c1.g - c0.g);
-  const b = c0.b + localT * (c1.b - c0.b);
-  return new Color(r, g, b);
-}
-
-function interpolatePaletteSpline(palette, index) {
-  const len = palette.length;
-  const wrapped = fmod(index, 1);
-  const scaled = wrapped * len;
-  const i = Math.min(Math.floor(scaled), len - 1);
-  const localT = scaled - i;
-
-  const i0 = i;
-  const i1 = (i + 1) % len;
-  const im1 = (i + len - 1) % len;
-  const i2 = (i + 2) % len;
-
-  const p0 = palette[i0];
-  const p1 = palette[i1];
-  const pm1 = palette[im1];
-  const p2 = palette[i2];
+// The color between the stops i and i + 1, at localT in [0, 1]. The stop after
+// the last one is the first one.
+function interpolateStops(colors, i, localT, paletteInterpolationId) {
+  const len = colors.length;
+  const p0 = colors[i];
+  const p1 = colors[(i + 1) % len];
+  if (paletteInterpolationId === STEP_PALETTE_INTERPOLATION_ID) {
+    return p0;
+  }
+  if (paletteInterpolationId === LINEAR_PALETTE_INTERPOLATION_ID) {
+    return new Color(
+      p0.r + localT * (p1.r - p0.r),
+      p0.g + localT * (p1.g - p0.g),
+      p0.b + localT * (p1.b - p0.b)
+    );
+  }
+
+  const pm1 = colors[(i + len - 1) % len];
+  const p2 = colors[(i + 2) % len];
 
   const m0r = 0.5 * (p1.r - pm1.r);
   const m0g = 0.5 * (p1.g - pm1.g);
@@ -135,93 +295,241 @@ function interpolatePaletteSpline(palette, index) {
   return new Color(r, g, bch);
 }
 
-function interpolatePalette(palette, index, paletteInterpolationId) {
-  if (paletteInterpolationId === LINEAR_PALETTE_INTERPOLATION_ID) {
-    return interpolatePaletteLinear(palette, index);
-  }
-  return interpolatePaletteSpline(palette, index);
-}
-
-function interpolatePaletteLinearPos(palette, positions, index) {
-  const lastIndex = palette.length - 1;
-  const t = fmod(index, 1);
+/**
+ * The color of the gradient at index, repeated every 1: the colors of its
+ * stops at their positions, interpolated between them, and from the last stop
+ * to the first one across 1.
+ */
+export function gradientColor(gradient, index, paletteInterpolationId) {
+  const { colors, positions } = gradient;
+  const lastIndex = colors.length - 1;
   const firstPos = positions[0];
   const lastPos = positions[lastIndex];
-  if (t <= firstPos) {
-    return palette[0];
+  let t = fmod(index, 1);
+  if (t < firstPos) {
+    t += 1;
   }
   if (t >= lastPos) {
-    const span = 1.0 - lastPos + firstPos;
-    const wrapT = (t - lastPos) / span;
-    const u = (lastIndex + wrapT) / palette.length;
-    return interpolatePaletteLinear(palette, u);
-  }
-  for (let i = 0; i < lastIndex; i++) {
-    const t0 = positions[i];
-    const t1 = positions[i + 1];
-    if (t >= t0 && t <= t1) {
-      const localT = (t - t0) / (t1 - t0);
-      const u = (i + localT) / palette.length;
-      return interpolatePaletteLinear(palette, u);
-    }
+    const span = 1 - lastPos + firstPos;
+    return interpolateStops(
+      colors,
+      lastIndex,
+      (t - lastPos) / span,
+      paletteInterpolationId
+    );
   }
-  return palette[lastIndex];
+  let i = 0;
+  while (t >= positions[i + 1]) {
+    i++;
+  }
+  return interpolateStops(
+    colors,
+    i,
+    (t - positions[i]) / (positions[i + 1] - positions[i]),
+    paletteInterpolationId
+  );
 }
 
-function interpolatePaletteSplinePos(palette, positions, index) {
-  const lastIndex = palette.length - 1;
-  const t = fmod(index, 1);
-  const firstPos = positions[0];
-  const lastPos = positions[lastIndex];
-  if (t <= firstPos) {
-    return palette[0];
+// Saturation of the root colors, and shade applied for each Newton iteration.
+const NEWTON_SATURATION = 0.75;
+const NEWTON_SHADE = 0.92;
+
+function hueChannel(hue, offset, saturation) {
+  const c = Math.abs(fmod(hue * 6 + offset, 6) - 3) - 1;
+  const clamped = Math.min(Math.max(c, 0), 1);
+  return 1 - saturation + saturation * clamped;
+}
+
+// Color of the given hue in [0, 1], saturation and value.
+function hueColor(hue, saturation, value) {
+  return new Color(
+    255 * value * hueChannel(hue, 0, saturation),
+    255 * value * hueChannel(hue, 4, saturation),
+    255 * value * hueChannel(hue, 2, saturation)
+  );
+}
+
+/**
+ * Color of a point converging to the root `root` of `rootCount` roots, after
+ * `iter` Newton iterations. Root hues are spread evenly on the color wheel,
+ * and darken as the iteration count grows. Points not converging are black.
+ */
+export function newtonColor(root, rootCount, iter) {
+  if (root < 0) {
+    return BLACK;
   }
-  if (t >= lastPos) {
-    const span = 1.0 - lastPos + firstPos;
-    const wrapT = (t - lastPos) / span;
-    const u = (lastIndex + wrapT) / palette.length;
-    return interpolatePaletteSpline(palette, u);
-  }
-  for (let i = 0; i < lastIndex; i++) {
-    const t0 = positions[i];
-    const t1 = positions[i + 1];
-    if (t >= t0 && t <= t1) {
-      const localT = (t - t0) / (t1 - t0);
-      const u = (i + localT) / palette.length;
-      return interpolatePaletteSpline(palette, u);
+  const hue = root / rootCount;
+  return hueColor(hue, NEWTON_SATURATION, Math.pow(NEWTON_SHADE, iter));
+}
+
+// Width, in pixels, of the boundary lines drawn by the distance estimation.
+export const DISTANCE_LINE_WIDTH = 2;
+
+// The factor of the color of a point at the given distance from the set, in
+// pixels.
+export function distanceShade(distance) {
+  return Math.min(Math.max(distance / DISTANCE_LINE_WIDTH, 0), 1);
+}
+
+/**
+ * Darken a color by the estimated distance of its point to the set, in pixels.
+ * Points closer than DISTANCE_LINE_WIDTH fade to black, which draws boundary
+ * lines of the same width at any zoom.
+ */
+export function distanceColor(color, distance) {
+  const shade = distanceShade(distance);
+  return new Color(color.r * shade, color.g * shade, color.b * shade);
+}
+
+// Field lines per turn of arg z_n, and their width, as a fraction of the gap
+// between two lines.
+export const FIELD_LINES = 16;
+export const FIELD_LINE_WIDTH = 0.3;
+
+/**
+ * Split the color of an escaped point by the angle of its orbit z_n at
+ * bailout. Binary decomposition inverts the color where Im z_n < 0, and field
+ * lines darken it smoothly towards the lines of constant arg z_n.
+ */
+export function decompositionColor(decompositionId, color, zx, zy) {
+  switch (decompositionId) {
+    case BINARY_DECOMPOSITION_ID: {
+      if (zy >= 0) {
+        return color;
+      }
+      return new Color(255 - color.r, 255 - color.g, 255 - color.b);
+    }
+    case FIELD_LINES_DECOMPOSITION_ID: {
+      // Distance to the nearest line, 1 halfway between two lines
+      const lines = (FIELD_LINES * Math.atan2(zy, zx)) / (2 * Math.PI);
+      const distance = 2 * Math.abs(lines - Math.round(lines));
+      const t = Math.min(distance / FIELD_LINE_WIDTH, 1);
+      const shade = t * t * (3 - 2 * t);
+      return new Color(color.r * shade, color.g * shade, color.b * shade);
     }
+    case NO_DECOMPOSITION_ID:
+    default:
+      return color;
   }
-  return palette[lastIndex];
 }
 
-function interpolatePalettePos(palette, positions, index, paletteInterpolationId) {
-  if (paletteInterpolationId === LINEAR_PALETTE_INTERPOLATION_ID) {
-    return interpolatePaletteLinearPos(palette, positions, index);
+// Saturation of the interior colors. Successive periods are a golden angle
+// apart on the color wheel, so that neighbouring components stand out.
+const INTERIOR_SATURATION = 0.75;
+const GOLDEN_RATIO_CONJUGATE = 0.6180339887498949;
+// Darkest shade of the multiplier coloring, at |multiplier| = 0
+const MULTIPLIER_MIN_SHADE = 0.2;
+// Shade of the atom domains outside the set
+const ATOM_DOMAIN_SHADE = 0.6;
+
+/**
+ * Color of a period, black when the period is unknown (0).
+ */
+export function periodColor(period) {
+  if (period <= 0) {
+    return BLACK;
   }
-  return interpolatePaletteSplinePos(palette, positions, index);
+  const hue = fmod(period * GOLDEN_RATIO_CONJUGATE, 1);
+  return hueColor(hue, INTERIOR_SATURATION, 1);
 }
 
-function getPaletteColor(palette, index) {
-  return palette[Math.floor(fmod(index, 1) * palette.length)];
+/**
+ * Color of the multiplier of a cycle: its phase sets the hue, and its
+ * magnitude, in [0, 1] inside the set, the shade.
+ */
+export function multiplierColor(multiplier) {
+  const hue = Math.atan2(multiplier.y, multiplier.x) / (2 * Math.PI) + 0.5;
+  const magnitude = Math.min(Math.hypot(multiplier.x, multiplier.y), 1);
+  const shade = MULTIPLIER_MIN_SHADE + (1 - MULTIPLIER_MIN_SHADE) * magnitude;
+  return hueColor(hue, INTERIOR_SATURATION, shade);
 }
 
-export function rainbowColor(index, paletteInterpolationId) {
-  return interpolatePalette(RAINBOW, index, paletteInterpolationId);
+/**
+ * Color of a point by its cycle, as found by a CycleSearch, for the given
+ * interior coloring. Cycles that were not found are black.
+ */
+export function interiorColor(interiorColoringId, cycle) {
+  if (cycle.escaped) {
+    const color = periodColor(cycle.period);
+    return new Color(
+      color.r * ATOM_DOMAIN_SHADE,
+      color.g * ATOM_DOMAIN_SHADE,
+      color.b * ATOM_DOMAIN_SHADE
+    );
+  }
+  if (cycle.period === 0) {
+    return BLACK;
+  }
+  if (interiorColoringId === MULTIPLIER_INTERIOR_COLORING_ID) {
+    return multiplierColor(cycle.multiplier);
+  }
+  return periodColor(cycle.period);
 }
 
-export function electricColor(index, paletteInterpolationId) {
-  return interpolatePalette(ELECTRIC, index, paletteInterpolationId);
-}
+// Bins of the cumulative density of the histogram coloring, spaced evenly on
+// log(1 + ν - νmin), as the escape velocities crowd at the low end.
+export const HISTOGRAM_BINS = 256;
+// Escape velocity the cumulative density is spread over, for the palettes to
+// cycle as many times as up to it.
+export const HISTOGRAM_SPAN = 600;
+// The histogram samples a pixel every HISTOGRAM_STRIDE in both directions.
+export const HISTOGRAM_STRIDE = 4;
 
-export function zebraColor(index) {
-  return getPaletteColor(ZEBRA, index);
+/**
+ * The histogram of the escape velocities of a frame, for the histogram
+ * coloring: a Float32Array [νmin, νmax, e₀, …, e_B] of the range of the
+ * velocities, and of their cumulative density eₖ below each bin k of the
+ * HISTOGRAM_BINS B. The points that do not escape, and NaNs, are left out.
+ */
+export function escapeHistogram(escapes, maxIter) {
+  const histogram = new Float32Array(HISTOGRAM_BINS + 3);
+  let min = Infinity;
+  let max = -Infinity;
+  let count = 0;
+  for (const escapeVelocity of escapes) {
+    if (escapeVelocity < maxIter) {
+      min = Math.min(min, escapeVelocity);
+      max = Math.max(max, escapeVelocity);
+      count++;
+    }
+  }
+  if (count === 0 || max <= min) {
+    return histogram;
+  }
+  histogram[0] = min;
+  histogram[1] = max;
+  const counts = new Uint32Array(HISTOGRAM_BINS);
+  const scale = HISTOGRAM_BINS / Math.log1p(max - min);
+  for (const escapeVelocity of escapes) {
+    if (escapeVelocity < maxIter) {
+      const bin = Math.floor(Math.log1p(escapeVelocity - min) * scale);
+      counts[Math.min(bin, HISTOGRAM_BINS - 1)]++;
+    }
+  }
+  let sum = 0;
+  counts.forEach((binCount, k) => {
+    histogram[2 + k] = sum / count;
+    sum += binCount;
+  });
+  histogram[2 + HISTOGRAM_BINS] = 1;
+  return histogram;
 }
 
-export function wikipediaColor(index, paletteInterpolationId) {
-  return interpolatePalettePos(
-    WIKIPEDIA,
-    WIKIPEDIA_POSITIONS,
-    index,
-    paletteInterpolationId
-  );
+/**
+ * The escape velocity equalized by the histogram of its frame: its cumulative
+ * density, interpolated within its bin, over HISTOGRAM_SPAN. An empty
+ * histogram keeps the escape velocity.
+ */
+export function equalizeEscape(histogram, escapeVelocity) {
+  const min = histogram[0];
+  const range = histogram[1] - min;
+  if (!(range > 0)) {
+    return escapeVelocity;
+  }
+  const t = Math.log1p(Math.max(escapeVelocity - min, 0)) / Math.log1p(range);
+  const p = Math.min(t, 1) * HISTOGRAM_BINS;
+  const k = Math.min(Math.floor(p), HISTOGRAM_BINS - 1);
+  const e0 = histogram[2 + k];
+  const e1 = histogram[3 + k];
+  return (e0 + (p - k) * (e1 - e0)) * HISTOGRAM_SPAN;
 }
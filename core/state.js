@@ -1,5 +1,30 @@
 import { Complex, parseComplex, renderComplex } from "../math/complex.js";
-import { Palette, PaletteInterpolation } from "./palette.js";
+import { DEFAULT_EXPONENT, Fractal, sanitizeExponent } from "../math/julia.js";
+import { DEFAULT_FORMULA, validateFormula } from "../math/formula.js";
+import { DEFAULT_ROOTS, parseRoots, renderComplexList } from "../math/newton.js";
+import { AverageColoring } from "../math/orbit-average.js";
+import {
+  DEFAULT_TRAP_GEOMETRY,
+  OrbitTrap,
+  parseTrapGeometry,
+  renderTrapGeometry,
+} from "../math/orbit-trap.js";
+import { parseAngles, renderAngles } from "../math/rays.js";
+import { RenderMode } from "../renderers/renderer.js";
+import {
+  DEFAULT_LIGHTING,
+  parseLighting,
+  renderLighting,
+} from "./lighting.js";
+import {
+  Decomposition,
+  DEFAULT_GRADIENT,
+  InteriorColoring,
+  Palette,
+  PaletteInterpolation,
+  parseGradient,
+  renderGradient,
+} from "./palette.js";
 
 export const Layout = {
   SPLIT: "split",
@@ -18,17 +43,35 @@ const ZERO_CENTER = [new Complex(0, 0), 0];
 const DEFAULT_LAYOUT = Layout.MANDEL;
 const DEFAULT_PALETTE = Palette.WIKIPEDIA;
 const DEFAULT_PALETTE_INTERPOLATION = PaletteInterpolation.SPLINE;
+const DEFAULT_FRACTAL = Fractal.MANDELBROT;
+const DEFAULT_RENDER_MODE = RenderMode.ESCAPE;
+const DEFAULT_INTERIOR_COLORING = InteriorColoring.NONE;
 
 export const StateAttributes = {
   VIEWPORT: "viewport",
   LAYOUT: "layout",
   RENDERING_ENGINE: "renderingEngine",
   DEEP_MODE: "deepMode",
+  BLA: "bla",
+  PERSIST_ORBITS: "persistOrbits",
   PALETTE: "palette",
   PALETTE_INTERPOLATION: "paletteInterpolation",
+  HISTOGRAM: "histogram",
   MAX_ITER: "maxIter",
   MAX_SUPER_SAMPLES: "maxSuperSamples",
   NORMAL_MAP: "normalMap",
+  LIGHTING: "lighting",
+  DISTANCE_ESTIMATION: "distanceEstimation",
+  INTERIOR_COLORING: "interiorColoring",
+  ORBIT_TRAP: "orbitTrap",
+  AVERAGE_COLORING: "averageColoring",
+  DECOMPOSITION: "decomposition",
+  EXPONENT: "exponent",
+  FRACTAL: "fractal",
+  ROOTS: "roots",
+  FORMULA: "formula",
+  RENDER_MODE: "renderMode",
+  RAYS: "rays",
 };
 
 
@@ -57,17 +100,60 @@ export class AppState extends EventTarget {
     ) {
       deepMode = deepParam;
     }
+    const bla = bool(params, "bla", true);
+    const persistOrbits = bool(params, "cache", false);
     let palette = params.get("palette");
     if (palette === DEFAULT_PALETTE) {
       palette = null;
     }
+    const gradient =
+      parseGradient(params.get("grad") ?? "") ?? DEFAULT_GRADIENT;
     let paletteInterpolation = params.get("interp");
     if (paletteInterpolation === DEFAULT_PALETTE_INTERPOLATION) {
       paletteInterpolation = null;
     }
+    const histogram = bool(params, "hist", false);
     const maxIter = int(params, "iter", null);
     const maxSuperSamples = int(params, "ss", 8);
     const normalMap = bool(params, "nm", true);
+    const lighting =
+      parseLighting(params.get("light") ?? "") ?? DEFAULT_LIGHTING;
+    const distanceEstimation = bool(params, "de", false);
+    let interiorColoring = params.get("interior");
+    if (!Object.values(InteriorColoring).includes(interiorColoring)) {
+      interiorColoring = DEFAULT_INTERIOR_COLORING;
+    }
+    let orbitTrap = params.get("trap");
+    if (!Object.values(OrbitTrap).includes(orbitTrap)) {
+      orbitTrap = OrbitTrap.NONE;
+    }
+    const trapGeometry =
+      parseTrapGeometry(params.get("trapgeo") ?? "") ?? DEFAULT_TRAP_GEOMETRY;
+    let averageColoring = params.get("avg");
+    if (!Object.values(AverageColoring).includes(averageColoring)) {
+      averageColoring = AverageColoring.NONE;
+    }
+    let decomposition = params.get("decomp");
+    if (!Object.values(Decomposition).includes(decomposition)) {
+      decomposition = Decomposition.NONE;
+    }
+    const exponent = sanitizeExponent(
+      float(params, "exp", DEFAULT_EXPONENT)
+    );
+    let fractal = params.get("fractal");
+    if (!Object.values(Fractal).includes(fractal)) {
+      fractal = DEFAULT_FRACTAL;
+    }
+    const roots = parseRoots(params.get("roots")) ?? DEFAULT_ROOTS;
+    let formula = params.get("formula");
+    if (formula === null || validateFormula(formula) !== null) {
+      formula = DEFAULT_FORMULA;
+    }
+    let renderMode = params.get("mode");
+    if (!Object.values(RenderMode).includes(renderMode)) {
+      renderMode = DEFAULT_RENDER_MODE;
+    }
+    const rays = parseAngles(params.get("rays")) ?? [];
     return new AppState({
       mcenter,
       mzoom,
@@ -76,11 +162,28 @@ export class AppState extends EventTarget {
       layout,
       renderingEngine,
       palette,
+      gradient,
       paletteInterpolation,
+      histogram,
       maxIter,
       maxSuperSamples,
       deepMode,
+      bla,
+      persistOrbits,
       normalMap,
+      lighting,
+      distanceEstimation,
+      interiorColoring,
+      orbitTrap,
+      trapGeometry,
+      averageColoring,
+      decomposition,
+      exponent,
+      fractal,
+      roots,
+      formula,
+      renderMode,
+      rays,
     });
   }
 
@@ -92,11 +195,28 @@ export class AppState extends EventTarget {
     layout,
     renderingEngine,
     palette,
+    gradient,
     paletteInterpolation,
+    histogram,
     maxIter,
     maxSuperSamples,
     deepMode,
+    bla,
+    persistOrbits,
     normalMap,
+    lighting,
+    distanceEstimation,
+    interiorColoring,
+    orbitTrap,
+    trapGeometry,
+    averageColoring,
+    decomposition,
+    exponent,
+    fractal,
+    roots,
+    formula,
+    renderMode,
+    rays,
   }) {
     super();
 
@@ -111,11 +231,39 @@ export class AppState extends EventTarget {
     this.layout = layout;
     this.renderingEngine = renderingEngine;
     this.deepMode = deepMode ?? DeepMode.AUTO;
+    // Whether the deep zoom jumps iterations with the BLA
+    this.bla = bla ?? true;
+    // Whether the reference orbits of the deep zoom persist across sessions
+    this.persistOrbits = persistOrbits ?? false;
     this.palette = palette;
+    // The gradient of the custom palette
+    this.gradient = gradient ?? DEFAULT_GRADIENT;
     this.paletteInterpolation = paletteInterpolation;
+    // Whether the palette maps the cumulative density of the escape velocities
+    this.histogram = histogram ?? false;
     this.maxIter = maxIter;
     this.maxSuperSamples = maxSuperSamples;
     this.normalMap = normalMap ?? true;
+    // The lights and Blinn-Phong terms of the normal map
+    this.lighting = lighting ?? DEFAULT_LIGHTING;
+    this.distanceEstimation = distanceEstimation ?? false;
+    this.interiorColoring = interiorColoring ?? DEFAULT_INTERIOR_COLORING;
+    // The orbit trap, and its center and radius in complex coordinates
+    this.orbitTrap = orbitTrap ?? OrbitTrap.NONE;
+    this.trapGeometry = trapGeometry ?? DEFAULT_TRAP_GEOMETRY;
+    // The average coloring of the escaping points
+    this.averageColoring = averageColoring ?? AverageColoring.NONE;
+    // The split of the escaping points by the angle of their orbit at bailout
+    this.decomposition = decomposition ?? Decomposition.NONE;
+    this.exponent = exponent ?? DEFAULT_EXPONENT;
+    this.fractal = fractal ?? DEFAULT_FRACTAL;
+    // Roots of the polynomial of the Newton fractal
+    this.roots = roots ?? DEFAULT_ROOTS;
+    // Iteration formula of the user-defined fractal
+    this.formula = formula ?? DEFAULT_FORMULA;
+    this.renderMode = renderMode ?? DEFAULT_RENDER_MODE;
+    // Angles of the external rays drawn over the Mandelbrot set
+    this.rays = rays ?? [];
 
     this.updateURLTimeoutId = null;
   }
@@ -149,6 +297,20 @@ export class AppState extends EventTarget {
     }
   }
 
+  setBla(bla) {
+    if (this.bla !== bla) {
+      this.bla = bla;
+      this.#triggerChange(StateAttributes.BLA);
+    }
+  }
+
+  setPersistOrbits(persistOrbits) {
+    if (this.persistOrbits !== persistOrbits) {
+      this.persistOrbits = persistOrbits;
+      this.#triggerChange(StateAttributes.PERSIST_ORBITS);
+    }
+  }
+
   setPalette(palette) {
     if (this.palette !== palette) {
       this.palette = palette;
@@ -156,6 +318,18 @@ export class AppState extends EventTarget {
     }
   }
 
+  // Set the gradient of the custom palette, and switch to it
+  setGradient(gradient) {
+    if (
+      this.palette !== Palette.CUSTOM ||
+      renderGradient(this.gradient) !== renderGradient(gradient)
+    ) {
+      this.gradient = gradient;
+      this.palette = Palette.CUSTOM;
+      this.#triggerChange(StateAttributes.PALETTE);
+    }
+  }
+
   setPaletteInterpolation(paletteInterpolation) {
     if (this.paletteInterpolation !== paletteInterpolation) {
       this.paletteInterpolation = paletteInterpolation;
@@ -163,6 +337,13 @@ export class AppState extends EventTarget {
     }
   }
 
+  setHistogram(histogram) {
+    if (this.histogram !== histogram) {
+      this.histogram = histogram;
+      this.#triggerChange(StateAttributes.HISTOGRAM);
+    }
+  }
+
   setMaxIter(maxIter) {
     if (this.maxIter !== maxIter) {
       this.maxIter = maxIter;
@@ -184,6 +365,99 @@ export class AppState extends EventTarget {
     }
   }
 
+  setLighting(lighting) {
+    if (renderLighting(this.lighting) !== renderLighting(lighting)) {
+      this.lighting = lighting;
+      this.#triggerChange(StateAttributes.LIGHTING);
+    }
+  }
+
+  setDistanceEstimation(distanceEstimation) {
+    if (this.distanceEstimation !== distanceEstimation) {
+      this.distanceEstimation = distanceEstimation;
+      this.#triggerChange(StateAttributes.DISTANCE_ESTIMATION);
+    }
+  }
+
+  setInteriorColoring(interiorColoring) {
+    if (this.interiorColoring !== interiorColoring) {
+      this.interiorColoring = interiorColoring;
+      this.#triggerChange(StateAttributes.INTERIOR_COLORING);
+    }
+  }
+
+  setOrbitTrap(orbitTrap) {
+    if (this.orbitTrap !== orbitTrap) {
+      this.orbitTrap = orbitTrap;
+      this.#triggerChange(StateAttributes.ORBIT_TRAP);
+    }
+  }
+
+  setTrapGeometry(trapGeometry) {
+    if (
+      renderTrapGeometry(this.trapGeometry) !== renderTrapGeometry(trapGeometry)
+    ) {
+      this.trapGeometry = trapGeometry;
+      this.#triggerChange(StateAttributes.ORBIT_TRAP);
+    }
+  }
+
+  setAverageColoring(averageColoring) {
+    if (this.averageColoring !== averageColoring) {
+      this.averageColoring = averageColoring;
+      this.#triggerChange(StateAttributes.AVERAGE_COLORING);
+    }
+  }
+
+  setDecomposition(decomposition) {
+    if (this.decomposition !== decomposition) {
+      this.decomposition = decomposition;
+      this.#triggerChange(StateAttributes.DECOMPOSITION);
+    }
+  }
+
+  setExponent(exponent) {
+    if (this.exponent !== exponent) {
+      this.exponent = exponent;
+      this.#triggerChange(StateAttributes.EXPONENT);
+    }
+  }
+
+  setFractal(fractal) {
+    if (this.fractal !== fractal) {
+      this.fractal = fractal;
+      this.#triggerChange(StateAttributes.FRACTAL);
+    }
+  }
+
+  setRoots(roots) {
+    if (renderComplexList(this.roots) !== renderComplexList(roots)) {
+      this.roots = roots;
+      this.#triggerChange(StateAttributes.ROOTS);
+    }
+  }
+
+  setFormula(formula) {
+    if (this.formula !== formula) {
+      this.formula = formula;
+      this.#triggerChange(StateAttributes.FORMULA);
+    }
+  }
+
+  setRenderMode(renderMode) {
+    if (this.renderMode !== renderMode) {
+      this.renderMode = renderMode;
+      this.#triggerChange(StateAttributes.RENDER_MODE);
+    }
+  }
+
+  setRays(rays) {
+    if (renderAngles(this.rays) !== renderAngles(rays)) {
+      this.rays = rays;
+      this.#triggerChange(StateAttributes.RAYS);
+    }
+  }
+
   getDefaultMaxIter() {
     return Math.round(200 * (1 + this.mzoom));
   }
@@ -234,6 +508,16 @@ export class AppState extends EventTarget {
       } else {
         params.delete("deep");
       }
+      if (this.bla === false) {
+        params.set("bla", "0");
+      } else {
+        params.delete("bla");
+      }
+      if (this.persistOrbits === true) {
+        params.set("cache", "1");
+      } else {
+        params.delete("cache");
+      }
       if (this.maxIter !== null) {
         params.set("iter", this.maxIter);
       } else {
@@ -249,11 +533,84 @@ export class AppState extends EventTarget {
       } else {
         params.delete("nm");
       }
+      if (renderLighting(this.lighting) !== renderLighting(DEFAULT_LIGHTING)) {
+        params.set("light", renderLighting(this.lighting));
+      } else {
+        params.delete("light");
+      }
+      if (this.distanceEstimation === true) {
+        params.set("de", "1");
+      } else {
+        params.delete("de");
+      }
+      if (this.interiorColoring !== DEFAULT_INTERIOR_COLORING) {
+        params.set("interior", this.interiorColoring);
+      } else {
+        params.delete("interior");
+      }
+      if (this.orbitTrap !== OrbitTrap.NONE) {
+        params.set("trap", this.orbitTrap);
+      } else {
+        params.delete("trap");
+      }
+      if (
+        renderTrapGeometry(this.trapGeometry) !==
+        renderTrapGeometry(DEFAULT_TRAP_GEOMETRY)
+      ) {
+        params.set("trapgeo", renderTrapGeometry(this.trapGeometry));
+      } else {
+        params.delete("trapgeo");
+      }
+      if (this.averageColoring !== AverageColoring.NONE) {
+        params.set("avg", this.averageColoring);
+      } else {
+        params.delete("avg");
+      }
+      if (this.decomposition !== Decomposition.NONE) {
+        params.set("decomp", this.decomposition);
+      } else {
+        params.delete("decomp");
+      }
+      if (this.exponent !== DEFAULT_EXPONENT) {
+        params.set("exp", this.exponent);
+      } else {
+        params.delete("exp");
+      }
+      if (this.fractal !== DEFAULT_FRACTAL) {
+        params.set("fractal", this.fractal);
+      } else {
+        params.delete("fractal");
+      }
+      if (renderComplexList(this.roots) !== renderComplexList(DEFAULT_ROOTS)) {
+        params.set("roots", renderComplexList(this.roots));
+      } else {
+        params.delete("roots");
+      }
+      if (this.formula !== DEFAULT_FORMULA) {
+        params.set("formula", this.formula);
+      } else {
+        params.delete("formula");
+      }
+      if (this.renderMode !== DEFAULT_RENDER_MODE) {
+        params.set("mode", this.renderMode);
+      } else {
+        params.delete("mode");
+      }
+      if (this.rays.length > 0) {
+        params.set("rays", renderAngles(this.rays));
+      } else {
+        params.delete("rays");
+      }
       if (this.palette && this.palette !== Palette.WIKIPEDIA) {
         params.set("palette", this.palette);
       } else {
         params.delete("palette");
       }
+      if (this.palette === Palette.CUSTOM) {
+        params.set("grad", renderGradient(this.gradient));
+      } else {
+        params.delete("grad");
+      }
       if (
         this.paletteInterpolation &&
         this.paletteInterpolation !== DEFAULT_PALETTE_INTERPOLATION
@@ -262,6 +619,11 @@ export class AppState extends EventTarget {
       } else {
         params.delete("interp");
       }
+      if (this.histogram === true) {
+        params.set("hist", "1");
+      } else {
+        params.delete("hist");
+      }
 
       const queryParams = params.toString();
       const newUrl = queryParams
@@ -294,6 +656,14 @@ function int(params, key, def) {
   return params.has(key) ? parseInt(params.get(key)) ?? def : def;
 }
 
+function float(params, key, def) {
+  if (!params.has(key)) {
+    return def;
+  }
+  const value = parseFloat(params.get(key));
+  return Number.isNaN(value) ? def : value;
+}
+
 function bool(params, key, def) {
   if (!params.has(key)) {
     return def;
@@ -4,6 +4,7 @@
  * - BigComplex: for fixed point arithmetic with big integers
  */
 
+import { binaryExponent, EXP_ZERO, ldexp } from "./floatexp.js";
 
 // In debug mode, adds additional checks and type assertions.
 const DEBUG_MODE = false;
@@ -59,6 +60,61 @@ export class Complex {
     return this;
   }
 
+  // z = |Re z| + i|Im z|
+  absParts() {
+    this.x = Math.abs(this.x);
+    this.y = Math.abs(this.y);
+    return this;
+  }
+
+  // z = conj(z)
+  conj() {
+    this.y = -this.y;
+    return this;
+  }
+
+  // z = z * a
+  mul(a) {
+    const x = this.x * a.x - this.y * a.y;
+    this.y = this.x * a.y + this.y * a.x;
+    this.x = x;
+    return this;
+  }
+
+  // z = z^d, for any real exponent d
+  pow(d) {
+    if (d === 2) {
+      return this.square();
+    }
+    if (Number.isInteger(d) && d >= 0) {
+      return powInt(this, d);
+    }
+    const squareMod = this.squareMod();
+    if (squareMod === 0) {
+      return this;
+    }
+    // Polar form: z^d = |z|^d * e^(i * d * arg(z))
+    const r = Math.pow(squareMod, 0.5 * d);
+    const theta = d * Math.atan2(this.y, this.x);
+    this.x = r * Math.cos(theta);
+    this.y = r * Math.sin(theta);
+    return this;
+  }
+
+  // z = (1 + z)^d - 1 = expm1(d * log1p(z)), for |z| < 1. Unlike the direct
+  // difference, it keeps the precision of small z.
+  powm1(d) {
+    // d * log1p(z) = d * (log|1 + z| + i arg(1 + z))
+    const lx = 0.5 * d * Math.log1p(this.x * (2 + this.x) + this.y * this.y);
+    const ly = d * Math.atan2(this.y, 1 + this.x);
+    // expm1(l) = expm1(lx) cos(ly) - 2 sin²(ly / 2) + i e^lx sin(ly)
+    const e = Math.expm1(lx);
+    const s = Math.sin(0.5 * ly);
+    this.x = e * Math.cos(ly) - 2 * s * s;
+    this.y = (e + 1) * Math.sin(ly);
+    return this;
+  }
+
   // return |z|²
   squareMod() {
     return this.x * this.x + this.y * this.y;
@@ -94,6 +150,22 @@ export class Complex {
   }
 }
 
+// z = z^n for a non-negative integer n, by binary exponentiation.
+function powInt(z, n) {
+  const base = z.clone();
+  z.set(z.plane ? z.plane.complex(1, 0) : new Complex(1, 0));
+  while (n > 0) {
+    if (n & 1) {
+      z.mul(base);
+    }
+    n >>= 1;
+    if (n > 0) {
+      base.square();
+    }
+  }
+  return z;
+}
+
 /** An immutable complex number */ 
 class ConstComplex {
   constructor(x, y) {
@@ -146,6 +218,15 @@ class ComplexPlane {
     return x;
   }
 
+  // Split x into a mantissa in [0.5, 1) and an exponent, see math/floatexp.js
+  frexp(x) {
+    if (x === 0) {
+      return { mantissa: 0, exponent: EXP_ZERO };
+    }
+    const exponent = binaryExponent(x);
+    return { mantissa: ldexp(x, -exponent), exponent };
+  }
+
   isBigComplex() {
     return false;
   }
@@ -153,6 +234,10 @@ class ComplexPlane {
 
 export const COMPLEX_PLANE = new ComplexPlane();
 
+// Exponent of the planes past which their numbers get converted to native
+// doubles through frexp(), as 2^-exponent gets close to underflow.
+const MAX_NUMBER_EXPONENT = 960;
+
 // Represents the implicit unit of the mantissa.
 const MANTISSA_UNIT = 1n << 52n;
 const F64_BUFFER = new DataView(new ArrayBuffer(8));
@@ -227,7 +312,38 @@ export class BigComplexPlane {
     if (x === 0n) {
       return 0;
     }
-    return Number(x) * Math.pow(2, -Number(this.exponent));
+    const exponent = Number(this.exponent);
+    // Past the range of doubles, 2^-exponent underflows before x does.
+    if (exponent > MAX_NUMBER_EXPONENT) {
+      const parts = this.frexp(x);
+      return ldexp(parts.mantissa, parts.exponent);
+    }
+    return Number(x) * Math.pow(2, -exponent);
+  }
+
+  /**
+   * Split a fixed point number into a native double mantissa, in [0.5, 1) in
+   * absolute value, and an exponent. Unlike asNumber(), this keeps the range
+   * of the plane, past the one of doubles.
+   * @param {BigInt} x
+   * @returns {{mantissa: Number, exponent: Number}}
+   */
+  frexp(x) {
+    if (x === 0n) {
+      return { mantissa: 0, exponent: EXP_ZERO };
+    }
+    // Only keep the leading bits of the numbers past the range of doubles.
+    let value = Number(x);
+    let shift = 0;
+    if (!Number.isFinite(value)) {
+      shift = 4 * (x < 0n ? -x : x).toString(16).length - 64;
+      value = Number(x >> BigInt(shift));
+    }
+    const exponent = binaryExponent(value);
+    return {
+      mantissa: ldexp(value, -exponent),
+      exponent: exponent + shift - Number(this.exponent),
+    };
   }
 
   /**
@@ -368,6 +484,40 @@ export class BigComplex {
     return this;
   }
 
+  // z = |Re z| + i|Im z|
+  absParts() {
+    this.x = this.x < 0n ? -this.x : this.x;
+    this.y = this.y < 0n ? -this.y : this.y;
+    return this;
+  }
+
+  // z = conj(z)
+  conj() {
+    this.y = -this.y;
+    return this;
+  }
+
+  // z = z * a
+  mul(a) {
+    this.assertSameExponent(a);
+    const x = (this.x * a.x - this.y * a.y) >> this.plane.exponent;
+    this.y = (this.x * a.y + this.y * a.x) >> this.plane.exponent;
+    this.x = x;
+    return this;
+  }
+
+  // z = z^d. Integer exponents are exact; other exponents are computed with
+  // native doubles, and lose the precision of the plane.
+  pow(d) {
+    if (d === 2) {
+      return this.square();
+    }
+    if (Number.isInteger(d) && d >= 0) {
+      return powInt(this, d);
+    }
+    return this.project(COMPLEX_PLANE.complex().project(this).pow(d));
+  }
+
   // return |z|²
   squareMod() {
     return (this.x * this.x + this.y * this.y) >> this.plane.exponent;
@@ -465,3 +615,34 @@ export function renderComplex(c, zoom, separator) {
     c.plane.scalarToString(c.y)
   );
 }
+
+/**
+ * Render a complex number as decimals, e.g. to copy the coordinates of a point.
+ * Fixed point numbers keep all the decimals of their plane.
+ */
+export function renderComplexDecimal(c, separator) {
+  if (c.plane === undefined) {
+    // Native doubles
+    return String(c.x) + (separator ?? ", ") + String(c.y);
+  }
+  return (
+    renderScalarDecimal(c.x, c.plane.exponent) +
+    (separator ?? ", ") +
+    renderScalarDecimal(c.y, c.plane.exponent)
+  );
+}
+
+// Render the fixed point number x * 2^-exponent as decimals.
+function renderScalarDecimal(x, exponent) {
+  const sign = x < 0n ? "-" : "";
+  const abs = x < 0n ? -x : x;
+  const decimals = Math.ceil(Number(exponent) * BITS_PER_DECIMAL);
+  const integer = abs >> exponent;
+  const fraction =
+    ((abs - (integer << exponent)) * 10n ** BigInt(decimals)) >> exponent;
+  const fractionStr = fraction
+    .toString()
+    .padStart(decimals, "0")
+    .replace(/0+$/, "");
+  return sign + integer + (fractionStr.length > 0 ? "." + fractionStr : "");
+}
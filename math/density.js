@@ -0,0 +1,135 @@
+import { COMPLEX_PLANE } from "./complex.js";
+import { BAILOUT, FN_MANDELBROT, isJuliaFn, juliaSeries } from "./julia.js";
+
+// Samples are drawn in the square [-r, r]², which holds the Mandelbrot set and
+// the filled Julia sets of all the supported exponents.
+export const DENSITY_SAMPLE_RADIUS = 2;
+
+// Number of samples per pixel of the viewport, after which refining stops
+export const DENSITY_SAMPLES_PER_PIXEL = 64;
+
+// Nebulabrot iteration limits, as fractions of maxIter for the R, G and B
+// channels, after the classic 5000 / 500 / 50.
+const NEBULABROT_LIMITS = [1, 0.1, 0.01];
+
+/**
+ * Iteration limits of the channels of the density histogram: a single one for
+ * the Buddhabrot, three for the R, G and B channels of the Nebulabrot.
+ */
+export function getDensityLimits(nebulabrot, maxIter) {
+  if (!nebulabrot) {
+    return [maxIter];
+  }
+  return NEBULABROT_LIMITS.map((f) => Math.max(1, Math.round(f * maxIter)));
+}
+
+/**
+ * Whether c is in the main cardioid or the period 2 bulb of the Mandelbrot set.
+ * Their orbits never escape, so they are skipped without iterating.
+ */
+export function isInMainBulbs(x, y) {
+  const y2 = y * y;
+  const q = (x - 0.25) * (x - 0.25) + y2;
+  return q * (q + (x - 0.25)) <= 0.25 * y2 || (x + 1) * (x + 1) + y2 <= 0.0625;
+}
+
+/**
+ * Draw random samples of c (or of z0 for Julia fns), and add the orbits that
+ * escape to the histogram of the viewport.
+ *
+ * The histogram holds limits.length counts per pixel, row-major. An orbit
+ * escaping at n is added to the channel k if n < limits[k]. The sample itself
+ * (z1 = c, or z0) is left out, as it would only add a uniform background.
+ *
+ * Returns the number of iterations.
+ */
+export function accumulateDensity(
+  histogram,
+  {
+    width,
+    height,
+    center,
+    zoom,
+    fnId,
+    exponent,
+    param0,
+    limits,
+    samples,
+    random = Math.random,
+  }
+) {
+  const channels = limits.length;
+  const maxLimit = Math.max(...limits);
+  const scale = (4 / width) * Math.pow(2, -zoom);
+  const isJulia = isJuliaFn(fnId);
+  const first = isJulia ? 1 : 2;
+  const skipBulbs = fnId === FN_MANDELBROT && exponent === 2;
+  const zero = COMPLEX_PLANE.complex();
+  const c = isJulia ? COMPLEX_PLANE.complex(param0.x, param0.y) : null;
+  const sample = COMPLEX_PLANE.complex();
+  let totalIterations = 0;
+
+  for (let s = 0; s < samples; s++) {
+    sample.x = (2 * random() - 1) * DENSITY_SAMPLE_RADIUS;
+    sample.y = (2 * random() - 1) * DENSITY_SAMPLE_RADIUS;
+    if (skipBulbs && isInMainBulbs(sample.x, sample.y)) {
+      continue;
+    }
+
+    const points = isJulia
+      ? juliaSeries(sample, c, maxLimit, exponent, fnId)
+      : juliaSeries(zero, sample, maxLimit, exponent, fnId);
+
+    // The series is padded with NaN after the escaping point.
+    let n = 1;
+    while (n < maxLimit && !Number.isNaN(points[2 * n])) {
+      n++;
+    }
+    n--;
+    totalIterations += n;
+    const x = points[2 * n];
+    const y = points[2 * n + 1];
+    if (n === maxLimit - 1 && x * x + y * y <= BAILOUT * BAILOUT) {
+      continue;
+    }
+
+    for (let i = first; i <= n; i++) {
+      const px = Math.floor((points[2 * i] - center.x) / scale + width * 0.5);
+      const py = Math.floor(height * 0.5 - (points[2 * i + 1] - center.y) / scale);
+      if (px < 0 || px >= width || py < 0 || py >= height) {
+        continue;
+      }
+      const index = (py * width + px) * channels;
+      for (let k = 0; k < channels; k++) {
+        if (n < limits[k]) {
+          histogram[index + k]++;
+        }
+      }
+    }
+  }
+  return totalIterations;
+}
+
+/**
+ * Map the counts of the histogram to gray levels (one channel) or to R, G and
+ * B (three channels). Each channel is normalized by its maximum, with a square
+ * root to bring out the faint orbits.
+ */
+export function toneMapDensity(histogram, channels, rgba) {
+  const max = new Array(channels).fill(0);
+  for (let i = 0; i < histogram.length; i++) {
+    const k = i % channels;
+    max[k] = Math.max(max[k], histogram[i]);
+  }
+  const pixels = histogram.length / channels;
+  for (let p = 0; p < pixels; p++) {
+    for (let k = 0; k < 3; k++) {
+      const channel = channels === 1 ? 0 : k;
+      const count = histogram[p * channels + channel];
+      rgba[4 * p + k] =
+        max[channel] > 0 ? 255 * Math.sqrt(count / max[channel]) : 0;
+    }
+    rgba[4 * p + 3] = 255;
+  }
+  return rgba;
+}
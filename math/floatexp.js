@@ -0,0 +1,175 @@
+/**
+ * Extended-range floats, for the perturbations past the range of float64 at
+ * deep zoom: a native double mantissa with a separate integer exponent, for
+ * the value mantissa * 2^exponent.
+ */
+
+// Exponent of 0, below the exponents of any zoom, so that sums align on their
+// other term. Its multiples by the exponents of the fns stay within int32, as
+// on the GPU.
+export const EXP_ZERO = -(2 ** 24);
+
+// Zooms past which the pixel size leaves the normal range of float32, and of
+// float64, with room for the offsets of the pixels and their powers.
+export const FLOAT32_MAX_ZOOM = 100;
+export const FLOAT64_MAX_ZOOM = 960;
+
+const F64_BUFFER = new DataView(new ArrayBuffer(8));
+
+/**
+ * The exponent e of x = m * 2^e, with |m| in [0.5, 1), or 0 for 0 and the
+ * non-finite numbers.
+ */
+export function binaryExponent(x) {
+  if (x === 0 || !Number.isFinite(x)) {
+    return 0;
+  }
+  F64_BUFFER.setFloat64(0, x);
+  const biased = (F64_BUFFER.getUint32(0) >>> 20) & 0x7ff;
+  // Subnormals
+  if (biased === 0) {
+    return binaryExponent(x * 2 ** 64) - 64;
+  }
+  return biased - 1022;
+}
+
+/**
+ * Compute x * 2^e, also when 2^e alone leaves the range of float64.
+ */
+export function ldexp(x, e) {
+  if (e > 1023) {
+    return x * 2 ** 1023 * 2 ** (e - 1023);
+  }
+  if (e < -1022) {
+    return x * 2 ** -1022 * 2 ** (e + 1022);
+  }
+  return x * 2 ** e;
+}
+
+/**
+ * A mutable complex number (x + iy) * 2^exponent. The mantissa is kept
+ * normalized: its largest part is in [0.5, 1) in absolute value, or it is 0
+ * with the exponent EXP_ZERO.
+ */
+export class ExpComplex {
+  constructor(x = 0, y = 0, exponent = 0) {
+    this.setNumbers(x, y, exponent);
+  }
+
+  // z = (x + iy) * 2^exponent
+  setNumbers(x, y, exponent = 0) {
+    this.x = x;
+    this.y = y;
+    this.exponent = exponent;
+    return this.normalize();
+  }
+
+  // z = a
+  set(a) {
+    this.x = a.x;
+    this.y = a.y;
+    this.exponent = a.exponent;
+    return this;
+  }
+
+  /**
+   * z = a, for a Complex or a BigComplex, keeping the range of its plane.
+   */
+  project(a) {
+    if (a.plane === undefined) {
+      return this.setNumbers(a.x, a.y);
+    }
+    const x = a.plane.frexp(a.x);
+    const y = a.plane.frexp(a.y);
+    const exponent = Math.max(x.exponent, y.exponent);
+    this.x = x.mantissa * 2 ** (x.exponent - exponent);
+    this.y = y.mantissa * 2 ** (y.exponent - exponent);
+    this.exponent = exponent;
+    return this.normalize();
+  }
+
+  normalize() {
+    if (this.x === 0 && this.y === 0) {
+      this.exponent = EXP_ZERO;
+      return this;
+    }
+    const e = binaryExponent(Math.max(Math.abs(this.x), Math.abs(this.y)));
+    this.x = ldexp(this.x, -e);
+    this.y = ldexp(this.y, -e);
+    this.exponent += e;
+    return this;
+  }
+
+  // z = z + a. The smaller term is aligned on the larger one, and drops its
+  // digits past the precision of the sum.
+  add(a) {
+    const exponent = Math.max(this.exponent, a.exponent);
+    const s = 2 ** (this.exponent - exponent);
+    const t = 2 ** (a.exponent - exponent);
+    this.x = this.x * s + a.x * t;
+    this.y = this.y * s + a.y * t;
+    this.exponent = exponent;
+    return this.normalize();
+  }
+
+  // z = z * a
+  mul(a) {
+    const x = this.x * a.x - this.y * a.y;
+    this.y = this.x * a.y + this.y * a.x;
+    this.x = x;
+    this.exponent += a.exponent;
+    return this.normalize();
+  }
+
+  // z = z / a, for a non-zero a
+  div(a) {
+    const squareMod = a.x * a.x + a.y * a.y;
+    const x = (this.x * a.x + this.y * a.y) / squareMod;
+    this.y = (this.y * a.x - this.x * a.y) / squareMod;
+    this.x = x;
+    this.exponent -= a.exponent;
+    return this.normalize();
+  }
+
+  // z = z * (x + iy), for native doubles
+  mulNumbers(x, y) {
+    const zx = this.x * x - this.y * y;
+    this.y = this.x * y + this.y * x;
+    this.x = zx;
+    return this.normalize();
+  }
+
+  // z = z^d, for any real exponent d
+  pow(d) {
+    const squareMod = this.x * this.x + this.y * this.y;
+    if (squareMod === 0) {
+      return this;
+    }
+    // The mantissa is raised in polar form, and the fraction of the exponent
+    // d * exponent goes into its modulus.
+    const exponent = d * this.exponent;
+    const integer = Math.floor(exponent);
+    const r = Math.pow(squareMod, 0.5 * d) * 2 ** (exponent - integer);
+    const theta = d * Math.atan2(this.y, this.x);
+    this.x = r * Math.cos(theta);
+    this.y = r * Math.sin(theta);
+    this.exponent = integer;
+    return this.normalize();
+  }
+
+  // return |z|², as a native double that underflows to 0
+  squareMod() {
+    return ldexp(this.x * this.x + this.y * this.y, 2 * this.exponent);
+  }
+
+  // Write z into the native doubles of out, that underflow to 0.
+  toComplex(out) {
+    out.x = ldexp(this.x, this.exponent);
+    out.y = ldexp(this.y, this.exponent);
+    return out;
+  }
+
+  clone() {
+    return new ExpComplex().set(this);
+  }
+}
@@ -0,0 +1,543 @@
+/**
+ * A small expression language for user-defined iterations z = f(z, c).
+ *
+ * Formulas like "z^2 + c/z" or "sin(z) * c" are parsed once, and compiled to
+ * the JS kernel of the CPU worker, and to GLSL and WGSL functions for the
+ * shaders. The grammar is:
+ *
+ *   expr    = term (("+" | "-") term)*
+ *   term    = unary (("*" | "/") unary | primary)*    implicit product: 2z
+ *   unary   = ("-" | "+") unary | power
+ *   power   = primary ("^" unary)?                    right associative
+ *   primary = number | variable | function "(" expr ")" | "(" expr ")"
+ *
+ * Variables are z, c, i, pi and e.
+ */
+
+export const DEFAULT_FORMULA = "z^2 + c";
+const MAX_FORMULA_LENGTH = 256;
+// The largest finite 32 bit float: larger literals do not compile in shaders
+const MAX_LITERAL = 3.4028235e38;
+
+const VARIABLES = ["z", "c"];
+const CONSTANTS = {
+  i: [0, 1],
+  pi: [Math.PI, 0],
+  e: [Math.E, 0],
+};
+const FUNCTIONS = [
+  "sin",
+  "cos",
+  "tan",
+  "sinh",
+  "cosh",
+  "tanh",
+  "exp",
+  "log",
+  "sqrt",
+  "conj",
+  "abs",
+  "re",
+  "im",
+];
+
+// --- Parser
+
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+  while (pos < text.length) {
+    const ch = text[pos];
+    if (/\s/.test(ch)) {
+      pos++;
+      continue;
+    }
+    const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(pos));
+    if (number) {
+      const value = parseFloat(number[0]);
+      if (!(value <= MAX_LITERAL)) {
+        throw new Error(
+          `Number "${number[0]}" out of range at position ${pos + 1}`
+        );
+      }
+      tokens.push({ type: "number", value, pos });
+      pos += number[0].length;
+      continue;
+    }
+    const ident = /^[a-zA-Z]\w*/.exec(text.slice(pos));
+    if (ident) {
+      tokens.push({ type: "ident", value: ident[0], pos });
+      pos += ident[0].length;
+      continue;
+    }
+    if ("+-*/^()".includes(ch)) {
+      tokens.push({ type: ch, pos });
+      pos++;
+      continue;
+    }
+    throw new Error(`Unexpected character "${ch}" at position ${pos + 1}`);
+  }
+  tokens.push({ type: "end", pos });
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  expect(type) {
+    const token = this.next();
+    if (token.type !== type) {
+      throw new Error(
+        `Expected "${type}" but found ${describe(token)} at position ${
+          token.pos + 1
+        }`
+      );
+    }
+    return token;
+  }
+
+  parse() {
+    if (this.peek().type === "end") {
+      throw new Error("Empty formula");
+    }
+    const node = this.expr();
+    const token = this.peek();
+    if (token.type !== "end") {
+      throw new Error(
+        `Unexpected ${describe(token)} at position ${token.pos + 1}`
+      );
+    }
+    return node;
+  }
+
+  expr() {
+    let node = this.term();
+    while (this.peek().type === "+" || this.peek().type === "-") {
+      const op = this.next().type;
+      node = { type: "binary", op, left: node, right: this.term() };
+    }
+    return node;
+  }
+
+  term() {
+    let node = this.unary();
+    for (;;) {
+      const token = this.peek();
+      if (token.type === "*" || token.type === "/") {
+        this.next();
+        node = { type: "binary", op: token.type, left: node, right: this.unary() };
+      } else if (
+        token.type === "number" ||
+        token.type === "ident" ||
+        token.type === "("
+      ) {
+        // Implicit product, as in 2z or 3(z + 1)
+        node = { type: "binary", op: "*", left: node, right: this.power() };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  unary() {
+    const token = this.peek();
+    if (token.type === "-") {
+      this.next();
+      const arg = this.unary();
+      // Fold negated literals, so that z^-2 is an integer power
+      return arg.type === "number"
+        ? { type: "number", x: -arg.x, y: -arg.y }
+        : { type: "neg", arg };
+    }
+    if (token.type === "+") {
+      this.next();
+      return this.unary();
+    }
+    return this.power();
+  }
+
+  power() {
+    const base = this.primary();
+    if (this.peek().type === "^") {
+      this.next();
+      return { type: "binary", op: "^", left: base, right: this.unary() };
+    }
+    return base;
+  }
+
+  primary() {
+    const token = this.next();
+    switch (token.type) {
+      case "number":
+        return { type: "number", x: token.value, y: 0 };
+
+      case "(": {
+        const node = this.expr();
+        this.expect(")");
+        return node;
+      }
+
+      case "ident": {
+        const name = token.value;
+        if (VARIABLES.includes(name)) {
+          return { type: "variable", name };
+        }
+        if (name in CONSTANTS) {
+          const [x, y] = CONSTANTS[name];
+          return { type: "number", x, y };
+        }
+        if (FUNCTIONS.includes(name)) {
+          if (this.peek().type !== "(") {
+            throw new Error(
+              `Expected "(" after function ${name} at position ${
+                this.peek().pos + 1
+              }`
+            );
+          }
+          this.next();
+          const arg = this.expr();
+          this.expect(")");
+          return { type: "call", name, arg };
+        }
+        throw new Error(
+          `Unknown name "${name}" at position ${token.pos + 1}. ` +
+            `Use z, c, i, pi, e or one of ${FUNCTIONS.join(", ")}`
+        );
+      }
+
+      default:
+        throw new Error(
+          `Unexpected ${describe(token)} at position ${token.pos + 1}`
+        );
+    }
+  }
+}
+
+function describe(token) {
+  switch (token.type) {
+    case "end":
+      return "end of formula";
+    case "number":
+    case "ident":
+      return `"${token.value}"`;
+    default:
+      return `"${token.type}"`;
+  }
+}
+
+/**
+ * Parse a formula into its syntax tree. Throws an Error describing the first
+ * problem found.
+ */
+export function parseFormula(text) {
+  if (text.length > MAX_FORMULA_LENGTH) {
+    throw new Error(`Formula longer than ${MAX_FORMULA_LENGTH} characters`);
+  }
+  return new Parser(tokenize(text)).parse();
+}
+
+/**
+ * Returns the error message of an invalid formula, or null if it is valid.
+ */
+export function validateFormula(text) {
+  try {
+    parseFormula(text);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+// --- Code generation
+
+/**
+ * Targets only differ by how they declare complex values and name the real
+ * functions. Values are pairs of expressions for the real and imaginary parts.
+ */
+const TARGETS = {
+  js: {
+    variable: (name) => ({ x: `${name}x`, y: `${name}y` }),
+    declare: (name, v) => `const ${name}x = ${v.x}, ${name}y = ${v.y};`,
+    fn: (name) => (name === "atan2" ? "Math.atan2" : `Math.${name}`),
+  },
+  glsl: {
+    variable: (name) => ({ x: `${name}.x`, y: `${name}.y` }),
+    declare: (name, v) => `vec2 ${name} = vec2(${v.x}, ${v.y});`,
+    fn: (name) => (name === "atan2" ? "atan" : name),
+  },
+  wgsl: {
+    variable: (name) => ({ x: `${name}.x`, y: `${name}.y` }),
+    declare: (name, v) => `let ${name} = vec2f(${v.x}, ${v.y});`,
+    fn: (name) => name,
+  },
+};
+
+function literal(value) {
+  const text = Number.isInteger(value) ? value.toFixed(1) : String(value);
+  return value < 0 ? `(${text})` : text;
+}
+
+class CodeGenerator {
+  constructor(target) {
+    this.target = target;
+    this.lines = [];
+    this.count = 0;
+  }
+
+  temp(v) {
+    const name = `t${this.count++}`;
+    this.lines.push(this.target.declare(name, v));
+    return this.target.variable(name);
+  }
+
+  f(name, ...args) {
+    return `${this.target.fn(name)}(${args.join(", ")})`;
+  }
+
+  number(x, y) {
+    return { x: literal(x), y: literal(y) };
+  }
+
+  mul(a, b) {
+    return this.temp({
+      x: `${a.x} * ${b.x} - ${a.y} * ${b.y}`,
+      y: `${a.x} * ${b.y} + ${a.y} * ${b.x}`,
+    });
+  }
+
+  div(a, b) {
+    const d = this.temp({ x: `${b.x} * ${b.x} + ${b.y} * ${b.y}`, y: "0.0" });
+    return this.temp({
+      x: `(${a.x} * ${b.x} + ${a.y} * ${b.y}) / ${d.x}`,
+      y: `(${a.y} * ${b.x} - ${a.x} * ${b.y}) / ${d.x}`,
+    });
+  }
+
+  exp(a) {
+    const r = this.temp({ x: this.f("exp", a.x), y: "0.0" });
+    return this.temp({
+      x: `${r.x} * ${this.f("cos", a.y)}`,
+      y: `${r.x} * ${this.f("sin", a.y)}`,
+    });
+  }
+
+  log(a) {
+    return this.temp({
+      x: `0.5 * ${this.f("log", `${a.x} * ${a.x} + ${a.y} * ${a.y}`)}`,
+      y: this.f("atan2", a.y, a.x),
+    });
+  }
+
+  // sinh and cosh of a real, which GLSL ES 1.0 lacks.
+  sinhCosh(t) {
+    const ep = this.temp({ x: this.f("exp", t), y: this.f("exp", `-(${t})`) });
+    return {
+      sinh: `0.5 * (${ep.x} - ${ep.y})`,
+      cosh: `0.5 * (${ep.x} + ${ep.y})`,
+    };
+  }
+
+  powInt(a, n) {
+    if (n < 0) {
+      return this.div(this.number(1, 0), this.powInt(a, -n));
+    }
+    let result = null;
+    let base = a;
+    for (let k = n; k > 0; k >>= 1) {
+      if (k & 1) {
+        result = result ? this.mul(result, base) : base;
+      }
+      if (k > 1) {
+        base = this.mul(base, base);
+      }
+    }
+    return result ?? this.number(1, 0);
+  }
+
+  // a^d = exp(d log a) for a real d. Scaling the log by a real avoids the
+  // NaN of 0 * -Infinity at a = 0.
+  powReal(a, d) {
+    const l = this.log(a);
+    return this.exp(
+      this.temp({ x: `${literal(d)} * ${l.x}`, y: `${literal(d)} * ${l.y}` })
+    );
+  }
+
+  call(name, a) {
+    switch (name) {
+      case "sin": {
+        const h = this.sinhCosh(a.y);
+        return this.temp({
+          x: `${this.f("sin", a.x)} * ${h.cosh}`,
+          y: `${this.f("cos", a.x)} * ${h.sinh}`,
+        });
+      }
+      case "cos": {
+        const h = this.sinhCosh(a.y);
+        return this.temp({
+          x: `${this.f("cos", a.x)} * ${h.cosh}`,
+          y: `-${this.f("sin", a.x)} * ${h.sinh}`,
+        });
+      }
+      case "tan": {
+        // tan(x + iy) = (sin 2x + i sinh 2y) / (cos 2x + cosh 2y)
+        const h = this.sinhCosh(`2.0 * ${a.y}`);
+        const d = this.temp({
+          x: `${this.f("cos", `2.0 * ${a.x}`)} + ${h.cosh}`,
+          y: "0.0",
+        });
+        return this.temp({
+          x: `${this.f("sin", `2.0 * ${a.x}`)} / ${d.x}`,
+          y: `${h.sinh} / ${d.x}`,
+        });
+      }
+      case "sinh": {
+        const h = this.sinhCosh(a.x);
+        return this.temp({
+          x: `${h.sinh} * ${this.f("cos", a.y)}`,
+          y: `${h.cosh} * ${this.f("sin", a.y)}`,
+        });
+      }
+      case "cosh": {
+        const h = this.sinhCosh(a.x);
+        return this.temp({
+          x: `${h.cosh} * ${this.f("cos", a.y)}`,
+          y: `${h.sinh} * ${this.f("sin", a.y)}`,
+        });
+      }
+      case "tanh": {
+        // tanh(x + iy) = (sinh 2x + i sin 2y) / (cosh 2x + cos 2y)
+        const h = this.sinhCosh(`2.0 * ${a.x}`);
+        const d = this.temp({
+          x: `${h.cosh} + ${this.f("cos", `2.0 * ${a.y}`)}`,
+          y: "0.0",
+        });
+        return this.temp({
+          x: `${h.sinh} / ${d.x}`,
+          y: `${this.f("sin", `2.0 * ${a.y}`)} / ${d.x}`,
+        });
+      }
+      case "exp":
+        return this.exp(a);
+      case "log":
+        return this.log(a);
+      case "sqrt":
+        return this.powReal(a, 0.5);
+      case "conj":
+        return this.temp({ x: a.x, y: `-${a.y}` });
+      case "abs":
+        return this.temp({
+          x: this.f("sqrt", `${a.x} * ${a.x} + ${a.y} * ${a.y}`),
+          y: "0.0",
+        });
+      case "re":
+        return { x: a.x, y: "0.0" };
+      case "im":
+        return { x: a.y, y: "0.0" };
+    }
+    throw new Error(`Unknown function ${name}`);
+  }
+
+  emit(node) {
+    switch (node.type) {
+      case "number":
+        return this.number(node.x, node.y);
+      case "variable":
+        return this.target.variable(node.name);
+      case "neg": {
+        const a = this.emit(node.arg);
+        return this.temp({ x: `-${a.x}`, y: `-${a.y}` });
+      }
+      case "call":
+        return this.call(node.name, this.emit(node.arg));
+      case "binary":
+        return this.binary(node);
+    }
+    throw new Error(`Unknown node ${node.type}`);
+  }
+
+  binary(node) {
+    const a = this.emit(node.left);
+    if (node.op === "^" && node.right.type === "number" && node.right.y === 0) {
+      const d = node.right.x;
+      return Number.isInteger(d) && Math.abs(d) <= 64
+        ? this.powInt(a, d)
+        : this.powReal(a, d);
+    }
+    const b = this.emit(node.right);
+    switch (node.op) {
+      case "+":
+        return this.temp({ x: `${a.x} + ${b.x}`, y: `${a.y} + ${b.y}` });
+      case "-":
+        return this.temp({ x: `${a.x} - ${b.x}`, y: `${a.y} - ${b.y}` });
+      case "*":
+        return this.mul(a, b);
+      case "/":
+        return this.div(a, b);
+      case "^":
+        // a^b = exp(b log a)
+        return this.exp(this.mul(b, this.log(a)));
+    }
+    throw new Error(`Unknown operator ${node.op}`);
+  }
+}
+
+function generate(ast, targetName) {
+  const generator = new CodeGenerator(TARGETS[targetName]);
+  const result = generator.emit(ast);
+  return { lines: generator.lines, result };
+}
+
+/**
+ * Compile a formula to the body of a JS function (zx, zy, cx, cy, out) that
+ * writes f(z, c) into out.x and out.y.
+ */
+export function compileFormulaToJs(text) {
+  const { lines, result } = generate(parseFormula(text), "js");
+  return [...lines, `out.x = ${result.x};`, `out.y = ${result.y};`].join("\n");
+}
+
+/**
+ * Compile a formula to the GLSL function vec2 formula(vec2 z, vec2 c).
+ */
+export function compileFormulaToGlsl(text) {
+  const { lines, result } = generate(parseFormula(text), "glsl");
+  return [
+    "vec2 formula(vec2 z, vec2 c) {",
+    ...lines.map((line) => `  ${line}`),
+    `  return vec2(${result.x}, ${result.y});`,
+    "}",
+  ].join("\n");
+}
+
+/**
+ * Compile a formula to the WGSL function fn formula(z: vec2f, c: vec2f) -> vec2f.
+ */
+export function compileFormulaToWgsl(text) {
+  const { lines, result } = generate(parseFormula(text), "wgsl");
+  return [
+    "fn formula(z: vec2f, c: vec2f) -> vec2f {",
+    ...lines.map((line) => `    ${line}`),
+    `    return vec2f(${result.x}, ${result.y});`,
+    "}",
+  ].join("\n");
+}
+
+/**
+ * Create the JS kernel of a formula: a function (zx, zy, cx, cy, out) writing
+ * f(z, c) into out.x and out.y.
+ */
+export function createFormulaKernel(text) {
+  return new Function("zx", "zy", "cx", "cy", "out", compileFormulaToJs(text));
+}
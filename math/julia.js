@@ -1,67 +1,705 @@
 import { Complex, COMPLEX_PLANE } from "./complex.js";
+import { ExpComplex, FLOAT32_MAX_ZOOM, FLOAT64_MAX_ZOOM } from "./floatexp.js";
+import { DEFAULT_FORMULA } from "./formula.js";
+import { DEFAULT_ROOTS } from "./newton.js";
 
 export const FN_MANDELBROT = 0;
 export const FN_JULIA = 1;
-const BAILOUT = 128;
+export const FN_BURNING_SHIP = 2;
+export const FN_BURNING_SHIP_JULIA = 3;
+export const FN_TRICORN = 4;
+export const FN_TRICORN_JULIA = 5;
+export const FN_NEWTON = 6;
+export const FN_FORMULA = 7;
+export const FN_FORMULA_JULIA = 8;
+export const BAILOUT = 128;
+
+/**
+ * Fractals shown in the parameter plane. Each one has a Julia companion.
+ * - Mandelbrot: z = z^d + c
+ * - Burning Ship: z = (|Re z| + i|Im z|)^d + c
+ * - Tricorn (Mandelbar): z = conj(z)^d + c
+ * - Newton: z = z - p(z) / p'(z), for a polynomial p given by its roots. It has
+ *   no parameter, so its Julia companion is itself.
+ * - Formula: z = f(z, c), for a user-defined formula. It iterates from z0 = c,
+ *   since formulas like c / z are undefined at 0.
+ */
+export const Fractal = {
+  MANDELBROT: "mandelbrot",
+  BURNING_SHIP: "burningship",
+  TRICORN: "tricorn",
+  NEWTON: "newton",
+  FORMULA: "formula",
+};
+
+export function getFractalFnId(fractal) {
+  switch (fractal) {
+    case Fractal.BURNING_SHIP:
+      return FN_BURNING_SHIP;
+    case Fractal.TRICORN:
+      return FN_TRICORN;
+    case Fractal.NEWTON:
+      return FN_NEWTON;
+    case Fractal.FORMULA:
+      return FN_FORMULA;
+    case Fractal.MANDELBROT:
+    default:
+      return FN_MANDELBROT;
+  }
+}
+
+/**
+ * Get the id of the Julia companion of a parameter plane fn.
+ */
+export function getJuliaFnId(fnId) {
+  switch (fnId) {
+    case FN_BURNING_SHIP:
+    case FN_BURNING_SHIP_JULIA:
+      return FN_BURNING_SHIP_JULIA;
+    case FN_TRICORN:
+    case FN_TRICORN_JULIA:
+      return FN_TRICORN_JULIA;
+    case FN_NEWTON:
+      return FN_NEWTON;
+    case FN_FORMULA:
+    case FN_FORMULA_JULIA:
+      return FN_FORMULA_JULIA;
+    case FN_MANDELBROT:
+    case FN_JULIA:
+    default:
+      return FN_JULIA;
+  }
+}
+
+/**
+ * Julia fns iterate from the screen position z0 = p, with a fixed c.
+ * Other fns iterate from z0 = 0 with c = p.
+ */
+export function isJuliaFn(fnId) {
+  return (
+    fnId === FN_JULIA ||
+    fnId === FN_BURNING_SHIP_JULIA ||
+    fnId === FN_TRICORN_JULIA ||
+    fnId === FN_FORMULA_JULIA
+  );
+}
+
+export function isBurningShipFn(fnId) {
+  return fnId === FN_BURNING_SHIP || fnId === FN_BURNING_SHIP_JULIA;
+}
+
+export function isTricornFn(fnId) {
+  return fnId === FN_TRICORN || fnId === FN_TRICORN_JULIA;
+}
+
+/**
+ * Newton fns are colored by the root they converge to.
+ */
+export function isNewtonFn(fnId) {
+  return fnId === FN_NEWTON;
+}
+
+export function isFormulaFn(fnId) {
+  return fnId === FN_FORMULA || fnId === FN_FORMULA_JULIA;
+}
+
+/**
+ * Whether deep zoom with perturbation is available for the fn.
+ */
+export function hasPerturbation(fnId) {
+  return !isNewtonFn(fnId) && !isFormulaFn(fnId);
+}
+
+/**
+ * Whether the perturbation can skip iterations with the series approximation
+ * and the BLA: the fn must be holomorphic, with an integer exponent.
+ */
+export function hasSeriesApproximation(fnId, exponent) {
+  return (
+    (fnId === FN_MANDELBROT || fnId === FN_JULIA) && Number.isInteger(exponent)
+  );
+}
+
+/**
+ * Whether the fn has escaping orbits, to plot in the density render modes.
+ */
+export function hasDensity(fnId) {
+  return !isNewtonFn(fnId) && !isFormulaFn(fnId);
+}
+
+// Exponent d of the iteration z = z^d + c. 2 is the classic Mandelbrot set,
+// higher values render the Multibrot family.
+export const DEFAULT_EXPONENT = 2;
+export const MIN_EXPONENT = 2;
+export const MAX_EXPONENT = 16;
 
 export class Fn {
-  constructor(id, param0) {
+  constructor(id, param0, exponent, roots, formula) {
     this.id = id;
     this.param0 = param0 ?? new Complex(0, 0);
+    this.exponent = exponent ?? DEFAULT_EXPONENT;
+    // Roots of the polynomial of the Newton fn
+    this.roots = roots ?? DEFAULT_ROOTS;
+    // Source of the user-defined formula of the Formula fn
+    this.formula = formula ?? DEFAULT_FORMULA;
+  }
+
+  static mandelbrot(exponent) {
+    return new Fn(FN_MANDELBROT, undefined, exponent);
+  }
+
+  static julia(c, exponent) {
+    return new Fn(FN_JULIA, c, exponent);
   }
 
-  static julia(c) {
-    return new Fn(FN_JULIA, c);
+  static newton(roots) {
+    return new Fn(FN_NEWTON, undefined, undefined, roots);
+  }
+
+  static formula(formula) {
+    return new Fn(FN_FORMULA, undefined, undefined, undefined, formula);
+  }
+
+  static forFractal(fractal, exponent, roots, formula) {
+    return new Fn(getFractalFnId(fractal), undefined, exponent, roots, formula);
+  }
+
+  /**
+   * The Julia companion of this fn, for the parameter c.
+   */
+  juliaAt(c) {
+    return new Fn(
+      getJuliaFnId(this.id),
+      c,
+      this.exponent,
+      this.roots,
+      this.formula
+    );
   }
 }
 
 export const DEFAULT_FN = new Fn(FN_MANDELBROT);
 
-function smoothEscapeVelocity(plane, iter, squareMod) {
-  return iter + 1 - Math.log(plane.log2(squareMod) * Math.LN2) / Math.LN2;
+/**
+ * Clamp an exponent to the supported range. Invalid values fall back to the default.
+ */
+export function sanitizeExponent(exponent) {
+  const d = Number(exponent);
+  if (!Number.isFinite(d)) {
+    return DEFAULT_EXPONENT;
+  }
+  return Math.min(Math.max(d, MIN_EXPONENT), MAX_EXPONENT);
+}
+
+/**
+ * Fold z in place, before it is raised to the exponent.
+ */
+function fold(z, fnId) {
+  if (isBurningShipFn(fnId)) {
+    return z.absParts();
+  }
+  if (isTricornFn(fnId)) {
+    return z.conj();
+  }
+  return z;
+}
+
+function smoothEscapeVelocity(plane, iter, squareMod, exponent) {
+  return (
+    iter +
+    1 -
+    Math.log(plane.log2(squareMod) * Math.LN2) / Math.log(exponent)
+  );
+}
+
+// An orbit coming back within PERIODICITY_TOLERANCE pixels of a previous point
+// is periodic.
+const PERIODICITY_TOLERANCE = 1e-6;
+// An orbit whose derivative |dz_n / dz_1| falls below INTERIOR_DERIVATIVE is
+// attracted to a cycle.
+export const INTERIOR_DERIVATIVE = 1e-6;
+
+/**
+ * Interior detection: orbits attracted to a cycle never escape, so their
+ * iteration can stop early rather than run to maxIter.
+ * - Brent's cycle detection compares z_n to the point saved at the last power
+ *   of 2 iteration, to find cycles of any period.
+ * - Along an attracting cycle, the derivative dz_n / dz_1, which is the
+ *   product of the multipliers d * fold(z_k)^(d-1), vanishes.
+ *
+ * After an iteration, `iter` holds the iterations run before the orbit was
+ * found to be interior, or -1.
+ */
+export class InteriorCheck {
+  constructor(plane, pixelSize, exponent) {
+    this.plane = plane;
+    this.epsilon2 = plane.scalar((pixelSize * PERIODICITY_TOLERANCE) ** 2);
+    this.exponent = exponent;
+    this.checkpoint = plane.complex();
+    this.diff = plane.complex();
+    this.nextCheck = 1;
+    this.derivative2 = 1;
+    this.iter = -1;
+  }
+
+  reset(z0 = null) {
+    if (z0 !== null) {
+      this.checkpoint.set(z0);
+    }
+    this.nextCheck = 1;
+    this.derivative2 = 1;
+    this.iter = -1;
+  }
+
+  /**
+   * Whether z = z_n, at iteration i = n - 1, is found to be interior. The
+   * cycle detection is skipped without z: the perturbed orbits lack the
+   * precision to compare z_n with the checkpoint.
+   */
+  check(i, squareMod, z = null) {
+    if (z !== null) {
+      // Strictly below, as both sides underflow to 0 on the planes at deep
+      // zoom.
+      if (this.diff.set(z).sub(this.checkpoint).squareMod() < this.epsilon2) {
+        this.iter = i + 1;
+        return true;
+      }
+      if (i + 1 === this.nextCheck) {
+        this.checkpoint.set(z);
+        this.nextCheck *= 2;
+      }
+    }
+    // |d * z^(d-1)|²
+    const d = this.exponent;
+    const r2 = this.plane.asNumber(squareMod);
+    this.derivative2 *= d * d * (d === 2 ? r2 : Math.pow(r2, d - 1));
+    if (this.derivative2 < INTERIOR_DERIVATIVE * INTERIOR_DERIVATIVE) {
+      this.iter = i + 1;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Account for the points skipped within a BLA step, with multiplier2 the
+   * product of their |d * z^(d-1)|². check() counts the last point.
+   */
+  jump(multiplier2) {
+    this.derivative2 *= multiplier2;
+  }
 }
 
-export function julia(z0, c, maxIter) {
+/**
+ * Compute the smooth escape velocity of z0 under z = fold(z)^d + c. With an
+ * InteriorCheck, orbits found to be interior stop early, and return maxIter.
+ * With an OrbitTrapDistance, the distance of the orbit to the trap is tracked,
+ * and with an OrbitAverage, the average of its average coloring.
+ */
+export function julia(
+  z0,
+  c,
+  maxIter,
+  exponent = DEFAULT_EXPONENT,
+  fnId = FN_MANDELBROT,
+  interior = null,
+  trap = null,
+  average = null
+) {
   let z = z0.clone();
   const plane = z0.plane ?? COMPLEX_PLANE;
   const bailout2 = plane.scalar(BAILOUT * BAILOUT);
+  interior?.reset(z0);
+  trap?.reset();
+  average?.reset(c);
   for (let i = 0; i < maxIter; i++) {
-    // z = z² + c, where z² is computed using complex multiplication.
-    z.square().add(c);
+    // z = fold(z)^d + c, where z^d is computed using complex multiplication.
+    fold(z, fnId).pow(exponent).add(c);
+    trap?.step(z);
+    average?.step(z);
 
     // If the magnitude exceeds 2.0 (|z|² > 4), the point escapes.
     const squareMod = z.squareMod();
     if (squareMod > bailout2) {
-      return smoothEscapeVelocity(plane, i, squareMod);
+      return smoothEscapeVelocity(plane, i, squareMod, exponent);
+    }
+    if (interior?.check(i, squareMod, z)) {
+      return maxIter;
     }
   }
 
   return maxIter;
 }
 
+// out = z^d in polar form, as Complex.pow for a real d
+function powPolar(zx, zy, d, out) {
+  const squareMod = zx * zx + zy * zy;
+  if (squareMod === 0) {
+    out.x = zx;
+    out.y = zy;
+    return out;
+  }
+  const r = Math.pow(squareMod, 0.5 * d);
+  const theta = d * Math.atan2(zy, zx);
+  out.x = r * Math.cos(theta);
+  out.y = r * Math.sin(theta);
+  return out;
+}
+
+/**
+ * Compute the perturbation (z + dz)^d - z^d of the reference z, written into
+ * out, without the catastrophic cancellation of the direct difference:
+ * - integer exponents use a^d - b^d = (a - b) * Σ a^k b^(d-1-k),
+ * - real exponents use z^d * ((1 + dz/z)^d - 1), while |dz| < |z| and z + dz
+ *   stays on the side of the branch cut of z^d, along the negative reals.
+ */
+export function perturbPow(zx, zy, dzx, dzy, exponent, out) {
+  const d = exponent;
+  if (d === 2) {
+    const twozx = 2 * zx + dzx;
+    const twozy = 2 * zy + dzy;
+    out.x = twozx * dzx - twozy * dzy;
+    out.y = twozx * dzy + twozy * dzx;
+    return out;
+  }
+  const ax = zx + dzx;
+  const ay = zy + dzy;
+  if (!Number.isInteger(d)) {
+    const squareMod = zx * zx + zy * zy;
+    powPolar(zx, zy, d, out);
+    const px = out.x;
+    const py = out.y;
+    if (
+      dzx * dzx + dzy * dzy < squareMod &&
+      (ax >= 0 || ay < 0 === zy < 0)
+    ) {
+      // w = dz / z, and (1 + w)^d - 1 = expm1(d * log1p(w)), which keeps the
+      // precision of small w
+      const wx = (dzx * zx + dzy * zy) / squareMod;
+      const wy = (dzy * zx - dzx * zy) / squareMod;
+      const lx = 0.5 * d * Math.log1p(wx * (2 + wx) + wy * wy);
+      const ly = d * Math.atan2(wy, 1 + wx);
+      const e = Math.expm1(lx);
+      const s = Math.sin(0.5 * ly);
+      const qx = e * Math.cos(ly) - 2 * s * s;
+      const qy = (e + 1) * Math.sin(ly);
+      out.x = px * qx - py * qy;
+      out.y = px * qy + py * qx;
+    } else {
+      powPolar(ax, ay, d, out);
+      out.x -= px;
+      out.y -= py;
+    }
+    return out;
+  }
+  // S_m = a * S_(m-1) + b^m, with S_0 = 1
+  let sx = 1;
+  let sy = 0;
+  let bx = 1;
+  let by = 0;
+  for (let m = 1; m < d; m++) {
+    const nbx = bx * zx - by * zy;
+    by = bx * zy + by * zx;
+    bx = nbx;
+    const nsx = sx * ax - sy * ay + bx;
+    sy = sx * ay + sy * ax + by;
+    sx = nsx;
+  }
+  out.x = dzx * sx - dzy * sy;
+  out.y = dzx * sy + dzy * sx;
+  return out;
+}
+
+/**
+ * Step the derivative of z with respect to the pixel position, in place, before
+ * z = fold(z)^d + c is computed: der = d * fold(z)^(d-1) * fold'(der) + k,
+ * where k is the pixel size in the parameter plane and 0 for Julia fns.
+ *
+ * The derivative is kept in pixels, so that distances come out in pixels
+ * and der stays in range at deep zoom. The folds are not holomorphic, but
+ * carrying their sign flips over to der is close enough to estimate distances.
+ */
+export function stepDerivative(zx, zy, der, exponent, fnId, pixelSize) {
+  let fx = zx;
+  let fy = zy;
+  let gx = der.x;
+  let gy = der.y;
+  if (isBurningShipFn(fnId)) {
+    fx = Math.abs(zx);
+    fy = Math.abs(zy);
+    gx = zx < 0 ? -gx : gx;
+    gy = zy < 0 ? -gy : gy;
+  } else if (isTricornFn(fnId)) {
+    fy = -fy;
+    gy = -gy;
+  }
+  const p = COMPLEX_PLANE.complex(fx, fy).pow(exponent - 1);
+  const k = isJuliaFn(fnId) ? 0 : pixelSize;
+  der.x = exponent * (p.x * gx - p.y * gy) + k;
+  der.y = exponent * (p.x * gy + p.y * gx);
+  return der;
+}
+
+/**
+ * Distance to the set, estimated from the escaped |z|² and the derivative of z:
+ * |z| ln|z| / |der|, in the units of der.
+ */
+export function distanceEstimate(squareMod, der) {
+  return (
+    (0.5 * Math.sqrt(squareMod) * Math.log(squareMod)) /
+    Math.hypot(der.x, der.y)
+  );
+}
+
+/**
+ * Direction of z / der, the normal of the potential at an escaped point, for
+ * the normal map: a unit vector, or 0 when der is 0.
+ */
+export function normalDirection(zx, zy, der, normal = { x: 0, y: 0 }) {
+  // z / der has the direction of z * conj(der).
+  const x = zx * der.x + zy * der.y;
+  const y = zy * der.x - zx * der.y;
+  const length = Math.hypot(x, y);
+  normal.x = length > 0 ? x / length : 0;
+  normal.y = length > 0 ? y / length : 0;
+  return normal;
+}
+
+/**
+ * Like julia(), also tracking the derivative of z to estimate the distance of
+ * the point to the set, in pixels of size pixelSize, and the direction of its
+ * normal. Points that do not escape are at distance 0, with a normal of 0.
+ */
+export function juliaDistance(
+  z0,
+  c,
+  maxIter,
+  exponent,
+  fnId,
+  pixelSize,
+  interior = null,
+  trap = null,
+  average = null
+) {
+  let z = z0.clone();
+  const plane = z0.plane ?? COMPLEX_PLANE;
+  const bailout2 = plane.scalar(BAILOUT * BAILOUT);
+  const zd = COMPLEX_PLANE.complex();
+  const der = COMPLEX_PLANE.complex(isJuliaFn(fnId) ? pixelSize : 0, 0);
+  interior?.reset(z0);
+  trap?.reset();
+  average?.reset(c);
+  for (let i = 0; i < maxIter; i++) {
+    zd.project(z);
+    stepDerivative(zd.x, zd.y, der, exponent, fnId, pixelSize);
+    fold(z, fnId).pow(exponent).add(c);
+    trap?.step(z);
+    average?.step(z);
+
+    const squareMod = z.squareMod();
+    if (squareMod > bailout2) {
+      zd.project(z);
+      return {
+        escapeVelocity: smoothEscapeVelocity(plane, i, squareMod, exponent),
+        distance: distanceEstimate(zd.squareMod(), der),
+        normal: normalDirection(zd.x, zd.y, der),
+      };
+    }
+    if (interior?.check(i, squareMod, z)) {
+      break;
+    }
+  }
+  return { escapeVelocity: maxIter, distance: 0, normal: { x: 0, y: 0 } };
+}
+
+// The cycle search runs on orbits known to be interior: it only needs to tell
+// apart the points of the cycle, within CYCLE_TOLERANCE * |z| for the f32
+// reference orbits of perturbation.
+const CYCLE_TOLERANCE = 1e-6;
+// Brent's cycle detection finds a multiple of the period. Its smallest
+// divisor is the first return of the orbit within CYCLE_REFINEMENT times the
+// tolerance, which leaves room for orbits spiraling into the cycle.
+const CYCLE_REFINEMENT = 100;
+
+/**
+ * Search for the cycle an orbit is attracted to. Brent's cycle detection finds
+ * a multiple k of the period, and the orbit is then followed for up to k more
+ * iterations, to find the period and the multiplier of the cycle: the product
+ * of d * fold(z_k)^(d-1) along one period. It is kept as a phase and the log
+ * of its modulus, as the partial products overflow along long cycles. The
+ * folds are not holomorphic: their multipliers only have a meaningful
+ * magnitude.
+ *
+ * Orbits that escape get the period of their atom domain instead: the last
+ * iteration n at which |z_n| is smaller than all the previous |z_k|.
+ */
+export class CycleSearch {
+  constructor(exponent, fnId, pixelSize) {
+    this.exponent = exponent;
+    this.fnId = fnId;
+    this.epsilon = pixelSize * PERIODICITY_TOLERANCE;
+    this.m = COMPLEX_PLANE.complex();
+    this.phase = COMPLEX_PLANE.complex();
+    this.multiplier = COMPLEX_PLANE.complex();
+    this.checkpoint = COMPLEX_PLANE.complex();
+    this.reset(0, 0);
+  }
+
+  reset(zx, zy) {
+    this.checkpoint.x = zx;
+    this.checkpoint.y = zy;
+    this.power = 1;
+    this.steps = 0;
+    // Whether Brent's cycle detection is over, and the period is refined
+    this.refining = false;
+    this.phase.x = 1;
+    this.phase.y = 0;
+    this.logModulus = 0;
+    this.minSquareMod = Infinity;
+    this.atomPeriod = 0;
+    // Period of the cycle, or of the atom domain, 0 until found
+    this.period = 0;
+    this.multiplier.x = 0;
+    this.multiplier.y = 0;
+    this.escaped = false;
+    // Iterations run
+    this.iter = 0;
+  }
+
+  /**
+   * Multiply in the multiplier at z_n, before z_(n+1) = fold(z_n)^d + c.
+   */
+  step(zx, zy) {
+    if (!this.refining) {
+      return;
+    }
+    const m = this.m;
+    m.x = zx;
+    m.y = zy;
+    fold(m, this.fnId).pow(this.exponent - 1);
+    const modulus = Math.hypot(m.x, m.y);
+    this.logModulus += Math.log(this.exponent * modulus);
+    if (modulus > 0) {
+      this.phase.mul(m.divScalar(modulus));
+    }
+  }
+
+  /**
+   * Whether the search is over at z = z_n, at iteration i = n - 1: the orbit
+   * escaped, or its period is found.
+   */
+  check(i, zx, zy) {
+    this.iter = i + 1;
+    const squareMod = zx * zx + zy * zy;
+    if (squareMod > BAILOUT * BAILOUT) {
+      this.escaped = true;
+      this.period = this.atomPeriod;
+      return true;
+    }
+    if (squareMod < this.minSquareMod) {
+      this.minSquareMod = squareMod;
+      this.atomPeriod = i + 1;
+    }
+    this.steps++;
+    const epsilon = Math.max(
+      this.epsilon,
+      CYCLE_TOLERANCE * Math.sqrt(squareMod)
+    );
+    const dx = zx - this.checkpoint.x;
+    const dy = zy - this.checkpoint.y;
+    const distance2 = dx * dx + dy * dy;
+    if (this.refining) {
+      const tolerance = CYCLE_REFINEMENT * epsilon;
+      if (distance2 <= tolerance * tolerance || this.steps === this.power) {
+        const modulus = Math.exp(this.logModulus);
+        this.period = this.steps;
+        this.multiplier.x = modulus * this.phase.x;
+        this.multiplier.y = modulus * this.phase.y;
+        return true;
+      }
+      return false;
+    }
+    if (distance2 <= epsilon * epsilon) {
+      // Follow the orbit from here for up to k = steps iterations.
+      this.refining = true;
+      this.checkpoint.x = zx;
+      this.checkpoint.y = zy;
+      this.power = this.steps;
+      this.steps = 0;
+    } else if (this.steps === this.power) {
+      this.checkpoint.x = zx;
+      this.checkpoint.y = zy;
+      this.power *= 2;
+      this.steps = 0;
+    }
+    return false;
+  }
+}
+
+/**
+ * Iterate z0 under z = fold(z)^d + c until the CycleSearch finds the cycle of
+ * the orbit, or its atom domain if it escapes.
+ */
+export function juliaCycle(z0, c, maxIter, exponent, fnId, cycle) {
+  let z = z0.clone();
+  const zd = COMPLEX_PLANE.complex().project(z0);
+  cycle.reset(zd.x, zd.y);
+  for (let i = 0; i < maxIter; i++) {
+    cycle.step(zd.x, zd.y);
+    fold(z, fnId).pow(exponent).add(c);
+    zd.project(z);
+    if (cycle.check(i, zd.x, zd.y)) {
+      break;
+    }
+  }
+  return cycle;
+}
+
 /**
  * Compute the series for the center up to maxIter.
- * We store each Zₙ in a Float32Array as (x, y).
+ * We store each Zₙ in a Float32Array as (x, y). With extended, each Zₙ is also
+ * written into its mantissas and exponents, in the range of the plane, as
+ * Zₙ = (x + iy) 2^e: see math/floatexp.js.
+ * With last, when the series does not escape, Z_count is written into it, to
+ * carry on the series from there later.
  */
-export function juliaSeries(z0, c, count) {
+export function juliaSeries(
+  z0,
+  c,
+  count,
+  exponent = DEFAULT_EXPONENT,
+  fnId = FN_MANDELBROT,
+  extended = null,
+  last = null
+) {
   const points = new Float32Array(2 * count);
 
   let z = z0.clone();
   let zp = COMPLEX_PLANE.complex();
+  const ze = new ExpComplex();
   let i;
   for (i = 0; i < count; i++) {
     zp.project(z);
     points[2 * i] = zp.x;
     points[2 * i + 1] = zp.y;
+    if (extended !== null) {
+      ze.project(z);
+      extended.mantissas[2 * i] = ze.x;
+      extended.mantissas[2 * i + 1] = ze.y;
+      extended.exponents[i] = ze.exponent;
+    }
 
-    // z = z² + c
-    z.square().add(c);
+    // z = fold(z)^d + c
+    fold(z, fnId).pow(exponent).add(c);
 
     if (zp.squareMod() > BAILOUT * BAILOUT) {
       break;
     }
   }
+  if (i === count) {
+    last?.set(z);
+  }
   // After we bail out, fill in the remaining points with NaN.
+  extended?.mantissas.fill(NaN, 2 * (i + 1));
   for (i++; i < count; i++) {
     points[2 * i] = NaN;
     points[2 * i + 1] = NaN;
@@ -69,46 +707,477 @@ export function juliaSeries(z0, c, count) {
   return points;
 }
 
+/**
+ * The orbit z₀, z₁, … of z0 on its plane, up to count points, or up to the
+ * first point past the bailout. Unlike juliaSeries, the points keep the
+ * precision of the plane, to be drawn at any zoom.
+ */
+export function juliaOrbit(
+  z0,
+  c,
+  count,
+  exponent = DEFAULT_EXPONENT,
+  fnId = FN_MANDELBROT
+) {
+  const plane = z0.plane ?? COMPLEX_PLANE;
+  const bailout2 = plane.scalar(BAILOUT * BAILOUT);
+  const z = z0.clone();
+  const points = [z.clone()];
+  while (points.length < count && z.squareMod() <= bailout2) {
+    // z = fold(z)^d + c
+    fold(z, fnId).pow(exponent).add(c);
+    points.push(z.clone());
+  }
+  return points;
+}
+
+// The series approximation is checked against the perturbed orbits of
+// SERIES_PROBES probes, up to SERIES_TOLERANCE relative to their perturbation:
+// about the precision of the reference orbit, stored as float32.
+const SERIES_PROBES = 8;
+const SERIES_TOLERANCE = 1e-7;
+
+/**
+ * Series approximation of the perturbations δₙ of the orbits around the
+ * reference orbit Zₙ of iters, as cubics δₙ = aₙq + bₙq² + cₙq³ in the offset q,
+ * in pixels of size h, of their c (or of their z₀ for Julia fns). With
+ * Dₖ = C(d, k) Zₙ^(d-k), the coefficients follow
+ *   aₙ₊₁ = D₁aₙ + h,  bₙ₊₁ = D₁bₙ + D₂aₙ²,  cₙ₊₁ = D₁cₙ + 2D₂aₙbₙ + D₃aₙ³
+ * from 0, or from a₀ = h without the h term for Julia fns.
+ *
+ * The truncated terms grow along the orbit, so the approximation only holds
+ * while it matches the perturbed orbits of probes on the circle of the given
+ * radius: the error is holomorphic in q, hence largest on that circle.
+ * Returns the last iteration n where it holds, up to maxIter, with the
+ * coefficients there as [aₙ, bₙ, cₙ] in (x, y) pairs.
+ */
+export function seriesApproximation(
+  iters,
+  exponent,
+  isJulia,
+  pixelSize,
+  radius,
+  maxIter
+) {
+  const d = exponent;
+  const count = Math.min(maxIter, iters.length / 2 - 1);
+  const a = COMPLEX_PLANE.complex(isJulia ? pixelSize : 0, 0);
+  const b = COMPLEX_PLANE.complex(0, 0);
+  const c = COMPLEX_PLANE.complex(0, 0);
+  const probes = [];
+  for (let k = 0; k < SERIES_PROBES; k++) {
+    const angle = (2 * Math.PI * k) / SERIES_PROBES;
+    const q = COMPLEX_PLANE.complex(Math.cos(angle), Math.sin(angle));
+    q.mulScalar(radius);
+    const dc = q.clone().mulScalar(pixelSize);
+    probes.push({ q, dc, dz: isJulia ? dc.clone() : COMPLEX_PLANE.complex() });
+  }
+
+  const z = COMPLEX_PLANE.complex();
+  const d1 = COMPLEX_PLANE.complex();
+  const d2 = COMPLEX_PLANE.complex();
+  const d3 = COMPLEX_PLANE.complex();
+  const t = COMPLEX_PLANE.complex();
+  const w = COMPLEX_PLANE.complex();
+  const sum = COMPLEX_PLANE.complex();
+  const zk = COMPLEX_PLANE.complex();
+  const coefficients = new Float64Array(6);
+  let skip = 0;
+
+  function holds(probe) {
+    // |aq + bq² + cq³ - δ| against |δ|
+    t.set(c).mul(probe.q).add(b).mul(probe.q).add(a).mul(probe.q);
+    const error2 = t.sub(probe.dz).squareMod();
+    const escaped = w.set(z).add(probe.dz).squareMod() > BAILOUT * BAILOUT;
+    return (
+      !escaped &&
+      error2 <= SERIES_TOLERANCE * SERIES_TOLERANCE * probe.dz.squareMod()
+    );
+  }
+
+  for (let n = 0; ; n++) {
+    z.x = iters[2 * n];
+    z.y = iters[2 * n + 1];
+    if (!Number.isFinite(z.x) || !Number.isFinite(z.y)) {
+      break;
+    }
+    if (!probes.every(holds)) {
+      break;
+    }
+    skip = n;
+    coefficients.set([a.x, a.y, b.x, b.y, c.x, c.y]);
+    if (n >= count) {
+      break;
+    }
+
+    // Dₖ = C(d, k) Zₙ^(d-k)
+    d1.set(z).pow(d - 1).mulScalar(d);
+    d2.set(z).pow(d - 2).mulScalar((d * (d - 1)) / 2);
+    if (d > 2) {
+      d3.set(z).pow(d - 3).mulScalar((d * (d - 1) * (d - 2)) / 6);
+      c.mul(d1).add(t.set(a).square().mul(a).mul(d3));
+    } else {
+      c.mul(d1);
+    }
+    c.add(t.set(a).mul(b).mul(d2).mulScalar(2));
+    b.mul(d1).add(t.set(a).square().mul(d2));
+    a.mul(d1);
+    if (!isJulia) {
+      a.x += pixelSize;
+    }
+
+    // (Z + δ)^d - Z^d = δ Σ (Z + δ)^k Z^(d-1-k), without the cancellation
+    for (const probe of probes) {
+      w.set(z).add(probe.dz);
+      sum.x = 1;
+      sum.y = 0;
+      zk.set(sum);
+      for (let k = 1; k < d; k++) {
+        sum.mul(w).add(zk.mul(z));
+      }
+      probe.dz.mul(sum);
+      if (!isJulia) {
+        probe.dz.add(probe.dc);
+      }
+    }
+  }
+  return { skip, coefficients };
+}
+
+/**
+ * Evaluate the series approximation δ = aq + bq² + cq³ at the offset q into
+ * out, and its derivative a + 2bq + 3cq² into der.
+ */
+export function evaluateSeries(coefficients, qx, qy, out, der = null) {
+  const [ax, ay, bx, by, cx, cy] = coefficients;
+  // ((cq + b)q + a)q
+  let x = cx * qx - cy * qy + bx;
+  let y = cx * qy + cy * qx + by;
+  let t = x * qx - y * qy + ax;
+  y = x * qy + y * qx + ay;
+  x = t;
+  out.x = x * qx - y * qy;
+  out.y = x * qy + y * qx;
+  if (der !== null) {
+    // (3cq + 2b)q + a
+    x = 3 * (cx * qx - cy * qy) + 2 * bx;
+    y = 3 * (cx * qy + cy * qx) + 2 * by;
+    der.x = x * qx - y * qy + ax;
+    der.y = x * qy + y * qx + ay;
+  }
+}
+
+// A BLA step holds while the terms it drops stay below BLA_TOLERANCE relative
+// to the ones it keeps: about the precision of float32.
+const BLA_TOLERANCE = 2 ** -24;
+// Values per BLA step in the table: A and B in (x, y) pairs, and the radius r
+export const BLA_STEP_SIZE = 5;
+
+/**
+ * Bivariate linear approximation (BLA) of the perturbations δₙ of the orbits
+ * around the reference orbit Zₙ of iters: a step of l iterations
+ *   δₙ₊ₗ = Aδₙ + Bδc
+ * holds while |δₙ| < r. A single iteration has A = dZₙ^(d-1) and B = 1, or
+ * B = 0 for Julia fns, and holds while the dropped C(d, 2)Zₙ^(d-2)δₙ² stays
+ * below ε = BLA_TOLERANCE relative to Aδₙ: r = 2ε|Zₙ| / (d - 1). The step x
+ * then y merges into
+ *   A = A_y A_x,  B = A_y B_x + B_y,  r = min(r_x, (r_y - |B_x| maxDc) / |A_x|)
+ * for the offsets |δc| ≤ maxDc of the viewport.
+ *
+ * Level k of the table holds the steps of 2^k iterations from the iterations
+ * j 2^k, for j < count >> k, after the levels below it. Each step is
+ * [Ax, Ay, Bx, By, r], up to iteration count: the last one of iters before
+ * maxIter, or before the reference escapes.
+ */
+export function blaTable(iters, exponent, isJulia, maxDc, maxIter) {
+  const d = exponent;
+  let count = 0;
+  while (
+    count < Math.min(maxIter, iters.length / 2 - 1) &&
+    Number.isFinite(iters[2 * count + 2]) &&
+    Number.isFinite(iters[2 * count + 3])
+  ) {
+    count++;
+  }
+  let size = 0;
+  for (let n = count; n > 0; n >>= 1) {
+    size += n;
+  }
+  const table = new Float64Array(BLA_STEP_SIZE * size);
+
+  const z = COMPLEX_PLANE.complex();
+  const a = COMPLEX_PLANE.complex();
+  for (let n = 0; n < count; n++) {
+    z.x = iters[2 * n];
+    z.y = iters[2 * n + 1];
+    a.set(z).pow(d - 1).mulScalar(d);
+    const r = (2 * BLA_TOLERANCE * Math.hypot(z.x, z.y)) / (d - 1);
+    table.set([a.x, a.y, isJulia ? 0 : 1, 0, r], BLA_STEP_SIZE * n);
+  }
+
+  // Merge the pairs of steps of each level into the next one.
+  let offset = 0;
+  for (let n = count; n > 1; n >>= 1) {
+    const next = offset + n;
+    for (let j = 0; j < n >> 1; j++) {
+      const x = BLA_STEP_SIZE * (offset + 2 * j);
+      const y = x + BLA_STEP_SIZE;
+      const [axx, axy, bxx, bxy, rx] = table.subarray(x, x + BLA_STEP_SIZE);
+      const [ayx, ayy, byx, byy, ry] = table.subarray(y, y + BLA_STEP_SIZE);
+      const r = (ry - Math.hypot(bxx, bxy) * maxDc) / Math.hypot(axx, axy);
+      table.set(
+        [
+          ayx * axx - ayy * axy,
+          ayx * axy + ayy * axx,
+          ayx * bxx - ayy * bxy + byx,
+          ayx * bxy + ayy * bxx + byy,
+          // 0 rather than NaN past the range of float64
+          Math.min(rx, Math.max(r, 0)) || 0,
+        ],
+        BLA_STEP_SIZE * (next + j)
+      );
+    }
+    offset = next;
+  }
+  return { count, table };
+}
+
+/**
+ * The index in the BLA table of the step from iteration i with the most
+ * iterations that holds for |δ|² = dzSquareMod, or -1. Its iterations are
+ * 2^level, for the level written into out.
+ */
+export function findBlaStep(bla, i, dzSquareMod, out) {
+  const { count, table } = bla;
+  let index = -1;
+  let offset = 0;
+  // The radii only shrink up the levels.
+  for (let k = 0, n = count; n > 0; k++, n >>= 1) {
+    const j = i >> k;
+    if (j << k !== i || j >= n) {
+      break;
+    }
+    const r = table[BLA_STEP_SIZE * (offset + j) + 4];
+    if (dzSquareMod >= r * r) {
+      break;
+    }
+    index = offset + j;
+    out.level = k;
+    offset += n;
+  }
+  return index;
+}
+
+// Pauldelbrot's criterion: a perturbed orbit glitches when |Zₙ + δₙ| drops
+// below GLITCH_TOLERANCE |Zₙ|, as δₙ no longer holds the precision of the
+// pixel then.
+export const GLITCH_TOLERANCE = 1e-3;
+// Reference orbits rendered per image at most, the first one included
+export const MAX_REFERENCES = 16;
+// Seed of the jitter of the grid of reference candidates
+const REFERENCE_SEED = 0x5eed;
+
+// The point past a series to carry it on from, or null when the series or the
+// point escape.
+function continuation(iters, last) {
+  const escaped =
+    Number.isNaN(iters[iters.length - 1]) ||
+    new ExpComplex().project(last).squareMod() > BAILOUT * BAILOUT;
+  return escaped ? null : last;
+}
+
+// The concatenation of the typed arrays a and b, of the given type
+function concat(type, a, b) {
+  const result = new type(a.length + b.length);
+  result.set(a);
+  result.set(b, a.length);
+  return result;
+}
+
+// A random generator of numbers in [0, 1), from the given 32-bit seed
+// (mulberry32).
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 /**
  * An orbit is a reference point in the comlpex plan, with the precomputed Julia series.
  */
 export class Orbit {
-  static searchForMandelbrot(map, width, height, maxIter, maxSamples = 200) {
+  /**
+   * Search for a reference orbit of the given fn in the current viewport.
+   */
+  static searchForFn(
+    map,
+    width,
+    height,
+    maxIter,
+    fn,
+    bla = false,
+    maxSamples = 200
+  ) {
+    const orbit = Orbit.searchInViewport(
+      map,
+      width,
+      height,
+      maxIter,
+      fn,
+      maxSamples
+    );
+    orbit.withApproximation(width, height, maxIter, fn);
+    return bla ? orbit.withBla(width, height, maxIter, fn) : orbit;
+  }
+
+  /**
+   * Search for a reference orbit of the given fn in the current viewport, with
+   * its series only.
+   */
+  static searchInViewport(map, width, height, maxIter, fn, maxSamples = 200) {
+    return isJuliaFn(fn.id)
+      ? Orbit.searchForJulia(map, width, height, maxIter, fn, maxSamples)
+      : Orbit.searchForMandelbrot(map, width, height, maxIter, fn, maxSamples);
+  }
+
+  /**
+   * The orbit of the given fn at the screen coordinates (sx, sy).
+   */
+  static forFn(map, sx, sy, fn) {
+    const { escapeFn, seriesFn } = isJuliaFn(fn.id)
+      ? Orbit.#juliaFns(map, fn)
+      : Orbit.#mandelbrotFns(map, fn);
+    return new Orbit(map, sx, sy, escapeFn, seriesFn);
+  }
+
+  /**
+   * Search for a reference orbit of the given fn among the glitched pixels,
+   * given by their index y * width + x, at the screen coordinates of the
+   * pixels plus offset. The samples are spread evenly over the glitches.
+   */
+  static searchForGlitches(
+    map,
+    width,
+    height,
+    maxIter,
+    fn,
+    glitches,
+    bla = false,
+    offset = 0,
+    maxSamples = 50
+  ) {
+    const { escapeFn, seriesFn } = isJuliaFn(fn.id)
+      ? Orbit.#juliaFns(map, fn)
+      : Orbit.#mandelbrotFns(map, fn);
+    const samples = Math.min(maxSamples, glitches.length);
+    let bestOrbit = null;
+    for (let s = 0; s < samples; s++) {
+      const pixel = glitches[Math.floor((s * glitches.length) / samples)];
+      const sx = (pixel % width) + offset;
+      const sy = Math.floor(pixel / width) + offset;
+      const orbit = new Orbit(map, sx, sy, escapeFn, seriesFn).withEscape(
+        width,
+        height,
+        maxIter
+      );
+      if (
+        bestOrbit === null ||
+        orbit.escapeVelocity > bestOrbit.escapeVelocity
+      ) {
+        bestOrbit = orbit;
+      }
+      if (bestOrbit.escapeVelocity === maxIter) {
+        break;
+      }
+    }
+    bestOrbit
+      .withSeries(width, height, maxIter)
+      .withApproximation(width, height, maxIter, fn);
+    return bla ? bestOrbit.withBla(width, height, maxIter, fn) : bestOrbit;
+  }
+
+  static searchForMandelbrot(
+    map,
+    width,
+    height,
+    maxIter,
+    fn = DEFAULT_FN,
+    maxSamples = 200
+  ) {
+    const { escapeFn, seriesFn } = Orbit.#mandelbrotFns(map, fn);
     return Orbit.searchOrbit(
       map,
       width,
       height,
       maxIter,
-      function (pos, maxIter) {
-        return julia(map.plane.complex(0, 0), pos, maxIter);
-      },
-      function (pos, maxIter) {
-        return juliaSeries(map.plane.complex(0, 0), pos, maxIter);
-      },
+      escapeFn,
+      seriesFn,
       maxSamples
     );
   }
 
-  static searchForJulia(map, width, height, maxIter, c, maxSamples = 200) {
-    const plane = map.plane ?? COMPLEX_PLANE;
-    c = plane.complex().project(c);
+  static searchForJulia(map, width, height, maxIter, fn, maxSamples = 200) {
+    const { escapeFn, seriesFn } = Orbit.#juliaFns(map, fn);
     return Orbit.searchOrbit(
       map,
       width,
       height,
       maxIter,
-      function (pos, maxIter) {
-        return julia(pos, c, maxIter);
-      },
-      function (pos, maxIter) {
-        return juliaSeries(pos, c, maxIter);
-      },
+      escapeFn,
+      seriesFn,
       maxSamples
     );
   }
 
+  static #mandelbrotFns(map, fn) {
+    return {
+      escapeFn(pos, maxIter) {
+        return julia(
+          map.plane.complex(0, 0),
+          pos,
+          maxIter,
+          fn.exponent,
+          fn.id
+        );
+      },
+      seriesFn(pos, maxIter, extended, last, z0 = map.plane.complex(0, 0)) {
+        return juliaSeries(
+          z0,
+          pos,
+          maxIter,
+          fn.exponent,
+          fn.id,
+          extended,
+          last
+        );
+      },
+    };
+  }
+
+  static #juliaFns(map, fn) {
+    const plane = map.plane ?? COMPLEX_PLANE;
+    const c = plane.complex().project(fn.param0);
+    return {
+      escapeFn(pos, maxIter) {
+        return julia(pos, c, maxIter, fn.exponent, fn.id);
+      },
+      seriesFn(pos, maxIter, extended, last, z0 = pos) {
+        return juliaSeries(z0, c, maxIter, fn.exponent, fn.id, extended, last);
+      },
+    };
+  }
+
   /**
-   * Search for the orbit with the heighest escape velocity in the current viewport.
+   * Search for the orbit with the heighest escape velocity in the current
+   * viewport, among the points of a grid of about maxSamples cells, each
+   * jittered within its cell by a seeded random generator. The cells are
+   * visited from the center outwards: the search is deterministic, and prefers
+   * the center among the orbits that do not escape.
    */
   static searchOrbit(
     map,
@@ -119,11 +1188,27 @@ export class Orbit {
     seriesFn,
     maxSamples = 200
   ) {
-    let bestOrbit = null;
+    const random = seededRandom(REFERENCE_SEED);
+    const columns = Math.max(
+      1,
+      Math.round(Math.sqrt((maxSamples * width) / height))
+    );
+    const rows = Math.max(1, Math.floor(maxSamples / columns));
+    const samples = [];
+    for (let j = 0; j < rows; j++) {
+      for (let i = 0; i < columns; i++) {
+        samples.push({
+          sx: ((i + random()) * width) / columns,
+          sy: ((j + random()) * height) / rows,
+        });
+      }
+    }
+    const distance = ({ sx, sy }) =>
+      Math.hypot(sx - width * 0.5, sy - height * 0.5);
+    samples.sort((a, b) => distance(a) - distance(b));
 
-    for (let s = 0; s < maxSamples; s++) {
-      const sx = Math.random() * width;
-      const sy = Math.random() * height;
+    let bestOrbit = null;
+    for (const { sx, sy } of samples) {
       const orbit = new Orbit(map, sx, sy, escapeFn, seriesFn).withEscape(
         width,
         height,
@@ -154,6 +1239,14 @@ export class Orbit {
     this.seriesFn = seriesFn;
     this.escapeVelocity = null;
     this.iters = null;
+    // Past the range of float32, the series in extended range as well:
+    // {mantissas, exponents}
+    this.extended = null;
+    // The point past the series at full precision, to carry it on, or null when
+    // it escapes
+    this.last = null;
+    this.approximation = null;
+    this.bla = null;
   }
 
   /**
@@ -170,7 +1263,124 @@ export class Orbit {
    */
   withSeries(width, height, maxIter) {
     const candidate = this.map.screenToComplex(this.sx, this.sy, width, height);
-    this.iters = this.seriesFn(candidate, maxIter);
+    this.extended =
+      this.map.zoom > FLOAT32_MAX_ZOOM
+        ? {
+            mantissas: new Float64Array(2 * maxIter),
+            exponents: new Int32Array(maxIter),
+          }
+        : null;
+    const last = this.map.plane.complex();
+    this.iters = this.seriesFn(candidate, maxIter, this.extended, last);
+    this.last = continuation(this.iters, last);
     return this;
   }
+
+  /**
+   * Carry on the series of the orbit from its last point up to maxIter, when
+   * it did not escape. The escape velocity is then counted in whole
+   * iterations.
+   */
+  withLongerSeries(width, height, maxIter) {
+    const count = this.iters.length / 2;
+    if (this.last === null || count >= maxIter) {
+      return this;
+    }
+    const candidate = this.map.screenToComplex(this.sx, this.sy, width, height);
+    const extended =
+      this.extended === null
+        ? null
+        : {
+            mantissas: new Float64Array(2 * (maxIter - count)),
+            exponents: new Int32Array(maxIter - count),
+          };
+    const last = this.map.plane.complex();
+    const iters = this.seriesFn(
+      candidate,
+      maxIter - count,
+      extended,
+      last,
+      this.last
+    );
+    this.iters = concat(Float32Array, this.iters, iters);
+    if (extended !== null) {
+      this.extended = {
+        mantissas: concat(
+          Float64Array,
+          this.extended.mantissas,
+          extended.mantissas
+        ),
+        exponents: concat(
+          Int32Array,
+          this.extended.exponents,
+          extended.exponents
+        ),
+      };
+    }
+    const escape = iters.findIndex(Number.isNaN);
+    this.last = continuation(iters, last);
+    this.escapeVelocity = escape < 0 ? maxIter : count + Math.floor(escape / 2);
+    return this;
+  }
+
+  /**
+   * Compute the series approximation of the orbits of the viewport, for fns
+   * that have one. Its coefficients are native doubles, that underflow past
+   * FLOAT64_MAX_ZOOM.
+   */
+  withApproximation(width, height, maxIter, fn) {
+    if (
+      !hasSeriesApproximation(fn.id, fn.exponent) ||
+      this.map.zoom > FLOAT64_MAX_ZOOM
+    ) {
+      this.approximation = null;
+      return this;
+    }
+    // The probes circle the farthest corner.
+    this.approximation = seriesApproximation(
+      this.iters,
+      fn.exponent,
+      isJuliaFn(fn.id),
+      this.#pixelSize(width),
+      this.#radius(width, height),
+      maxIter
+    );
+    return this;
+  }
+
+  /**
+   * Compute the BLA table of the orbits of the viewport, for fns that have
+   * one.
+   */
+  withBla(width, height, maxIter, fn) {
+    if (!hasSeriesApproximation(fn.id, fn.exponent)) {
+      this.bla = null;
+      return this;
+    }
+    this.bla = blaTable(
+      this.iters,
+      fn.exponent,
+      isJuliaFn(fn.id),
+      this.#radius(width, height) * this.#pixelSize(width),
+      maxIter
+    );
+    return this;
+  }
+
+  #pixelSize(width) {
+    return (4 / width) * Math.pow(2, -this.map.zoom);
+  }
+
+  /**
+   * Distance in pixels to the farthest corner of the viewport, with room for
+   * the jitter of the super-sampling.
+   */
+  #radius(width, height) {
+    return (
+      Math.hypot(
+        Math.max(this.sx, width - this.sx),
+        Math.max(this.sy, height - this.sy)
+      ) + 1
+    );
+  }
 }
@@ -0,0 +1,224 @@
+import { BigComplexPlane, Complex, COMPLEX_PLANE } from "./complex.js";
+import { BAILOUT } from "./julia.js";
+import { bitsForSize, hasNucleus } from "./nucleus.js";
+
+const MISIUREWICZ_MAX_STEPS = 256;
+const MISIUREWICZ_ROUNDING_BITS = 4;
+
+// Bits below the precision of the plane under which two points of the orbit of
+// a Misiurewicz point are considered equal.
+const MISIUREWICZ_EQUAL_BITS = 16;
+
+// A point found further than this many search radii from the start is
+// rejected: Newton's method converged to another point.
+const MISIUREWICZ_MAX_DISTANCE = 2;
+
+/**
+ * The Misiurewicz finder relies on the same derivatives as the nucleus finder.
+ */
+export function hasMisiurewicz(fn) {
+  return hasNucleus(fn);
+}
+
+/**
+ * Find the (preperiod, period) pairs of the Misiurewicz points that may lie in
+ * the disk of the given center and radius, lowest preperiod first for each
+ * period.
+ *
+ * A Misiurewicz point M_{q,p} lands on a cycle of period p after q iterations:
+ * z_{q+p}(c) = z_q(c). Linearly, z_{q+p}(c) - z_q(c) = Δ + Δ' (c - c0) has a
+ * root in the disk when |Δ| < |Δ'| r.
+ */
+export function findPreperiods(center, radius, maxPreperiod, maxPeriod) {
+  const plane = center.plane ?? COMPLEX_PLANE;
+  const z = plane.complex(0, 0);
+  const zd = new Complex();
+  const der = new Complex();
+  const orbit = [z.clone()];
+  const ders = [der.clone()];
+  const pairs = [];
+  const periods = new Set();
+  const delta = new Complex();
+  for (let n = 1; n <= maxPreperiod + maxPeriod; n++) {
+    // dz/dc = 2 z dz/dc + 1
+    der.mul(zd.project(z)).mulScalar(2);
+    der.x += 1;
+    z.square().add(center);
+    if (zd.project(z).squareMod() > BAILOUT * BAILOUT) {
+      break;
+    }
+    orbit.push(z.clone());
+    ders.push(der.clone());
+
+    // z_1 = c comes back to itself only if z_p = 0: a nucleus, not a
+    // Misiurewicz point.
+    for (let p = 1; p <= Math.min(maxPeriod, n - 2); p++) {
+      const q = n - p;
+      if (q > maxPreperiod || periods.has(p)) {
+        continue;
+      }
+      delta.project(orbit[n].clone().sub(orbit[q]));
+      const ddx = ders[n].x - ders[q].x;
+      const ddy = ders[n].y - ders[q].y;
+      if (delta.squareMod() < (ddx * ddx + ddy * ddy) * radius * radius) {
+        pairs.push({ preperiod: q, period: p });
+        periods.add(p);
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Solve z_{q+p}(c) = z_q(c) with Newton's method, from c0 known to the given
+ * size. The roots of lower preperiods are divided out:
+ *
+ *   f(c) = (z_{q+p} - z_q) / Π_{i<q} (z_{i+p} - z_i)
+ *
+ * and the Newton step f / f' is the inverse of the logarithmic derivative
+ * Δ'_q / Δ_q - Σ_{i<q} Δ'_i / Δ_i, with Δ_i = z_{i+p} - z_i. As for nuclei, z
+ * is iterated on a fixed point plane, the derivatives in doubles.
+ *
+ * Returns the Misiurewicz point, or null if Newton's method diverged.
+ */
+export function findMisiurewicz(c0, preperiod, period, size) {
+  const n = preperiod + period;
+  let plane = new BigComplexPlane(bitsForSize(size));
+  let c = plane.complex().project(c0);
+  const delta = new Complex();
+  const logDer = new Complex();
+  for (let step = 0; step < MISIUREWICZ_MAX_STEPS; step++) {
+    const { orbit, ders } = iterateOrbit(c, n);
+    if (orbit === null) {
+      return null;
+    }
+
+    const exponent = bitsForSize(1 / Math.sqrt(ders[n].squareMod()));
+    if (exponent > plane.exponent) {
+      // Restart the step on a finer plane.
+      plane = new BigComplexPlane(exponent);
+      c = plane.complex().project(c);
+      continue;
+    }
+
+    delta.project(orbit[n].clone().sub(orbit[preperiod]));
+    if (delta.squareMod() === 0) {
+      // Landed exactly on the root
+      break;
+    }
+    logDer.x = 0;
+    logDer.y = 0;
+    addQuotient(logDer, ders[n], ders[preperiod], delta, 1);
+    for (let i = 0; i < preperiod; i++) {
+      delta.project(orbit[i + period].clone().sub(orbit[i]));
+      addQuotient(logDer, ders[i + period], ders[i], delta, -1);
+    }
+    // c -= 1 / logDer
+    const logDerMod = logDer.squareMod();
+    const dx = logDer.x / logDerMod;
+    const dy = -logDer.y / logDerMod;
+    if (!Number.isFinite(dx) || !Number.isFinite(dy)) {
+      return null;
+    }
+    c.sub(plane.complex(dx, dy));
+    // Converged, up to the rounding of the last bits
+    const rounding =
+      2 ** (MISIUREWICZ_ROUNDING_BITS - Number(plane.exponent));
+    if (Math.abs(dx) + Math.abs(dy) < rounding) {
+      break;
+    }
+  }
+  return c;
+}
+
+// q += sign * (a - b) / delta
+function addQuotient(q, a, b, delta, sign) {
+  const deltaMod = delta.squareMod();
+  const x = a.x - b.x;
+  const y = a.y - b.y;
+  q.x += (sign * (x * delta.x + y * delta.y)) / deltaMod;
+  q.y += (sign * (y * delta.x - x * delta.y)) / deltaMod;
+}
+
+// The orbit z_0..z_n of c on its plane, and the derivatives dz/dc in doubles.
+// The orbit is null if it escapes.
+function iterateOrbit(c, n) {
+  const z = c.plane.complex(0, 0);
+  const zd = new Complex();
+  const der = new Complex();
+  const orbit = [z.clone()];
+  const ders = [der.clone()];
+  for (let i = 1; i <= n; i++) {
+    der.mul(zd.project(z)).mulScalar(2);
+    der.x += 1;
+    z.square().add(c);
+    if (zd.project(z).squareMod() > BAILOUT * BAILOUT) {
+      return { orbit: null, ders: null };
+    }
+    orbit.push(z.clone());
+    ders.push(der.clone());
+  }
+  return { orbit, ders };
+}
+
+/**
+ * Whether c is exactly M_{q,p}: its orbit lands on the cycle at q and not
+ * before, and the cycle has no shorter period than p.
+ */
+export function isMisiurewicz(c, preperiod, period) {
+  const { orbit, ders } = iterateOrbit(c, preperiod + period);
+  if (orbit === null) {
+    return false;
+  }
+  const epsilon = 2 ** (MISIUREWICZ_EQUAL_BITS - Number(c.plane.exponent));
+  const delta = new Complex();
+  const isEqual = (q, p) => {
+    delta.project(orbit[q + p].clone().sub(orbit[q]));
+    const ddx = ders[q + p].x - ders[q].x;
+    const ddy = ders[q + p].y - ders[q].y;
+    return delta.squareMod() <= (ddx * ddx + ddy * ddy) * epsilon * epsilon;
+  };
+  if (!isEqual(preperiod, period) || isEqual(preperiod - 1, period)) {
+    return false;
+  }
+  for (let p = 1; p < period; p++) {
+    if (period % p === 0 && isEqual(preperiod, p)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Find up to maxPoints Misiurewicz points in the disk of the given center and
+ * radius.
+ *
+ * Returns a list of { point, preperiod, period }, by increasing preperiod +
+ * period.
+ */
+export function locateMisiurewicz(
+  center,
+  radius,
+  maxPreperiod,
+  maxPeriod,
+  maxPoints
+) {
+  const points = [];
+  const pairs = findPreperiods(center, radius, maxPreperiod, maxPeriod);
+  for (const { preperiod, period } of pairs) {
+    if (points.length === maxPoints) {
+      break;
+    }
+    const point = findMisiurewicz(center, preperiod, period, radius);
+    if (point === null || !isMisiurewicz(point, preperiod, period)) {
+      continue;
+    }
+    const distance = new Complex()
+      .project(point.clone().sub(point.plane.complex().project(center)))
+      .squareMod();
+    if (distance <= (MISIUREWICZ_MAX_DISTANCE * radius) ** 2) {
+      points.push({ point, preperiod, period });
+    }
+  }
+  return points;
+}
@@ -0,0 +1,209 @@
+import { Complex } from "./complex.js";
+
+// Maximum number of roots, bounded by the uniform arrays of the shaders.
+export const MAX_ROOTS = 8;
+
+// Squared distance to a root under which an orbit is considered converged.
+export const NEWTON_TOLERANCE = 1e-6;
+
+const DURAND_KERNER_MAX_ITER = 500;
+const DURAND_KERNER_EPSILON = 1e-14;
+
+/**
+ * Roots of z^3 - 1, the classic Newton fractal.
+ */
+export const DEFAULT_ROOTS = [
+  new Complex(1, 0),
+  new Complex(-0.5, Math.sqrt(3) / 2),
+  new Complex(-0.5, -Math.sqrt(3) / 2),
+];
+
+/**
+ * Parse a list of complex numbers "x,y;x,y;...". The imaginary part may be
+ * omitted. Returns null if the list is empty or malformed.
+ */
+export function parseComplexList(text) {
+  if (!text) {
+    return null;
+  }
+  const list = text
+    .split(";")
+    .map((s) => s.trim())
+    .filter((s) => s.length > 0)
+    .map((s) => {
+      const [x, y] = s.split(",");
+      return new Complex(parseFloat(x), y === undefined ? 0 : parseFloat(y));
+    });
+  if (
+    list.length === 0 ||
+    list.some((c) => !Number.isFinite(c.x) || !Number.isFinite(c.y))
+  ) {
+    return null;
+  }
+  return list;
+}
+
+export function renderComplexList(list) {
+  return list
+    .map((c) => `${roundDecimals(c.x)},${roundDecimals(c.y)}`)
+    .join(";");
+}
+
+function roundDecimals(x) {
+  // Avoid rendering -0
+  return Number(x.toFixed(6)) + 0;
+}
+
+/**
+ * Pack the roots as (x, y) pairs in a buffer of MAX_ROOTS entries, for the shaders.
+ */
+export function packRoots(roots) {
+  const packed = new Float32Array(2 * MAX_ROOTS);
+  roots.slice(0, MAX_ROOTS).forEach((root, i) => {
+    packed[2 * i] = root.x;
+    packed[2 * i + 1] = root.y;
+  });
+  return packed;
+}
+
+/**
+ * Parse the roots of a polynomial. Returns null if invalid.
+ */
+export function parseRoots(text) {
+  const roots = parseComplexList(text);
+  if (!roots || roots.length > MAX_ROOTS) {
+    return null;
+  }
+  return roots;
+}
+
+/**
+ * Find the roots of a polynomial from its coefficients, highest degree first,
+ * with the Durand-Kerner method. Returns null if the degree is not in [1, MAX_ROOTS].
+ */
+export function rootsFromCoefficients(coefficients) {
+  const first = coefficients.findIndex((c) => c.x !== 0 || c.y !== 0);
+  if (first < 0) {
+    return null;
+  }
+  const degree = coefficients.length - 1 - first;
+  if (degree < 1 || degree > MAX_ROOTS) {
+    return null;
+  }
+
+  // Make the polynomial monic
+  const lead = coefficients[first];
+  const leadMod = lead.x * lead.x + lead.y * lead.y;
+  const ax = [];
+  const ay = [];
+  for (let i = first; i < coefficients.length; i++) {
+    const c = coefficients[i];
+    ax.push((c.x * lead.x + c.y * lead.y) / leadMod);
+    ay.push((c.y * lead.x - c.x * lead.y) / leadMod);
+  }
+
+  // Initial guesses spread on a spiral, so that none is real or symmetric.
+  const rx = [];
+  const ry = [];
+  let px = 1;
+  let py = 0;
+  for (let k = 0; k < degree; k++) {
+    rx.push(px);
+    ry.push(py);
+    const npx = px * 0.4 - py * 0.9;
+    py = px * 0.9 + py * 0.4;
+    px = npx;
+  }
+
+  for (let iter = 0; iter < DURAND_KERNER_MAX_ITER; iter++) {
+    let maxDelta = 0;
+    for (let k = 0; k < degree; k++) {
+      // p(r_k) with Horner's method
+      let vx = 1;
+      let vy = 0;
+      for (let i = 1; i <= degree; i++) {
+        const nvx = vx * rx[k] - vy * ry[k] + ax[i];
+        vy = vx * ry[k] + vy * rx[k] + ay[i];
+        vx = nvx;
+      }
+      // Π (r_k - r_j), j != k
+      let qx = 1;
+      let qy = 0;
+      for (let j = 0; j < degree; j++) {
+        if (j === k) {
+          continue;
+        }
+        const dx = rx[k] - rx[j];
+        const dy = ry[k] - ry[j];
+        const nqx = qx * dx - qy * dy;
+        qy = qx * dy + qy * dx;
+        qx = nqx;
+      }
+      const qMod = qx * qx + qy * qy;
+      if (qMod === 0) {
+        continue;
+      }
+      const deltaX = (vx * qx + vy * qy) / qMod;
+      const deltaY = (vy * qx - vx * qy) / qMod;
+      rx[k] -= deltaX;
+      ry[k] -= deltaY;
+      maxDelta = Math.max(maxDelta, deltaX * deltaX + deltaY * deltaY);
+    }
+    if (maxDelta < DURAND_KERNER_EPSILON * DURAND_KERNER_EPSILON) {
+      break;
+    }
+  }
+
+  const roots = [];
+  for (let k = 0; k < degree; k++) {
+    roots.push(new Complex(rx[k], ry[k]));
+  }
+  return roots;
+}
+
+/**
+ * Parse the coefficients of a polynomial, highest degree first, and return its
+ * roots. Returns null if invalid.
+ */
+export function parseCoefficients(text) {
+  const coefficients = parseComplexList(text);
+  return coefficients ? rootsFromCoefficients(coefficients) : null;
+}
+
+/**
+ * Run Newton's method z = z - p(z) / p'(z) from (x, y), for the polynomial
+ * with the given roots. Since p'(z) / p(z) = Σ 1 / (z - r_k), the
+ * coefficients are never needed.
+ *
+ * Returns the index of the root the orbit converged to, or -1, and the
+ * smooth iteration count.
+ */
+export function newton(x, y, roots, maxIter) {
+  let zx = x;
+  let zy = y;
+  for (let i = 0; i < maxIter; i++) {
+    let sx = 0;
+    let sy = 0;
+    for (let k = 0; k < roots.length; k++) {
+      const dx = zx - roots[k].x;
+      const dy = zy - roots[k].y;
+      const squareMod = dx * dx + dy * dy;
+      if (squareMod < NEWTON_TOLERANCE) {
+        return { root: k, iter: smoothConvergence(i, squareMod) };
+      }
+      sx += dx / squareMod;
+      sy -= dy / squareMod;
+    }
+    const sMod = sx * sx + sy * sy;
+    zx -= sx / sMod;
+    zy += sy / sMod;
+  }
+  return { root: -1, iter: maxIter };
+}
+
+// Newton's method converges quadratically: the log of the distance to the root
+// doubles at each step. Interpolate between steps so that bands are continuous.
+function smoothConvergence(iter, squareMod) {
+  const ratio = Math.log(squareMod) / Math.log(NEWTON_TOLERANCE);
+  return iter - Math.min(Math.max(Math.log2(ratio), 0), 1);
+}
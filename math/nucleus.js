@@ -0,0 +1,240 @@
+import { BigComplexPlane, Complex, COMPLEX_PLANE } from "./complex.js";
+import { BAILOUT, FN_MANDELBROT } from "./julia.js";
+
+// Bits of precision of the Newton iterations, beyond the size of the component.
+const NUCLEUS_EXTRA_BITS = 64;
+const NUCLEUS_MAX_STEPS = 256;
+const NUCLEUS_ROUNDING_BITS = 4;
+
+// Newton's method may go through points that escape before the period, and
+// still converge. It only gives up on orbits that overflow doubles.
+const NUCLEUS_ESCAPE_RADIUS = 1e100;
+
+// Newton's method starts from the center of the square, then from the points
+// of a grid of this size over the square, until it converges to a nucleus.
+const NUCLEUS_GRID = 5;
+
+// Corners of the unit square, counterclockwise.
+const CORNERS = [
+  [1, 1],
+  [-1, 1],
+  [-1, -1],
+  [1, -1],
+];
+
+// A nucleus found further than this many search radii from the center is
+// rejected: Newton's method converged to another component.
+const NUCLEUS_MAX_DISTANCE = 2;
+
+/**
+ * The nucleus finder relies on the derivatives of the holomorphic z² + c.
+ */
+export function hasNucleus(fn) {
+  return fn.id === FN_MANDELBROT && fn.exponent === 2;
+}
+
+/**
+ * Find the lowest period of a hyperbolic component in the square of the given
+ * center and radius, or null if there is none up to maxPeriod.
+ *
+ * The corners of the square are iterated until the polygon of their images
+ * z_p surrounds 0: the square then holds a root of z_p(c), a nucleus of
+ * period p.
+ */
+export function findPeriod(center, radius, maxPeriod) {
+  const corners = boxCorners(center, radius);
+  const z = corners.map((c) => c.clone());
+  const zd = corners.map(() => new Complex());
+  for (let p = 1; p <= maxPeriod; p++) {
+    if (!projectCorners(z, zd)) {
+      return null;
+    }
+    if (surroundsOrigin(zd)) {
+      return p;
+    }
+    iterateCorners(z, zd, corners);
+  }
+  return null;
+}
+
+// Corners of the square of the given center and radius.
+function boxCorners(center, radius) {
+  const plane = center.plane ?? COMPLEX_PLANE;
+  return CORNERS.map(([sx, sy]) =>
+    plane
+      .complex(0, 0)
+      .set(center)
+      .add(plane.complex(sx * radius, sy * radius))
+  );
+}
+
+/**
+ * Project the corners to doubles. A corner that escaped is no longer
+ * iterated, which keeps the size of fixed point numbers in check. Returns
+ * false once all the corners escaped.
+ */
+function projectCorners(z, zd) {
+  let bounded = false;
+  for (let k = 0; k < z.length; k++) {
+    if (zd[k].squareMod() <= BAILOUT * BAILOUT) {
+      zd[k].project(z[k]);
+      bounded ||= zd[k].squareMod() <= BAILOUT * BAILOUT;
+    }
+  }
+  return bounded;
+}
+
+function iterateCorners(z, zd, corners) {
+  for (let k = 0; k < z.length; k++) {
+    if (zd[k].squareMod() <= BAILOUT * BAILOUT) {
+      z[k].square().add(corners[k]);
+    }
+  }
+}
+
+// Whether the polygon surrounds 0, by counting the crossings of the ray from
+// 0 along the positive real axis.
+function surroundsOrigin(points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if (a.y > 0 !== b.y > 0 && a.x - (a.y * (b.x - a.x)) / (b.y - a.y) > 0) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Solve z_p(c) = 0 with Newton's method, from c0 known to the given size. z is
+ * iterated on a fixed point plane; its derivative dz/dc only needs the
+ * precision of doubles, as does the Newton step z / dz. The step shrinks as
+ * 1 / |dz/dc|, which raises the bits of precision of the plane as needed.
+ *
+ * Returns the nucleus, or null if Newton's method diverged.
+ */
+export function findNucleus(c0, period, size) {
+  let plane = new BigComplexPlane(bitsForSize(size));
+  let c = plane.complex().project(c0);
+  const z = plane.complex(0, 0);
+  const zd = new Complex();
+  const der = new Complex();
+  for (let step = 0; step < NUCLEUS_MAX_STEPS; step++) {
+    z.setScalar(0);
+    der.x = 0;
+    der.y = 0;
+    for (let i = 0; i < period; i++) {
+      // dz/dc = 2 z dz/dc + 1
+      der.mul(zd.project(z)).mulScalar(2);
+      der.x += 1;
+      if (zd.squareMod() > NUCLEUS_ESCAPE_RADIUS ** 2) {
+        return null;
+      }
+      z.square().add(c);
+    }
+    zd.project(z);
+    const derMod = der.squareMod();
+    if (!Number.isFinite(derMod) || derMod === 0) {
+      return null;
+    }
+
+    const exponent = bitsForSize(1 / Math.sqrt(derMod));
+    if (exponent > plane.exponent) {
+      // Restart the step on a finer plane.
+      plane = new BigComplexPlane(exponent);
+      c = plane.complex().project(c);
+      z.plane = plane;
+      continue;
+    }
+
+    // c -= z / dz
+    const dx = (zd.x * der.x + zd.y * der.y) / derMod;
+    const dy = (zd.y * der.x - zd.x * der.y) / derMod;
+    if (!Number.isFinite(dx) || !Number.isFinite(dy)) {
+      return null;
+    }
+    c.sub(plane.complex(dx, dy));
+    // Converged, up to the rounding of the last bits
+    const rounding = 2 ** (NUCLEUS_ROUNDING_BITS - Number(plane.exponent));
+    if (Math.abs(dx) + Math.abs(dy) < rounding) {
+      break;
+    }
+  }
+  return c;
+}
+
+/**
+ * Estimate the size of the component of period p at the nucleus c, relative
+ * to the main cardioid, whose size is 1:
+ *
+ *   l_n = 2 z_n l_{n-1},  b = 1 + Σ 1 / l_n,  size = |1 / (b l²_{p-1})|
+ */
+export function componentSize(c, period) {
+  const plane = c.plane ?? COMPLEX_PLANE;
+  const z = plane.complex(0, 0);
+  const zd = new Complex();
+  const l = new Complex(1, 0);
+  const b = new Complex(1, 0);
+  for (let i = 1; i < period; i++) {
+    z.square().add(c);
+    l.mul(zd.project(z)).mulScalar(2);
+    // b += 1 / l
+    const lMod = l.squareMod();
+    b.x += l.x / lMod;
+    b.y -= l.y / lMod;
+  }
+  const bl2 = b.mul(l).mul(l);
+  return 1 / Math.sqrt(bl2.squareMod());
+}
+
+/**
+ * Find the nucleus of the lowest period component in the square of the given
+ * center and radius.
+ *
+ * Returns { nucleus, period, size }, or null if no component was found.
+ */
+export function locateNucleus(center, radius, maxPeriod) {
+  const period = findPeriod(center, radius, maxPeriod);
+  if (period === null) {
+    return null;
+  }
+  for (const start of gridPoints(center, radius)) {
+    const nucleus = findNucleus(start, period, radius);
+    if (nucleus === null) {
+      continue;
+    }
+    const size = componentSize(nucleus, period);
+    const distance = new Complex()
+      .project(nucleus.clone().sub(nucleus.plane.complex().project(center)))
+      .squareMod();
+    if (
+      Number.isFinite(size) &&
+      distance <= (NUCLEUS_MAX_DISTANCE * radius) ** 2
+    ) {
+      return { nucleus, period, size };
+    }
+  }
+  return null;
+}
+
+// Points of a grid over the square, from its center outwards.
+function gridPoints(center, radius) {
+  const plane = center.plane ?? COMPLEX_PLANE;
+  const step = (2 * radius) / (NUCLEUS_GRID - 1);
+  const offsets = [];
+  for (let i = 0; i < NUCLEUS_GRID; i++) {
+    for (let j = 0; j < NUCLEUS_GRID; j++) {
+      offsets.push(new Complex(i * step - radius, j * step - radius));
+    }
+  }
+  offsets.sort((a, b) => a.squareMod() - b.squareMod());
+  return offsets.map((offset) =>
+    plane.complex(0, 0).set(center).add(plane.complex(offset.x, offset.y))
+  );
+}
+
+// Bits of precision of a fixed point plane, to resolve the given size.
+export function bitsForSize(size) {
+  return Math.max(0, Math.ceil(-Math.log2(size))) + NUCLEUS_EXTRA_BITS;
+}
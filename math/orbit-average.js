@@ -0,0 +1,151 @@
+import { COMPLEX_PLANE } from "./complex.js";
+import { BAILOUT, DEFAULT_EXPONENT } from "./julia.js";
+
+/**
+ * Average colorings color the escaping points by the mean of a term t(z_n)
+ * along their orbit, rather than by how fast they escape:
+ * - Stripe average: t = (1 + sin(s arg z_n)) / 2, for a stripe density s.
+ * - Triangle inequality average: where |z_n| lies between the bounds
+ *   ||z_(n-1)^d| - |c|| and |z_(n-1)^d| + |c| of the triangle inequality.
+ * - Curvature average: the angle between z_n - z_(n-1) and z_(n-1) - z_(n-2),
+ *   over pi.
+ */
+export const AverageColoring = {
+  NONE: "none",
+  STRIPE: "stripe",
+  TRIANGLE: "triangle",
+  CURVATURE: "curvature",
+};
+
+export const NO_AVERAGE_COLORING_ID = 0;
+export const STRIPE_AVERAGE_COLORING_ID = 1;
+export const TRIANGLE_AVERAGE_COLORING_ID = 2;
+export const CURVATURE_AVERAGE_COLORING_ID = 3;
+
+// Escape velocity the averages in [0, 1] are spread over, for the palettes to
+// cycle as many times as up to it.
+export const AVERAGE_SPAN = 150;
+// Stripes per turn of the stripe average
+export const STRIPE_DENSITY = 5;
+
+export function getAverageColoringId(averageColoring) {
+  switch (averageColoring) {
+    case AverageColoring.STRIPE:
+      return STRIPE_AVERAGE_COLORING_ID;
+    case AverageColoring.TRIANGLE:
+      return TRIANGLE_AVERAGE_COLORING_ID;
+    case AverageColoring.CURVATURE:
+      return CURVATURE_AVERAGE_COLORING_ID;
+    case AverageColoring.NONE:
+    default:
+      return NO_AVERAGE_COLORING_ID;
+  }
+}
+
+/**
+ * The average of an average coloring along an orbit. step() takes the points
+ * of the orbit z_1, z_2, ... as they are iterated, after reset() with the c of
+ * the iteration z = z^d + c. The last point z_n, at bailout when the orbit
+ * escaped, is kept in (x1, y1) for the decomposition, with any coloring.
+ */
+export class OrbitAverage {
+  constructor(averageColoringId, exponent = DEFAULT_EXPONENT) {
+    this.averageColoringId = averageColoringId;
+    this.exponent = exponent;
+    this.reset();
+  }
+
+  reset(c = null) {
+    if (c === null) {
+      this.resetNumbers(0, 0);
+    } else {
+      const plane = c.plane ?? COMPLEX_PLANE;
+      this.resetNumbers(plane.asNumber(c.x), plane.asNumber(c.y));
+    }
+  }
+
+  resetNumbers(cx, cy) {
+    this.c = Math.hypot(cx, cy);
+    // Sums of the terms up to z_n, and up to z_(n-1)
+    this.sum = 0;
+    this.lastSum = 0;
+    this.terms = 0;
+    // Points of the orbit seen so far, and the 2 last ones
+    this.steps = 0;
+    this.x1 = 0;
+    this.y1 = 0;
+    this.x2 = 0;
+    this.y2 = 0;
+    this.squareMod = 0;
+  }
+
+  step(z) {
+    const plane = z.plane ?? COMPLEX_PLANE;
+    this.stepNumbers(plane.asNumber(z.x), plane.asNumber(z.y));
+  }
+
+  stepNumbers(zx, zy) {
+    this.squareMod = zx * zx + zy * zy;
+    let term = NaN;
+    switch (this.averageColoringId) {
+      case STRIPE_AVERAGE_COLORING_ID:
+        term = 0.5 + 0.5 * Math.sin(STRIPE_DENSITY * Math.atan2(zy, zx));
+        break;
+      case TRIANGLE_AVERAGE_COLORING_ID:
+        if (this.steps > 0) {
+          const power = Math.hypot(this.x1, this.y1) ** this.exponent;
+          const min = Math.abs(power - this.c);
+          const max = power + this.c;
+          if (max > min) {
+            term = (Math.sqrt(this.squareMod) - min) / (max - min);
+          }
+        }
+        break;
+      case CURVATURE_AVERAGE_COLORING_ID:
+        if (this.steps > 1) {
+          // arg((z_n - z_(n-1)) / (z_(n-1) - z_(n-2)))
+          const ax = zx - this.x1;
+          const ay = zy - this.y1;
+          const bx = this.x1 - this.x2;
+          const by = this.y1 - this.y2;
+          const angle = Math.atan2(ay * bx - ax * by, ax * bx + ay * by);
+          if (!Number.isNaN(angle)) {
+            term = Math.abs(angle) / Math.PI;
+          }
+        }
+        break;
+    }
+    if (!Number.isNaN(term)) {
+      this.lastSum = this.sum;
+      this.sum += term;
+      this.terms++;
+    }
+    this.x2 = this.x1;
+    this.y2 = this.y1;
+    this.x1 = zx;
+    this.y1 = zy;
+    this.steps++;
+  }
+
+  /**
+   * The escape velocity the palette colors the escaped point with, in
+   * [0, AVERAGE_SPAN], or -1 when the orbit gave no term to average. The
+   * averages up to z_n and z_(n-1) are blended by how far |z_n| is past the
+   * bailout, like the smooth escape velocity, so that the colors do not band
+   * with the iteration count.
+   */
+  velocity() {
+    if (this.terms === 0) {
+      return -1;
+    }
+    const average = this.sum / this.terms;
+    const lastAverage =
+      this.terms > 1 ? this.lastSum / (this.terms - 1) : average;
+    const blend =
+      1 +
+      Math.log((2 * Math.log(BAILOUT)) / Math.log(this.squareMod)) /
+        Math.log(this.exponent);
+    const t = Math.min(Math.max(blend, 0), 1);
+    return AVERAGE_SPAN * (lastAverage + t * (average - lastAverage));
+  }
+}
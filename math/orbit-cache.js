@@ -0,0 +1,229 @@
+/**
+ * Cache of the reference orbits, reused across the frames of a viewport and,
+ * when persisted to IndexedDB, across sessions. The orbits are keyed by their
+ * fn, the precision exponent of their plane and their reference point, and
+ * keep the maxIter they were computed up to.
+ */
+
+// Orbits kept in memory, and in IndexedDB, at most
+export const ORBIT_CACHE_SIZE = 8;
+// Orbits faster to compute than this, in ms, are not persisted.
+export const PERSIST_MIN_TIME = 500;
+
+const DATABASE_NAME = "juliamap";
+const STORE_NAME = "orbits";
+// The last use of the persisted orbits, {key, time}, apart from the orbits so
+// that using one does not write it again
+const USED_STORE_NAME = "used";
+
+export class OrbitCache {
+  constructor(capacity = ORBIT_CACHE_SIZE) {
+    this.capacity = capacity;
+    // key → entry, from the least to the most recently used
+    this.entries = new Map();
+    // Promise of the IndexedDB database, or of null when it fails to open, once
+    // persisted
+    this.database = null;
+    this.loaded = null;
+    // Keys of the orbits in IndexedDB
+    this.persisted = new Set();
+  }
+
+  /**
+   * The entries of the given fn and plane, from the most recently used.
+   */
+  *search(fn, plane) {
+    const prefix = fnKey(fn, plane);
+    const entries = [...this.entries.values()].reverse();
+    for (const entry of entries) {
+      if (entry.key.startsWith(prefix)) {
+        yield entry;
+      }
+    }
+  }
+
+  /**
+   * Add or update the orbit of an entry {point, zoom, maxIter, escapeVelocity,
+   * iters, extended, last}, computed in the given time, in ms. The entry is
+   * stored as is in IndexedDB: its points are plain {x, y}.
+   */
+  set(fn, plane, entry, time = 0) {
+    entry.key = fnKey(fn, plane) + orbitKey(entry.point);
+    entry.time = Date.now();
+    this.entries.delete(entry.key);
+    this.entries.set(entry.key, entry);
+    this.#evict();
+    if (this.database !== null && time >= PERSIST_MIN_TIME) {
+      this.#save(entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Mark the entry as the most recently used.
+   */
+  touch(entry) {
+    entry.time = Date.now();
+    this.entries.delete(entry.key);
+    this.entries.set(entry.key, entry);
+    if (this.persisted.has(entry.key)) {
+      this.#use(entry);
+    }
+  }
+
+  /**
+   * Persist the orbits to IndexedDB, and load the ones of previous sessions.
+   * Resolves once loaded, or at once when IndexedDB is not available.
+   */
+  persist() {
+    if (this.loaded === null) {
+      this.database = openDatabase().catch((err) => {
+        console.warn("[orbit cache] failed to open IndexedDB", err);
+        return null;
+      });
+      this.loaded = this.database
+        .then((db) => this.#load(db))
+        .catch((err) => {
+          console.warn("[orbit cache] failed to load the orbits", err);
+        });
+    }
+    return this.loaded;
+  }
+
+  // Drop the least recently used entries past the capacity.
+  #evict() {
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.capacity) {
+        break;
+      }
+      this.entries.delete(key);
+    }
+  }
+
+  // Load the persisted orbits as less recently used than the current ones.
+  async #load(db) {
+    if (db === null) {
+      return;
+    }
+    await this.#trim(db);
+    const transaction = db.transaction([STORE_NAME, USED_STORE_NAME]);
+    const [orbits, used] = await Promise.all([
+      request(transaction.objectStore(STORE_NAME).getAll()),
+      request(transaction.objectStore(USED_STORE_NAME).index("time").getAll()),
+    ]);
+    const orbitsByKey = new Map(orbits.map((entry) => [entry.key, entry]));
+    const current = [...this.entries.values()];
+    this.entries.clear();
+    for (const { key, time } of used) {
+      const entry = orbitsByKey.get(key);
+      if (entry !== undefined) {
+        entry.time = time;
+        this.entries.set(key, entry);
+        this.persisted.add(key);
+      }
+    }
+    for (const entry of current) {
+      this.entries.delete(entry.key);
+      this.entries.set(entry.key, entry);
+    }
+    this.#evict();
+  }
+
+  async #save(entry) {
+    const db = await this.database;
+    if (db === null) {
+      return;
+    }
+    try {
+      const transaction = db.transaction(
+        [STORE_NAME, USED_STORE_NAME],
+        "readwrite"
+      );
+      transaction.objectStore(STORE_NAME).put(entry);
+      await request(
+        transaction
+          .objectStore(USED_STORE_NAME)
+          .put({ key: entry.key, time: entry.time })
+      );
+      this.persisted.add(entry.key);
+      await this.#trim(db);
+    } catch (err) {
+      console.warn("[orbit cache] failed to persist an orbit", err);
+    }
+  }
+
+  // Record the last use of a persisted orbit.
+  async #use(entry) {
+    const db = await this.database;
+    if (db === null) {
+      return;
+    }
+    try {
+      const store = db
+        .transaction(USED_STORE_NAME, "readwrite")
+        .objectStore(USED_STORE_NAME);
+      await request(store.put({ key: entry.key, time: entry.time }));
+    } catch (err) {
+      console.warn("[orbit cache] failed to persist an orbit use", err);
+    }
+  }
+
+  // Delete the least recently used orbits of IndexedDB past the capacity.
+  async #trim(db) {
+    const transaction = db.transaction(
+      [STORE_NAME, USED_STORE_NAME],
+      "readwrite"
+    );
+    const used = transaction.objectStore(USED_STORE_NAME);
+    const keys = await request(used.index("time").getAllKeys());
+    for (const key of keys.slice(0, -this.capacity)) {
+      used.delete(key);
+      transaction.objectStore(STORE_NAME).delete(key);
+      this.persisted.delete(key);
+    }
+  }
+}
+
+// Orbits are shared by the fns of the same id, exponent and parameter, on
+// planes of the same precision.
+function fnKey(fn, plane) {
+  const param0 = fn.param0;
+  return (
+    [
+      fn.id,
+      fn.exponent,
+      param0.x,
+      param0.y,
+      param0.plane?.exponent,
+      plane.exponent,
+    ].join() + ";"
+  );
+}
+
+function orbitKey(point) {
+  return [point.x, point.y].join();
+}
+
+function openDatabase() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available"));
+  }
+  const open = indexedDB.open(DATABASE_NAME, 1);
+  open.onupgradeneeded = () => {
+    const db = open.result;
+    db.createObjectStore(STORE_NAME, { keyPath: "key" });
+    db.createObjectStore(USED_STORE_NAME, { keyPath: "key" }).createIndex(
+      "time",
+      "time"
+    );
+  };
+  return request(open);
+}
+
+// The result of an IndexedDB request, as a promise
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
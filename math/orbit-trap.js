@@ -0,0 +1,133 @@
+import { COMPLEX_PLANE } from "./complex.js";
+
+/**
+ * Orbit traps color the points by how close their orbit comes to a shape of
+ * the complex plane: a point, the cross of the two lines through a point, or
+ * a circle. Pickover stalks are the cross trap, drawn only where the orbit
+ * comes within the stalk width of the cross: the other points keep their
+ * escape color.
+ */
+export const OrbitTrap = {
+  NONE: "none",
+  POINT: "point",
+  CROSS: "cross",
+  CIRCLE: "circle",
+  STALKS: "stalks",
+};
+
+export const NO_ORBIT_TRAP_ID = 0;
+export const POINT_ORBIT_TRAP_ID = 1;
+export const CROSS_ORBIT_TRAP_ID = 2;
+export const CIRCLE_ORBIT_TRAP_ID = 3;
+export const STALKS_ORBIT_TRAP_ID = 4;
+
+// Escape velocity the trap distances are spread over, for the palettes to
+// cycle as many times as up to it.
+export const TRAP_SPAN = 150;
+
+/**
+ * The trap geometry: the center of the point, cross or circle, and the radius
+ * of the circle, or the stalk width. The point and the cross spread their
+ * colors over distances of about the radius.
+ */
+export const DEFAULT_TRAP_GEOMETRY = { x: 0, y: 0, radius: 0.5 };
+
+export function getOrbitTrapId(orbitTrap) {
+  switch (orbitTrap) {
+    case OrbitTrap.POINT:
+      return POINT_ORBIT_TRAP_ID;
+    case OrbitTrap.CROSS:
+      return CROSS_ORBIT_TRAP_ID;
+    case OrbitTrap.CIRCLE:
+      return CIRCLE_ORBIT_TRAP_ID;
+    case OrbitTrap.STALKS:
+      return STALKS_ORBIT_TRAP_ID;
+    case OrbitTrap.NONE:
+    default:
+      return NO_ORBIT_TRAP_ID;
+  }
+}
+
+/**
+ * Parse a trap geometry "x,y;radius", in complex coordinates. Returns
+ * {x, y, radius}, or null if invalid or if the radius is not positive.
+ */
+export function parseTrapGeometry(text) {
+  const parts = text.split(";");
+  if (parts.length !== 2) {
+    return null;
+  }
+  const center = parts[0].split(",");
+  if (center.length !== 2) {
+    return null;
+  }
+  const [x, y, radius] = [...center, parts[1]].map((s) =>
+    s.trim() === "" ? NaN : Number(s)
+  );
+  if (!Number.isFinite(x) || !Number.isFinite(y) || !(radius > 0)) {
+    return null;
+  }
+  return { x, y, radius };
+}
+
+export function renderTrapGeometry({ x, y, radius }) {
+  return `${x},${y};${radius}`;
+}
+
+/**
+ * The minimum distance of an orbit to a trap. step() takes the points of the
+ * orbit z_1, z_2, ... as they are iterated.
+ */
+export class OrbitTrapDistance {
+  constructor(trapId, geometry = DEFAULT_TRAP_GEOMETRY) {
+    this.trapId = trapId;
+    this.x = geometry.x;
+    this.y = geometry.y;
+    this.radius = geometry.radius;
+    this.distance = Infinity;
+  }
+
+  reset() {
+    this.distance = Infinity;
+  }
+
+  step(z) {
+    const plane = z.plane ?? COMPLEX_PLANE;
+    this.stepNumbers(plane.asNumber(z.x), plane.asNumber(z.y));
+  }
+
+  stepNumbers(zx, zy) {
+    const dx = zx - this.x;
+    const dy = zy - this.y;
+    let distance;
+    switch (this.trapId) {
+      case POINT_ORBIT_TRAP_ID:
+        distance = Math.hypot(dx, dy);
+        break;
+      case CIRCLE_ORBIT_TRAP_ID:
+        distance = Math.abs(Math.hypot(dx, dy) - this.radius);
+        break;
+      default:
+        distance = Math.min(Math.abs(dx), Math.abs(dy));
+    }
+    if (distance < this.distance) {
+      this.distance = distance;
+    }
+  }
+
+  /**
+   * The escape velocity the palette colors the point with, in [0, TRAP_SPAN),
+   * or -1 when the point keeps its escape color: Pickover stalks only color
+   * the orbits that come within the stalk width.
+   */
+  velocity() {
+    const distance = this.distance;
+    if (this.trapId === STALKS_ORBIT_TRAP_ID) {
+      return distance < this.radius ? (TRAP_SPAN * distance) / this.radius : -1;
+    }
+    if (distance === Infinity) {
+      return -1;
+    }
+    return (TRAP_SPAN * distance) / (distance + this.radius);
+  }
+}
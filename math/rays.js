@@ -0,0 +1,194 @@
+import { BigComplexPlane, Complex, COMPLEX_PLANE } from "./complex.js";
+import { FN_MANDELBROT } from "./julia.js";
+import { bitsForSize } from "./nucleus.js";
+
+// Maximum number of rays drawn at once.
+export const MAX_RAYS = 8;
+
+// The ray starts on the circle of this radius, where the Böttcher coordinate
+// of c is close to c itself.
+const RAY_ESCAPE_RADIUS = 65536;
+
+// Points of the ray per level of depth, i.e. per halving of the potential.
+const RAY_SHARPNESS = 8;
+const RAY_NEWTON_STEPS = 16;
+
+// Newton's method stops when its step is below this fraction of the distance
+// between the points of the last level, or below the rounding of the plane.
+const RAY_NEWTON_TOLERANCE = 1e-3;
+const RAY_ROUNDING_BITS = 4;
+
+// Bits of the numerator of an angle converted to a double.
+const ANGLE_BITS = 53n;
+
+/**
+ * External rays are traced for the quadratic Mandelbrot set z² + c, whose
+ * angles double at each iteration.
+ */
+export function hasRays(fn) {
+  return fn.id === FN_MANDELBROT && fn.exponent === 2;
+}
+
+/**
+ * Parse a rational angle, in turns, as a fraction "1/3", or as a binary
+ * expansion "0.01(10)" whose repeating digits are in parentheses.
+ *
+ * Returns { numerator, denominator } as reduced BigInts, or null if invalid.
+ */
+export function parseAngle(text) {
+  const s = text.trim();
+  let numerator;
+  let denominator;
+  const fraction = /^(\d+)\/(\d+)$/.exec(s);
+  const binary = /^0?\.([01]*)(?:\(([01]+)\))?$/.exec(s);
+  if (fraction) {
+    numerator = BigInt(fraction[1]);
+    denominator = BigInt(fraction[2]);
+  } else if (binary && (binary[1] || binary[2])) {
+    // 0.a(b) = (a + 0.(b)) / 2^|a|, with 0.(b) = b / (2^|b| - 1)
+    const [, preperiodic, periodic] = binary;
+    const shift = 1n << BigInt(preperiodic.length);
+    const prefix = preperiodic ? BigInt("0b" + preperiodic) : 0n;
+    if (periodic) {
+      const period = (1n << BigInt(periodic.length)) - 1n;
+      numerator = prefix * period + BigInt("0b" + periodic);
+      denominator = shift * period;
+    } else {
+      numerator = prefix;
+      denominator = shift;
+    }
+  } else {
+    return null;
+  }
+  if (denominator === 0n) {
+    return null;
+  }
+  numerator %= denominator;
+  const divisor = gcd(numerator, denominator);
+  return {
+    numerator: numerator / divisor,
+    denominator: denominator / divisor,
+  };
+}
+
+export function renderAngle({ numerator, denominator }) {
+  return `${numerator}/${denominator}`;
+}
+
+/**
+ * Parse a list of angles separated by commas. Returns null if an angle is
+ * malformed, or if there are more than MAX_RAYS.
+ */
+export function parseAngles(text) {
+  const angles = (text ?? "")
+    .split(/[,;]/)
+    .map((s) => s.trim())
+    .filter((s) => s.length > 0)
+    .map(parseAngle);
+  if (angles.length > MAX_RAYS || angles.some((angle) => angle === null)) {
+    return null;
+  }
+  return angles;
+}
+
+export function renderAngles(angles) {
+  return angles.map(renderAngle).join(",");
+}
+
+function gcd(a, b) {
+  while (b !== 0n) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+/**
+ * Trace the external ray of the given angle inwards, from the escape radius
+ * towards its landing point, until it is within the resolution of the landing
+ * point, or for maxDepth levels.
+ *
+ * Along the ray of angle θ, z_n(c) = r e^{2πi 2^{n-1} θ}. At depth n, r goes
+ * from R down to √R in RAY_SHARPNESS steps, each solved with Newton's method
+ * from the previous point. z_{n+1} = z_n² + c is then close to R, and the
+ * next level starts with the doubled angle. When the center is on a fixed
+ * point plane, the ray is traced on a plane fine enough for the resolution.
+ *
+ * The distance to the landing point is estimated from the lengths l_n of the
+ * ray over the last levels, as the sum of a geometric series of ratio
+ * ρ = l_n / l_{n-1}: l_n ρ / (1 - ρ). The rays landing at parabolic roots
+ * have lengths decreasing as 1 / n², and twice the distance of the estimate.
+ *
+ * Returns the points of the ray, from the outside in.
+ */
+export function traceRay(angle, center, resolution, maxDepth) {
+  const plane = center.plane?.isBigComplex()
+    ? new BigComplexPlane(bitsForSize(resolution))
+    : COMPLEX_PLANE;
+  let { numerator } = angle;
+  const { denominator } = angle;
+  const turns = () =>
+    Number((numerator << ANGLE_BITS) / denominator) * 2 ** -Number(ANGLE_BITS);
+
+  let theta = 2 * Math.PI * turns();
+  const c = plane.complex(
+    RAY_ESCAPE_RADIUS * Math.cos(theta),
+    RAY_ESCAPE_RADIUS * Math.sin(theta)
+  );
+  const points = [c.clone()];
+  const zd = new Complex();
+  const der = new Complex();
+  const delta = new Complex();
+  const rounding = plane.isBigComplex()
+    ? 2 ** (RAY_ROUNDING_BITS - Number(plane.exponent))
+    : 2 ** RAY_ROUNDING_BITS * Number.EPSILON;
+  let lastLength = Infinity;
+  for (let n = 1; n <= maxDepth; n++) {
+    const start = c.clone();
+    const tolerance = Math.max(
+      (RAY_NEWTON_TOLERANCE * lastLength) / RAY_SHARPNESS,
+      rounding
+    );
+    theta = 2 * Math.PI * turns();
+    for (let j = 1; j <= RAY_SHARPNESS; j++) {
+      const r = RAY_ESCAPE_RADIUS ** (0.5 ** (j / RAY_SHARPNESS));
+      const tx = r * Math.cos(theta);
+      const ty = r * Math.sin(theta);
+      for (let step = 0; step < RAY_NEWTON_STEPS; step++) {
+        const z = plane.complex(0, 0);
+        der.x = 0;
+        der.y = 0;
+        for (let i = 0; i < n; i++) {
+          // dz/dc = 2 z dz/dc + 1
+          der.mul(zd.project(z)).mulScalar(2);
+          der.x += 1;
+          z.square().add(c);
+        }
+        // c -= (z - t) / dz
+        zd.project(z);
+        zd.x -= tx;
+        zd.y -= ty;
+        const derMod = der.squareMod();
+        const dx = (zd.x * der.x + zd.y * der.y) / derMod;
+        const dy = (zd.y * der.x - zd.x * der.y) / derMod;
+        if (!Number.isFinite(dx) || !Number.isFinite(dy)) {
+          return points;
+        }
+        c.sub(plane.complex(dx, dy));
+        if (Math.hypot(dx, dy) < tolerance) {
+          break;
+        }
+      }
+      points.push(c.clone());
+    }
+
+    const length = Math.sqrt(delta.project(c.clone().sub(start)).squareMod());
+    const ratio = length / lastLength;
+    const remaining = (2 * length * ratio) / (1 - ratio);
+    if (n > 1 && ratio < 1 && remaining < resolution) {
+      return points;
+    }
+    lastLength = length;
+    numerator = (numerator * 2n) % denominator;
+  }
+  return points;
+}
@@ -0,0 +1,146 @@
+/**
+ * Deterministic search of the reference orbit of the viewport, for the
+ * perturbation. In order, the reference is:
+ * - a cached one, while it stays in the viewport of a pan at the same zoom,
+ *   carried on when maxIter grows, see OrbitCache,
+ * - the nucleus of the lowest period component in the viewport, when its orbit
+ *   does not escape,
+ * - the orbit that escapes last among the points of a seeded grid, see
+ *   Orbit.searchOrbit().
+ */
+
+import { ExpComplex, FLOAT64_MAX_ZOOM, ldexp } from "./floatexp.js";
+import { Orbit } from "./julia.js";
+import { hasNucleus, locateNucleus } from "./nucleus.js";
+import { OrbitCache } from "./orbit-cache.js";
+
+export class ReferenceSearch {
+  constructor(cache = new OrbitCache()) {
+    this.cache = cache;
+  }
+
+  /**
+   * Search for the reference orbit of the given fn in the current viewport,
+   * with its series approximation and, with bla, its BLA table.
+   */
+  search(map, width, height, maxIter, fn, bla = false) {
+    let orbit = this.#searchCache(map, width, height, maxIter, fn);
+    if (orbit === null) {
+      const start = performance.now();
+      orbit =
+        this.#searchNucleus(map, width, height, maxIter, fn) ??
+        Orbit.searchInViewport(map, width, height, maxIter, fn);
+      const point = map.screenToComplex(orbit.sx, orbit.sy, width, height);
+      this.#store(map, maxIter, fn, orbit, point, performance.now() - start);
+    }
+    orbit.withApproximation(width, height, maxIter, fn);
+    return bla ? orbit.withBla(width, height, maxIter, fn) : orbit;
+  }
+
+  /**
+   * The most recent cached orbit in the viewport, at the same zoom. Its series
+   * is cut to maxIter, or carried on up to maxIter when it did not escape.
+   */
+  #searchCache(map, width, height, maxIter, fn) {
+    for (const entry of this.cache.search(fn, map.plane)) {
+      if (entry.zoom !== map.zoom) {
+        continue;
+      }
+      const point = map.plane.complex(entry.point.x, entry.point.y);
+      const { sx, sy } = screenPosition(map, point, width, height);
+      if (!(sx >= 0 && sx <= width && sy >= 0 && sy <= height)) {
+        continue;
+      }
+      if (entry.maxIter < maxIter && entry.last === null) {
+        continue;
+      }
+      const orbit = Orbit.forFn(map, sx, sy, fn);
+      orbit.escapeVelocity = entry.escapeVelocity;
+      orbit.iters = entry.iters;
+      orbit.extended = entry.extended;
+      if (entry.maxIter < maxIter) {
+        const start = performance.now();
+        orbit.last = map.plane.complex(entry.last.x, entry.last.y);
+        orbit.withLongerSeries(width, height, maxIter);
+        this.#store(map, maxIter, fn, orbit, point, performance.now() - start);
+        return orbit;
+      }
+      this.cache.touch(entry);
+      if (entry.maxIter > maxIter) {
+        orbit.escapeVelocity = Math.min(entry.escapeVelocity, maxIter);
+        orbit.iters = entry.iters.subarray(0, 2 * maxIter);
+        orbit.extended = entry.extended && {
+          mantissas: entry.extended.mantissas.subarray(0, 2 * maxIter),
+          exponents: entry.extended.exponents.subarray(0, maxIter),
+        };
+      }
+      return orbit;
+    }
+    return null;
+  }
+
+  // Cache the orbit of the given reference point, computed in time ms.
+  #store(map, maxIter, fn, orbit, point, time) {
+    this.cache.set(
+      fn,
+      map.plane,
+      {
+        point: { x: point.x, y: point.y },
+        zoom: map.zoom,
+        maxIter,
+        escapeVelocity: orbit.escapeVelocity,
+        iters: orbit.iters,
+        extended: orbit.extended,
+        last: orbit.last && { x: orbit.last.x, y: orbit.last.y },
+      },
+      time
+    );
+  }
+
+  /**
+   * The orbit of the nucleus of the lowest period component in the square
+   * holding the viewport, if it does not escape. Past FLOAT64_MAX_ZOOM, the
+   * size of the square underflows the search.
+   */
+  #searchNucleus(map, width, height, maxIter, fn) {
+    if (!hasNucleus(fn) || map.zoom > FLOAT64_MAX_ZOOM) {
+      return null;
+    }
+    const radius = 2 * Math.pow(2, -map.zoom) * Math.max(1, height / width);
+    const result = locateNucleus(map.center, radius, maxIter);
+    if (result === null) {
+      return null;
+    }
+    const point = map.plane.complex().project(result.nucleus);
+    const { sx, sy } = screenPosition(map, point, width, height);
+    if (!(sx >= 0 && sx <= width && sy >= 0 && sy <= height)) {
+      return null;
+    }
+    const orbit = Orbit.forFn(map, sx, sy, fn).withEscape(
+      width,
+      height,
+      maxIter
+    );
+    if (orbit.escapeVelocity < maxIter) {
+      return null;
+    }
+    return orbit.withSeries(width, height, maxIter);
+  }
+}
+
+/**
+ * The screen coordinates of the point c of the map plane, the inverse of
+ * map.screenToComplex(). The offset from the center is taken in extended
+ * range, as it underflows doubles at deep zoom.
+ */
+function screenPosition(map, c, width, height) {
+  const delta = new ExpComplex().project(
+    map.plane.complex().set(c).sub(map.center)
+  );
+  const zoom = Math.floor(map.zoom);
+  const scale = (width / 4) * Math.pow(2, map.zoom - zoom);
+  return {
+    sx: width * 0.5 + ldexp(delta.x, delta.exponent + zoom) * scale,
+    sy: height * 0.5 - ldexp(delta.y, delta.exponent + zoom) * scale,
+  };
+}
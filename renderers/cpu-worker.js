@@ -1,17 +1,44 @@
-import { julia, FN_JULIA, FN_MANDELBROT } from "../math/julia.js";
+import {
+  BLA_STEP_SIZE,
+  CycleSearch,
+  distanceEstimate,
+  evaluateSeries,
+  findBlaStep,
+  GLITCH_TOLERANCE,
+  InteriorCheck,
+  julia,
+  juliaCycle,
+  juliaDistance,
+  isBurningShipFn,
+  isFormulaFn,
+  isJuliaFn,
+  isNewtonFn,
+  isTricornFn,
+  normalDirection,
+  perturbPow,
+  stepDerivative,
+} from "../math/julia.js";
+import { createFormulaKernel } from "../math/formula.js";
+import { newton } from "../math/newton.js";
 import { BigComplexPlane, COMPLEX_PLANE } from "../math/complex.js";
+import { ExpComplex, FLOAT64_MAX_ZOOM, ldexp } from "../math/floatexp.js";
+import { NO_ORBIT_TRAP_ID, OrbitTrapDistance } from "../math/orbit-trap.js";
+import {
+  NO_AVERAGE_COLORING_ID,
+  OrbitAverage,
+} from "../math/orbit-average.js";
 import {
+  ATOM_DOMAINS_INTERIOR_COLORING_ID,
   BLACK,
-  GRAY,
-  BLANK_PALETTE_ID,
-  ELECTRIC_PALETTE_ID,
-  electricColor,
-  RAINBOW_PALETTE_ID,
-  rainbowColor,
-  WIKIPEDIA_PALETTE_ID,
-  wikipediaColor,
-  ZEBRA_PALETTE_ID,
-  zebraColor,
+  decompositionColor,
+  distanceColor,
+  distanceShade,
+  equalizeEscape,
+  gradientColor,
+  interiorColor,
+  newtonColor,
+  NO_DECOMPOSITION_ID,
+  NO_INTERIOR_COLORING_ID,
 } from "../core/palette.js";
 
 const MIN_VARIANCE_SAMPLES = 4;
@@ -28,23 +55,44 @@ onmessage = function (e) {
       zoom,
       startY,
       endY,
-      paletteId,
+      gradient,
       paletteInterpolationId,
       maxSuperSamples,
       maxIter,
       functionId,
       param0,
       param0Exponent,
+      exponent,
+      roots,
+      formula,
+      distanceEstimation,
+      normalMap,
+      interiorColoringId,
+      orbitTrapId,
+      trapGeometry,
+      averageColoringId,
+      decompositionId,
       deep,
       orbit,
+      pixels,
+      detectGlitches,
+      histogram,
+      sampleEscapes,
     } = e.data;
 
-    // We’ll track totalIterations to estimate FLOPS
+    // We’ll track totalIterations to estimate FLOPS, and savedIterations for
+    // the ones skipped by the interior detection.
     let totalIterations = 0;
+    let savedIterations = 0;
 
-    // Only allocate enough space for the rows we handle
-    const rowsCount = endY - startY;
-    const imageDataArray = new Uint8ClampedArray(width * rowsCount * 4);
+    // Only allocate enough space for the rows we handle, or for the given
+    // pixels, indexed by y * width + x
+    const pixelCount = pixels ? pixels.length : width * (endY - startY);
+    const imageDataArray = new Uint8ClampedArray(pixelCount * 4);
+    // The histogram pass samples the escape velocity of each pixel, NaN when
+    // it glitched, instead of its color.
+    const escapes = sampleEscapes ? new Float32Array(pixelCount) : null;
+    let escape = NaN;
 
     const maxSamples = Math.max(
       1,
@@ -61,16 +109,51 @@ onmessage = function (e) {
         : new Float32Array(orbit.iters)
       : null;
     const orbitCount = usePerturbation ? orbit.count : 0;
+    // With the series approximation, the perturbed orbits start at iteration
+    // `skip`, from the perturbation and derivative given by the series.
+    const approximation =
+      usePerturbation && orbit.approximation?.skip > 0
+        ? orbit.approximation
+        : null;
+    const skip = approximation?.skip ?? 0;
+    const seriesDz = { x: 0, y: 0 };
+    const seriesDer = { x: 0, y: 0 };
+    // With the BLA table, the perturbed orbits jump the iterations of its steps
+    // while dz is small enough, and count the iterations they jumped.
+    const bla = usePerturbation && orbit.bla ? orbit.bla : null;
+    const blaStep = { level: 0 };
+    let jumped = 0;
+    // Pixels whose perturbed orbits glitch, to render with another reference
+    const useGlitches = usePerturbation && detectGlitches === true;
+    const glitchTolerance2 = GLITCH_TOLERANCE * GLITCH_TOLERANCE;
+    const glitches = [];
+    let glitched = false;
+    // Past the range of doubles, the perturbations run on extended-range
+    // floats, against the reference orbit kept in extended range.
+    const extended =
+      usePerturbation && zoom > FLOAT64_MAX_ZOOM && orbit.extended
+        ? orbit.extended
+        : null;
+    const zoomExponent = Math.ceil(zoom);
+    const pixelSize = new ExpComplex(
+      (4 / width) * 2 ** (zoomExponent - zoom),
+      0,
+      -zoomExponent
+    );
+    const pixelDelta = new ExpComplex();
+    const zeroExp = new ExpComplex();
 
     let plane = COMPLEX_PLANE;
     let centerp = null;
     let param0p = null;
+    let param0d = null;
     let z = null;
     let screenPos = null;
     let screenPosp = null;
     let halfResolution = null;
     let delta = null;
     let zero = null;
+    let pixelScale = null;
 
     if (!usePerturbation) {
       centerp = toComplex(center.x, center.y, centerExponent).const();
@@ -79,98 +162,618 @@ onmessage = function (e) {
         .complex()
         .project(toComplex(param0.x, param0.y, param0Exponent))
         .const();
+      param0d = COMPLEX_PLANE.complex().project(param0p);
       z = plane.complex();
       screenPos = COMPLEX_PLANE.complex();
       screenPosp = plane.complex();
       halfResolution = plane.constComplex(width / 2, height / 2);
       delta = plane.complex();
       zero = plane.constComplex(0, 0);
+      pixelScale = plane.pow2Scalar(-zoom);
+    }
+
+    const isJulia = isJuliaFn(functionId);
+    const isNewton = isNewtonFn(functionId);
+    // The derivative of z with respect to the pixel position gives both the
+    // distance and the normal of the normal map.
+    const useDerivative =
+      (distanceEstimation === true || normalMap === true) &&
+      !isNewton &&
+      !isFormulaFn(functionId);
+    const useDistance = distanceEstimation === true && useDerivative;
+    const useNormalMap = normalMap === true && useDerivative;
+    // With the normal map, the colors are not lit yet: the shading of each
+    // pixel, the x and y of its normal and its distance shade, lights them.
+    const shading =
+      useNormalMap && !sampleEscapes ? new Float32Array(pixelCount * 3) : null;
+    const der = COMPLEX_PLANE.complex();
+    let distance = 0;
+    // Direction of z / der at bailout, for the normal map
+    const normal = { x: 0, y: 0 };
+    // The shading of the last sample: its normal, 0 where it is not lit, and
+    // the distance shade of its color
+    const litNormal = { x: 0, y: 0 };
+    let litShade = 1;
+    const zd = COMPLEX_PLANE.complex();
+    const d = exponent ?? 2;
+    const logExponent = Math.log(d);
+    const isIntegerExponent = Number.isInteger(d);
+    const interior = new InteriorCheck(plane, scaleFactor, d);
+    // Interior points are iterated again to find their cycle, and with atom
+    // domains, escaping points to find their atom domain.
+    const useCycle =
+      interiorColoringId !== NO_INTERIOR_COLORING_ID &&
+      !isNewton &&
+      !isFormulaFn(functionId);
+    const atomDomains =
+      interiorColoringId === ATOM_DOMAINS_INTERIOR_COLORING_ID;
+    const cycle = new CycleSearch(d, functionId, scaleFactor);
+    // Distance of the orbits to the orbit trap
+    const trap =
+      (orbitTrapId ?? NO_ORBIT_TRAP_ID) !== NO_ORBIT_TRAP_ID && !isNewton
+        ? new OrbitTrapDistance(orbitTrapId, trapGeometry)
+        : null;
+    // Average of the average coloring along the orbits, and their last point
+    // for the decomposition
+    const useAverage =
+      (averageColoringId ?? NO_AVERAGE_COLORING_ID) !== NO_AVERAGE_COLORING_ID;
+    const useDecomposition =
+      (decompositionId ?? NO_DECOMPOSITION_ID) !== NO_DECOMPOSITION_ID;
+    const average =
+      (useAverage || useDecomposition) && !isNewton
+        ? new OrbitAverage(averageColoringId ?? NO_AVERAGE_COLORING_ID, d)
+        : null;
+    // The c of the perturbed orbits, for the averages: the Julia parameter, or
+    // z_1 = c of the reference orbit, close to the c of each pixel
+    const perturbC = COMPLEX_PLANE.complex();
+    if (average !== null && usePerturbation) {
+      if (isJulia) {
+        perturbC.project(toComplex(param0.x, param0.y, param0Exponent));
+      } else if (extended !== null) {
+        perturbC.x = ldexp(extended.mantissas[2], extended.exponents[1]);
+        perturbC.y = ldexp(extended.mantissas[3], extended.exponents[1]);
+      } else {
+        perturbC.x = orbitIters[2];
+        perturbC.y = orbitIters[3];
+      }
     }
 
     function smoothEscapeVelocity(iter, squareMod) {
-      return iter + 1 - Math.log(Math.log(squareMod)) / Math.LN2;
+      return iter + 1 - Math.log(Math.log(squareMod)) / logExponent;
+    }
+
+    // Perturbation of fold(z)^d, written into `perturbed`.
+    // - Burning Ship: the fold of z + dz is |z| + diffAbs(z, dz), per component.
+    // - Tricorn: conj is linear, so the fold of z + dz is conj(z) + conj(dz).
+    const burningShip = isBurningShipFn(functionId);
+    const tricorn = isTricornFn(functionId);
+    const perturbed = { x: 0, y: 0 };
+    function perturbFn(zx, zy, dzx, dzy) {
+      if (burningShip) {
+        perturbPow(
+          Math.abs(zx),
+          Math.abs(zy),
+          diffAbs(zx, dzx),
+          diffAbs(zy, dzy),
+          d,
+          perturbed
+        );
+      } else if (tricorn) {
+        perturbPow(zx, -zy, dzx, -dzy, d, perturbed);
+      } else {
+        perturbPow(zx, zy, dzx, dzy, d, perturbed);
+      }
+    }
+
+    // User-defined formulas have no perturbation, and run on doubles.
+    const formulaKernel = isFormulaFn(functionId)
+      ? createFormulaKernel(formula)
+      : null;
+    const formulaOut = { x: 0, y: 0 };
+    function juliaFormula(zx, zy, cx, cy) {
+      trap?.reset();
+      average?.resetNumbers(cx, cy);
+      for (let i = 0; i < maxIter; i++) {
+        formulaKernel(zx, zy, cx, cy, formulaOut);
+        zx = formulaOut.x;
+        zy = formulaOut.y;
+        trap?.stepNumbers(zx, zy);
+        average?.stepNumbers(zx, zy);
+
+        const squareMod = zx * zx + zy * zy;
+        if (squareMod > 128 * 128) {
+          return smoothEscapeVelocity(i, squareMod);
+        }
+      }
+      return maxIter;
     }
 
-    function juliaPerturb(dz0x, dz0y, dcx, dcy) {
+    // With useDerivative, the derivative is tracked on the full z + dz, and the
+    // distance and normal of escaping points are written into `distance` and
+    // `normal`. The orbit starts
+    // at iteration `start` from dz0, where the derivative is seriesDer when
+    // start > 0. Glitched orbits set `glitched`, and return the iteration they
+    // stopped at.
+    function juliaPerturb(dz0x, dz0y, dcx, dcy, start = 0) {
       let dzx = dz0x;
       let dzy = dz0y;
-      let zx = orbitIters[0];
-      let zy = orbitIters[1];
+      let zx = orbitIters[2 * start];
+      let zy = orbitIters[2 * start + 1];
       const limit = Math.min(maxIter, orbitCount - 1);
+      if (start > 0) {
+        der.x = seriesDer.x;
+        der.y = seriesDer.y;
+      } else {
+        der.x = isJulia ? scaleFactor : 0;
+        der.y = 0;
+      }
+      distance = 0;
+      jumped = 0;
+      interior.reset();
+      trap?.reset();
+      average?.resetNumbers(perturbC.x, perturbC.y);
 
-      for (let i = 0; i < limit; i++) {
-        const twozx = 2 * zx + dzx;
-        const twozy = 2 * zy + dzy;
-        const nx = twozx * dzx - twozy * dzy + dcx;
-        const ny = twozx * dzy + twozy * dzx + dcy;
-        dzx = nx;
-        dzy = ny;
+      for (let i = start; i < limit; i++) {
+        const index =
+          bla === null
+            ? -1
+            : findBlaStep(bla, i, dzx * dzx + dzy * dzy, blaStep);
+        if (index >= 0) {
+          // dz = A dz + B dc, and der = A der + B dc', over 2^level iterations
+          const table = bla.table;
+          const step = BLA_STEP_SIZE * index;
+          const ax = table[step];
+          const ay = table[step + 1];
+          const bx = table[step + 2];
+          const by = table[step + 3];
+          const x = ax * dzx - ay * dzy + bx * dcx - by * dcy;
+          dzy = ax * dzy + ay * dzx + bx * dcy + by * dcx;
+          dzx = x;
+          if (useDerivative) {
+            const derx = ax * der.x - ay * der.y + bx * scaleFactor;
+            der.y = ax * der.y + ay * der.x + by * scaleFactor;
+            der.x = derx;
+          }
+          // |A|² without the multiplier at z_i, the A of the step of level 0
+          const a0x = table[BLA_STEP_SIZE * i];
+          const a0y = table[BLA_STEP_SIZE * i + 1];
+          interior.jump((ax * ax + ay * ay) / (a0x * a0x + a0y * a0y));
+          const length = 1 << blaStep.level;
+          i += length - 1;
+          jumped += length - 1;
+        } else {
+          if (useDerivative) {
+            stepDerivative(zx + dzx, zy + dzy, der, d, functionId, scaleFactor);
+          }
+          perturbFn(zx, zy, dzx, dzy);
+          dzx = perturbed.x + dcx;
+          dzy = perturbed.y + dcy;
+        }
 
         const zi = (i + 1) * 2;
         zx = orbitIters[zi];
         zy = orbitIters[zi + 1];
+        // The reference escaped before the pixel.
+        if (useGlitches && Number.isNaN(zx)) {
+          glitched = true;
+          return i;
+        }
 
         const wx = zx + dzx;
         const wy = zy + dzy;
+        trap?.stepNumbers(wx, wy);
+        average?.stepNumbers(wx, wy);
         const squareMod = wx * wx + wy * wy;
         if (squareMod > 128 * 128) {
+          if (useDistance) {
+            distance = distanceEstimate(squareMod, der);
+          }
+          if (useNormalMap) {
+            normalDirection(wx, wy, der, normal);
+          }
           return smoothEscapeVelocity(i, squareMod);
         }
+        if (useGlitches && squareMod < glitchTolerance2 * (zx * zx + zy * zy)) {
+          glitched = true;
+          return i;
+        }
+        if (interior.check(i, squareMod)) {
+          return maxIter;
+        }
       }
       return maxIter;
     }
 
+    // Perturbation of fold(z)^d on extended-range floats, with z = ez and
+    // dz = edz, written into edz. Like perturbPow(), integer exponents use
+    // a^d - b^d = (a - b) * Σ a^k b^(d-1-k), on the mantissas of a and b
+    // aligned on their largest exponent, and real exponents use
+    // z^d * ((1 + w)^d - 1) with w = dz/z.
+    const ez = new ExpComplex();
+    const edz = new ExpComplex();
+    const ew = new ExpComplex();
+    const efz = new ExpComplex();
+    const efdz = new ExpComplex();
+    const ea = new ExpComplex();
+    const eb = new ExpComplex();
+    const eder = new ExpComplex();
+    function perturbFnExtended() {
+      efz.set(ez);
+      efdz.set(edz);
+      if (burningShip) {
+        const shift = ez.exponent - edz.exponent;
+        efz.x = Math.abs(ez.x);
+        efz.y = Math.abs(ez.y);
+        efdz.x = diffAbs(ldexp(ez.x, shift), edz.x);
+        efdz.y = diffAbs(ldexp(ez.y, shift), edz.y);
+        efdz.normalize();
+      } else if (tricorn) {
+        efz.y = -efz.y;
+        efdz.y = -efdz.y;
+      }
+      ea.set(efz).add(efdz);
+      if (!isIntegerExponent) {
+        // Past the branch cut of z^d, or for |dz| >= |z|, the direct
+        // difference has no cancellation.
+        if (
+          (efz.x !== 0 || efz.y !== 0) &&
+          (ea.x >= 0 || ea.y < 0 === efz.y < 0) &&
+          ew.set(efdz).div(efz).squareMod() < 1
+        ) {
+          if (ew.exponent < -60) {
+            // (1 + w)^d - 1 = d w, within the precision of doubles
+            ew.mulNumbers(d, 0);
+          } else {
+            const w = ew.toComplex(COMPLEX_PLANE.complex()).powm1(d);
+            ew.setNumbers(w.x, w.y);
+          }
+          edz.set(efz).pow(d).mul(ew);
+          return;
+        }
+        eb.set(efz).pow(d);
+        eb.x = -eb.x;
+        eb.y = -eb.y;
+        edz.set(ea.pow(d)).add(eb);
+        return;
+      }
+      const e = Math.max(ea.exponent, efz.exponent);
+      const ax = ea.x * 2 ** (ea.exponent - e);
+      const ay = ea.y * 2 ** (ea.exponent - e);
+      const zx = efz.x * 2 ** (efz.exponent - e);
+      const zy = efz.y * 2 ** (efz.exponent - e);
+      // S_m = a * S_(m-1) + b^m, with S_0 = 1
+      let sx = 1;
+      let sy = 0;
+      let bx = 1;
+      let by = 0;
+      for (let m = 1; m < d; m++) {
+        const nbx = bx * zx - by * zy;
+        by = bx * zy + by * zx;
+        bx = nbx;
+        const nsx = sx * ax - sy * ay + bx;
+        sy = sx * ay + sy * ax + by;
+        sx = nsx;
+      }
+      edz.set(efdz);
+      edz.exponent += e * (d - 1);
+      edz.mulNumbers(sx, sy);
+    }
+
+    // Like stepDerivative(), for the derivative eder on extended-range floats.
+    // The full orbit z + dz is in the range of doubles.
+    const wd = { x: 0, y: 0 };
+    function stepDerivativeExtended() {
+      ew.set(ez).add(edz).toComplex(wd);
+      let fx = wd.x;
+      let fy = wd.y;
+      if (burningShip) {
+        fx = Math.abs(fx);
+        fy = Math.abs(fy);
+        eder.x = wd.x < 0 ? -eder.x : eder.x;
+        eder.y = wd.y < 0 ? -eder.y : eder.y;
+      } else if (tricorn) {
+        fy = -fy;
+        eder.y = -eder.y;
+      }
+      const p = COMPLEX_PLANE.complex(fx, fy).pow(d - 1);
+      eder.mulNumbers(d * p.x, d * p.y);
+      if (!isJulia) {
+        eder.add(pixelSize);
+      }
+    }
+
+    // Like juliaPerturb(), on extended-range floats, from dz0 and dc given as
+    // ExpComplex. The series approximation is off at these zooms.
+    function juliaPerturbExtended(dz0, dc) {
+      const mantissas = extended.mantissas;
+      const exponents = extended.exponents;
+      edz.set(dz0);
+      ez.setNumbers(mantissas[0], mantissas[1], exponents[0]);
+      const limit = Math.min(maxIter, orbitCount - 1);
+      eder.set(isJulia ? pixelSize : zeroExp);
+      distance = 0;
+      jumped = 0;
+      interior.reset();
+      trap?.reset();
+      average?.resetNumbers(perturbC.x, perturbC.y);
+
+      for (let i = 0; i < limit; i++) {
+        const index =
+          bla === null ? -1 : findBlaStep(bla, i, edz.squareMod(), blaStep);
+        if (index >= 0) {
+          // dz = A dz + B dc, and der = A der + B dc', over 2^level iterations
+          const table = bla.table;
+          const step = BLA_STEP_SIZE * index;
+          const ax = table[step];
+          const ay = table[step + 1];
+          const bx = table[step + 2];
+          const by = table[step + 3];
+          ea.set(edz).mulNumbers(ax, ay);
+          edz.set(dc).mulNumbers(bx, by).add(ea);
+          if (useDerivative) {
+            ea.set(eder).mulNumbers(ax, ay);
+            eder.set(pixelSize).mulNumbers(bx, by).add(ea);
+          }
+          const a0x = table[BLA_STEP_SIZE * i];
+          const a0y = table[BLA_STEP_SIZE * i + 1];
+          interior.jump((ax * ax + ay * ay) / (a0x * a0x + a0y * a0y));
+          const length = 1 << blaStep.level;
+          i += length - 1;
+          jumped += length - 1;
+        } else {
+          if (useDerivative) {
+            stepDerivativeExtended();
+          }
+          perturbFnExtended();
+          edz.add(dc);
+        }
+
+        const zi = (i + 1) * 2;
+        if (useGlitches && Number.isNaN(mantissas[zi])) {
+          glitched = true;
+          return i;
+        }
+        ez.setNumbers(mantissas[zi], mantissas[zi + 1], exponents[i + 1]);
+
+        ew.set(ez).add(edz);
+        trap?.stepNumbers(
+          ldexp(ew.x, ew.exponent),
+          ldexp(ew.y, ew.exponent)
+        );
+        average?.stepNumbers(
+          ldexp(ew.x, ew.exponent),
+          ldexp(ew.y, ew.exponent)
+        );
+        const squareMod = ew.squareMod();
+        if (squareMod > 128 * 128) {
+          if (useDistance) {
+            distance = ldexp(
+              distanceEstimate(squareMod, eder),
+              -eder.exponent
+            );
+          }
+          // The direction needs only the mantissas.
+          if (useNormalMap) {
+            normalDirection(ew.x, ew.y, eder, normal);
+          }
+          return smoothEscapeVelocity(i, squareMod);
+        }
+        // |w|² < τ² |z|², on the mantissas, as both can underflow
+        if (
+          useGlitches &&
+          ldexp(ew.x * ew.x + ew.y * ew.y, 2 * (ew.exponent - ez.exponent)) <
+            glitchTolerance2 * (ez.x * ez.x + ez.y * ez.y)
+        ) {
+          glitched = true;
+          return i;
+        }
+        if (interior.check(i, squareMod)) {
+          return maxIter;
+        }
+      }
+      return maxIter;
+    }
+
+    // Like juliaPerturb(), searching for the cycle of the full orbit z + dz.
+    function juliaPerturbCycle(dz0x, dz0y, dcx, dcy) {
+      let dzx = dz0x;
+      let dzy = dz0y;
+      let zx = orbitIters[0];
+      let zy = orbitIters[1];
+      const limit = Math.min(maxIter, orbitCount - 1);
+      cycle.reset(zx + dzx, zy + dzy);
+
+      for (let i = 0; i < limit; i++) {
+        cycle.step(zx + dzx, zy + dzy);
+        perturbFn(zx, zy, dzx, dzy);
+        dzx = perturbed.x + dcx;
+        dzy = perturbed.y + dcy;
+
+        const zi = (i + 1) * 2;
+        zx = orbitIters[zi];
+        zy = orbitIters[zi + 1];
+        if (cycle.check(i, zx + dzx, zy + dzy)) {
+          break;
+        }
+      }
+      return cycle;
+    }
+
+    // Count the iterations run from start, but the jumped ones, and the ones
+    // saved by the interior detection.
+    function countIterations(escapeVelocity, start = 0) {
+      if (interior.iter >= 0) {
+        totalIterations += interior.iter - start - jumped;
+        savedIterations += maxIter - interior.iter;
+      } else {
+        // Orbits escaping right after start can get a smaller escape velocity.
+        totalIterations += Math.max(
+          Math.floor(escapeVelocity) - start - jumped,
+          0
+        );
+      }
+    }
+
+    function shade(color) {
+      if (!useDistance) {
+        return color;
+      }
+      litShade = distanceShade(distance);
+      return distanceColor(color, distance);
+    }
+
+    // The normal map lights the escaped points, after the distance shading.
+    function shadeExterior(escapeVelocity, color) {
+      if (useNormalMap && escapeVelocity < maxIter) {
+        litNormal.x = normal.x;
+        litNormal.y = normal.y;
+      }
+      return shade(color);
+    }
+
+    function needsCycle(escapeVelocity) {
+      return useCycle && (escapeVelocity === maxIter || atomDomains);
+    }
+
+    function shadeCycle() {
+      totalIterations += cycle.iter;
+      const color = interiorColor(interiorColoringId, cycle);
+      return cycle.escaped ? shade(color) : color;
+    }
+
     function renderOne(px, py) {
+      litNormal.x = 0;
+      litNormal.y = 0;
+      litShade = 1;
       if (usePerturbation) {
-        const dx = (px - orbit.sx) * scaleFactor;
-        const dy = (py - orbit.sy) * -scaleFactor;
+        // Offset from the reference, in pixels
+        const qx = px - orbit.sx;
+        const qy = orbit.sy - py;
+        const dx = qx * scaleFactor;
+        const dy = qy * scaleFactor;
         let escapeVelocity;
-        switch (functionId) {
-          case FN_JULIA:
-            escapeVelocity = juliaPerturb(dx, dy, 0, 0);
-            break;
-          case FN_MANDELBROT:
-          default:
-            escapeVelocity = juliaPerturb(0, 0, dx, dy);
-            break;
+        if (extended !== null) {
+          pixelDelta.set(pixelSize).mulNumbers(qx, qy);
+          escapeVelocity = isJulia
+            ? juliaPerturbExtended(pixelDelta, zeroExp)
+            : juliaPerturbExtended(zeroExp, pixelDelta);
+        } else if (approximation !== null) {
+          evaluateSeries(
+            approximation.coefficients,
+            qx,
+            qy,
+            seriesDz,
+            seriesDer
+          );
+          escapeVelocity = isJulia
+            ? juliaPerturb(seriesDz.x, seriesDz.y, 0, 0, skip)
+            : juliaPerturb(seriesDz.x, seriesDz.y, dx, dy, skip);
+        } else {
+          escapeVelocity = isJulia
+            ? juliaPerturb(dx, dy, 0, 0)
+            : juliaPerturb(0, 0, dx, dy);
         }
-        totalIterations += Math.floor(escapeVelocity);
-        return getColor(
-          escapeVelocity,
-          maxIter,
-          paletteId,
-          paletteInterpolationId
-        );
+        countIterations(escapeVelocity, skip);
+        escape = escapeVelocity;
+        if (glitched || escapes !== null) {
+          return BLACK;
+        }
+        if (needsCycle(escapeVelocity)) {
+          if (isJulia) {
+            juliaPerturbCycle(dx, dy, 0, 0);
+          } else {
+            juliaPerturbCycle(0, 0, dx, dy);
+          }
+          return shadeCycle();
+        }
+        return shadeExterior(escapeVelocity, exteriorColor(escapeVelocity));
       }
 
       screenPos.x = px;
       screenPos.y = py;
       // Map screenPos -> complex plane; z = center + (screenPos - 0.5 * resolution) * scaleFactor
+      // The scale is applied on the plane, as scaleFactor underflows at deep
+      // zoom.
       delta
         .set(screenPosp.project(screenPos))
         .sub(halfResolution)
-        .mulScalar(scaleFactor, -scaleFactor);
+        .mulScalar(4 / width, -4 / width)
+        .mulScalar(pixelScale);
       z.set(centerp).add(delta);
 
+      if (isNewton) {
+        // Newton converges quickly and needs no more than double precision.
+        zd.project(z);
+        const { root, iter } = newton(zd.x, zd.y, roots, maxIter);
+        totalIterations += Math.floor(iter);
+        return newtonColor(root, roots.length, iter);
+      }
+
       let escapeVelocity;
-      switch (functionId) {
-        case FN_JULIA:
-          escapeVelocity = julia(z, param0p, maxIter);
-          break;
-        case FN_MANDELBROT:
-        default:
-          escapeVelocity = julia(zero, z, maxIter);
-          break;
+      if (formulaKernel) {
+        // Formulas iterate from z0 = c, as they may be undefined at 0.
+        zd.project(z);
+        escapeVelocity = isJulia
+          ? juliaFormula(zd.x, zd.y, param0d.x, param0d.y)
+          : juliaFormula(zd.x, zd.y, zd.x, zd.y);
+      } else if (useDerivative) {
+        const result = isJulia
+          ? juliaDistance(
+              z,
+              param0p,
+              maxIter,
+              d,
+              functionId,
+              scaleFactor,
+              interior,
+              trap,
+              average
+            )
+          : juliaDistance(
+              zero,
+              z,
+              maxIter,
+              d,
+              functionId,
+              scaleFactor,
+              interior,
+              trap,
+              average
+            );
+        escapeVelocity = result.escapeVelocity;
+        distance = result.distance;
+        normal.x = result.normal.x;
+        normal.y = result.normal.y;
+      } else {
+        escapeVelocity = isJulia
+          ? julia(
+              z,
+              param0p,
+              maxIter,
+              d,
+              functionId,
+              interior,
+              trap,
+              average
+            )
+          : julia(zero, z, maxIter, d, functionId, interior, trap, average);
       }
 
-      totalIterations += Math.floor(escapeVelocity);
+      countIterations(escapeVelocity);
+      escape = escapeVelocity;
+      if (escapes !== null) {
+        return BLACK;
+      }
+      if (needsCycle(escapeVelocity)) {
+        if (isJulia) {
+          juliaCycle(z, param0p, maxIter, d, functionId, cycle);
+        } else {
+          juliaCycle(zero, z, maxIter, d, functionId, cycle);
+        }
+        return shadeCycle();
+      }
 
-      return getColor(
-        escapeVelocity,
-        maxIter,
-        paletteId,
-        paletteInterpolationId
-      );
+      return shadeExterior(escapeVelocity, exteriorColor(escapeVelocity));
     }
 
     function renderSuperSample(px, py, maxSamplesLocal) {
@@ -181,6 +784,9 @@ onmessage = function (e) {
       let m2G = 0;
       let m2B = 0;
       let sampleCount = 0;
+      let normalX = 0;
+      let normalY = 0;
+      let shadeSum = 0;
 
       const minVarianceSamples = Math.min(
         maxSamplesLocal,
@@ -191,6 +797,9 @@ onmessage = function (e) {
         const jitterX = Math.random() - 0.5;
         const jitterY = Math.random() - 0.5;
         const sample = renderOne(px + jitterX, py + jitterY);
+        if (glitched) {
+          return sample;
+        }
         const sr = sample.r / 255;
         const sg = sample.g / 255;
         const sb = sample.b / 255;
@@ -208,6 +817,9 @@ onmessage = function (e) {
         m2R += deltaR * delta2R;
         m2G += deltaG * delta2G;
         m2B += deltaB * delta2B;
+        normalX += litNormal.x;
+        normalY += litNormal.y;
+        shadeSum += litShade;
 
         if (sampleCount >= minVarianceSamples) {
           const denom = Math.max(sampleCount - 1, 1);
@@ -221,6 +833,9 @@ onmessage = function (e) {
         }
       }
 
+      litNormal.x = normalX / sampleCount;
+      litNormal.y = normalY / sampleCount;
+      litShade = shadeSum / sampleCount;
       return {
         r: Math.min(255, Math.max(0, Math.round(meanR * 255))),
         g: Math.min(255, Math.max(0, Math.round(meanG * 255))),
@@ -228,30 +843,111 @@ onmessage = function (e) {
       };
     }
 
-    for (let py = startY; py < endY; py++) {
-      for (let px = 0; px < width; px++) {
-        const rowOffset = py - startY;
-        const idx = (rowOffset * width + px) * 4;
-        const color =
-          maxSamples === 1
-            ? renderOne(px, py)
-            : renderSuperSample(px, py, maxSamples);
-        imageDataArray[idx + 0] = color.r;
-        imageDataArray[idx + 1] = color.g;
-        imageDataArray[idx + 2] = color.b;
-        imageDataArray[idx + 3] = 255;
+    function getColor(escapeVelocity) {
+      return escapeColor(
+        escapeVelocity,
+        maxIter,
+        gradient,
+        paletteInterpolationId,
+        histogram ?? null
+      );
+    }
+
+    // The color of the point by its distance to the orbit trap or, when it
+    // escaped, by the average of its orbit. Null when it keeps its escape
+    // color.
+    function orbitColor(escapeVelocity) {
+      let velocity = trap === null ? -1 : trap.velocity();
+      if (velocity < 0 && average !== null && escapeVelocity < maxIter) {
+        velocity = average.velocity();
+      }
+      if (velocity < 0) {
+        return null;
       }
+      return escapeColor(
+        velocity,
+        Infinity,
+        gradient,
+        paletteInterpolationId,
+        null
+      );
     }
 
-    // Return partial image plus iteration/time info
+    // The color of the point by its orbit trap, its average or its escape
+    // velocity, split by the decomposition when it escaped
+    function exteriorColor(escapeVelocity) {
+      const color = orbitColor(escapeVelocity) ?? getColor(escapeVelocity);
+      if (!useDecomposition || average === null || escapeVelocity >= maxIter) {
+        return color;
+      }
+      return decompositionColor(decompositionId, color, average.x1, average.y1);
+    }
+
+    function samplePixel(px, py, k) {
+      glitched = false;
+      escape = NaN;
+      renderOne(px, py);
+      escapes[k] = glitched ? NaN : escape;
+    }
+
+    function renderPixel(px, py, idx) {
+      glitched = false;
+      const color =
+        maxSamples === 1
+          ? renderOne(px, py)
+          : renderSuperSample(px, py, maxSamples);
+      imageDataArray[idx + 0] = color.r;
+      imageDataArray[idx + 1] = color.g;
+      imageDataArray[idx + 2] = color.b;
+      imageDataArray[idx + 3] = 255;
+      if (shading !== null) {
+        const j = (idx / 4) * 3;
+        shading[j] = litNormal.x;
+        shading[j + 1] = litNormal.y;
+        shading[j + 2] = litShade;
+      }
+      if (glitched) {
+        glitches.push(py * width + px);
+      }
+    }
+
+    if (escapes !== null) {
+      for (let k = 0; k < pixels.length; k++) {
+        samplePixel(pixels[k] % width, Math.floor(pixels[k] / width), k);
+      }
+    } else if (pixels) {
+      for (let k = 0; k < pixels.length; k++) {
+        renderPixel(pixels[k] % width, Math.floor(pixels[k] / width), k * 4);
+      }
+    } else {
+      for (let py = startY; py < endY; py++) {
+        for (let px = 0; px < width; px++) {
+          const rowOffset = py - startY;
+          renderPixel(px, py, (rowOffset * width + px) * 4);
+        }
+      }
+    }
+
+    // Return partial image plus iteration/time info, its shading and the
+    // glitched pixels, or the escape velocities of the histogram pass
+    const glitchArray = Uint32Array.from(glitches);
     postMessage(
       {
         startY,
         endY,
         imageDataArray,
+        shading,
         totalIterations,
+        savedIterations,
+        glitches: glitchArray,
+        escapes,
       },
-      [imageDataArray.buffer]
+      [
+        imageDataArray.buffer,
+        shading?.buffer,
+        glitchArray.buffer,
+        escapes?.buffer,
+      ].filter(Boolean)
     );
   } catch (err) {
     console.error("Error", err);
@@ -259,28 +955,33 @@ onmessage = function (e) {
   }
 };
 
-function getColor(escapeVelocity, maxIter, paletteId, paletteInterpolationId) {
+function escapeColor(
+  escapeVelocity,
+  maxIter,
+  gradient,
+  paletteInterpolationId,
+  histogram
+) {
   if (escapeVelocity == maxIter) {
     return BLACK;
   }
-  switch (paletteId) {
-    case BLANK_PALETTE_ID: {
-      return GRAY;
-    }
-    case ELECTRIC_PALETTE_ID: {
-      return electricColor(escapeVelocity / 100, paletteInterpolationId);
-    }
-    case RAINBOW_PALETTE_ID: {
-      return rainbowColor(escapeVelocity / 150, paletteInterpolationId);
-    }
-    case ZEBRA_PALETTE_ID: {
-      return zebraColor(escapeVelocity / 5);
-    }
-    case WIKIPEDIA_PALETTE_ID:
-    default: {
-      return wikipediaColor(escapeVelocity / 150, paletteInterpolationId);
-    }
+  if (histogram !== null) {
+    escapeVelocity = equalizeEscape(histogram, escapeVelocity);
+  }
+  return gradientColor(
+    gradient,
+    escapeVelocity / gradient.period,
+    paletteInterpolationId
+  );
+}
+
+// Compute |c + d| - |c| without cancellation when c + d and c have the same sign.
+function diffAbs(c, d) {
+  const cd = c + d;
+  if (c >= 0) {
+    return cd >= 0 ? d : -d - 2 * c;
   }
+  return cd > 0 ? d + 2 * c : -d;
 }
 
 function toComplex(x, y, exponent) {
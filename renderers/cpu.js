@@ -1,10 +1,38 @@
-import { getPaletteId, getPaletteInterpolationId } from "../core/palette.js";
+import {
+  escapeHistogram,
+  getDecompositionId,
+  getGradient,
+  getGradientInterpolationId,
+  getInteriorColoringId,
+  HISTOGRAM_STRIDE,
+} from "../core/palette.js";
+import { LightingModel } from "../core/lighting.js";
 import { COMPLEX_PLANE } from "../math/complex.js";
-import { FN_JULIA, FN_MANDELBROT, Orbit } from "../math/julia.js";
+import {
+  DENSITY_SAMPLES_PER_PIXEL,
+  getDensityLimits,
+  toneMapDensity,
+} from "../math/density.js";
+import {
+  hasDensity,
+  isNewtonFn,
+  MAX_REFERENCES,
+  Orbit,
+} from "../math/julia.js";
+import { getAverageColoringId } from "../math/orbit-average.js";
+import { getOrbitTrapId } from "../math/orbit-trap.js";
+import { ReferenceSearch } from "../math/reference.js";
 import { getCpuCount } from "./capabilities.js";
-import { RenderResults, Renderer, RenderingEngine } from "./renderer.js";
+import {
+  RenderMode,
+  RenderResults,
+  Renderer,
+  RenderingEngine,
+} from "./renderer.js";
 
 const DEFAULT_MAX_SUPER_SAMPLES = 64;
+// Number of orbits sampled by all the workers, per density render
+const DENSITY_BATCH_SAMPLES = 1 << 16;
 
 function getOrbitCount(iters) {
   return iters ? iters.length / 2 : 0;
@@ -26,10 +54,16 @@ export class CpuRenderer extends Renderer {
     this.orbitWorker = null;
     this.nextOrbitRequestId = 1;
     this.pendingOrbitRequests = new Map();
+    this.referenceSearch = new ReferenceSearch();
     this.offscreenCanvas = document.createElement("canvas");
     this.offscreenCanvas.width = canvas.width;
     this.offscreenCanvas.height = canvas.height;
     this.offscreenCtx = this.offscreenCanvas.getContext("2d");
+    // Histogram accumulated by the density renders of the same view
+    this.density = null;
+    // The colors of the last frame before the lighting, its shading when it
+    // is lit, and the lit image
+    this.frame = null;
 
     this.#initOrbitWorker();
   }
@@ -98,9 +132,13 @@ export class CpuRenderer extends Renderer {
     };
   }
 
-  async #computeOrbit(map, w, h, maxIter, options) {
+  /**
+   * Compute the reference orbit of the viewport, or the one of the pixels
+   * that glitched {glitches, offset}.
+   */
+  async #computeOrbit(map, w, h, maxIter, options, glitched = null) {
     if (!this.orbitWorker) {
-      return this.#computeOrbitSync(map, w, h, maxIter, options);
+      return this.#computeOrbitSync(map, w, h, maxIter, options, glitched);
     }
 
     const mapPlane = map.plane ?? COMPLEX_PLANE;
@@ -116,6 +154,11 @@ export class CpuRenderer extends Renderer {
       maxIter,
       fnId: options.fn.id,
       fnParam0: this.#serializeComplex(options.fn.param0),
+      fnExponent: options.fn.exponent,
+      bla: options.bla,
+      persistOrbits: options.persistOrbits,
+      glitches: glitched?.glitches,
+      glitchOffset: glitched?.offset,
     };
 
     return new Promise((resolve, reject) => {
@@ -126,19 +169,34 @@ export class CpuRenderer extends Renderer {
         "[orbit worker] falling back to main thread computation",
         err
       );
-      return this.#computeOrbitSync(map, w, h, maxIter, options);
+      return this.#computeOrbitSync(map, w, h, maxIter, options, glitched);
     });
   }
 
-  #computeOrbitSync(map, w, h, maxIter, options) {
-    switch (options.fn.id) {
-      case FN_MANDELBROT:
-        return Orbit.searchForMandelbrot(map, w, h, maxIter);
-      case FN_JULIA:
-        return Orbit.searchForJulia(map, w, h, maxIter, options.fn.param0);
-      default:
-        return null;
+  async #computeOrbitSync(map, w, h, maxIter, options, glitched) {
+    if (glitched) {
+      return Orbit.searchForGlitches(
+        map,
+        w,
+        h,
+        maxIter,
+        options.fn,
+        glitched.glitches,
+        options.bla,
+        glitched.offset
+      );
+    }
+    if (options.persistOrbits) {
+      await this.referenceSearch.cache.persist();
     }
+    return this.referenceSearch.search(
+      map,
+      w,
+      h,
+      maxIter,
+      options.fn,
+      options.bla
+    );
   }
 
   async render(map, options) {
@@ -172,106 +230,402 @@ export class CpuRenderer extends Renderer {
   async #renderInternal({ map, center, zoom, options }) {
     this.terminateWorkers();
 
-    const scale = 1;
+    if (
+      options.renderMode !== RenderMode.ESCAPE &&
+      hasDensity(options.fn.id)
+    ) {
+      this.frame = null;
+      return this.#renderDensity({ center, zoom, options });
+    }
+
     const w = this.canvas.width;
     const h = this.canvas.height;
 
     const finalImageData = this.offscreenCtx.createImageData(w, h);
-    let finishedWorkers = 0;
+    const useNormalMap = options.normalMap !== false;
+    this.frame = {
+      colors: finalImageData,
+      shading: useNormalMap ? new Float32Array(w * h * 3) : null,
+      image: useNormalMap ? this.offscreenCtx.createImageData(w, h) : null,
+    };
+    const frame = this.frame;
     let totalIterations = 0;
+    let savedIterations = 0;
 
     const chunkHeight = Math.ceil(h / this.cpuCount);
     let orbit = null;
-    let orbitCount = 0;
     if (options.deep) {
       orbit = await this.#computeOrbit(map, w, h, options.maxIter, options);
-      orbitCount = getOrbitCount(orbit?.iters);
     }
+    const skippedIterations = orbit?.approximation?.skip ?? 0;
+
+    const maxSuperSamples = Math.max(
+      1,
+      Math.floor(options.maxSuperSamples ?? DEFAULT_MAX_SUPER_SAMPLES)
+    );
+    const gradient = getGradient(options.palette, options.gradient);
+    const workerData = {
+      width: w,
+      height: h,
+      center,
+      centerExponent: center.plane?.exponent,
+      zoom,
+      maxIter: options.maxIter,
+      gradient,
+      paletteInterpolationId: getGradientInterpolationId(
+        gradient,
+        options.paletteInterpolation
+      ),
+      maxSuperSamples,
+      functionId: options.fn.id,
+      param0: options.fn.param0,
+      param0Exponent: options.fn.param0.plane?.exponent,
+      exponent: options.fn.exponent,
+      roots: options.fn.roots,
+      formula: options.fn.formula,
+      distanceEstimation: options.distanceEstimation === true,
+      normalMap: options.normalMap !== false,
+      interiorColoringId: getInteriorColoringId(options.interiorColoring),
+      orbitTrapId: getOrbitTrapId(options.orbitTrap),
+      trapGeometry: options.trapGeometry,
+      averageColoringId: getAverageColoringId(options.averageColoring),
+      decompositionId: getDecompositionId(options.decomposition),
+      deep: options.deep === true,
+    };
 
-    return await new Promise((resolve) => {
+    // The histogram coloring first samples the escape velocities of the frame.
+    if (options.histogram === true && !isNewtonFn(options.fn.id)) {
+      const sampled = await this.#sampleHistogram(workerData, orbit);
+      workerData.histogram = sampled.histogram;
+      totalIterations += sampled.totalIterations;
+      savedIterations += sampled.savedIterations;
+    }
+
+    // The first reference renders every row, and each next one the pixels
+    // that glitched with the previous one, until none glitches. The last
+    // reference keeps its glitches.
+    let pixels = null;
+    let references = 0;
+    for (;;) {
+      const chunks = [];
       for (let i = 0; i < this.cpuCount; i++) {
-        const startY = i * chunkHeight;
-        const endY = Math.min(startY + chunkHeight, h);
-        if (startY >= endY) {
-          break;
+        if (pixels) {
+          const chunkSize = Math.ceil(pixels.length / this.cpuCount);
+          const chunk = pixels.slice(i * chunkSize, (i + 1) * chunkSize);
+          if (chunk.length > 0) {
+            chunks.push({ pixels: chunk });
+          }
+        } else {
+          const startY = i * chunkHeight;
+          const endY = Math.min(startY + chunkHeight, h);
+          if (startY < endY) {
+            chunks.push({ startY, endY });
+          }
+        }
+      }
+      if (orbit) {
+        references++;
+      }
+      const detectGlitches = references < MAX_REFERENCES;
+      const orbitData = this.#orbitData(orbit);
+      const results = await Promise.all(
+        chunks.map((chunk) =>
+          this.#runRenderWorker({
+            ...workerData,
+            ...chunk,
+            orbit: orbitData,
+            detectGlitches,
+          })
+        )
+      );
+      this.currentWorkers = [];
+
+      let glitchCount = 0;
+      results.forEach((result, i) => {
+        const chunkPixels = chunks[i].pixels;
+        if (chunkPixels) {
+          chunkPixels.forEach((pixel, k) => {
+            finalImageData.data.set(
+              result.imageDataArray.subarray(4 * k, 4 * k + 4),
+              4 * pixel
+            );
+            if (result.shading) {
+              frame.shading.set(
+                result.shading.subarray(3 * k, 3 * k + 3),
+                3 * pixel
+              );
+            }
+          });
+        } else {
+          finalImageData.data.set(result.imageDataArray, result.startY * w * 4);
+          if (result.shading) {
+            frame.shading.set(result.shading, result.startY * w * 3);
+          }
         }
+        totalIterations += result.totalIterations;
+        savedIterations += result.savedIterations;
+        glitchCount += result.glitches.length;
+      });
+      this.#drawFrame(options.lighting);
+
+      if (glitchCount === 0 || !detectGlitches) {
+        break;
+      }
+      pixels = new Uint32Array(glitchCount);
+      let offset = 0;
+      for (const { glitches } of results) {
+        pixels.set(glitches, offset);
+        offset += glitches.length;
+      }
+      orbit = await this.#computeOrbit(map, w, h, options.maxIter, options, {
+        glitches: pixels,
+        offset: 0,
+      });
+    }
+
+    const flops = totalIterations * 6;
+    const savedFlops = savedIterations * 6;
+    return new RenderResults(
+      this.id(),
+      options,
+      flops,
+      false,
+      savedFlops,
+      skippedIterations,
+      references
+    );
+  }
+
+  #orbitData(orbit) {
+    return orbit
+      ? {
+          sx: orbit.sx,
+          sy: orbit.sy,
+          iters: orbit.iters,
+          extended: orbit.extended ?? null,
+          count: getOrbitCount(orbit.iters),
+          approximation: orbit.approximation ?? null,
+          bla: orbit.bla ?? null,
+        }
+      : null;
+  }
+
+  /**
+   * The histogram of the escape velocities of the frame, for the histogram
+   * coloring, from a pixel every HISTOGRAM_STRIDE sampled by the workers. The
+   * samples that glitch with the reference are left out.
+   */
+  async #sampleHistogram(workerData, orbit) {
+    const { width: w, height: h, maxIter } = workerData;
+    const samples = [];
+    for (let y = HISTOGRAM_STRIDE >> 1; y < h; y += HISTOGRAM_STRIDE) {
+      for (let x = HISTOGRAM_STRIDE >> 1; x < w; x += HISTOGRAM_STRIDE) {
+        samples.push(y * w + x);
+      }
+    }
+    const pixels = Uint32Array.from(samples);
+    const chunkSize = Math.ceil(pixels.length / this.cpuCount);
+    const chunks = [];
+    for (let i = 0; i < this.cpuCount; i++) {
+      const chunk = pixels.slice(i * chunkSize, (i + 1) * chunkSize);
+      if (chunk.length > 0) {
+        chunks.push(chunk);
+      }
+    }
+    const orbitData = this.#orbitData(orbit);
+    const results = await Promise.all(
+      chunks.map((chunk) =>
+        this.#runRenderWorker({
+          ...workerData,
+          pixels: chunk,
+          maxSuperSamples: 1,
+          orbit: orbitData,
+          detectGlitches: orbit !== null,
+          sampleEscapes: true,
+        })
+      )
+    );
+    this.currentWorkers = [];
 
-        const maxSuperSamples = Math.max(
-          1,
-          Math.floor(options.maxSuperSamples ?? DEFAULT_MAX_SUPER_SAMPLES)
+    const escapes = new Float32Array(pixels.length);
+    let offset = 0;
+    let totalIterations = 0;
+    let savedIterations = 0;
+    for (const result of results) {
+      escapes.set(result.escapes, offset);
+      offset += result.escapes.length;
+      totalIterations += result.totalIterations;
+      savedIterations += result.savedIterations;
+    }
+    return {
+      histogram: escapeHistogram(escapes, maxIter),
+      totalIterations,
+      savedIterations,
+    };
+  }
+
+  /**
+   * Light the last frame again, unless a render is running or the frame was
+   * not rendered with the current size.
+   */
+  async relight(options) {
+    const frame = this.frame;
+    if (
+      this.renderRunning ||
+      frame === null ||
+      frame.colors.width !== this.canvas.width ||
+      frame.colors.height !== this.canvas.height
+    ) {
+      return null;
+    }
+    this.#drawFrame(options.lighting);
+    return new RenderResults(this.id(), options);
+  }
+
+  #drawFrame(lighting) {
+    const { colors, shading, image } = this.frame;
+    if (shading === null) {
+      this.#draw(colors);
+      return;
+    }
+    new LightingModel(lighting).lightPixels(colors.data, shading, image.data);
+    this.#draw(image);
+  }
+
+  #draw(imageData) {
+    this.offscreenCtx.putImageData(imageData, 0, 0);
+    this.ctx.drawImage(this.offscreenCanvas, 0, 0);
+  }
+
+  #runRenderWorker(workerData) {
+    const worker = new Worker("/renderers/cpu-worker.js", {
+      type: "module",
+    });
+    this.currentWorkers.push(worker);
+    return new Promise((resolve, reject) => {
+      worker.onmessage = (e) => {
+        worker.terminate();
+        if (e.data.error) {
+          console.error("Worker explicit error:", e.data.error);
+          console.error(e.data.stack);
+          reject(new Error(e.data.error));
+          return;
+        }
+        resolve(e.data);
+      };
+      worker.onerror = (e) => {
+        console.error(
+          "Worker error:",
+          e.message,
+          "at",
+          e.filename,
+          "line",
+          e.lineno
         );
-        const workerData = {
+      };
+      worker.postMessage(workerData);
+    });
+  }
+
+  /**
+   * Add a batch of orbits to the density histogram of the view, and draw it.
+   * The histogram is kept while the view is unchanged, so that each render
+   * refines the previous one.
+   */
+  async #renderDensity({ center, zoom, options }) {
+    const w = this.canvas.width;
+    const h = this.canvas.height;
+    const limits = getDensityLimits(
+      options.renderMode === RenderMode.NEBULABROT,
+      options.maxIter
+    );
+    const centerd = COMPLEX_PLANE.complex().project(center);
+    const param0 = COMPLEX_PLANE.complex().project(options.fn.param0);
+    const key = [
+      w,
+      h,
+      centerd.x,
+      centerd.y,
+      zoom,
+      options.fn.id,
+      options.fn.exponent,
+      param0.x,
+      param0.y,
+      ...limits,
+    ].join();
+    if (this.density?.key !== key) {
+      this.density = {
+        key,
+        histogram: new Uint32Array(w * h * limits.length),
+        samples: 0,
+      };
+    }
+    const density = this.density;
+
+    const samples = Math.ceil(DENSITY_BATCH_SAMPLES / this.cpuCount);
+    const results = await Promise.all(
+      Array.from({ length: this.cpuCount }, () =>
+        this.#runDensityWorker({
           width: w,
           height: h,
-          center,
-          centerExponent: center.plane?.exponent,
+          center: { x: centerd.x, y: centerd.y },
           zoom,
-          startY,
-          endY,
-          maxIter: options.maxIter,
-          paletteId: getPaletteId(options.palette),
-          paletteInterpolationId: getPaletteInterpolationId(
-            options.paletteInterpolation
-          ),
-          maxSuperSamples,
-          functionId: options.fn.id,
-          param0: options.fn.param0,
-          param0Exponent: options.fn.param0.plane?.exponent,
-          deep: options.deep === true,
-          orbit: orbit
-            ? { sx: orbit.sx, sy: orbit.sy, iters: orbit.iters, count: orbitCount }
-            : null,
-        };
-
-        const worker = new Worker("/renderers/cpu-worker.js", {
-          type: "module",
-        });
-        this.currentWorkers.push(worker);
-
-        worker.onmessage = (e) => {
-          if (e.data.error) {
-            console.error("Worker explicit error:", e.data.error);
-            console.error(e.data.stack);
-            worker.terminate();
-            return;
-          }
+          fnId: options.fn.id,
+          exponent: options.fn.exponent,
+          param0: { x: param0.x, y: param0.y },
+          limits,
+          samples,
+        })
+      )
+    );
+    this.currentWorkers = [];
 
-          const { imageDataArray, startY: sy, totalIterations: chunkIters } =
-            e.data;
+    let totalIterations = 0;
+    for (const { histogram, totalIterations: workerIterations } of results) {
+      for (let i = 0; i < histogram.length; i++) {
+        density.histogram[i] += histogram[i];
+      }
+      totalIterations += workerIterations;
+    }
+    density.samples += samples * this.cpuCount;
 
-          finalImageData.data.set(imageDataArray, sy * w * 4);
-          if (typeof chunkIters === "number") {
-            totalIterations += chunkIters;
-          }
+    const imageData = this.offscreenCtx.createImageData(w, h);
+    toneMapDensity(density.histogram, limits.length, imageData.data);
+    this.offscreenCtx.putImageData(imageData, 0, 0);
+    this.ctx.drawImage(this.offscreenCanvas, 0, 0);
 
-          finishedWorkers++;
-          worker.terminate();
-
-          if (finishedWorkers === this.currentWorkers.length) {
-            this.offscreenCtx.putImageData(finalImageData, 0, 0);
-            this.ctx.save();
-            this.ctx.scale(1 / scale, 1 / scale);
-            this.ctx.drawImage(this.offscreenCanvas, 0, 0);
-            this.ctx.restore();
-            this.currentWorkers = [];
-            const flops = totalIterations * 6;
-            resolve(new RenderResults(this.id(), options, flops));
-          }
-        };
-
-        worker.onerror = (e) => {
-          console.error(
-            "Worker error:",
-            e.message,
-            "at",
-            e.filename,
-            "line",
-            e.lineno
-          );
-        };
-
-        worker.postMessage(workerData);
-      }
+    const flops = totalIterations * 6;
+    const refining = density.samples < DENSITY_SAMPLES_PER_PIXEL * w * h;
+    return new RenderResults(this.id(), options, flops, refining);
+  }
+
+  #runDensityWorker(workerData) {
+    const worker = new Worker("/renderers/density-worker.js", {
+      type: "module",
+    });
+    this.currentWorkers.push(worker);
+    return new Promise((resolve, reject) => {
+      worker.onmessage = (e) => {
+        worker.terminate();
+        if (e.data.error) {
+          console.error("Worker explicit error:", e.data.error);
+          console.error(e.data.stack);
+          reject(new Error(e.data.error));
+          return;
+        }
+        resolve(e.data);
+      };
+      worker.onerror = (e) => {
+        console.error(
+          "Worker error:",
+          e.message,
+          "at",
+          e.filename,
+          "line",
+          e.lineno
+        );
+      };
+      worker.postMessage(workerData);
     });
   }
 
@@ -0,0 +1,26 @@
+import { accumulateDensity } from "../math/density.js";
+
+onmessage = function (e) {
+  try {
+    const { width, height, center, zoom, fnId, exponent, param0, limits, samples } =
+      e.data;
+
+    const histogram = new Uint32Array(width * height * limits.length);
+    const totalIterations = accumulateDensity(histogram, {
+      width,
+      height,
+      center,
+      zoom,
+      fnId,
+      exponent,
+      param0,
+      limits,
+      samples,
+    });
+
+    postMessage({ histogram, totalIterations }, [histogram.buffer]);
+  } catch (err) {
+    console.error("Error", err);
+    postMessage({ error: err.message, stack: err.stack });
+  }
+};
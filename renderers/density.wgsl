@@ -0,0 +1,184 @@
+struct DensityUniforms {
+    center     : vec2f,
+    resolution : vec2f,
+    param0     : vec2f,
+    scale      : f32,
+    exponent   : f32,
+    functionId : u32,
+    channels   : u32,
+    seed       : u32,
+    sampleCount: u32,
+    // Iteration limit of each channel: R, G and B for the Nebulabrot.
+    limits     : vec4u,
+};
+
+@group(0) @binding(0)
+var<uniform> u: DensityUniforms;
+
+// Counts of the orbits going through each pixel, `channels` per pixel.
+@group(0) @binding(1)
+var<storage, read_write> histogram: array<atomic<u32>>;
+
+// Maximum count of each channel, to normalize the histogram.
+@group(0) @binding(2)
+var<storage, read_write> maxCounts: array<atomic<u32>, 4>;
+
+const WORKGROUP_SIZE = {{WORKGROUP_SIZE}};
+const SAMPLE_RADIUS: f32 = {{SAMPLE_RADIUS}};
+const MAX_EXPONENT: u32 = 16u;
+const BAILOUT = 128;
+
+const FN_MANDELBROT = 0u;
+const FN_JULIA = 1u;
+const FN_BURNING_SHIP = 2u;
+const FN_BURNING_SHIP_JULIA = 3u;
+const FN_TRICORN = 4u;
+const FN_TRICORN_JULIA = 5u;
+
+fn complexSquare(c: vec2f) -> vec2f {
+    return vec2f(c.x * c.x - c.y * c.y, 2.0 * c.x * c.y);
+}
+
+fn complexMul(c0: vec2f, c1: vec2f) -> vec2f {
+    return vec2f(c0.x * c1.x - c0.y * c1.y, c0.x * c1.y + c0.y * c1.x);
+}
+
+fn complexPow(z: vec2f, d: f32) -> vec2f {
+    if (d == 2.0) {
+        return complexSquare(z);
+    }
+    let squareMod = dot(z, z);
+    if (squareMod == 0.0) {
+        return vec2f(0.0);
+    }
+    if (d == floor(d)) {
+        var w = z;
+        for (var k = 1u; k < MAX_EXPONENT && f32(k) < d; k += 1u) {
+            w = complexMul(w, z);
+        }
+        return w;
+    }
+    // Polar form: z^d = |z|^d * e^(i * d * arg(z))
+    let r = pow(squareMod, 0.5 * d);
+    let theta = d * atan2(z.y, z.x);
+    return r * vec2f(cos(theta), sin(theta));
+}
+
+fn isJuliaFn() -> bool {
+    return u.functionId == FN_JULIA ||
+        u.functionId == FN_BURNING_SHIP_JULIA ||
+        u.functionId == FN_TRICORN_JULIA;
+}
+
+// Fold z before it is raised to the exponent: |Re z| + i|Im z| for the
+// Burning Ship, conj(z) for the Tricorn.
+fn fold(z: vec2f) -> vec2f {
+    if (u.functionId == FN_BURNING_SHIP || u.functionId == FN_BURNING_SHIP_JULIA) {
+        return abs(z);
+    }
+    if (u.functionId == FN_TRICORN || u.functionId == FN_TRICORN_JULIA) {
+        return vec2f(z.x, -z.y);
+    }
+    return z;
+}
+
+var<private> seed: u32 = 123456789u;
+const MAX_U32 = f32(0xffffffffu);
+
+// Compute the next random number, in [0, 1)
+fn rand() -> f32 {
+    seed ^= seed << 13;
+    seed ^= seed >> 17;
+    seed ^= seed << 5;
+    return f32(seed) / MAX_U32;
+}
+
+// Spread the bits of x, so that consecutive ids give unrelated seeds.
+fn hash(x: u32) -> u32 {
+    var h = x * 747796405u + 2891336453u;
+    h = ((h >> ((h >> 28u) + 4u)) ^ h) * 277803737u;
+    return (h >> 22u) ^ h;
+}
+
+// Whether c is in the main cardioid or the period 2 bulb of the Mandelbrot set.
+fn isInMainBulbs(c: vec2f) -> bool {
+    let y2 = c.y * c.y;
+    let q = (c.x - 0.25) * (c.x - 0.25) + y2;
+    return q * (q + (c.x - 0.25)) <= 0.25 * y2 || (c.x + 1.0) * (c.x + 1.0) + y2 <= 0.0625;
+}
+
+fn plot(z: vec2f, escapeIter: u32) {
+    let p = vec2f(
+        (z.x - u.center.x) / u.scale + 0.5 * u.resolution.x,
+        0.5 * u.resolution.y - (z.y - u.center.y) / u.scale
+    );
+    if (p.x < 0.0 || p.y < 0.0 || p.x >= u.resolution.x || p.y >= u.resolution.y) {
+        return;
+    }
+    let index = (u32(p.y) * u32(u.resolution.x) + u32(p.x)) * u.channels;
+    for (var k = 0u; k < u.channels; k += 1u) {
+        if (escapeIter < u.limits[k]) {
+            let count = atomicAdd(&histogram[index + k], 1u) + 1u;
+            atomicMax(&maxCounts[k], count);
+        }
+    }
+}
+
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn accumulate(@builtin(global_invocation_id) id: vec3u) {
+    if (id.x >= u.sampleCount) {
+        return;
+    }
+    seed = hash(id.x ^ hash(u.seed)) | 1u;
+    let sample = (2.0 * vec2f(rand(), rand()) - 1.0) * SAMPLE_RADIUS;
+
+    var z0 = vec2f(0.0);
+    var c = sample;
+    // The sample itself (z1 = c, or z0) only adds a uniform background.
+    var first = 2u;
+    if (isJuliaFn()) {
+        z0 = sample;
+        c = u.param0;
+        first = 1u;
+    } else if (u.functionId == FN_MANDELBROT && u.exponent == 2.0 && isInMainBulbs(c)) {
+        return;
+    }
+
+    // Find when the orbit escapes, then go through it again to plot it.
+    let maxLimit = max(u.limits.x, max(u.limits.y, u.limits.z));
+    var z = z0;
+    var escapeIter = maxLimit;
+    for (var i = 1u; i < maxLimit; i += 1u) {
+        z = complexPow(fold(z), u.exponent) + c;
+        if (dot(z, z) > BAILOUT * BAILOUT) {
+            escapeIter = i;
+            break;
+        }
+    }
+    if (escapeIter == maxLimit) {
+        return;
+    }
+
+    z = z0;
+    for (var i = 1u; i <= escapeIter; i += 1u) {
+        z = complexPow(fold(z), u.exponent) + c;
+        if (i >= first) {
+            plot(z, escapeIter);
+        }
+    }
+}
+
+@fragment
+fn display(@builtin(position) fragCoord: vec4f) -> @location(0) vec4f {
+    let index = (u32(fragCoord.y) * u32(u.resolution.x) + u32(fragCoord.x)) * u.channels;
+    var color = vec3f(0.0);
+    for (var k = 0u; k < u.channels; k += 1u) {
+        let maxCount = f32(max(atomicLoad(&maxCounts[k]), 1u));
+        // The square root brings out the faint orbits.
+        color[k] = sqrt(f32(atomicLoad(&histogram[index + k])) / maxCount);
+    }
+    if (u.channels == 1u) {
+        color = vec3f(color.x);
+    }
+    return vec4f(color, 1.0);
+}
@@ -1,5 +1,9 @@
 import { BigComplexPlane, COMPLEX_PLANE } from "../math/complex.js";
-import { Orbit, FN_MANDELBROT, FN_JULIA } from "../math/julia.js";
+import { Fn, Orbit } from "../math/julia.js";
+import { ReferenceSearch } from "../math/reference.js";
+
+// Kept across the requests, to reuse the cached references
+const references = new ReferenceSearch();
 
 function buildPlane(exponent) {
   return exponent === null || exponent === undefined
@@ -42,21 +46,38 @@ function toComplexLike(data) {
   return plane.complex(data.x, data.y);
 }
 
-function computeOrbit(request) {
-  const { map: mapData, width, height, maxIter, fnId, fnParam0 } = request;
+async function computeOrbit(request) {
+  const {
+    map: mapData,
+    width,
+    height,
+    maxIter,
+    fnId,
+    fnParam0,
+    fnExponent,
+    bla,
+    persistOrbits,
+    glitches,
+    glitchOffset,
+  } = request;
   const map = makeMap(mapData);
-
-  switch (fnId) {
-    case FN_JULIA: {
-      const plane = map.plane ?? COMPLEX_PLANE;
-      const param0 = toComplexLike(fnParam0);
-      const c = plane.complex().project(param0);
-      return Orbit.searchForJulia(map, width, height, maxIter, c);
-    }
-    case FN_MANDELBROT:
-    default:
-      return Orbit.searchForMandelbrot(map, width, height, maxIter);
+  const fn = new Fn(fnId, toComplexLike(fnParam0), fnExponent);
+  if (glitches) {
+    return Orbit.searchForGlitches(
+      map,
+      width,
+      height,
+      maxIter,
+      fn,
+      glitches,
+      bla === true,
+      glitchOffset
+    );
   }
+  if (persistOrbits) {
+    await references.cache.persist();
+  }
+  return references.search(map, width, height, maxIter, fn, bla === true);
 }
 
 function serializeOrbit(orbit) {
@@ -67,15 +88,27 @@ function serializeOrbit(orbit) {
     sx: orbit.sx,
     sy: orbit.sy,
     escapeVelocity: orbit.escapeVelocity,
-    iters: orbit.iters,
+    // Copies, as the buffers are transferred, and the orbit may be reused
+    iters: orbit.iters.slice(),
+    extended: orbit.extended && {
+      mantissas: orbit.extended.mantissas.slice(),
+      exponents: orbit.extended.exponents.slice(),
+    },
+    approximation: orbit.approximation,
+    bla: orbit.bla,
   };
 }
 
-self.onmessage = (event) => {
+self.onmessage = async (event) => {
   const { requestId, payload } = event.data;
   try {
-    const orbit = serializeOrbit(computeOrbit(payload));
-    const transfer = orbit?.iters?.buffer ? [orbit.iters.buffer] : [];
+    const orbit = serializeOrbit(await computeOrbit(payload));
+    const transfer = [
+      orbit?.iters?.buffer,
+      orbit?.extended?.mantissas.buffer,
+      orbit?.extended?.exponents.buffer,
+      orbit?.bla?.table.buffer,
+    ].filter(Boolean);
     self.postMessage({ requestId, orbit }, transfer);
   } catch (err) {
     self.postMessage({
@@ -0,0 +1,46 @@
+import { BigComplexPlane, Complex, COMPLEX_PLANE } from "../math/complex.js";
+import { parseAngle, traceRay } from "../math/rays.js";
+
+function buildPlane(exponent) {
+  return exponent === null || exponent === undefined
+    ? COMPLEX_PLANE
+    : new BigComplexPlane(exponent);
+}
+
+/**
+ * The points of the ray, as offsets from the center in doubles, which keep
+ * their precision near the center at any zoom.
+ */
+function traceOffsets(angle, center, resolution, maxDepth) {
+  const points = traceRay(angle, center, resolution, maxDepth);
+  const offsets = new Float64Array(2 * points.length);
+  const offset = new Complex();
+  points.forEach((point, i) => {
+    const origin = (point.plane ?? COMPLEX_PLANE).complex().project(center);
+    offset.project(point.clone().sub(origin));
+    offsets[2 * i] = offset.x;
+    offsets[2 * i + 1] = offset.y;
+  });
+  return offsets;
+}
+
+self.onmessage = (event) => {
+  const { requestId, payload } = event.data;
+  try {
+    const { angles, center, resolution, maxDepth } = payload;
+    const plane = buildPlane(center.planeExponent);
+    const c = plane.complex(center.x, center.y);
+    const rays = angles.map((angle) =>
+      traceOffsets(parseAngle(angle), c, resolution, maxDepth)
+    );
+    self.postMessage(
+      { requestId, rays },
+      rays.map((offsets) => offsets.buffer)
+    );
+  } catch (err) {
+    self.postMessage({
+      requestId,
+      error: err?.message ?? String(err),
+    });
+  }
+};
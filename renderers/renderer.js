@@ -1,4 +1,12 @@
-import { PaletteInterpolation } from "../core/palette.js";
+import {
+  Decomposition,
+  DEFAULT_GRADIENT,
+  InteriorColoring,
+  PaletteInterpolation,
+} from "../core/palette.js";
+import { DEFAULT_LIGHTING } from "../core/lighting.js";
+import { AverageColoring } from "../math/orbit-average.js";
+import { DEFAULT_TRAP_GEOMETRY, OrbitTrap } from "../math/orbit-trap.js";
 
 export const RenderingEngine = {
   WEBGPU: "webgpu",
@@ -7,6 +15,16 @@ export const RenderingEngine = {
   CPU: "cpu",
 };
 
+/**
+ * What is plotted: the escape time of each point, or the density of the
+ * escaping orbits (Buddhabrot), per iteration limit in R, G and B (Nebulabrot).
+ */
+export const RenderMode = {
+  ESCAPE: "escape",
+  BUDDHABROT: "buddhabrot",
+  NEBULABROT: "nebulabrot",
+};
+
 export class Renderer {
   /**
    * @param {MapControl} map
@@ -17,6 +35,17 @@ export class Renderer {
     throw new Error("Not implemented");
   }
 
+  /**
+   * Shade the last frame again with the lighting of the options, without
+   * iterating its points again.
+   * @param {RenderOptions} options
+   * @returns {RenderResults} null when the frame cannot be relit, and needs
+   * to be rendered again.
+   */
+  async relight(options) {
+    return null;
+  }
+
   id() {
     throw new Error("Not implemented");
   }
@@ -30,27 +59,78 @@ export class RenderOptions {
   constructor({
     maxSuperSamples,
     deep,
+    bla,
+    persistOrbits,
     maxIter,
     palette,
+    gradient,
     paletteInterpolation,
+    histogram,
     normalMap,
+    lighting,
+    distanceEstimation,
+    interiorColoring,
+    orbitTrap,
+    trapGeometry,
+    averageColoring,
+    decomposition,
+    renderMode,
     fn,
   } = {}) {
     this.maxSuperSamples = maxSuperSamples;
     this.deep = deep;
+    // Whether the perturbation jumps iterations with the BLA table
+    this.bla = bla ?? true;
+    // Whether the reference orbits persist to IndexedDB across sessions
+    this.persistOrbits = persistOrbits ?? false;
     this.maxIter = maxIter;
     this.palette = palette;
+    // The gradient of the custom palette
+    this.gradient = gradient ?? DEFAULT_GRADIENT;
     this.paletteInterpolation =
       paletteInterpolation ?? PaletteInterpolation.SPLINE;
+    // Whether the palette maps the cumulative density of the escape
+    // velocities of the frame
+    this.histogram = histogram ?? false;
     this.normalMap = normalMap;
+    // The lights and Blinn-Phong terms of the normal map
+    this.lighting = lighting ?? DEFAULT_LIGHTING;
+    this.distanceEstimation = distanceEstimation;
+    this.interiorColoring = interiorColoring ?? InteriorColoring.NONE;
+    // The orbit trap, and its center and radius in complex coordinates
+    this.orbitTrap = orbitTrap ?? OrbitTrap.NONE;
+    this.trapGeometry = trapGeometry ?? DEFAULT_TRAP_GEOMETRY;
+    // The average coloring of the escaping points, in place of their escape
+    // velocity
+    this.averageColoring = averageColoring ?? AverageColoring.NONE;
+    // The split of the escaping points by the angle of their orbit at bailout
+    this.decomposition = decomposition ?? Decomposition.NONE;
+    this.renderMode = renderMode ?? RenderMode.ESCAPE;
     this.fn = fn;
   }
 }
 
 export class RenderResults {
-  constructor(id, options, flops = null) {
+  constructor(
+    id,
+    options,
+    flops = null,
+    refining = false,
+    savedFlops = null,
+    skippedIterations = 0,
+    references = 0
+  ) {
     this.id = id;
     this.options = options;
     this.flops = flops;
+    // Flops skipped by the interior detection
+    this.savedFlops = savedFlops;
+    // Iterations every pixel skipped with the series approximation
+    this.skippedIterations = skippedIterations;
+    // Reference orbits the perturbation used, more than one when pixels
+    // glitched
+    this.references = references;
+    // Whether rendering again the same view refines the image
+    this.refining = refining;
   }
 }
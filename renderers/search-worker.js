@@ -0,0 +1,57 @@
+import { BigComplexPlane, COMPLEX_PLANE } from "../math/complex.js";
+import { locateMisiurewicz } from "../math/misiurewicz.js";
+import { locateNucleus } from "../math/nucleus.js";
+
+function buildPlane(exponent) {
+  return exponent === null || exponent === undefined
+    ? COMPLEX_PLANE
+    : new BigComplexPlane(exponent);
+}
+
+// A point as {x, y, planeExponent}, which the structured clone keeps exact.
+function serializePoint(point) {
+  const plane = point.plane ?? COMPLEX_PLANE;
+  return {
+    x: point.x,
+    y: point.y,
+    planeExponent: plane.isBigComplex() ? plane.exponent : null,
+  };
+}
+
+// The nucleus or the Misiurewicz points around the center, as in
+// locateNucleus and locateMisiurewicz
+function runSearch(payload) {
+  const { search, center, radius, maxPeriod } = payload;
+  switch (search) {
+    case "nucleus": {
+      const result = locateNucleus(center, radius, maxPeriod);
+      return result === null
+        ? null
+        : { ...result, nucleus: serializePoint(result.nucleus) };
+    }
+    case "misiurewicz":
+      return locateMisiurewicz(
+        center,
+        radius,
+        payload.maxPreperiod,
+        maxPeriod,
+        payload.maxPoints
+      ).map((result) => ({ ...result, point: serializePoint(result.point) }));
+  }
+  throw new Error(`Unknown search ${search}`);
+}
+
+self.onmessage = (event) => {
+  const { requestId, payload } = event.data;
+  try {
+    const plane = buildPlane(payload.center.planeExponent);
+    const center = plane.complex(payload.center.x, payload.center.y);
+    const result = runSearch({ ...payload, center });
+    self.postMessage({ requestId, result });
+  } catch (err) {
+    self.postMessage({
+      requestId,
+      error: err?.message ?? String(err),
+    });
+  }
+};
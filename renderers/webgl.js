@@ -1,6 +1,21 @@
 import { COMPLEX_PLANE } from "../math/complex.js";
-import { FN_JULIA, FN_MANDELBROT, Orbit } from "../math/julia.js";
-import { getPaletteId, getPaletteInterpolationId } from "../core/palette.js";
+import { compileFormulaToGlsl, DEFAULT_FORMULA } from "../math/formula.js";
+import { isFormulaFn, isNewtonFn } from "../math/julia.js";
+import { packRoots } from "../math/newton.js";
+import { getAverageColoringId } from "../math/orbit-average.js";
+import { getOrbitTrapId } from "../math/orbit-trap.js";
+import { ReferenceSearch } from "../math/reference.js";
+import {
+  escapeHistogram,
+  getDecompositionId,
+  getGradient,
+  getGradientInterpolationId,
+  getInteriorColoringId,
+  HISTOGRAM_BINS,
+  HISTOGRAM_STRIDE,
+  packGradient,
+} from "../core/palette.js";
+import { lightDirections, MAX_LIGHTS } from "../core/lighting.js";
 import { hasWebgl1, hasWebgl2 } from "./capabilities.js";
 import { RenderResults, Renderer } from "./renderer.js";
 
@@ -8,6 +23,11 @@ const WEBGL2_MAX_ITERATIONS = 10000;
 const WEBGL1_SCALE = 1;
 const WEBGL1_MAX_SAMPLES = 64;
 const WEBGL2_MAX_SAMPLES = 64;
+// Texture unit of the histogram coloring. The orbit of WebGL1 is on unit 0.
+const HISTOGRAM_TEXTURE_UNIT = 1;
+// Texture units of the colors and the normals lit by the relighting pass
+const SHADING_TEXTURE_UNIT = 2;
+const NORMAL_TEXTURE_UNIT = 3;
 
 const WEBGL1_FRAGMENT_URL = new URL("./webgl1.glsl", import.meta.url);
 const WEBGL2_FRAGMENT_URL = new URL("./webgl2.glsl", import.meta.url);
@@ -56,22 +76,58 @@ export class WebglRenderer extends Renderer {
     this.gl = undefined;
     this.webGLCanvas = undefined;
     this.webGLProgram = undefined;
+    this.fragmentShaderTemplate = undefined;
+    this.formula = undefined;
+    this.vertexBuffer = undefined;
     this.uResolution = undefined;
     this.uCenterZoom = undefined;
     this.uMaxIter = undefined;
     this.uSamples = undefined;
-    this.uPaletteId = undefined;
     this.uPaletteInterpolation = undefined;
+    this.uPaletteCount = undefined;
+    this.uPalette = undefined;
+    this.uPalettePeriod = undefined;
     this.uUsePerturb = undefined;
     this.uOrbitCount = undefined;
+    this.uSeriesSkip = undefined;
+    this.uSeries = undefined;
     this.uFunctionId = undefined;
     this.uParam0 = undefined;
+    this.uExponent = undefined;
+    this.uDistanceEstimation = undefined;
+    this.uNormalMap = undefined;
+    this.uInteriorColoring = undefined;
+    this.uUseHistogram = undefined;
+    this.uHistogramRange = undefined;
+    this.uHistogramTex = undefined;
+    this.uHistogramPass = undefined;
+    this.uOrbitTrap = undefined;
+    this.uTrapCenter = undefined;
+    this.uTrapRadius = undefined;
+    this.uAverageColoring = undefined;
+    this.uDecomposition = undefined;
+    this.uLightCount = undefined;
+    this.uLights = undefined;
+    this.uLighting = undefined;
+    this.uRelightPass = undefined;
+    this.uShadingTex = undefined;
+    this.uNormalTex = undefined;
+    this.uRoots = undefined;
+    this.uRootCount = undefined;
     this.uOrbitTex = undefined;
     this.uOrbitTexSize = undefined;
     this.orbitBuffer = undefined;
+    this.histogramTexture = undefined;
+    this.histogramFramebuffer = undefined;
+    this.histogramTarget = undefined;
+    // WebGL2 renders the colors and the normals of the frame into the shading
+    // target, for the relighting pass to light them onto the canvas.
+    this.shadingFramebuffer = undefined;
+    this.shadingTarget = undefined;
     this.orbitWorker = undefined;
     this.nextOrbitRequestId = 1;
     this.pendingOrbitRequests = new Map();
+    this.referenceSearch = new ReferenceSearch();
   }
 
   async init() {
@@ -102,57 +158,155 @@ export class WebglRenderer extends Renderer {
       }
     }
 
-    const vsSource = isWebgl2 ? WEBGL2_VERTEX_SHADER : WEBGL1_VERTEX_SHADER;
-    const fsSource = await loadShaderSource(
+    this.fragmentShaderTemplate = await loadShaderSource(
       isWebgl2 ? WEBGL2_FRAGMENT_URL : WEBGL1_FRAGMENT_URL
     );
 
+    if (isWebgl2) {
+      this.orbitBuffer = gl.createBuffer();
+      gl.bindBuffer(gl.UNIFORM_BUFFER, this.orbitBuffer);
+      gl.bufferData(
+        gl.UNIFORM_BUFFER,
+        new Float32Array(2 * WEBGL2_MAX_ITERATIONS),
+        gl.STATIC_DRAW
+      );
+      gl.bindBufferBase(gl.UNIFORM_BUFFER, 0, this.orbitBuffer);
+    }
+
+    this.vertexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+    const vertices = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+    gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+
+    this.histogramTexture = gl.createTexture();
+    this.#writeHistogramTexture(new Float32Array(HISTOGRAM_BINS + 1));
+    this.histogramFramebuffer = gl.createFramebuffer();
+    if (isWebgl2) {
+      this.shadingFramebuffer = gl.createFramebuffer();
+    }
+
+    this.#createProgram(DEFAULT_FORMULA);
+
+    this.#initOrbitWorker();
+  }
+
+  /**
+   * (Re)build the program, with the user-defined formula compiled into the
+   * fragment shader.
+   */
+  #createProgram(formula) {
+    const gl = this.gl;
+    const isWebgl2 = this.version === 2;
+    const vsSource = isWebgl2 ? WEBGL2_VERTEX_SHADER : WEBGL1_VERTEX_SHADER;
+    const fsSource = this.fragmentShaderTemplate.replaceAll(
+      "{{FORMULA}}",
+      compileFormulaToGlsl(formula)
+    );
+
     const vs = compileShader(gl, vsSource, gl.VERTEX_SHADER);
     const fs = compileShader(gl, fsSource, gl.FRAGMENT_SHADER);
-    this.webGLProgram = gl.createProgram();
-    gl.attachShader(this.webGLProgram, vs);
-    gl.attachShader(this.webGLProgram, fs);
-    gl.linkProgram(this.webGLProgram);
+    const program = gl.createProgram();
+    gl.attachShader(program, vs);
+    gl.attachShader(program, fs);
+    gl.linkProgram(program);
 
-    if (!gl.getProgramParameter(this.webGLProgram, gl.LINK_STATUS)) {
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
       throw new Error(
-        `Could not link WebGL program: ${gl.getProgramInfoLog(
-          this.webGLProgram
-        )}`
+        `Could not link WebGL program: ${gl.getProgramInfoLog(program)}`
       );
     }
 
+    if (this.webGLProgram) {
+      gl.deleteProgram(this.webGLProgram);
+    }
+    this.webGLProgram = program;
+    this.formula = formula;
     gl.useProgram(this.webGLProgram);
 
     this.uResolution = gl.getUniformLocation(this.webGLProgram, "uResolution");
     this.uCenterZoom = gl.getUniformLocation(this.webGLProgram, "uCenterZoom");
     this.uMaxIter = gl.getUniformLocation(this.webGLProgram, "uMaxIter");
     this.uSamples = gl.getUniformLocation(this.webGLProgram, "uSamples");
-    this.uPaletteId = gl.getUniformLocation(this.webGLProgram, "uPaletteId");
     this.uPaletteInterpolation = gl.getUniformLocation(
       this.webGLProgram,
       "uPaletteInterpolation"
     );
+    this.uPaletteCount = gl.getUniformLocation(
+      this.webGLProgram,
+      "uPaletteCount"
+    );
+    this.uPalette = gl.getUniformLocation(this.webGLProgram, "uPalette");
+    this.uPalettePeriod = gl.getUniformLocation(
+      this.webGLProgram,
+      "uPalettePeriod"
+    );
     this.uUsePerturb = gl.getUniformLocation(this.webGLProgram, "uUsePerturb");
     this.uFunctionId = gl.getUniformLocation(this.webGLProgram, "uFunctionId");
     this.uParam0 = gl.getUniformLocation(this.webGLProgram, "uParam0");
+    this.uExponent = gl.getUniformLocation(this.webGLProgram, "uExponent");
+    this.uDistanceEstimation = gl.getUniformLocation(
+      this.webGLProgram,
+      "uDistanceEstimation"
+    );
+    this.uNormalMap = gl.getUniformLocation(this.webGLProgram, "uNormalMap");
+    this.uInteriorColoring = gl.getUniformLocation(
+      this.webGLProgram,
+      "uInteriorColoring"
+    );
+    this.uUseHistogram = gl.getUniformLocation(
+      this.webGLProgram,
+      "uUseHistogram"
+    );
+    this.uHistogramRange = gl.getUniformLocation(
+      this.webGLProgram,
+      "uHistogramRange"
+    );
+    this.uHistogramTex = gl.getUniformLocation(
+      this.webGLProgram,
+      "uHistogramTex"
+    );
+    this.uHistogramPass = gl.getUniformLocation(
+      this.webGLProgram,
+      "uHistogramPass"
+    );
+    gl.uniform1i(this.uHistogramTex, HISTOGRAM_TEXTURE_UNIT);
+    this.uOrbitTrap = gl.getUniformLocation(this.webGLProgram, "uOrbitTrap");
+    this.uTrapCenter = gl.getUniformLocation(this.webGLProgram, "uTrapCenter");
+    this.uTrapRadius = gl.getUniformLocation(this.webGLProgram, "uTrapRadius");
+    this.uAverageColoring = gl.getUniformLocation(
+      this.webGLProgram,
+      "uAverageColoring"
+    );
+    this.uDecomposition = gl.getUniformLocation(
+      this.webGLProgram,
+      "uDecomposition"
+    );
+    this.uLightCount = gl.getUniformLocation(this.webGLProgram, "uLightCount");
+    this.uLights = gl.getUniformLocation(this.webGLProgram, "uLights");
+    this.uLighting = gl.getUniformLocation(this.webGLProgram, "uLighting");
+    this.uRoots = gl.getUniformLocation(this.webGLProgram, "uRoots");
+    this.uRootCount = gl.getUniformLocation(this.webGLProgram, "uRootCount");
     this.uOrbitCount = gl.getUniformLocation(this.webGLProgram, "uOrbitCount");
+    this.uSeriesSkip = gl.getUniformLocation(this.webGLProgram, "uSeriesSkip");
+    this.uSeries = gl.getUniformLocation(this.webGLProgram, "uSeries");
 
     if (isWebgl2) {
+      this.uRelightPass = gl.getUniformLocation(
+        this.webGLProgram,
+        "uRelightPass"
+      );
+      this.uShadingTex = gl.getUniformLocation(
+        this.webGLProgram,
+        "uShadingTex"
+      );
+      this.uNormalTex = gl.getUniformLocation(this.webGLProgram, "uNormalTex");
+      gl.uniform1i(this.uShadingTex, SHADING_TEXTURE_UNIT);
+      gl.uniform1i(this.uNormalTex, NORMAL_TEXTURE_UNIT);
       const orbitBlockIndex = gl.getUniformBlockIndex(
         this.webGLProgram,
         "OrbitBlock"
       );
       gl.uniformBlockBinding(this.webGLProgram, orbitBlockIndex, 0);
-
-      this.orbitBuffer = gl.createBuffer();
-      gl.bindBuffer(gl.UNIFORM_BUFFER, this.orbitBuffer);
-      gl.bufferData(
-        gl.UNIFORM_BUFFER,
-        new Float32Array(2 * WEBGL2_MAX_ITERATIONS),
-        gl.STATIC_DRAW
-      );
-      gl.bindBufferBase(gl.UNIFORM_BUFFER, 0, this.orbitBuffer);
     } else {
       this.uOrbitTex = gl.getUniformLocation(this.webGLProgram, "uOrbitTex");
       this.uOrbitTexSize = gl.getUniformLocation(
@@ -162,14 +316,9 @@ export class WebglRenderer extends Renderer {
     }
 
     const aPosition = gl.getAttribLocation(this.webGLProgram, "aPosition");
-    const vertexBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
-    const vertices = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
-    gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
     gl.enableVertexAttribArray(aPosition);
     gl.vertexAttribPointer(aPosition, 2, gl.FLOAT, false, 0, 0);
-
-    this.#initOrbitWorker();
   }
 
   resize(width, height) {
@@ -257,6 +406,8 @@ export class WebglRenderer extends Renderer {
       maxIter,
       fnId: options.fn.id,
       fnParam0: this.#serializeComplex(options.fn.param0),
+      fnExponent: options.fn.exponent,
+      persistOrbits: options.persistOrbits,
     };
 
     return new Promise((resolve, reject) => {
@@ -271,15 +422,214 @@ export class WebglRenderer extends Renderer {
     });
   }
 
-  #computeOrbitSync(map, w, h, maxIter, options) {
-    switch (options.fn.id) {
-      case FN_MANDELBROT:
-        return Orbit.searchForMandelbrot(map, w, h, maxIter);
-      case FN_JULIA:
-        return Orbit.searchForJulia(map, w, h, maxIter, options.fn.param0);
-      default:
-        return null;
+  async #computeOrbitSync(map, w, h, maxIter, options) {
+    if (options.persistOrbits) {
+      await this.referenceSearch.cache.persist();
+    }
+    return this.referenceSearch.search(map, w, h, maxIter, options.fn);
+  }
+
+  /**
+   * Render the escape velocities of a pixel every HISTOGRAM_STRIDE with the
+   * histogram pass, and set their histogram as the one of the histogram
+   * coloring.
+   */
+  #sampleHistogram(w, h, maxIter) {
+    const gl = this.gl;
+    const sw = Math.ceil(w / HISTOGRAM_STRIDE);
+    const sh = Math.ceil(h / HISTOGRAM_STRIDE);
+    if (
+      this.histogramTarget?.width !== sw ||
+      this.histogramTarget?.height !== sh
+    ) {
+      if (this.histogramTarget) {
+        gl.deleteTexture(this.histogramTarget.texture);
+      }
+      const texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+      gl.texImage2D(
+        gl.TEXTURE_2D,
+        0,
+        gl.RGBA,
+        sw,
+        sh,
+        0,
+        gl.RGBA,
+        gl.UNSIGNED_BYTE,
+        null
+      );
+      this.histogramTarget = { texture, width: sw, height: sh };
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.histogramFramebuffer);
+    gl.framebufferTexture2D(
+      gl.FRAMEBUFFER,
+      gl.COLOR_ATTACHMENT0,
+      gl.TEXTURE_2D,
+      this.histogramTarget.texture,
+      0
+    );
+    gl.viewport(0, 0, sw, sh);
+    gl.uniform1i(this.uHistogramPass, 1);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    const pixels = new Uint8Array(4 * sw * sh);
+    gl.readPixels(0, 0, sw, sh, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    gl.uniform1i(this.uHistogramPass, 0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, w, h);
+
+    // The escape velocities over maxIter are packed in the rgb bytes, and
+    // alpha is 0 for the points that do not escape.
+    const escapes = new Float32Array(sw * sh);
+    for (let i = 0; i < escapes.length; i++) {
+      const [r, g, b, a] = pixels.subarray(4 * i, 4 * i + 4);
+      escapes[i] =
+        a === 0 ? maxIter : ((r + g / 255 + b / 65025) / 255) * maxIter;
+    }
+    const histogram = escapeHistogram(escapes, maxIter);
+    this.#writeHistogramTexture(histogram.subarray(2));
+    gl.uniform2f(this.uHistogramRange, histogram[0], histogram[1]);
+    gl.uniform1i(this.uUseHistogram, 1);
+  }
+
+  /**
+   * Bind the shading target, (re)created for the size of the frame, to render
+   * the colors and the normals of its pixels.
+   */
+  #bindShadingTarget(w, h) {
+    const gl = this.gl;
+    if (this.shadingTarget?.width !== w || this.shadingTarget?.height !== h) {
+      if (this.shadingTarget) {
+        gl.deleteTexture(this.shadingTarget.colors);
+        gl.deleteTexture(this.shadingTarget.normals);
+      }
+      const createTexture = () => {
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texStorage2D(gl.TEXTURE_2D, 1, gl.RGBA8, w, h);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        return texture;
+      };
+      this.shadingTarget = {
+        colors: createTexture(),
+        normals: createTexture(),
+        width: w,
+        height: h,
+        rendered: false,
+      };
+    }
+    // The textures are unbound from their units while they are rendered to.
+    this.#bindShadingTextures(null, null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.shadingFramebuffer);
+    gl.framebufferTexture2D(
+      gl.FRAMEBUFFER,
+      gl.COLOR_ATTACHMENT0,
+      gl.TEXTURE_2D,
+      this.shadingTarget.colors,
+      0
+    );
+    gl.framebufferTexture2D(
+      gl.FRAMEBUFFER,
+      gl.COLOR_ATTACHMENT1,
+      gl.TEXTURE_2D,
+      this.shadingTarget.normals,
+      0
+    );
+    gl.drawBuffers([gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1]);
+  }
+
+  #bindShadingTextures(colors, normals) {
+    const gl = this.gl;
+    gl.activeTexture(gl.TEXTURE0 + SHADING_TEXTURE_UNIT);
+    gl.bindTexture(gl.TEXTURE_2D, colors);
+    gl.activeTexture(gl.TEXTURE0 + NORMAL_TEXTURE_UNIT);
+    gl.bindTexture(gl.TEXTURE_2D, normals);
+    gl.activeTexture(gl.TEXTURE0);
+  }
+
+  // Light the colors and the normals of the shading target onto the canvas.
+  #relightPass(w, h) {
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, w, h);
+    this.#bindShadingTextures(
+      this.shadingTarget.colors,
+      this.shadingTarget.normals
+    );
+    gl.uniform1i(this.uRelightPass, 1);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.uniform1i(this.uRelightPass, 0);
+  }
+
+  #setLighting(lighting) {
+    const gl = this.gl;
+    const lights = new Float32Array(3 * MAX_LIGHTS);
+    lightDirections(lighting).forEach(({ x, y, z }, i) => {
+      lights.set([x, y, z], 3 * i);
+    });
+    gl.uniform1i(this.uLightCount, lighting.lights);
+    gl.uniform3fv(this.uLights, lights);
+    gl.uniform4f(
+      this.uLighting,
+      lighting.ambient,
+      lighting.diffuse,
+      lighting.specular,
+      lighting.heightScale
+    );
+  }
+
+  /**
+   * Light the last frame again from the shading target, with the lighting of
+   * the options. WebGL1 has no shading target, and renders the frame again.
+   */
+  async relight(options) {
+    const gl = this.gl;
+    const w = this.canvas.width;
+    const h = this.canvas.height;
+    if (
+      this.version !== 2 ||
+      !this.shadingTarget?.rendered ||
+      this.shadingTarget.width !== w ||
+      this.shadingTarget.height !== h
+    ) {
+      return null;
     }
+    gl.useProgram(this.webGLProgram);
+    this.#setLighting(options.lighting);
+    this.#relightPass(w, h);
+    return new RenderResults(this.id(), options);
+  }
+
+  // Upload the cumulative density at the edges of the bins of the histogram
+  // coloring, in the red channel of the histogram texture.
+  #writeHistogramTexture(edges) {
+    const gl = this.gl;
+    const texels = new Float32Array(4 * edges.length);
+    edges.forEach((edge, i) => {
+      texels[4 * i] = edge;
+    });
+    gl.activeTexture(gl.TEXTURE0 + HISTOGRAM_TEXTURE_UNIT);
+    gl.bindTexture(gl.TEXTURE_2D, this.histogramTexture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texImage2D(
+      gl.TEXTURE_2D,
+      0,
+      this.version === 2 ? gl.RGBA32F : gl.RGBA,
+      edges.length,
+      1,
+      0,
+      gl.RGBA,
+      gl.FLOAT,
+      texels
+    );
+    gl.activeTexture(gl.TEXTURE0);
   }
 
   async render(map, options) {
@@ -291,6 +641,9 @@ export class WebglRenderer extends Renderer {
 
     gl.viewport(0, 0, w, h);
 
+    if (isFormulaFn(options.fn.id) && options.fn.formula !== this.formula) {
+      this.#createProgram(options.fn.formula);
+    }
     gl.useProgram(this.webGLProgram);
     gl.uniform2f(this.uResolution, w, h);
     gl.uniform1i(this.uMaxIter, options.maxIter);
@@ -300,16 +653,42 @@ export class WebglRenderer extends Renderer {
       maxSamples
     );
     gl.uniform1i(this.uSamples, samples);
-    gl.uniform1i(this.uPaletteId, getPaletteId(options.palette));
+    const gradient = getGradient(options.palette, options.gradient);
     gl.uniform1i(
       this.uPaletteInterpolation,
-      getPaletteInterpolationId(options.paletteInterpolation)
+      getGradientInterpolationId(gradient, options.paletteInterpolation)
     );
+    gl.uniform1i(this.uPaletteCount, gradient.colors.length);
+    gl.uniform4fv(this.uPalette, packGradient(gradient));
+    gl.uniform1f(this.uPalettePeriod, gradient.period);
     gl.uniform1i(this.uUsePerturb, options.deep ? 1 : 0);
     gl.uniform1i(this.uFunctionId, options.fn.id);
     const fnParam0 = COMPLEX_PLANE.complex().project(options.fn.param0);
     gl.uniform2f(this.uParam0, fnParam0.x, fnParam0.y);
+    gl.uniform1f(this.uExponent, options.fn.exponent);
+    gl.uniform1i(this.uDistanceEstimation, options.distanceEstimation ? 1 : 0);
+    gl.uniform1i(this.uNormalMap, options.normalMap === false ? 0 : 1);
+    gl.uniform1i(
+      this.uInteriorColoring,
+      getInteriorColoringId(options.interiorColoring)
+    );
+    gl.uniform1i(this.uOrbitTrap, getOrbitTrapId(options.orbitTrap));
+    const trapGeometry = options.trapGeometry;
+    gl.uniform2f(this.uTrapCenter, trapGeometry.x, trapGeometry.y);
+    gl.uniform1f(this.uTrapRadius, trapGeometry.radius);
+    gl.uniform1i(
+      this.uAverageColoring,
+      getAverageColoringId(options.averageColoring)
+    );
+    gl.uniform1i(
+      this.uDecomposition,
+      getDecompositionId(options.decomposition)
+    );
+    gl.uniform2fv(this.uRoots, packRoots(options.fn.roots));
+    gl.uniform1i(this.uRootCount, options.fn.roots.length);
+    this.#setLighting(options.lighting);
 
+    let skippedIterations = 0;
     if (options.deep) {
       const orbit = await this.#computeOrbit(map, w, h, options.maxIter, options);
       if (orbit) {
@@ -367,14 +746,39 @@ export class WebglRenderer extends Renderer {
         gl.uniform2f(this.uOrbitTexSize, texWidth, texHeight);
         gl.uniform1i(this.uOrbitCount, orbitCount);
       }
+
+      // Every pixel starts at the iteration skipped by the series approximation.
+      const approximation = orbit?.approximation ?? null;
+      if (approximation && approximation.skip < WEBGL2_MAX_ITERATIONS - 1) {
+        skippedIterations = approximation.skip;
+        gl.uniform2fv(
+          this.uSeries,
+          new Float32Array(approximation.coefficients)
+        );
+      }
     } else {
       const center = COMPLEX_PLANE.complex().project(map.center);
       gl.uniform3f(this.uCenterZoom, center.x, center.y, map.zoom);
     }
 
+    gl.uniform1i(this.uSeriesSkip, skippedIterations);
+
+    // The histogram coloring first samples the escape velocities of the frame.
+    gl.uniform1i(this.uUseHistogram, 0);
+    if (options.histogram === true && !isNewtonFn(options.fn.id)) {
+      this.#sampleHistogram(w, h, options.maxIter);
+    }
+
+    if (isWebgl2) {
+      this.#bindShadingTarget(w, h);
+    }
     gl.clearColor(0, 0, 0, 1);
     gl.clear(gl.COLOR_BUFFER_BIT);
     gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    if (isWebgl2) {
+      this.shadingTarget.rendered = true;
+      this.#relightPass(w, h);
+    }
 
     if (!isWebgl2) {
       const prevSmoothing = this.ctx.imageSmoothingEnabled;
@@ -393,6 +797,13 @@ export class WebglRenderer extends Renderer {
       this.ctx.imageSmoothingEnabled = prevSmoothing;
     }
 
-    return new RenderResults(this.id(), options);
+    return new RenderResults(
+      this.id(),
+      options,
+      null,
+      false,
+      null,
+      skippedIterations
+    );
   }
 }
@@ -1,22 +1,128 @@
 #version 300 es
 precision highp float;
-out vec4 fragColor;
+// The main pass renders the color of each pixel before the lighting, with its
+// distance shade in alpha, and its packed normal: the relighting pass lights
+// them into fragColor.
+layout(location = 0) out vec4 fragColor;
+layout(location = 1) out vec4 fragNormal;
 
 uniform vec2 uResolution;
 uniform vec3 uCenterZoom;
 uniform int uMaxIter;
 uniform int uSamples;
-uniform int uPaletteId;
 uniform int uPaletteInterpolation;
 uniform int uUsePerturb;
 uniform int uOrbitCount;
+// Series approximation: the iterations skipped by every pixel, and the
+// coefficients a, b, c of the perturbation aq + bq² + cq³ there, for the offset
+// q from the reference in pixels
+uniform int uSeriesSkip;
+uniform vec2 uSeries[3];
 uniform int uFunctionId;
 uniform vec2 uParam0;
+uniform float uExponent;
+uniform int uDistanceEstimation;
+uniform int uNormalMap;
+uniform int uInteriorColoring;
+// Histogram coloring: the range of the escape velocities of the frame, and the
+// cumulative density at the edges of its bins, in the red channel of
+// HISTOGRAM_BINS + 1 texels
+uniform int uUseHistogram;
+uniform vec2 uHistogramRange;
+uniform sampler2D uHistogramTex;
+// The histogram pass samples the escape velocities of the frame instead of
+// rendering its colors.
+uniform int uHistogramPass;
+// The relighting pass lights the colors and the normals of the main pass, in
+// uShadingTex and uNormalTex, instead of rendering them.
+uniform int uRelightPass;
+uniform sampler2D uShadingTex;
+uniform sampler2D uNormalTex;
+// Orbit trap: its id, and its center and radius in complex coordinates
+uniform int uOrbitTrap;
+uniform vec2 uTrapCenter;
+uniform float uTrapRadius;
+uniform int uAverageColoring;
+uniform int uDecomposition;
 
 #define MAX_ITER 10000
 #define MAX_SUPER_SAMPLES 64
+#define MAX_EXPONENT 16
+#define MAX_ROOTS 8
+#define NEWTON_TOLERANCE 1e-6
+#define NEWTON_SATURATION 0.75
+#define NEWTON_SHADE 0.92
+// Below this |w|², log1p(w) and expm1(w) use their series: log() and exp()
+// lose the digits of w next to 1.
+#define SERIES_SQUARE_MOD 0.0009765625
 #define MIN_VARIANCE_SAMPLES 4
 #define SUPER_SAMPLE_VARIANCE 0.0005
+#define HISTOGRAM_BINS 256
+#define HISTOGRAM_SPAN 600.0
+#define HISTOGRAM_STRIDE 4.0
+#define TRAP_SPAN 150.0
+#define TRAP_FAR 1e30
+#define AVERAGE_SPAN 150.0
+#define STRIPE_DENSITY 5.0
+// Field lines per turn of arg z_n, and their width, as a fraction of the gap
+// between two lines
+#define FIELD_LINES 16.0
+#define FIELD_LINE_WIDTH 0.3
+// Width, in pixels, of the boundary lines drawn by the distance estimation
+#define DISTANCE_LINE_WIDTH 2.0
+// Lights of the normal map, and shininess of their specular highlights
+#define MAX_LIGHTS 4
+#define SPECULAR_SHININESS 32.0
+// Stops of the gradient of the palette
+#define MAX_GRADIENT_STOPS 16
+// Interior detection: an orbit coming back within PERIODICITY_TOLERANCE pixels
+// of a previous point is periodic, and an orbit whose derivative |dz_n / dz_1|
+// falls below INTERIOR_DERIVATIVE is attracted to a cycle.
+#define PERIODICITY_TOLERANCE 1e-6
+#define INTERIOR_DERIVATIVE 1e-6
+// Cycle search of the interior coloring: tolerance relative to |z|, and
+// tolerance factor of the refinement of the period
+#define CYCLE_TOLERANCE 1e-6
+#define CYCLE_REFINEMENT 100.0
+#define INTERIOR_SATURATION 0.75
+#define GOLDEN_RATIO_CONJUGATE 0.6180339887
+#define PI 3.141592653589793
+#define MULTIPLIER_MIN_SHADE 0.2
+#define ATOM_DOMAIN_SHADE 0.6
+
+#define NO_INTERIOR_COLORING_ID 0
+#define PERIOD_INTERIOR_COLORING_ID 1
+#define MULTIPLIER_INTERIOR_COLORING_ID 2
+#define ATOM_DOMAINS_INTERIOR_COLORING_ID 3
+
+#define NO_ORBIT_TRAP_ID 0
+#define POINT_ORBIT_TRAP_ID 1
+#define CROSS_ORBIT_TRAP_ID 2
+#define CIRCLE_ORBIT_TRAP_ID 3
+#define STALKS_ORBIT_TRAP_ID 4
+
+#define NO_AVERAGE_COLORING_ID 0
+#define STRIPE_AVERAGE_COLORING_ID 1
+#define TRIANGLE_AVERAGE_COLORING_ID 2
+#define CURVATURE_AVERAGE_COLORING_ID 3
+
+#define NO_DECOMPOSITION_ID 0
+#define BINARY_DECOMPOSITION_ID 1
+#define FIELD_LINES_DECOMPOSITION_ID 2
+
+uniform vec2 uRoots[MAX_ROOTS];
+uniform int uRootCount;
+// Lighting of the normal map: the unit directions towards the lights, z out of
+// the plane, and in uLighting their ambient, diffuse and specular terms and the
+// height scale of the normals
+uniform int uLightCount;
+uniform vec3 uLights[MAX_LIGHTS];
+uniform vec4 uLighting;
+// Gradient of the palette: its stops, the color of each with its position in
+// w, and the escape velocity it spans
+uniform int uPaletteCount;
+uniform vec4 uPalette[MAX_GRADIENT_STOPS];
+uniform float uPalettePeriod;
 
 layout(std140) uniform OrbitBlock {
   vec4 uOrbitData[MAX_ITER / 2];
@@ -34,63 +140,121 @@ float complex_square_mod(vec2 c) {
   return dot(c, c);
 }
 
+// Compute z^d, for any real exponent d.
+vec2 complex_pow(vec2 z, float d) {
+  if (d == 2.0) {
+    return complex_square(z);
+  }
+  float squareMod = complex_square_mod(z);
+  if (squareMod == 0.0) {
+    return vec2(0.0);
+  }
+  if (d == floor(d)) {
+    vec2 w = z;
+    for (int k = 1; k < MAX_EXPONENT; k++) {
+      if (float(k) >= d) {
+        break;
+      }
+      w = complex_mul(w, z);
+    }
+    return w;
+  }
+  // Polar form: z^d = |z|^d * e^(i * d * arg(z))
+  float r = pow(squareMod, 0.5 * d);
+  float theta = d * atan(z.y, z.x);
+  return r * vec2(cos(theta), sin(theta));
+}
+
+// Compute log(1 + w).
+vec2 complex_log1p(vec2 w) {
+  if (complex_square_mod(w) < SERIES_SQUARE_MOD) {
+    // w - w²/2 + w³/3 - w⁴/4
+    vec2 s = vec2(1.0 / 3.0, 0.0) - 0.25 * w;
+    s = vec2(0.5, 0.0) - complex_mul(w, s);
+    return complex_mul(w, vec2(1.0, 0.0) - complex_mul(w, s));
+  }
+  vec2 a = vec2(1.0 + w.x, w.y);
+  return vec2(0.5 * log(complex_square_mod(a)), atan(a.y, a.x));
+}
+
+// Compute e^w - 1.
+vec2 complex_expm1(vec2 w) {
+  if (complex_square_mod(w) < SERIES_SQUARE_MOD) {
+    // w + w²/2 + w³/6 + w⁴/24
+    vec2 s = vec2(1.0 / 6.0, 0.0) + w / 24.0;
+    s = vec2(0.5, 0.0) + complex_mul(w, s);
+    return complex_mul(w, vec2(1.0, 0.0) + complex_mul(w, s));
+  }
+  return exp(w.x) * vec2(cos(w.y), sin(w.y)) - vec2(1.0, 0.0);
+}
+
+// Compute (z + dz)^d - z^d without cancellation:
+// - integer exponents use a^d - b^d = (a - b) * sum(a^k * b^(d-1-k)),
+// - real exponents use z^d * ((1 + w)^d - 1), with w = dz / z and
+//   (1 + w)^d - 1 = expm1(d * log1p(w)). Past the branch cut of z^d along the
+//   negative reals, or for |dz| >= |z|, the direct difference is left, as it
+//   has no cancellation there.
+vec2 perturb_pow(vec2 z, vec2 dz, float d) {
+  if (d == 2.0) {
+    return complex_mul(2.0 * z + dz, dz);
+  }
+  vec2 a = z + dz;
+  if (d != floor(d)) {
+    float squareMod = complex_square_mod(z);
+    if (
+      complex_square_mod(dz) < squareMod &&
+      (a.x >= 0.0 || (a.y < 0.0) == (z.y < 0.0))
+    ) {
+      vec2 w = vec2(dot(dz, z), dz.y * z.x - dz.x * z.y) / squareMod;
+      vec2 p = complex_expm1(d * complex_log1p(w));
+      return complex_mul(complex_pow(z, d), p);
+    }
+    return complex_pow(a, d) - complex_pow(z, d);
+  }
+  vec2 s = vec2(1.0, 0.0);
+  vec2 b = vec2(1.0, 0.0);
+  for (int m = 1; m < MAX_EXPONENT; m++) {
+    if (float(m) >= d) {
+      break;
+    }
+    b = complex_mul(b, z);
+    s = complex_mul(s, a) + b;
+  }
+  return complex_mul(dz, s);
+}
+
 float rand(vec2 co) {
   return fract(sin(dot(co, vec2(12.9898, 78.233))) * 43758.5453);
 }
 
-const vec3 RED = vec3(1, 0, 0);
-const vec3 YELLOW = vec3(1, 1, 0);
-const vec3 GREEN = vec3(0, 1, 0);
-const vec3 CYAN = vec3(0, 1, 1);
-const vec3 BLUE = vec3(0, 0, 1);
-const vec3 MAGENTA = vec3(1, 0, 1);
 const vec3 BLACK = vec3(0, 0, 0);
-const vec3 WHITE = vec3(1, 1, 1);
-const vec3 UNUSED = BLACK;
-
-const int MAX_COLORS = 6;
-
-const vec3 ELECTRIC[MAX_COLORS] = vec3[](
-  BLUE, WHITE, UNUSED, UNUSED, UNUSED, UNUSED
-);
-const vec3 RAINBOW[MAX_COLORS] = vec3[](
-  YELLOW, GREEN, CYAN, BLUE, MAGENTA, RED
-);
-const vec3 ZEBRA[MAX_COLORS] = vec3[](
-  WHITE, BLACK, UNUSED, UNUSED, UNUSED, UNUSED
-);
-
-const vec3 WIKI0 = vec3(0, 7, 100) / 255.0;
-const vec3 WIKI1 = vec3(32, 107, 203) / 255.0;
-const vec3 WIKI2 = vec3(237, 255, 255) / 255.0;
-const vec3 WIKI3 = vec3(255, 170, 0) / 255.0;
-const vec3 WIKI4 = vec3(0, 2, 0) / 255.0;
-const vec3 WIKIPEDIA[MAX_COLORS] = vec3[](
-  WIKI0, WIKI1, WIKI2, WIKI3, WIKI4, UNUSED
-);
-const float WIKIPEDIA_POSITIONS[MAX_COLORS] = float[](
-  0.0, 0.16, 0.42, 0.6425, 0.8575, 1.0
-);
+
+#define PALETTE_INTERPOLATION_LINEAR 0
+#define PALETTE_INTERPOLATION_STEP 2
 
 float fmod(float a, float b) {
   return a - b * floor(a / b);
 }
 
-vec3 interpolatePaletteSpline(vec3 palette[MAX_COLORS], int count, float t) {
-  float wrapped = fmod(t, 1.0);
-  float scaled = wrapped * float(count);
-  int i = int(min(scaled, float(count) - 0.001));
-  float localT = scaled - float(i);
+// The color of the stop i of the gradient, wrapping around after the last one
+vec3 stopColor(int i) {
+  return uPalette[i % uPaletteCount].rgb;
+}
 
-  int i0 = i;
-  int i1 = (i + 1) % count;
-  int im1 = (i + count - 1) % count;
-  int i2 = (i + 2) % count;
+// The color between the stops i and i + 1 of the gradient, at localT in [0, 1],
+// like interpolateStops() in core/palette.js
+vec3 interpolateStops(int i, float localT) {
+  vec3 p0 = stopColor(i);
+  vec3 p1 = stopColor(i + 1);
+  if (uPaletteInterpolation == PALETTE_INTERPOLATION_STEP) {
+    return p0;
+  }
+  if (uPaletteInterpolation == PALETTE_INTERPOLATION_LINEAR) {
+    return p0 + localT * (p1 - p0);
+  }
 
-  vec3 p0 = palette[i0];
-  vec3 p1 = palette[i1];
-  vec3 m0 = 0.5 * (palette[i1] - palette[im1]);
-  vec3 m1 = 0.5 * (palette[i2] - palette[i0]);
+  vec3 m0 = 0.5 * (p1 - stopColor(i + uPaletteCount - 1));
+  vec3 m1 = 0.5 * (stopColor(i + 2) - p0);
 
   float t2 = localT * localT;
   float t3 = t2 * localT;
@@ -101,112 +265,159 @@ vec3 interpolatePaletteSpline(vec3 palette[MAX_COLORS], int count, float t) {
     + (t3 - t2) * m1;
 }
 
-vec3 interpolatePaletteLinear(vec3 palette[MAX_COLORS], int count, float t) {
-  float wrapped = fmod(t, 1.0);
-  float scaled = wrapped * float(count);
-  int i = int(min(scaled, float(count) - 0.001));
-  float localT = scaled - float(i);
-
-  vec3 c0 = palette[i];
-  vec3 c1 = palette[(i + 1) % count];
-
-  return c0 + localT * (c1 - c0);
-}
-
-vec3 interpolatePalettePos(
-  vec3 palette[MAX_COLORS],
-  float positions[MAX_COLORS],
-  int count,
-  float index
-) {
-  int lastIndex = count - 1;
+// The color of the gradient at index, repeated every 1, like gradientColor()
+// in core/palette.js
+vec3 gradientColor(float index) {
+  int lastIndex = uPaletteCount - 1;
+  float firstPos = uPalette[0].w;
+  float lastPos = uPalette[lastIndex].w;
   float t = fmod(index, 1.0);
-  float firstPos = positions[0];
-  float lastPos = positions[lastIndex];
-  if (t <= firstPos) {
-    return palette[0];
+  if (t < firstPos) {
+    t += 1.0;
   }
   if (t >= lastPos) {
     float span = 1.0 - lastPos + firstPos;
-    float wrapT = (t - lastPos) / span;
-    float u = (float(lastIndex) + wrapT) / float(count);
-    if (uPaletteInterpolation == 0) {
-      return interpolatePaletteLinear(palette, count, u);
-    }
-    return interpolatePaletteSpline(palette, count, u);
+    return interpolateStops(lastIndex, (t - lastPos) / span);
   }
   for (int i = 0; i < lastIndex; i++) {
-    float t0 = positions[i];
-    float t1 = positions[i + 1];
-    if (t >= t0 && t <= t1) {
-      float localT = (t - t0) / (t1 - t0);
-      float u = (float(i) + localT) / float(count);
-      if (uPaletteInterpolation == 0) {
-        return interpolatePaletteLinear(palette, count, u);
-      }
-      return interpolatePaletteSpline(palette, count, u);
+    float t0 = uPalette[i].w;
+    float t1 = uPalette[i + 1].w;
+    if (t < t1) {
+      return interpolateStops(i, (t - t0) / (t1 - t0));
     }
   }
-  return palette[lastIndex];
+  return stopColor(lastIndex);
 }
 
-vec3 interpolatePalette(vec3 palette[MAX_COLORS], int count, float t) {
-  if (uPaletteInterpolation == 0) {
-    return interpolatePaletteLinear(palette, count, t);
+float histogramEdge(float k) {
+  return texture(uHistogramTex, vec2((k + 0.5) / float(HISTOGRAM_BINS + 1), 0.5)).r;
+}
+
+// The escape velocity mapped by the cumulative density of the frame, over
+// HISTOGRAM_SPAN
+float equalizeEscape(float escapeVelocity) {
+  float range = uHistogramRange.y - uHistogramRange.x;
+  if (range <= 0.0) {
+    return escapeVelocity;
   }
-  return interpolatePaletteSpline(palette, count, t);
+  float offset = max(escapeVelocity - uHistogramRange.x, 0.0);
+  float t = log(1.0 + offset) / log(1.0 + range);
+  float p = min(t, 1.0) * float(HISTOGRAM_BINS);
+  float k = min(floor(p), float(HISTOGRAM_BINS - 1));
+  return mix(histogramEdge(k), histogramEdge(k + 1.0), p - k) * HISTOGRAM_SPAN;
 }
 
-vec3 getPaletteColor(vec3 palette[MAX_COLORS], int count, float t) {
-  return palette[int(fmod(t, 1.0) * float(count))];
+vec3 paletteColor(float escapeVelocity) {
+  return gradientColor(escapeVelocity / uPalettePeriod);
 }
 
-vec3 rainbowColor(float escapeVelocity) {
-  return interpolatePalette(RAINBOW, 6, escapeVelocity / 150.0);
+vec3 getColor(float escapeVelocity) {
+  if (escapeVelocity >= float(uMaxIter)) {
+    return BLACK;
+  }
+  if (uUseHistogram == 1) {
+    escapeVelocity = equalizeEscape(escapeVelocity);
+  }
+  return paletteColor(escapeVelocity);
 }
 
-vec3 electricColor(float escapeVelocity) {
-  return interpolatePalette(ELECTRIC, 2, escapeVelocity / 100.0);
+#define BAILOUT 128.0
+
+#define FN_MANDELBROT 0
+#define FN_JULIA 1
+#define FN_BURNING_SHIP 2
+#define FN_BURNING_SHIP_JULIA 3
+#define FN_TRICORN 4
+#define FN_TRICORN_JULIA 5
+#define FN_NEWTON 6
+#define FN_FORMULA 7
+#define FN_FORMULA_JULIA 8
+
+bool isJuliaFn() {
+  return uFunctionId == FN_JULIA
+    || uFunctionId == FN_BURNING_SHIP_JULIA
+    || uFunctionId == FN_TRICORN_JULIA
+    || uFunctionId == FN_FORMULA_JULIA;
 }
 
-vec3 zebraColor(float escapeVelocity) {
-  return getPaletteColor(ZEBRA, 2, escapeVelocity / 5.0);
+bool isFormulaFn() {
+  return uFunctionId == FN_FORMULA || uFunctionId == FN_FORMULA_JULIA;
 }
 
-vec3 wikipediaColor(float escapeVelocity) {
-  return interpolatePalettePos(WIKIPEDIA, WIKIPEDIA_POSITIONS, 5, escapeVelocity / 150.0);
+// User-defined formula: vec2 formula(vec2 z, vec2 c), compiled from the
+// expression language of math/formula.js.
+{{FORMULA}}
+
+bool isBurningShipFn() {
+  return uFunctionId == FN_BURNING_SHIP || uFunctionId == FN_BURNING_SHIP_JULIA;
 }
 
-#define ELECTRIC_PALETTE_ID 0
-#define RAINBOW_PALETTE_ID 1
-#define ZEBRA_PALETTE_ID 2
-#define WIKIPEDIA_PALETTE_ID 3
-#define BLANK_PALETTE_ID 4
+bool isTricornFn() {
+  return uFunctionId == FN_TRICORN || uFunctionId == FN_TRICORN_JULIA;
+}
 
-const vec3 BLANK = vec3(0.82, 0.82, 0.8);
+// Fold z before it is raised to the exponent: |Re z| + i|Im z| for the
+// Burning Ship, conj(z) for the Tricorn.
+vec2 fold(vec2 z) {
+  if (isBurningShipFn()) {
+    return abs(z);
+  }
+  if (isTricornFn()) {
+    return vec2(z.x, -z.y);
+  }
+  return z;
+}
 
-vec3 getColor(float escapeVelocity) {
-  if (escapeVelocity >= float(uMaxIter)) {
-    return BLACK;
+// Compute |c + d| - |c| without cancellation.
+float diffAbs(float c, float d) {
+  float cd = c + d;
+  if (c >= 0.0) {
+    return cd >= 0.0 ? d : -d - 2.0 * c;
   }
-  switch (uPaletteId) {
-    case BLANK_PALETTE_ID:
-      return BLANK;
-    case ELECTRIC_PALETTE_ID:
-      return electricColor(escapeVelocity);
-    case RAINBOW_PALETTE_ID:
-      return rainbowColor(escapeVelocity);
-    case ZEBRA_PALETTE_ID:
-      return zebraColor(escapeVelocity);
-    case WIKIPEDIA_PALETTE_ID:
-    default:
-      return wikipediaColor(escapeVelocity);
+  return cd > 0.0 ? d + 2.0 * c : -d;
+}
+
+// Compute fold(z + dz) - fold(z).
+vec2 foldDelta(vec2 z, vec2 dz) {
+  if (isBurningShipFn()) {
+    return vec2(diffAbs(z.x, dz.x), diffAbs(z.y, dz.y));
   }
+  if (isTricornFn()) {
+    return vec2(dz.x, -dz.y);
+  }
+  return dz;
 }
 
-#define FN_MANDELBROT 0
-#define FN_JULIA 1
-#define BAILOUT 128.0
+// Newton's method z = z - p(z) / p'(z), for the polynomial with roots uRoots.
+// Since p'(z) / p(z) = sum(1 / (z - r_k)), the coefficients are never needed.
+// Returns the smooth iteration count, and the index of the root the orbit
+// converged to in `root`, or -1.
+float newton(vec2 z0, out int root) {
+  vec2 z = z0;
+  root = -1;
+  for (int i = 0; i < MAX_ITER; i++) {
+    if (i >= uMaxIter) {
+      break;
+    }
+    vec2 sum = vec2(0.0);
+    for (int k = 0; k < MAX_ROOTS; k++) {
+      if (k >= uRootCount) {
+        break;
+      }
+      vec2 d = z - uRoots[k];
+      float squareMod = complex_square_mod(d);
+      if (squareMod < NEWTON_TOLERANCE) {
+        root = k;
+        // Convergence is quadratic: interpolate between steps.
+        float ratio = log(squareMod) / log(NEWTON_TOLERANCE);
+        return float(i) - clamp(log2(ratio), 0.0, 1.0);
+      }
+      sum += vec2(d.x, -d.y) / squareMod;
+    }
+    z -= vec2(sum.x, -sum.y) / complex_square_mod(sum);
+  }
+  return float(uMaxIter);
+}
 
 vec2 getOrbitPoint(int index) {
   vec4 point = uOrbitData[index >> 1];
@@ -214,70 +425,652 @@ vec2 getOrbitPoint(int index) {
 }
 
 float smoothEscapeVelocity(int iter, float squareMod) {
-  return float(iter) + 1.0 - log(log(squareMod)) / log(2.0);
+  return float(iter) + 1.0 - log(log(squareMod)) / log(uExponent);
+}
+
+// Brent's cycle detection: whether z_n, at iteration i = n - 1, comes back to
+// the checkpoint, which is saved at the last power of 2 iteration.
+bool isPeriodic(int i, vec2 z, inout vec2 checkpoint, inout int nextCheck, float pixelSize) {
+  float epsilon = pixelSize * PERIODICITY_TOLERANCE;
+  if (complex_square_mod(z - checkpoint) <= epsilon * epsilon) {
+    return true;
+  }
+  if (i + 1 == nextCheck) {
+    checkpoint = z;
+    nextCheck *= 2;
+  }
+  return false;
+}
+
+// Whether the orbit is attracted to a cycle: the derivative |dz_n / dz_1|², the
+// product of the multipliers |d * z^(d-1)|², vanishes along the cycle.
+bool isAttracted(inout float derivative2, float squareMod) {
+  derivative2 *= uExponent * uExponent * pow(squareMod, uExponent - 1.0);
+  return derivative2 < INTERIOR_DERIVATIVE * INTERIOR_DERIVATIVE;
+}
+
+// Minimum distance of the orbit to the orbit trap, over the points passed to
+// trapStep()
+float trapDistance = TRAP_FAR;
+
+void trapStep(vec2 z) {
+  if (uOrbitTrap == NO_ORBIT_TRAP_ID) {
+    return;
+  }
+  vec2 d = z - uTrapCenter;
+  float distance;
+  if (uOrbitTrap == POINT_ORBIT_TRAP_ID) {
+    distance = length(d);
+  } else if (uOrbitTrap == CIRCLE_ORBIT_TRAP_ID) {
+    distance = abs(length(d) - uTrapRadius);
+  } else {
+    distance = min(abs(d.x), abs(d.y));
+  }
+  trapDistance = min(trapDistance, distance);
+}
+
+// The escape velocity the palette colors the point with, by the distance of
+// its orbit to the trap, or -1 when it keeps its escape color: Pickover stalks
+// only color the orbits that come within the stalk width.
+float trapVelocity() {
+  if (uOrbitTrap == STALKS_ORBIT_TRAP_ID) {
+    return trapDistance < uTrapRadius
+      ? TRAP_SPAN * trapDistance / uTrapRadius
+      : -1.0;
+  }
+  if (uOrbitTrap == NO_ORBIT_TRAP_ID || trapDistance >= TRAP_FAR) {
+    return -1.0;
+  }
+  return TRAP_SPAN * trapDistance / (trapDistance + uTrapRadius);
 }
 
-float julia(vec2 z0, vec2 c) {
+// Average of the average coloring along the orbit, like OrbitAverage in
+// math/orbit-average.js, over the points passed to averageStep(): the sums of
+// the terms up to z_n and z_(n-1), their count, the 2 last points of the orbit,
+// |z_n|², and |c| of the iteration
+float averageSum = 0.0;
+float averageLastSum = 0.0;
+float averageTerms = 0.0;
+int averageSteps = 0;
+vec2 averageZ1 = vec2(0.0);
+vec2 averageZ2 = vec2(0.0);
+float averageSquareMod = 0.0;
+float averageC = 0.0;
+
+void averageReset(vec2 c) {
+  averageSum = 0.0;
+  averageLastSum = 0.0;
+  averageTerms = 0.0;
+  averageSteps = 0;
+  averageC = length(c);
+}
+
+void averageStep(vec2 z) {
+  if (uAverageColoring == NO_AVERAGE_COLORING_ID) {
+    // The last point of the orbit, for the decomposition
+    averageZ1 = z;
+    return;
+  }
+  averageSquareMod = complex_square_mod(z);
+  bool hasTerm = false;
+  float term = 0.0;
+  if (uAverageColoring == STRIPE_AVERAGE_COLORING_ID) {
+    hasTerm = true;
+    term = 0.5 + 0.5 * sin(STRIPE_DENSITY * atan(z.y, z.x));
+  } else if (uAverageColoring == TRIANGLE_AVERAGE_COLORING_ID) {
+    // |z_n| between the bounds of the triangle inequality
+    float power = pow(length(averageZ1), uExponent);
+    float low = abs(power - averageC);
+    float high = power + averageC;
+    hasTerm = averageSteps > 0 && high > low;
+    term = (sqrt(averageSquareMod) - low) / max(high - low, 1e-30);
+  } else {
+    // The angle between z_n - z_(n-1) and z_(n-1) - z_(n-2)
+    vec2 a = z - averageZ1;
+    vec2 b = averageZ1 - averageZ2;
+    hasTerm = averageSteps > 1 && dot(a, a) > 0.0 && dot(b, b) > 0.0;
+    term = abs(atan(a.y * b.x - a.x * b.y, dot(a, b))) / PI;
+  }
+  if (hasTerm) {
+    averageLastSum = averageSum;
+    averageSum += term;
+    averageTerms += 1.0;
+  }
+  averageZ2 = averageZ1;
+  averageZ1 = z;
+  averageSteps++;
+}
+
+// The escape velocity the palette colors the escaped point with, by the
+// average of its orbit, or -1 when it keeps its escape color. The averages up
+// to z_n and z_(n-1) are blended like the smooth escape velocity.
+float averageVelocity() {
+  if (averageTerms == 0.0) {
+    return -1.0;
+  }
+  float average = averageSum / averageTerms;
+  float lastAverage = averageTerms > 1.0
+    ? averageLastSum / (averageTerms - 1.0)
+    : average;
+  float blend = 1.0 +
+    log(2.0 * log(BAILOUT) / log(averageSquareMod)) / log(uExponent);
+  return AVERAGE_SPAN * mix(lastAverage, average, clamp(blend, 0.0, 1.0));
+}
+
+// Split the color of an escaped point by the angle of its orbit z_n at
+// bailout, like decompositionColor() in core/palette.js
+vec3 decompositionColor(vec3 color, vec2 z) {
+  if (uDecomposition == BINARY_DECOMPOSITION_ID) {
+    return z.y < 0.0 ? vec3(1.0) - color : color;
+  }
+  if (uDecomposition == FIELD_LINES_DECOMPOSITION_ID) {
+    // Distance to the nearest line, 1 halfway between two lines
+    float lines = FIELD_LINES * atan(z.y, z.x) / (2.0 * PI);
+    float distance = 2.0 * abs(lines - floor(lines + 0.5));
+    return color * smoothstep(0.0, FIELD_LINE_WIDTH, distance);
+  }
+  return color;
+}
+
+float julia(vec2 z0, vec2 c, float pixelSize) {
   vec2 z = z0;
+  vec2 checkpoint = z0;
+  int nextCheck = 1;
+  float derivative2 = 1.0;
   for (int i = 0; i < uMaxIter; i++) {
-    z = complex_square(z) + c;
+    z = complex_pow(fold(z), uExponent) + c;
+    trapStep(z);
+    averageStep(z);
 
     float squareMod = complex_square_mod(z);
     if (squareMod > BAILOUT * BAILOUT) {
       return smoothEscapeVelocity(i, squareMod);
     }
+    if (isPeriodic(i, z, checkpoint, nextCheck, pixelSize) ||
+        isAttracted(derivative2, squareMod)) {
+      break;
+    }
   }
   return float(uMaxIter);
 }
 
-float juliaPerturb(vec2 dz0, vec2 dc) {
+float juliaFormula(vec2 z0, vec2 c) {
+  vec2 z = z0;
+  for (int i = 0; i < uMaxIter; i++) {
+    z = formula(z, c);
+    trapStep(z);
+    averageStep(z);
+
+    float squareMod = complex_square_mod(z);
+    if (squareMod > BAILOUT * BAILOUT) {
+      return smoothEscapeVelocity(i, squareMod);
+    }
+  }
+  return float(uMaxIter);
+}
+
+// The perturbation at iteration uSeriesSkip, for the offset q in pixels
+vec2 seriesDelta(vec2 q) {
+  vec2 dz = complex_mul(uSeries[2], q) + uSeries[1];
+  dz = complex_mul(dz, q) + uSeries[0];
+  return complex_mul(dz, q);
+}
+
+// The derivative of seriesDelta() with respect to q
+vec2 seriesDerivative(vec2 q) {
+  vec2 der = complex_mul(3.0 * uSeries[2], q) + 2.0 * uSeries[1];
+  return complex_mul(der, q) + uSeries[0];
+}
+
+// The perturbed orbit starts at iteration start, from dz0.
+float juliaPerturb(vec2 dz0, vec2 dc, int start) {
+  vec2 dz = dz0;
+  vec2 z = getOrbitPoint(start);
+  // The perturbed orbit lacks the precision for the cycle detection.
+  float derivative2 = 1.0;
+
+  for (int i = start; i < uMaxIter && i < uOrbitCount - 1; i++) {
+    dz = perturb_pow(fold(z), foldDelta(z, dz), uExponent) + dc;
+    z = getOrbitPoint(i + 1);
+    trapStep(z + dz);
+    averageStep(z + dz);
+
+    float squareMod = complex_square_mod(z + dz);
+    if (squareMod > BAILOUT * BAILOUT) {
+      return smoothEscapeVelocity(i, squareMod);
+    }
+    if (isAttracted(derivative2, squareMod)) {
+      break;
+    }
+  }
+  return float(uMaxIter);
+}
+
+// Search for the cycle the orbit is attracted to, like CycleSearch in
+// math/julia.js: Brent's cycle detection finds a multiple k of the period, then
+// the orbit is followed for up to k iterations to find the period and the
+// multiplier. Escaping orbits get the period of their atom domain. The orbit
+// starts from z0 with c, or from dz0 with dc under perturbation. Returns the
+// period, or 0 when no cycle is found.
+int juliaCycle(
+  vec2 z0,
+  vec2 c,
+  vec2 dz0,
+  vec2 dc,
+  float pixelSize,
+  out vec2 multiplier,
+  out bool escaped
+) {
+  bool perturb = uUsePerturb == 1;
+  vec2 z = perturb ? getOrbitPoint(0) : z0;
+  vec2 dz = dz0;
+  vec2 w = z + dz;
+  vec2 checkpoint = w;
+  int power = 1;
+  int steps = 0;
+  bool refining = false;
+  // The multiplier is kept as its phase and the log of its modulus, as the
+  // partial products overflow along long cycles.
+  vec2 phase = vec2(1.0, 0.0);
+  float logModulus = 0.0;
+  float minSquareMod = BAILOUT * BAILOUT;
+  int atomPeriod = 0;
+  multiplier = vec2(0.0);
+  escaped = false;
+  for (int i = 0; i < uMaxIter; i++) {
+    if (perturb && i >= uOrbitCount - 1) {
+      break;
+    }
+    if (refining) {
+      vec2 m = complex_pow(fold(w), uExponent - 1.0);
+      float modulus = length(m);
+      logModulus += log(uExponent * max(modulus, 1e-30));
+      if (modulus > 0.0) {
+        phase = complex_mul(phase, m / modulus);
+      }
+    }
+    if (perturb) {
+      dz = perturb_pow(fold(z), foldDelta(z, dz), uExponent) + dc;
+      z = getOrbitPoint(i + 1);
+      w = z + dz;
+    } else {
+      w = complex_pow(fold(w), uExponent) + c;
+    }
+
+    float squareMod = complex_square_mod(w);
+    if (squareMod > BAILOUT * BAILOUT) {
+      escaped = true;
+      return atomPeriod;
+    }
+    if (squareMod < minSquareMod) {
+      minSquareMod = squareMod;
+      atomPeriod = i + 1;
+    }
+    steps++;
+    float epsilon = max(pixelSize * PERIODICITY_TOLERANCE, CYCLE_TOLERANCE * sqrt(squareMod));
+    float distance2 = complex_square_mod(w - checkpoint);
+    if (refining) {
+      float tolerance = CYCLE_REFINEMENT * epsilon;
+      if (distance2 <= tolerance * tolerance || steps == power) {
+        multiplier = exp(logModulus) * phase;
+        return steps;
+      }
+    } else if (distance2 <= epsilon * epsilon) {
+      // Follow the orbit from here for up to k = steps iterations.
+      refining = true;
+      checkpoint = w;
+      power = steps;
+      steps = 0;
+    } else if (steps == power) {
+      checkpoint = w;
+      power *= 2;
+      steps = 0;
+    }
+  }
+  return 0;
+}
+
+// Step the derivative of z with respect to the pixel position, before
+// z = fold(z)^d + c: der = d * fold(z)^(d-1) * fold'(der) + k, where k is the
+// pixel size in the parameter plane and 0 for Julia fns. Keeping it in pixels
+// gives distances in pixels. The folds are not holomorphic, but carrying their
+// sign flips over to der is close enough to estimate distances.
+vec2 stepDerivative(vec2 z, vec2 der, float pixelSize) {
+  vec2 foldedDer = der;
+  if (isBurningShipFn()) {
+    foldedDer = vec2(z.x < 0.0 ? -der.x : der.x, z.y < 0.0 ? -der.y : der.y);
+  } else if (isTricornFn()) {
+    foldedDer = vec2(der.x, -der.y);
+  }
+  vec2 k = isJuliaFn() ? vec2(0.0) : vec2(pixelSize, 0.0);
+  return uExponent * complex_mul(complex_pow(fold(z), uExponent - 1.0), foldedDer) + k;
+}
+
+// Distance to the set, estimated from the escaped |z|² and the derivative of z.
+float distanceEstimate(float squareMod, vec2 der) {
+  return 0.5 * sqrt(squareMod) * log(squareMod) / length(der);
+}
+
+// Direction of z / der, the normal of the normal map, or 0 when der is 0.
+vec2 normalDirection(vec2 z, vec2 der) {
+  // z / der has the direction of z * conj(der), scaled down not to overflow.
+  float derLength = length(der);
+  if (derLength <= 0.0) {
+    return vec2(0.0);
+  }
+  vec2 direction = complex_mul(z, vec2(der.x, -der.y) / derLength);
+  return length(direction) > 0.0 ? normalize(direction) : vec2(0.0);
+}
+
+// Like julia(), also writing the distance to the set, in pixels, in
+// `pixelDistance`, and the direction of the normal in `normal`.
+float juliaDistance(
+  vec2 z0,
+  vec2 c,
+  float pixelSize,
+  out float pixelDistance,
+  out vec2 normal
+) {
+  vec2 z = z0;
+  vec2 der = isJuliaFn() ? vec2(pixelSize, 0.0) : vec2(0.0);
+  vec2 checkpoint = z0;
+  int nextCheck = 1;
+  float derivative2 = 1.0;
+  pixelDistance = 0.0;
+  normal = vec2(0.0);
+  for (int i = 0; i < uMaxIter; i++) {
+    der = stepDerivative(z, der, pixelSize);
+    z = complex_pow(fold(z), uExponent) + c;
+    trapStep(z);
+    averageStep(z);
+
+    float squareMod = complex_square_mod(z);
+    if (squareMod > BAILOUT * BAILOUT) {
+      pixelDistance = distanceEstimate(squareMod, der);
+      normal = normalDirection(z, der);
+      return smoothEscapeVelocity(i, squareMod);
+    }
+    if (isPeriodic(i, z, checkpoint, nextCheck, pixelSize) ||
+        isAttracted(derivative2, squareMod)) {
+      break;
+    }
+  }
+  return float(uMaxIter);
+}
+
+// Like juliaPerturb(), tracking the derivative on the full orbit z + dz, from
+// der0 at iteration start.
+float juliaPerturbDistance(
+  vec2 dz0,
+  vec2 dc,
+  vec2 der0,
+  int start,
+  float pixelSize,
+  out float pixelDistance,
+  out vec2 normal
+) {
   vec2 dz = dz0;
-  vec2 z = getOrbitPoint(0);
+  vec2 z = getOrbitPoint(start);
+  vec2 der = der0;
+  float derivative2 = 1.0;
+  pixelDistance = 0.0;
+  normal = vec2(0.0);
 
-  for (int i = 0; i < uMaxIter && i < uOrbitCount - 1; i++) {
-    dz = complex_mul(2.0 * z + dz, dz) + dc;
+  for (int i = start; i < uMaxIter && i < uOrbitCount - 1; i++) {
+    der = stepDerivative(z + dz, der, pixelSize);
+    dz = perturb_pow(fold(z), foldDelta(z, dz), uExponent) + dc;
     z = getOrbitPoint(i + 1);
+    trapStep(z + dz);
+    averageStep(z + dz);
 
     float squareMod = complex_square_mod(z + dz);
     if (squareMod > BAILOUT * BAILOUT) {
+      pixelDistance = distanceEstimate(squareMod, der);
+      normal = normalDirection(z + dz, der);
       return smoothEscapeVelocity(i, squareMod);
     }
+    if (isAttracted(derivative2, squareMod)) {
+      break;
+    }
   }
   return float(uMaxIter);
 }
 
-vec3 renderOne(vec2 fragCoord, vec2 scaleFactor) {
+// Points closer to the set than DISTANCE_LINE_WIDTH fade to black, which draws
+// boundary lines of the same width at any zoom.
+float distanceShade(float pixelDistance) {
+  return clamp(pixelDistance / DISTANCE_LINE_WIDTH, 0.0, 1.0);
+}
+
+// Light a color by the normal of its pixel with the Blinn-Phong model, like
+// LightingModel in core/lighting.js: pixels lit in part, whose normal is
+// shorter, are lit as much.
+vec3 lightColor(vec3 color, float shade, vec2 normal) {
+  float lit = min(length(normal), 1.0);
+  if (lit == 0.0) {
+    return color;
+  }
+  vec3 surface = normalize(vec3(uLighting.w * normal / lit, 1.0));
+  float diffuse = 0.0;
+  float specular = 0.0;
+  for (int i = 0; i < MAX_LIGHTS; i++) {
+    if (i >= uLightCount) {
+      break;
+    }
+    vec3 halfway = normalize(uLights[i] + vec3(0.0, 0.0, 1.0));
+    diffuse += max(dot(surface, uLights[i]), 0.0);
+    specular += pow(max(dot(surface, halfway), 0.0), SPECULAR_SHININESS);
+  }
+  float count = float(uLightCount);
+  float gain = 1.0 + lit * (uLighting.x + uLighting.y * diffuse / count - 1.0);
+  return color * gain + lit * shade * uLighting.z * specular / count;
+}
+
+// A normal in [-1, 1]², in 2 bytes per coordinate, 0 packed exactly
+vec4 packNormal(vec2 normal) {
+  vec2 value = floor((clamp(normal, -1.0, 1.0) * 0.5 + 0.5) * 65534.0 + 0.5);
+  vec2 high = floor(value / 256.0);
+  return vec4(high, value - 256.0 * high).xzyw / 255.0;
+}
+
+vec2 unpackNormal(vec4 bytes) {
+  vec4 value = floor(bytes * 255.0 + 0.5);
+  return (256.0 * value.xz + value.yw) / 65534.0 * 2.0 - 1.0;
+}
+
+// Fully saturated color of the given hue, in [0, 1].
+vec3 hueColor(float hue) {
+  return clamp(abs(mod(hue * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+}
+
+// Root hues are spread evenly on the color wheel, and darken as the iteration
+// count grows.
+vec3 newtonColor(int root, float iter) {
+  if (root < 0) {
+    return BLACK;
+  }
+  float hue = float(root) / float(uRootCount);
+  return mix(vec3(1.0), hueColor(hue), NEWTON_SATURATION) * pow(NEWTON_SHADE, iter);
+}
+
+// Successive periods are a golden angle apart on the color wheel, so that
+// neighbouring components stand out. Unknown periods are black.
+vec3 periodColor(int period) {
+  if (period <= 0) {
+    return BLACK;
+  }
+  float hue = fract(float(period) * GOLDEN_RATIO_CONJUGATE);
+  return mix(vec3(1.0), hueColor(hue), INTERIOR_SATURATION);
+}
+
+// The phase of the multiplier sets the hue, and its magnitude the shade.
+vec3 multiplierColor(vec2 multiplier) {
+  float hue = atan(multiplier.y, multiplier.x) / (2.0 * PI) + 0.5;
+  float shade = mix(MULTIPLIER_MIN_SHADE, 1.0, min(length(multiplier), 1.0));
+  return mix(vec3(1.0), hueColor(hue), INTERIOR_SATURATION) * shade;
+}
+
+vec3 interiorColor(int period, vec2 multiplier, bool escaped) {
+  if (escaped) {
+    return periodColor(period) * ATOM_DOMAIN_SHADE;
+  }
+  if (period == 0) {
+    return BLACK;
+  }
+  if (uInteriorColoring == MULTIPLIER_INTERIOR_COLORING_ID) {
+    return multiplierColor(multiplier);
+  }
+  return periodColor(period);
+}
+
+// Escape velocity of the sample at fragCoord and, when the derivative is
+// tracked, its distance to the set in pixels and its normal
+float escapeVelocityAt(
+  vec2 fragCoord,
+  vec2 scaleFactor,
+  bool useDerivative,
+  out float pixelDistance,
+  out vec2 normal
+) {
   float escapeVelocity = 0.0;
+  pixelDistance = 0.0;
+  normal = vec2(0.0);
+  trapDistance = TRAP_FAR;
+  vec2 pos = uCenterZoom.xy + (fragCoord - 0.5 * uResolution) * scaleFactor;
+  vec2 delta = (fragCoord - uCenterZoom.xy) * scaleFactor;
+  // Under perturbation, the c of the reference z_1 = c stands for the c of
+  // the pixel.
+  if (isJuliaFn()) {
+    averageReset(uParam0);
+  } else {
+    averageReset(uUsePerturb == 0 ? pos : getOrbitPoint(1));
+  }
   if (uUsePerturb == 0) {
-    vec2 pos = uCenterZoom.xy + (fragCoord - 0.5 * uResolution) * scaleFactor;
-    switch (uFunctionId) {
-      case FN_JULIA:
-        escapeVelocity = julia(pos, uParam0);
-        break;
-      case FN_MANDELBROT:
-      default:
-        escapeVelocity = julia(vec2(0.0), pos);
-        break;
+    if (isFormulaFn()) {
+      // Formulas iterate from z0 = c, as they may be undefined at 0.
+      escapeVelocity = isJuliaFn()
+        ? juliaFormula(pos, uParam0)
+        : juliaFormula(pos, pos);
+    } else if (useDerivative) {
+      escapeVelocity = isJuliaFn()
+        ? juliaDistance(pos, uParam0, scaleFactor.x, pixelDistance, normal)
+        : juliaDistance(vec2(0.0), pos, scaleFactor.x, pixelDistance, normal);
+    } else if (isJuliaFn()) {
+      escapeVelocity = julia(pos, uParam0, scaleFactor.x);
+    } else {
+      escapeVelocity = julia(vec2(0.0), pos, scaleFactor.x);
     }
   } else {
-    vec2 delta = (fragCoord - uCenterZoom.xy) * scaleFactor;
-    switch (uFunctionId) {
-      case FN_JULIA:
-        escapeVelocity = juliaPerturb(delta, vec2(0.0));
-        break;
-      case FN_MANDELBROT:
-      default:
-        escapeVelocity = juliaPerturb(vec2(0.0), delta);
-        break;
+    vec2 dz0 = isJuliaFn() ? delta : vec2(0.0);
+    vec2 dc = isJuliaFn() ? vec2(0.0) : delta;
+    vec2 der0 = isJuliaFn() ? vec2(scaleFactor.x, 0.0) : vec2(0.0);
+    // Past the iterations skipped by the series approximation
+    if (uSeriesSkip > 0) {
+      vec2 q = fragCoord - uCenterZoom.xy;
+      dz0 = seriesDelta(q);
+      der0 = seriesDerivative(q);
+    }
+    if (useDerivative) {
+      escapeVelocity = juliaPerturbDistance(
+        dz0,
+        dc,
+        der0,
+        uSeriesSkip,
+        scaleFactor.x,
+        pixelDistance,
+        normal
+      );
+    } else {
+      escapeVelocity = juliaPerturb(dz0, dc, uSeriesSkip);
+    }
+  }
+  return escapeVelocity;
+}
+
+// The color of a sample before the lighting, the distance shade of that color,
+// and the normal that lights it, 0 where it is not lit.
+vec3 renderOne(
+  vec2 fragCoord,
+  vec2 scaleFactor,
+  out float shade,
+  out vec2 litNormal
+) {
+  shade = 1.0;
+  litNormal = vec2(0.0);
+  if (uFunctionId == FN_NEWTON) {
+    vec2 pos = uCenterZoom.xy + (fragCoord - 0.5 * uResolution) * scaleFactor;
+    int root;
+    float iter = newton(pos, root);
+    return newtonColor(root, iter);
+  }
+
+  // The derivative gives both the distance and the normal of the normal map.
+  bool useDistance = uDistanceEstimation == 1 && !isFormulaFn();
+  bool useNormalMap = uNormalMap == 1 && !isFormulaFn();
+  vec2 pos = uCenterZoom.xy + (fragCoord - 0.5 * uResolution) * scaleFactor;
+  vec2 delta = (fragCoord - uCenterZoom.xy) * scaleFactor;
+  float pixelDistance;
+  vec2 normal;
+  float escapeVelocity = escapeVelocityAt(
+    fragCoord,
+    scaleFactor,
+    useDistance || useNormalMap,
+    pixelDistance,
+    normal
+  );
+
+  // Interior points are iterated again to find their cycle, and with atom
+  // domains, escaping points to find their atom domain.
+  bool useCycle = uInteriorColoring != NO_INTERIOR_COLORING_ID && !isFormulaFn();
+  if (useCycle && (escapeVelocity >= float(uMaxIter) ||
+      uInteriorColoring == ATOM_DOMAINS_INTERIOR_COLORING_ID)) {
+    vec2 multiplier;
+    bool escaped;
+    int period;
+    if (uUsePerturb == 0) {
+      period = isJuliaFn()
+        ? juliaCycle(pos, uParam0, vec2(0.0), vec2(0.0), scaleFactor.x, multiplier, escaped)
+        : juliaCycle(vec2(0.0), pos, vec2(0.0), vec2(0.0), scaleFactor.x, multiplier, escaped);
+    } else {
+      period = isJuliaFn()
+        ? juliaCycle(vec2(0.0), vec2(0.0), delta, vec2(0.0), scaleFactor.x, multiplier, escaped)
+        : juliaCycle(vec2(0.0), vec2(0.0), vec2(0.0), delta, scaleFactor.x, multiplier, escaped);
+    }
+    if (useDistance && escaped) {
+      shade = distanceShade(pixelDistance);
+    }
+    return interiorColor(period, multiplier, escaped) * shade;
+  }
+
+  float velocity = trapVelocity();
+  if (velocity < 0.0 && escapeVelocity < float(uMaxIter)) {
+    velocity = averageVelocity();
+  }
+  vec3 color = velocity < 0.0 ? getColor(escapeVelocity) : paletteColor(velocity);
+  if (escapeVelocity < float(uMaxIter)) {
+    color = decompositionColor(color, averageZ1);
+    if (useNormalMap) {
+      litNormal = normal;
     }
   }
-  return getColor(escapeVelocity);
+  if (useDistance) {
+    shade = distanceShade(pixelDistance);
+  }
+  return color * shade;
 }
 
-vec3 renderSuperSample(vec2 sampleCoord, vec2 scaleFactor, int samples) {
+vec3 renderSuperSample(
+  vec2 sampleCoord,
+  vec2 scaleFactor,
+  int samples,
+  out float shade,
+  out vec2 litNormal
+) {
   vec3 mean = vec3(0.0);
   vec3 m2 = vec3(0.0);
   int sampleCount = 0;
+  float shadeSum = 0.0;
+  vec2 normalSum = vec2(0.0);
 
   for (int i = 0; i < MAX_SUPER_SAMPLES; i++) {
     if (i >= samples) {
@@ -287,8 +1080,17 @@ vec3 renderSuperSample(vec2 sampleCoord, vec2 scaleFactor, int samples) {
       rand(gl_FragCoord.xy + float(i)),
       rand(gl_FragCoord.yx + float(i) * 1.3)
     ) - 0.5;
-    vec3 sampleColor = renderOne(sampleCoord + jitter, scaleFactor);
+    float sampleShade;
+    vec2 sampleNormal;
+    vec3 sampleColor = renderOne(
+      sampleCoord + jitter,
+      scaleFactor,
+      sampleShade,
+      sampleNormal
+    );
     sampleCount += 1;
+    shadeSum += sampleShade;
+    normalSum += sampleNormal;
     vec3 delta = sampleColor - mean;
     mean += delta / float(sampleCount);
     vec3 delta2 = sampleColor - mean;
@@ -304,16 +1106,63 @@ vec3 renderSuperSample(vec2 sampleCoord, vec2 scaleFactor, int samples) {
       }
     }
   }
+  shade = shadeSum / float(sampleCount);
+  litNormal = normalSum / float(sampleCount);
   return mean;
 }
 
+// The escape velocity of a pixel every HISTOGRAM_STRIDE, over maxIter, packed
+// in the bytes of rgb. Alpha is 0 for the points that do not escape.
+vec4 histogramSample(vec2 scaleFactor) {
+  vec2 fragCoord = min(
+    floor(gl_FragCoord.xy) * HISTOGRAM_STRIDE + 0.5 * HISTOGRAM_STRIDE,
+    uResolution - 1.0
+  ) + 0.5;
+  float pixelDistance;
+  vec2 normal;
+  float escapeVelocity = escapeVelocityAt(
+    fragCoord,
+    scaleFactor,
+    false,
+    pixelDistance,
+    normal
+  );
+  if (escapeVelocity >= float(uMaxIter)) {
+    return vec4(0.0);
+  }
+  float x = clamp(escapeVelocity / float(uMaxIter), 0.0, 1.0);
+  vec3 bytes = fract(x * vec3(1.0, 255.0, 65025.0));
+  bytes.xy -= bytes.yz / 255.0;
+  return vec4(bytes, 1.0);
+}
+
 void main() {
   vec2 scaleFactor = vec2((4.0 / uResolution.x) * exp2(-uCenterZoom.z));
+  if (uRelightPass == 1) {
+    ivec2 pixel = ivec2(gl_FragCoord.xy);
+    vec4 shading = texelFetch(uShadingTex, pixel, 0);
+    vec2 normal = unpackNormal(texelFetch(uNormalTex, pixel, 0));
+    fragColor = vec4(lightColor(shading.rgb, shading.a, normal), 1.0);
+    return;
+  }
+  if (uHistogramPass == 1) {
+    fragColor = histogramSample(scaleFactor);
+    return;
+  }
   vec3 col;
+  float shade;
+  vec2 normal;
   if (uSamples <= 1) {
-    col = renderOne(gl_FragCoord.xy, scaleFactor);
+    col = renderOne(gl_FragCoord.xy, scaleFactor, shade, normal);
   } else {
-    col = renderSuperSample(gl_FragCoord.xy, scaleFactor, uSamples);
+    col = renderSuperSample(
+      gl_FragCoord.xy,
+      scaleFactor,
+      uSamples,
+      shade,
+      normal
+    );
   }
-  fragColor = vec4(col, 1.0);
+  fragColor = vec4(col, shade);
+  fragNormal = packNormal(normal);
 }
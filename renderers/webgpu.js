@@ -1,11 +1,100 @@
 import { COMPLEX_PLANE } from "../math/complex.js";
-import { Orbit, FN_MANDELBROT, FN_JULIA } from "../math/julia.js";
-import { getPaletteId, getPaletteInterpolationId } from "../core/palette.js";
+import {
+  DENSITY_SAMPLE_RADIUS,
+  DENSITY_SAMPLES_PER_PIXEL,
+  getDensityLimits,
+} from "../math/density.js";
+import { EXP_ZERO, ExpComplex, ldexp } from "../math/floatexp.js";
+import { compileFormulaToWgsl, DEFAULT_FORMULA } from "../math/formula.js";
+import {
+  BLA_STEP_SIZE,
+  GLITCH_TOLERANCE,
+  hasDensity,
+  isFormulaFn,
+  isNewtonFn,
+  MAX_REFERENCES,
+  Orbit,
+} from "../math/julia.js";
+import { packRoots } from "../math/newton.js";
+import {
+  AVERAGE_SPAN,
+  getAverageColoringId,
+  STRIPE_DENSITY,
+} from "../math/orbit-average.js";
+import { getOrbitTrapId, TRAP_SPAN } from "../math/orbit-trap.js";
+import { ReferenceSearch } from "../math/reference.js";
+import {
+  escapeHistogram,
+  FIELD_LINE_WIDTH,
+  FIELD_LINES,
+  getDecompositionId,
+  getInteriorColoringId,
+  getGradient,
+  getGradientInterpolationId,
+  HISTOGRAM_BINS,
+  HISTOGRAM_SPAN,
+  HISTOGRAM_STRIDE,
+  MAX_GRADIENT_STOPS,
+  packGradient,
+} from "../core/palette.js";
+import {
+  lightDirections,
+  MAX_LIGHTS,
+  SPECULAR_SHININESS,
+} from "../core/lighting.js";
 import { hasWebgpu } from "./capabilities.js";
-import { Renderer, RenderingEngine, RenderResults } from "./renderer.js";
+import {
+  Renderer,
+  RenderingEngine,
+  RenderMode,
+  RenderResults,
+} from "./renderer.js";
 
 const MAX_ITERATIONS = 10000; // can increase for deeper zoom if desired
+// The levels of the BLA table of MAX_ITERATIONS hold less than twice as many
+// steps.
+const MAX_BLA_STEPS = 2 * MAX_ITERATIONS;
+// Floats of a BlaStep struct, padded to its alignment
+const BLA_STEP_FLOATS = 6;
+// Words of an ExpComplex struct of the reference orbit, padded to its alignment
+const REFERENCE_POINT_WORDS = 4;
+const MAX_FLOAT32 = 3.4028234663852886e38;
 const FLOP_PER_ITER = 9;
+// Size of FractalUniforms, rounded up to a multiple of 16 bytes.
+const UNIFORM_BUFFER_SIZE = 592;
+// Offset of FractalUniforms.roots, aligned to 16 bytes.
+const ROOTS_OFFSET = 80;
+// Offset of FractalUniforms.interiorColoring, after the 4 vec4f of roots
+const INTERIOR_COLORING_OFFSET = 144;
+// Offsets of FractalUniforms.seriesSkip, and of the vec2f coefficients after it
+const SERIES_SKIP_OFFSET = 148;
+const SERIES_OFFSET = 152;
+// Offset of FractalUniforms.blaCount, after the coefficients
+const BLA_COUNT_OFFSET = 176;
+// Offsets of FractalUniforms.reference and detectGlitches
+const REFERENCE_OFFSET = 180;
+const DETECT_GLITCHES_OFFSET = 184;
+// Offsets of FractalUniforms.useHistogram, and of the vec2f histogramRange
+const USE_HISTOGRAM_OFFSET = 188;
+const HISTOGRAM_RANGE_OFFSET = 192;
+// Offsets of FractalUniforms.orbitTrap, trapRadius, and of the vec2f trapCenter
+const ORBIT_TRAP_OFFSET = 200;
+const TRAP_RADIUS_OFFSET = 204;
+const TRAP_CENTER_OFFSET = 208;
+// Offsets of FractalUniforms.averageColoring and decomposition
+const AVERAGE_COLORING_OFFSET = 216;
+const DECOMPOSITION_OFFSET = 220;
+// Offsets of FractalUniforms.lightCount, of the terms and height scale after
+// it, and of the vec4f lights, aligned to 16 bytes
+const LIGHT_COUNT_OFFSET = 224;
+const LIGHTING_OFFSET = 228;
+const LIGHTS_OFFSET = 256;
+// Offsets of FractalUniforms.palettePeriod, after the lights, and of the vec4f
+// stops of the palette, aligned to 16 bytes
+const PALETTE_PERIOD_OFFSET = 320;
+const PALETTE_OFFSET = 336;
+// Workgroup size of the histogram pass, in both directions
+const HISTOGRAM_WORKGROUP_SIZE = 8;
 
 const MIN_VARIANCE_SAMPLES = 4;
 const DEFAULT_MAX_SUPER_SAMPLES = 64;
@@ -16,6 +105,62 @@ const SUPER_SAMPLE_VARIANCE = 0.0005;
 const MAX_LOCAL_EXPONENT = 80;
 
 const WEBGPU_FRAGMENT_URL = new URL("./webgpu.wgsl", import.meta.url);
+const DENSITY_SHADER_URL = new URL("./density.wgsl", import.meta.url);
+
+// Size of DensityUniforms
+const DENSITY_UNIFORM_BUFFER_SIZE = 64;
+const DENSITY_WORKGROUP_SIZE = 64;
+// Number of orbits sampled per density render
+const DENSITY_BATCH_SAMPLES = 1 << 18;
+
+/**
+ * Pack the reference orbit into ExpComplex structs, from its extended range
+ * when it has one. The points past its escape keep their NaN mantissas.
+ */
+function packReferenceOrbit(orbit) {
+  const count = orbit.iters.length / 2;
+  const buffer = new ArrayBuffer(4 * REFERENCE_POINT_WORDS * count);
+  const mantissas = new Float32Array(buffer);
+  const exponents = new Int32Array(buffer);
+  const point = new ExpComplex();
+  for (let i = 0; i < count; i++) {
+    if (orbit.extended) {
+      const { mantissas: m, exponents: e } = orbit.extended;
+      point.setNumbers(m[2 * i], m[2 * i + 1], e[i]);
+    } else {
+      point.setNumbers(orbit.iters[2 * i], orbit.iters[2 * i + 1]);
+    }
+    const offset = REFERENCE_POINT_WORDS * i;
+    mantissas[offset] = point.x;
+    mantissas[offset + 1] = point.y;
+    exponents[offset + 2] = point.exponent;
+  }
+  return buffer;
+}
+
+/**
+ * Pack the BLA table into BlaStep structs, with the radii scaled by
+ * 2^-perturbExponent. The steps past the range of f32 never hold.
+ */
+function packBlaTable(bla, perturbExponent) {
+  const steps = bla.table.length / BLA_STEP_SIZE;
+  const packed = new Float32Array(BLA_STEP_FLOATS * steps);
+  for (let n = 0; n < steps; n++) {
+    const step = bla.table.subarray(BLA_STEP_SIZE * n, BLA_STEP_SIZE * (n + 1));
+    const offset = BLA_STEP_FLOATS * n;
+    packed.set(step.subarray(0, 4), offset);
+    const finite = packed.subarray(offset, offset + 4).every(Number.isFinite);
+    packed[offset + 4] = finite
+      ? Math.min(ldexp(step[4], -perturbExponent), MAX_FLOAT32)
+      : 0;
+  }
+  return packed;
+}
+
+// Size of the grid of pixels sampled by the histogram pass
+function histogramSize(w, h) {
+  return [Math.ceil(w / HISTOGRAM_STRIDE), Math.ceil(h / HISTOGRAM_STRIDE)];
+}
 
 async function loadWgslSource(url, constants = {}) {
   const response = await fetch(url);
@@ -43,13 +188,36 @@ export class WebgpuRenderer extends Renderer {
     this.canvasFormat = undefined;
     this.gpuContext = undefined;
     this.gpuPipeline = undefined;
+    this.gpuHistogramPipeline = undefined;
+    this.gpuRelightPipeline = undefined;
+    this.gpuBindGroupLayout = undefined;
     this.gpuUniformBuffer = undefined;
     this.gpuReferenceOrbitBuffer = undefined;
+    this.gpuBlaBuffer = undefined;
+    this.gpuGlitchBuffer = undefined;
+    this.gpuEscapeBuffer = undefined;
+    this.gpuHistogramBuffer = undefined;
+    this.gpuShadingBuffer = undefined;
     this.gpuBindGroup = undefined;
+    this.frameTexture = undefined;
+    // Whether the shading buffer holds the last frame, to relight it
+    this.frameShaded = false;
+    // Incremented by each render, to stop the passes of the previous one
+    this.renderGeneration = 0;
+    this.fragmentShaderTemplate = undefined;
+    this.formula = undefined;
+    this.densityComputePipeline = undefined;
+    this.densityDisplayPipeline = undefined;
+    this.densityUniformBuffer = undefined;
+    this.densityMaxBuffer = undefined;
+    // Histogram accumulated by the density renders of the same view
+    this.density = null;
     this.orbitWorker = undefined;
     this.nextOrbitRequestId = 1;
     this.pendingOrbitRequests = new Map();
+    this.referenceSearch = new ReferenceSearch();
     this.lastFlops = null;
+    this.lastSavedFlops = null;
   }
 
   id() {
@@ -69,57 +237,137 @@ export class WebgpuRenderer extends Renderer {
       device: this.gpuDevice,
       format: this.canvasFormat,
       alphaMode: "premultiplied",
+      // The frame rendered by the passes of all the references is copied to
+      // the canvas.
+      usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_DST,
     });
 
-    this.gpuPipeline = this.gpuDevice.createRenderPipeline({
-      layout: "auto",
-      vertex: {
-        module: await this.#createShaderModule(wgslVertexShader),
-        entryPoint: "main",
-      },
-      fragment: {
-        module: await this.#createShaderModule(
-          await loadWgslSource(WEBGPU_FRAGMENT_URL, {
-            MAX_ITERATIONS,
-            MIN_VARIANCE_SAMPLES,
-            SUPER_SAMPLE_VARIANCE,
-          })
-        ),
-        entryPoint: "main",
-        targets: [{ format: this.canvasFormat }],
-      },
-      primitive: {
-        topology: "triangle-strip",
-        stripIndexFormat: undefined,
-      },
+    this.fragmentShaderTemplate = await loadWgslSource(WEBGPU_FRAGMENT_URL, {
+      MAX_ITERATIONS,
+      MAX_BLA_STEPS,
+      GLITCH_TOLERANCE,
+      EXP_ZERO,
+      HISTOGRAM_BINS,
+      HISTOGRAM_SPAN,
+      HISTOGRAM_STRIDE,
+      TRAP_SPAN,
+      AVERAGE_SPAN,
+      STRIPE_DENSITY,
+      FIELD_LINES,
+      FIELD_LINE_WIDTH,
+      MAX_LIGHTS,
+      SPECULAR_SHININESS,
+      MAX_GRADIENT_STOPS,
+      MIN_VARIANCE_SAMPLES,
+      SUPER_SAMPLE_VARIANCE,
     });
 
     // Create a buffer for the uniform data.
     // We'll store the fractal uniforms plus padding for alignment.
     this.gpuUniformBuffer = this.gpuDevice.createBuffer({
-      size: 64, // was 56; we add palette interpolation and padding
+      size: UNIFORM_BUFFER_SIZE,
       usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
     });
 
     // Create a buffer for the reference orbit data. We'll allocate enough for
-    // 2 floats * MAX_ITERATIONS = 2*4*MAX_ITERATIONS bytes.
-    const orbitBufferSize = 2 * 4 * MAX_ITERATIONS;
+    // MAX_ITERATIONS ExpComplex structs of 4 words.
+    const orbitBufferSize = 4 * REFERENCE_POINT_WORDS * MAX_ITERATIONS;
     this.gpuReferenceOrbitBuffer = this.gpuDevice.createBuffer({
       size: orbitBufferSize,
       usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
     });
 
-    // Buffer to store iteration counts
+    // Buffer for the steps of the BLA table of the reference orbit
+    this.gpuBlaBuffer = this.gpuDevice.createBuffer({
+      size: 4 * BLA_STEP_FLOATS * MAX_BLA_STEPS,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+
+    // Buffer to store the iteration counts: run, and saved by the interior
+    // detection
     this.gpuIterationBuffer = this.gpuDevice.createBuffer({
-      size: 8, // single uint32
+      size: 16, // 2 * u64
       usage:
         GPUBufferUsage.STORAGE |
         GPUBufferUsage.COPY_SRC |
         GPUBufferUsage.COPY_DST,
     });
 
+    // Cumulative density of the bins of the histogram coloring
+    this.gpuHistogramBuffer = this.gpuDevice.createBuffer({
+      size: 4 * (HISTOGRAM_BINS + 1),
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+
+    // The render pipelines and the compute pipeline of the histogram pass
+    // share the bindings.
+    const storage = (type) => ({
+      visibility: GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
+      buffer: { type },
+    });
+    this.gpuBindGroupLayout = this.gpuDevice.createBindGroupLayout({
+      entries: [
+        { binding: 0, ...storage("uniform") },
+        { binding: 1, ...storage("read-only-storage") },
+        { binding: 2, ...storage("storage") },
+        { binding: 3, ...storage("read-only-storage") },
+        { binding: 4, ...storage("storage") },
+        { binding: 5, ...storage("storage") },
+        { binding: 6, ...storage("read-only-storage") },
+        { binding: 7, ...storage("storage") },
+      ],
+    });
+
+    this.#resizeFrame(this.canvas.width, this.canvas.height);
+    await this.#createPipeline(DEFAULT_FORMULA);
+  }
+
+  /**
+   * (Re)build the pipelines, with the user-defined formula compiled into the
+   * fragment shader.
+   */
+  async #createPipeline(formula) {
+    const layout = this.gpuDevice.createPipelineLayout({
+      bindGroupLayouts: [this.gpuBindGroupLayout],
+    });
+    const module = await this.#createShaderModule(
+      this.fragmentShaderTemplate.replaceAll(
+        "{{FORMULA}}",
+        compileFormulaToWgsl(formula)
+      )
+    );
+    const vertexModule = await this.#createShaderModule(wgslVertexShader);
+    // The render pipeline, and the one relighting its last frame
+    const createRenderPipeline = (entryPoint) =>
+      this.gpuDevice.createRenderPipeline({
+        layout,
+        vertex: {
+          module: vertexModule,
+          entryPoint: "main",
+        },
+        fragment: {
+          module,
+          entryPoint,
+          targets: [{ format: this.canvasFormat }],
+        },
+        primitive: {
+          topology: "triangle-strip",
+          stripIndexFormat: undefined,
+        },
+      });
+    this.gpuPipeline = createRenderPipeline("main");
+    this.gpuRelightPipeline = createRenderPipeline("relight");
+    this.gpuHistogramPipeline = this.gpuDevice.createComputePipeline({
+      layout,
+      compute: { module, entryPoint: "sampleEscapes" },
+    });
+    this.formula = formula;
+    this.#createBindGroup();
+  }
+
+  #createBindGroup() {
     this.gpuBindGroup = this.gpuDevice.createBindGroup({
-      layout: this.gpuPipeline.getBindGroupLayout(0),
+      layout: this.gpuBindGroupLayout,
       entries: [
         {
           binding: 0,
@@ -132,43 +380,83 @@ export class WebgpuRenderer extends Renderer {
           resource: { buffer: this.gpuReferenceOrbitBuffer },
         },
         { binding: 2, resource: { buffer: this.gpuIterationBuffer } },
+        { binding: 3, resource: { buffer: this.gpuBlaBuffer } },
+        { binding: 4, resource: { buffer: this.gpuGlitchBuffer } },
+        { binding: 5, resource: { buffer: this.gpuEscapeBuffer } },
+        { binding: 6, resource: { buffer: this.gpuHistogramBuffer } },
+        { binding: 7, resource: { buffer: this.gpuShadingBuffer } },
       ],
     });
   }
 
   /**
-   * Split the pixel->complex scale into:
+   * (Re)create the texture the passes render into, the glitches and the
+   * shading of its pixels and the escape velocities of the histogram pass, for
+   * the size of the canvas.
+   */
+  #resizeFrame(w, h) {
+    if (this.frameTexture?.width === w && this.frameTexture?.height === h) {
+      return;
+    }
+    this.frameTexture?.destroy();
+    this.gpuGlitchBuffer?.destroy();
+    this.gpuEscapeBuffer?.destroy();
+    this.gpuShadingBuffer?.destroy();
+    this.frameShaded = false;
+    this.frameTexture = this.gpuDevice.createTexture({
+      size: [w, h],
+      format: this.canvasFormat,
+      usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC,
+    });
+    this.gpuGlitchBuffer = this.gpuDevice.createBuffer({
+      size: 4 * w * h,
+      usage:
+        GPUBufferUsage.STORAGE |
+        GPUBufferUsage.COPY_SRC |
+        GPUBufferUsage.COPY_DST,
+    });
+    const [sw, sh] = histogramSize(w, h);
+    this.gpuEscapeBuffer = this.gpuDevice.createBuffer({
+      size: 4 * sw * sh,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
+    });
+    this.gpuShadingBuffer = this.gpuDevice.createBuffer({
+      size: 8 * w * h,
+      usage: GPUBufferUsage.STORAGE,
+    });
+    if (this.gpuPipeline) {
+      this.#createBindGroup();
+    }
+  }
+
+  /**
+   * Split the pixel->complex scale (4 / width) * 2^-zoom into:
    *  - scale:        local per-pixel scale used on the GPU (safe exponent range)
-   *  - perturbScale: s so that globalScale = scale * s
+   *  - perturbExponent: e so that the pixel size is scale * 2^e
    *
    * We only rescale when using perturbation, and when the scale is so small
-   * that it would drop into denormals at f32 precision.
+   * that it would drop into denormals at f32 precision. The exponent comes
+   * from the zoom, as the pixel size itself underflows float64 at deep zoom.
    */
-  #computePerturbationScale(globalScale, usePerturbation) {
-    if (!usePerturbation || globalScale === 0 || !Number.isFinite(globalScale)) {
-      return { scale: globalScale, perturbScale: 1.0 };
-    }
-
-    const absScale = Math.abs(globalScale);
-    if (absScale === 0) {
-      return { scale: 0.0, perturbScale: 1.0 };
+  #computePerturbationScale(width, zoom, usePerturbation) {
+    const globalScale = (4 / width) * Math.pow(2, -zoom);
+    if (!usePerturbation) {
+      return { scale: globalScale, perturbExponent: 0 };
     }
 
-    const expGlobal = Math.floor(Math.log2(absScale));
+    const expGlobal = Math.floor(Math.log2(4 / width) - zoom);
 
     // If the exponent is already "comfortable", don't touch it.
     if (expGlobal >= -MAX_LOCAL_EXPONENT) {
-      return { scale: globalScale, perturbScale: 1.0 };
+      return { scale: globalScale, perturbExponent: 0 };
     }
 
     // Clamp the *local* exponent to -MAX_LOCAL_EXPONENT, and push the rest
-    // into perturbScale (s).
-    const localExp = -MAX_LOCAL_EXPONENT;
-    const sExp = expGlobal - localExp;        // globalExp = localExp + sExp
-    const perturbScale = Math.pow(2, sExp);   // s = 2^sExp
-    const scale = globalScale / perturbScale; // so globalScale = scale * s
+    // into perturbExponent.
+    const perturbExponent = expGlobal + MAX_LOCAL_EXPONENT;
+    const scale = (4 / width) * Math.pow(2, -zoom - perturbExponent);
 
-    return { scale, perturbScale };
+    return { scale, perturbExponent };
   }
 
   #initOrbitWorker() {
@@ -215,9 +503,13 @@ export class WebgpuRenderer extends Renderer {
     };
   }
 
-  async #computeOrbit(map, w, h, maxIter, options) {
+  /**
+   * Compute the reference orbit of the viewport, or the one of the pixels
+   * that glitched {glitches, offset}.
+   */
+  async #computeOrbit(map, w, h, maxIter, options, glitched = null) {
     if (!this.orbitWorker) {
-      return this.#computeOrbitSync(map, w, h, maxIter, options);
+      return this.#computeOrbitSync(map, w, h, maxIter, options, glitched);
     }
 
     const mapPlane = map.plane ?? COMPLEX_PLANE;
@@ -233,6 +525,11 @@ export class WebgpuRenderer extends Renderer {
       maxIter,
       fnId: options.fn.id,
       fnParam0: this.#serializeComplex(options.fn.param0),
+      fnExponent: options.fn.exponent,
+      bla: options.bla,
+      persistOrbits: options.persistOrbits,
+      glitches: glitched?.glitches,
+      glitchOffset: glitched?.offset,
     };
 
     return new Promise((resolve, reject) => {
@@ -240,19 +537,34 @@ export class WebgpuRenderer extends Renderer {
       this.orbitWorker.postMessage({ requestId, payload });
     }).catch((err) => {
       console.warn("[orbit worker] falling back to main thread computation", err);
-      return this.#computeOrbitSync(map, w, h, maxIter, options);
+      return this.#computeOrbitSync(map, w, h, maxIter, options, glitched);
     });
   }
 
-  #computeOrbitSync(map, w, h, maxIter, options) {
-    switch (options.fn.id) {
-      case FN_MANDELBROT:
-        return Orbit.searchForMandelbrot(map, w, h, maxIter);
-      case FN_JULIA:
-        return Orbit.searchForJulia(map, w, h, maxIter, options.fn.param0);
-      default:
-        return undefined;
+  async #computeOrbitSync(map, w, h, maxIter, options, glitched) {
+    if (glitched) {
+      return Orbit.searchForGlitches(
+        map,
+        w,
+        h,
+        maxIter,
+        options.fn,
+        glitched.glitches,
+        options.bla,
+        glitched.offset
+      );
+    }
+    if (options.persistOrbits) {
+      await this.referenceSearch.cache.persist();
     }
+    return this.referenceSearch.search(
+      map,
+      w,
+      h,
+      maxIter,
+      options.fn,
+      options.bla
+    );
   }
 
   resize(width, height) {
@@ -263,6 +575,7 @@ export class WebgpuRenderer extends Renderer {
         device: this.gpuDevice,
         format: this.canvasFormat,
         alphaMode: "premultiplied",
+        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_DST,
       });
     }
   }
@@ -285,20 +598,26 @@ export class WebgpuRenderer extends Renderer {
   }
 
   async render(map, options) {
+    if (
+      options.renderMode !== RenderMode.ESCAPE &&
+      hasDensity(options.fn.id)
+    ) {
+      this.frameShaded = false;
+      return this.#renderDensity(map, options);
+    }
+
     const maxIter = Math.min(options.maxIter, MAX_ITERATIONS);
+    if (isFormulaFn(options.fn.id) && options.fn.formula !== this.formula) {
+      await this.#createPipeline(options.fn.formula);
+    }
 
     const w = this.canvas.width;
     const h = this.canvas.height;
 
-    // Global pixel->complex scale
-    const globalScale = (4 / w) * Math.pow(2, -map.zoom);
-
-    // For deep (perturbation) rendering, split the scale into a local part
-    // (u.scale) and a global factor s = u.perturbScale.
-    const { scale: gpuScale, perturbScale } = this.#computePerturbationScale(
-      globalScale,
-      options.deep
-    );
+    // For deep (perturbation) rendering, split the pixel->complex scale into a
+    // local part (u.scale) and a global factor 2^u.perturbExponent.
+    const { scale: gpuScale, perturbExponent } =
+      this.#computePerturbationScale(w, map.zoom, options.deep);
 
     // ------------------------------------
     // 3. Write fractal parameters to GPU
@@ -312,8 +631,7 @@ export class WebgpuRenderer extends Renderer {
       Math.floor(options.maxSuperSamples ?? DEFAULT_MAX_SUPER_SAMPLES)
     );
 
-    // NOTE: now 64 bytes instead of 56
-    const uniformArray = new ArrayBuffer(64);
+    const uniformArray = new ArrayBuffer(UNIFORM_BUFFER_SIZE);
     const dataView = new DataView(uniformArray);
     const mapCenter = COMPLEX_PLANE.complex().project(map.center);
     const fnParam0 = COMPLEX_PLANE.complex().project(options.fn.param0);
@@ -326,10 +644,11 @@ export class WebgpuRenderer extends Renderer {
     dataView.setFloat32(20, h, true); // resolution
     dataView.setUint32(24, maxIter, true); // maxIter
     dataView.setUint32(28, maxSuperSamples, true); // maxSuperSamples
-    dataView.setUint32(32, getPaletteId(options.palette), true); // paletteId
+    const gradient = getGradient(options.palette, options.gradient);
+    dataView.setUint32(32, gradient.colors.length, true); // paletteCount
     dataView.setUint32(
       36,
-      getPaletteInterpolationId(options.paletteInterpolation),
+      getGradientInterpolationId(gradient, options.paletteInterpolation),
       true
     ); // paletteInterpolation
     dataView.setUint32(40, options.fn.id, true); // functionId
@@ -337,63 +656,487 @@ export class WebgpuRenderer extends Renderer {
     dataView.setFloat32(48, fnParam0.x, true); // param0
     dataView.setFloat32(52, fnParam0.y, true); // param0
     dataView.setFloat32(56, gpuScale, true); // scale
-    dataView.setFloat32(60, perturbScale, true); // perturbScale
+    dataView.setFloat32(60, options.fn.exponent, true); // exponent
+    dataView.setUint32(64, options.fn.roots.length, true); // rootCount
+    dataView.setInt32(68, perturbExponent, true); // perturbExponent
+    dataView.setUint32(72, options.distanceEstimation ? 1 : 0, true); // useDistanceEstimation
+    packRoots(options.fn.roots).forEach((value, i) => {
+      dataView.setFloat32(ROOTS_OFFSET + 4 * i, value, true); // roots
+    });
+    dataView.setUint32(
+      INTERIOR_COLORING_OFFSET,
+      getInteriorColoringId(options.interiorColoring),
+      true
+    ); // interiorColoring
+    const useHistogram =
+      options.histogram === true && !isNewtonFn(options.fn.id);
+    dataView.setUint32(USE_HISTOGRAM_OFFSET, 0, true); // useHistogram
+    const trapGeometry = options.trapGeometry;
+    dataView.setUint32(
+      ORBIT_TRAP_OFFSET,
+      getOrbitTrapId(options.orbitTrap),
+      true
+    ); // orbitTrap
+    dataView.setFloat32(TRAP_RADIUS_OFFSET, trapGeometry.radius, true); // trapRadius
+    dataView.setFloat32(TRAP_CENTER_OFFSET, trapGeometry.x, true); // trapCenter
+    dataView.setFloat32(TRAP_CENTER_OFFSET + 4, trapGeometry.y, true); // trapCenter
+    dataView.setUint32(
+      AVERAGE_COLORING_OFFSET,
+      getAverageColoringId(options.averageColoring),
+      true
+    ); // averageColoring
+    dataView.setUint32(
+      DECOMPOSITION_OFFSET,
+      getDecompositionId(options.decomposition),
+      true
+    ); // decomposition
+    this.#writeLighting(dataView, options.lighting);
+    dataView.setFloat32(PALETTE_PERIOD_OFFSET, gradient.period, true); // palettePeriod
+    packGradient(gradient).forEach((value, i) => {
+      dataView.setFloat32(PALETTE_OFFSET + 4 * i, value, true); // palette
+    });
+    const skippedIterations = orbit?.approximation?.skip ?? 0;
 
-    this.gpuDevice.queue.writeBuffer(this.gpuUniformBuffer, 0, uniformArray);
+    this.#resizeFrame(w, h);
+    this.#resetIterationCounter();
+    const generation = ++this.renderGeneration;
+    this.frameShaded = true;
 
-    if (orbit) {
+    // The first reference renders every pixel, and each next one the pixels
+    // that glitched with the previous one, until none glitches. The last
+    // reference keeps its glitches.
+    let references = 0;
+    for (;;) {
+      if (orbit) {
+        this.#writeReference(dataView, orbit, perturbExponent);
+        references++;
+      }
+      const detectGlitches = orbit && references < MAX_REFERENCES;
+      dataView.setUint32(REFERENCE_OFFSET, Math.max(references - 1, 0), true); // reference
+      dataView.setUint32(DETECT_GLITCHES_OFFSET, detectGlitches ? 1 : 0, true); // detectGlitches
+      this.gpuDevice.queue.writeBuffer(this.gpuUniformBuffer, 0, uniformArray);
+      // The histogram coloring first samples the escape velocities of the
+      // frame, with the first reference.
+      if (references <= 1 && useHistogram) {
+        await this.#sampleHistogram(w, h, maxIter, dataView);
+        if (generation !== this.renderGeneration) {
+          break;
+        }
+        this.gpuDevice.queue.writeBuffer(
+          this.gpuUniformBuffer,
+          0,
+          uniformArray
+        );
+      }
+      this.#drawPass(w, h, references <= 1);
+      if (!detectGlitches) {
+        break;
+      }
+
+      const glitches = await this.#readGlitches(w, h, references);
+      if (glitches.length === 0 || generation !== this.renderGeneration) {
+        break;
+      }
+      // Fragments are sampled at the pixel centers.
+      orbit = await this.#computeOrbit(map, w, h, maxIter, options, {
+        glitches,
+        offset: 0.5,
+      });
+      if (generation !== this.renderGeneration) {
+        break;
+      }
+    }
+
+    // Don't await GPU completion here; let the main loop stay smooth.
+    this.#captureIterations().catch(() => {});
+
+    return new RenderResults(
+      this.id(),
+      options,
+      this.lastFlops,
+      false,
+      this.lastSavedFlops,
+      skippedIterations,
+      references
+    );
+  }
+
+  /**
+   * Light the last frame again from its shading, with the lighting of the
+   * options.
+   */
+  async relight(options) {
+    const w = this.canvas.width;
+    const h = this.canvas.height;
+    if (
+      !this.frameShaded ||
+      this.frameTexture.width !== w ||
+      this.frameTexture.height !== h
+    ) {
+      return null;
+    }
+    const uniformArray = new ArrayBuffer(UNIFORM_BUFFER_SIZE);
+    this.#writeLighting(new DataView(uniformArray), options.lighting);
+    this.gpuDevice.queue.writeBuffer(
+      this.gpuUniformBuffer,
+      LIGHT_COUNT_OFFSET,
+      uniformArray,
+      LIGHT_COUNT_OFFSET,
+      PALETTE_PERIOD_OFFSET - LIGHT_COUNT_OFFSET
+    );
+    this.#drawPass(w, h, false, this.gpuRelightPipeline);
+    return new RenderResults(this.id(), options);
+  }
+
+  // Write the lights, the Blinn-Phong terms and the height scale of the normal
+  // map into the uniforms.
+  #writeLighting(dataView, lighting) {
+    const lights = lightDirections(lighting);
+    dataView.setUint32(LIGHT_COUNT_OFFSET, lights.length, true); // lightCount
+    [
+      lighting.ambient,
+      lighting.diffuse,
+      lighting.specular,
+      lighting.heightScale,
+    ].forEach((value, i) => {
+      dataView.setFloat32(LIGHTING_OFFSET + 4 * i, value, true); // lighting
+    });
+    lights.forEach(({ x, y, z }, i) => {
+      const offset = LIGHTS_OFFSET + 16 * i;
+      dataView.setFloat32(offset, x, true); // lights
+      dataView.setFloat32(offset + 4, y, true); // lights
+      dataView.setFloat32(offset + 8, z, true); // lights
+    });
+  }
+
+  /**
+   * Write the reference orbit into the uniforms and the buffers: its position,
+   * its series approximation and its BLA table.
+   */
+  #writeReference(dataView, orbit, perturbExponent) {
+    dataView.setFloat32(8, orbit.sx, true); // center
+    dataView.setFloat32(12, orbit.sy, true); // center
+    // Every pixel starts at the iteration skipped by the series approximation,
+    // from the perturbation scaled by 2^-perturbExponent.
+    const approximation = orbit.approximation ?? null;
+    dataView.setUint32(SERIES_SKIP_OFFSET, approximation?.skip ?? 0, true); // seriesSkip
+    approximation?.coefficients.forEach((value, i) => {
+      dataView.setFloat32(
+        SERIES_OFFSET + 4 * i,
+        ldexp(value, -perturbExponent),
+        true
+      ); // series
+    });
+    // The BLA table, when enabled, lets pixels jump iterations.
+    const bla = orbit.bla ?? null;
+    dataView.setUint32(BLA_COUNT_OFFSET, bla?.count ?? 0, true); // blaCount
+
+    this.gpuDevice.queue.writeBuffer(
+      this.gpuReferenceOrbitBuffer,
+      0,
+      packReferenceOrbit(orbit)
+    );
+    if (bla) {
       this.gpuDevice.queue.writeBuffer(
-        this.gpuReferenceOrbitBuffer,
+        this.gpuBlaBuffer,
         0,
-        orbit.iters
+        packBlaTable(bla, perturbExponent)
       );
     }
+  }
 
-    this.#resetIterationCounter();
+  /**
+   * Sample the escape velocities of the frame with the histogram pass, and
+   * write their histogram into the uniforms and the buffer of the histogram
+   * coloring.
+   */
+  async #sampleHistogram(w, h, maxIter, dataView) {
+    const [sw, sh] = histogramSize(w, h);
+    const size = 4 * sw * sh;
+    const readBuffer = this.gpuDevice.createBuffer({
+      size,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+    });
+    const commandEncoder = this.gpuDevice.createCommandEncoder();
+    const passEncoder = commandEncoder.beginComputePass();
+    passEncoder.setPipeline(this.gpuHistogramPipeline);
+    passEncoder.setBindGroup(0, this.gpuBindGroup);
+    passEncoder.dispatchWorkgroups(
+      Math.ceil(sw / HISTOGRAM_WORKGROUP_SIZE),
+      Math.ceil(sh / HISTOGRAM_WORKGROUP_SIZE)
+    );
+    passEncoder.end();
+    commandEncoder.copyBufferToBuffer(
+      this.gpuEscapeBuffer,
+      0,
+      readBuffer,
+      0,
+      size
+    );
+    this.gpuDevice.queue.submit([commandEncoder.finish()]);
 
-    // Acquire a texture to render into
-    const renderView = this.gpuContext.getCurrentTexture().createView();
+    await readBuffer.mapAsync(GPUMapMode.READ);
+    const histogram = escapeHistogram(
+      new Float32Array(readBuffer.getMappedRange()),
+      maxIter
+    );
+    readBuffer.unmap();
+    readBuffer.destroy();
 
-    // Build the command pass
+    dataView.setUint32(USE_HISTOGRAM_OFFSET, 1, true); // useHistogram
+    dataView.setFloat32(HISTOGRAM_RANGE_OFFSET, histogram[0], true); // histogramRange
+    dataView.setFloat32(HISTOGRAM_RANGE_OFFSET + 4, histogram[1], true); // histogramRange
+    this.gpuDevice.queue.writeBuffer(
+      this.gpuHistogramBuffer,
+      0,
+      histogram.subarray(2)
+    );
+  }
+
+  /**
+   * Render the pixels of the current reference into the frame, and copy it to
+   * the canvas. The first pass renders every pixel, and the relighting
+   * pipeline lights them all again.
+   */
+  #drawPass(w, h, first, pipeline = this.gpuPipeline) {
     const commandEncoder = this.gpuDevice.createCommandEncoder();
+    if (first) {
+      commandEncoder.clearBuffer(this.gpuGlitchBuffer);
+    }
     const passEncoder = commandEncoder.beginRenderPass({
       colorAttachments: [
         {
-          view: renderView,
+          view: this.frameTexture.createView(),
           clearValue: { r: 0, g: 0, b: 0, a: 1 },
-          loadOp: "clear",
+          loadOp: first ? "clear" : "load",
           storeOp: "store",
         },
       ],
     });
 
-    passEncoder.setPipeline(this.gpuPipeline);
+    passEncoder.setPipeline(pipeline);
     passEncoder.setBindGroup(0, this.gpuBindGroup);
     passEncoder.setViewport(0, 0, w, h, 0, 1);
     passEncoder.setScissorRect(0, 0, w, h);
     passEncoder.draw(4, 1, 0, 0);
     passEncoder.end();
 
-    const gpuCommands = commandEncoder.finish();
-    this.gpuDevice.queue.submit([gpuCommands]);
+    commandEncoder.copyTextureToTexture(
+      { texture: this.frameTexture },
+      { texture: this.gpuContext.getCurrentTexture() },
+      [w, h]
+    );
+    this.gpuDevice.queue.submit([commandEncoder.finish()]);
+  }
+
+  /**
+   * The pixels set to the given reference in the glitches, by their index
+   * y * w + x.
+   */
+  async #readGlitches(w, h, reference) {
+    const size = 4 * w * h;
+    const readBuffer = this.gpuDevice.createBuffer({
+      size,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+    });
+    const commandEncoder = this.gpuDevice.createCommandEncoder();
+    commandEncoder.copyBufferToBuffer(
+      this.gpuGlitchBuffer,
+      0,
+      readBuffer,
+      0,
+      size
+    );
+    this.gpuDevice.queue.submit([commandEncoder.finish()]);
 
-    // Don't await GPU completion here; let the main loop stay smooth.
-    this.#captureIterations().catch(() => {});
+    await readBuffer.mapAsync(GPUMapMode.READ);
+    const glitches = [];
+    new Uint32Array(readBuffer.getMappedRange()).forEach((value, pixel) => {
+      if (value === reference) {
+        glitches.push(pixel);
+      }
+    });
+    readBuffer.unmap();
+    readBuffer.destroy();
+    return glitches;
+  }
 
-    return new RenderResults(this.id(), options, this.lastFlops);
+  /**
+   * Build the compute pipeline that accumulates orbits in the density
+   * histogram, and the render pipeline that displays it.
+   */
+  async #initDensity() {
+    const module = await this.#createShaderModule(
+      await loadWgslSource(DENSITY_SHADER_URL, {
+        WORKGROUP_SIZE: DENSITY_WORKGROUP_SIZE,
+        SAMPLE_RADIUS: DENSITY_SAMPLE_RADIUS,
+      })
+    );
+    this.densityComputePipeline = this.gpuDevice.createComputePipeline({
+      layout: "auto",
+      compute: { module, entryPoint: "accumulate" },
+    });
+    this.densityDisplayPipeline = this.gpuDevice.createRenderPipeline({
+      layout: "auto",
+      vertex: {
+        module: await this.#createShaderModule(wgslVertexShader),
+        entryPoint: "main",
+      },
+      fragment: {
+        module,
+        entryPoint: "display",
+        targets: [{ format: this.canvasFormat }],
+      },
+      primitive: {
+        topology: "triangle-strip",
+        stripIndexFormat: undefined,
+      },
+    });
+    this.densityUniformBuffer = this.gpuDevice.createBuffer({
+      size: DENSITY_UNIFORM_BUFFER_SIZE,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+    this.densityMaxBuffer = this.gpuDevice.createBuffer({
+      size: 16, // 4 * u32
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+  }
+
+  /**
+   * Reset the density histogram, when the view changes.
+   */
+  #resetDensity(key, size) {
+    this.density?.histogramBuffer.destroy();
+    // Buffers are zero-initialized.
+    const histogramBuffer = this.gpuDevice.createBuffer({
+      size,
+      usage: GPUBufferUsage.STORAGE,
+    });
+    this.gpuDevice.queue.writeBuffer(
+      this.densityMaxBuffer,
+      0,
+      new Uint32Array(4).buffer
+    );
+    // Each pipeline has its own bind group layout.
+    const createBindGroup = (pipeline) =>
+      this.gpuDevice.createBindGroup({
+        layout: pipeline.getBindGroupLayout(0),
+        entries: [
+          { binding: 0, resource: { buffer: this.densityUniformBuffer } },
+          { binding: 1, resource: { buffer: histogramBuffer } },
+          { binding: 2, resource: { buffer: this.densityMaxBuffer } },
+        ],
+      });
+    this.density = {
+      key,
+      samples: 0,
+      batches: 0,
+      histogramBuffer,
+      computeBindGroup: createBindGroup(this.densityComputePipeline),
+      displayBindGroup: createBindGroup(this.densityDisplayPipeline),
+    };
+  }
+
+  /**
+   * Add a batch of orbits to the density histogram of the view, and draw it.
+   * The histogram is kept while the view is unchanged, so that each render
+   * refines the previous one.
+   */
+  async #renderDensity(map, options) {
+    if (!this.densityComputePipeline) {
+      await this.#initDensity();
+    }
+
+    const w = this.canvas.width;
+    const h = this.canvas.height;
+    const maxIter = Math.min(options.maxIter, MAX_ITERATIONS);
+    const limits = getDensityLimits(
+      options.renderMode === RenderMode.NEBULABROT,
+      maxIter
+    );
+    const mapCenter = COMPLEX_PLANE.complex().project(map.center);
+    const fnParam0 = COMPLEX_PLANE.complex().project(options.fn.param0);
+    const key = [
+      w,
+      h,
+      mapCenter.x,
+      mapCenter.y,
+      map.zoom,
+      options.fn.id,
+      options.fn.exponent,
+      fnParam0.x,
+      fnParam0.y,
+      ...limits,
+    ].join();
+    if (this.density?.key !== key) {
+      this.#resetDensity(key, 4 * w * h * limits.length);
+    }
+    const density = this.density;
+
+    const uniformArray = new ArrayBuffer(DENSITY_UNIFORM_BUFFER_SIZE);
+    const dataView = new DataView(uniformArray);
+    dataView.setFloat32(0, mapCenter.x, true); // center
+    dataView.setFloat32(4, mapCenter.y, true); // center
+    dataView.setFloat32(8, w, true); // resolution
+    dataView.setFloat32(12, h, true); // resolution
+    dataView.setFloat32(16, fnParam0.x, true); // param0
+    dataView.setFloat32(20, fnParam0.y, true); // param0
+    dataView.setFloat32(24, (4 / w) * Math.pow(2, -map.zoom), true); // scale
+    dataView.setFloat32(28, options.fn.exponent, true); // exponent
+    dataView.setUint32(32, options.fn.id, true); // functionId
+    dataView.setUint32(36, limits.length, true); // channels
+    dataView.setUint32(40, density.batches++, true); // seed
+    dataView.setUint32(44, DENSITY_BATCH_SAMPLES, true); // sampleCount
+    limits.forEach((limit, k) => {
+      dataView.setUint32(48 + 4 * k, limit, true); // limits
+    });
+    this.gpuDevice.queue.writeBuffer(this.densityUniformBuffer, 0, uniformArray);
+
+    const commandEncoder = this.gpuDevice.createCommandEncoder();
+    const computeEncoder = commandEncoder.beginComputePass();
+    computeEncoder.setPipeline(this.densityComputePipeline);
+    computeEncoder.setBindGroup(0, density.computeBindGroup);
+    computeEncoder.dispatchWorkgroups(
+      Math.ceil(DENSITY_BATCH_SAMPLES / DENSITY_WORKGROUP_SIZE)
+    );
+    computeEncoder.end();
+
+    const passEncoder = commandEncoder.beginRenderPass({
+      colorAttachments: [
+        {
+          view: this.gpuContext.getCurrentTexture().createView(),
+          clearValue: { r: 0, g: 0, b: 0, a: 1 },
+          loadOp: "clear",
+          storeOp: "store",
+        },
+      ],
+    });
+    passEncoder.setPipeline(this.densityDisplayPipeline);
+    passEncoder.setBindGroup(0, density.displayBindGroup);
+    passEncoder.setViewport(0, 0, w, h, 0, 1);
+    passEncoder.setScissorRect(0, 0, w, h);
+    passEncoder.draw(4, 1, 0, 0);
+    passEncoder.end();
+    this.gpuDevice.queue.submit([commandEncoder.finish()]);
+
+    // Pace the refinement on the GPU, rather than queueing batches.
+    await this.gpuDevice.queue.onSubmittedWorkDone();
+    density.samples += DENSITY_BATCH_SAMPLES;
+    const refining = density.samples < DENSITY_SAMPLES_PER_PIXEL * w * h;
+    return new RenderResults(this.id(), options, null, refining);
   }
 
   #resetIterationCounter() {
     this.gpuDevice.queue.writeBuffer(
       this.gpuIterationBuffer,
       0,
-      new Uint32Array([0, 0]).buffer
+      new Uint32Array([0, 0, 0, 0]).buffer
     );
   }
 
   async #readIterations() {
     const readBuffer = this.gpuDevice.createBuffer({
-      size: 8,
+      size: 16,
       usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
     });
 
@@ -405,7 +1148,7 @@ export class WebgpuRenderer extends Renderer {
       0,
       readBuffer,
       0,
-      8 // 2 * u32 = 8 bytes
+      16 // 2 * u64 = 16 bytes
     );
     this.gpuDevice.queue.submit([commandEncoder.finish()]);
 
@@ -413,20 +1156,22 @@ export class WebgpuRenderer extends Renderer {
     await readBuffer.mapAsync(GPUMapMode.READ);
     const data = new Uint32Array(readBuffer.getMappedRange());
 
-    const low = data[0];
-    const high = data[1];
+    const toNumber = (low, high) =>
+      Number((BigInt(high) << BigInt(32)) | BigInt(low));
+    const totalIterations = toNumber(data[0], data[1]);
+    const savedIterations = toNumber(data[2], data[3]);
 
     readBuffer.unmap();
     readBuffer.destroy();
 
-    const totalIterations = (BigInt(high) << BigInt(32)) | BigInt(low);
-    return Number(totalIterations);
+    return { totalIterations, savedIterations };
   }
 
   async #captureIterations() {
     await this.gpuDevice.queue.onSubmittedWorkDone();
-    const totalIterations = await this.#readIterations();
+    const { totalIterations, savedIterations } = await this.#readIterations();
     this.lastFlops = totalIterations * FLOP_PER_ITER;
+    this.lastSavedFlops = savedIterations * FLOP_PER_ITER;
   }
 }
 
@@ -5,13 +5,57 @@ struct FractalUniforms {
     resolution     : vec2f,
     maxIter        : u32,
     maxSamples     : u32,
-    paletteId      : u32,
+    // Stops of the gradient of the palette
+    paletteCount   : u32,
     paletteInterpolation: u32,
     functionId     : u32,
     useNormalMap   : u32,
     param0         : vec2f,
     scale          : f32,
-    perturbScale   : f32,
+    exponent       : f32,
+    rootCount      : u32,
+    // The pixel size is scale * 2^perturbExponent.
+    perturbExponent: i32,
+    useDistanceEstimation: u32,
+    // Roots of the Newton polynomial, packed as 2 roots per vec4f.
+    roots          : array<vec4f, 4>,
+    interiorColoring: u32,
+    // Series approximation: the iterations skipped by every pixel, and the
+    // coefficients a, b, c of the perturbation aq + bq² + cq³ there, for the
+    // offset q from the reference in pixels, scaled by 2^-perturbExponent
+    seriesSkip     : u32,
+    seriesA        : vec2f,
+    seriesB        : vec2f,
+    seriesC        : vec2f,
+    // Iterations covered by the BLA table, or 0 without it
+    blaCount       : u32,
+    // Index of the reference orbit of the pass, that renders the pixels it is
+    // set to in glitches
+    reference      : u32,
+    detectGlitches : u32,
+    // Histogram coloring: whether it is on, and the range [min, max] of the
+    // escape velocities of its histogram
+    useHistogram   : u32,
+    histogramRange : vec2f,
+    // Orbit trap: its id, and its radius and center in complex coordinates
+    orbitTrap      : u32,
+    trapRadius     : f32,
+    trapCenter     : vec2f,
+    averageColoring: u32,
+    decomposition  : u32,
+    // Lighting of the normal map: the lights, their Blinn-Phong terms, and the
+    // height scale of the normals. Each light is the unit direction towards
+    // it, z out of the plane.
+    lightCount     : u32,
+    ambient        : f32,
+    diffuse        : f32,
+    specular       : f32,
+    heightScale    : f32,
+    lights         : array<vec4f, MAX_LIGHTS>,
+    // Gradient of the palette: the escape velocity it spans, and the color of
+    // each stop with its position in w
+    palettePeriod  : f32,
+    palette        : array<vec4f, MAX_GRADIENT_STOPS>,
 };
 
 struct AtomicU64 {
@@ -19,24 +63,131 @@ struct AtomicU64 {
     hi: atomic<u32>,
 };
 
+struct IterationCounters {
+    iterations: AtomicU64,
+    // Iterations skipped by the interior detection
+    saved: AtomicU64,
+};
+
 @group(0) @binding(0)
 var<uniform> u: FractalUniforms;
 
+// A complex number m * 2^e on extended-range floats, like ExpComplex in
+// math/floatexp.js: the perturbations and the reference orbit leave the range
+// of f32 at deep zoom. The mantissa is normalized, its largest part in
+// [0.5, 1), or 0 with the exponent EXP_ZERO.
+struct ExpComplex {
+    m: vec2f,
+    e: i32,
+};
+
+const EXP_ZERO: i32 = {{EXP_ZERO}};
+
 @group(0) @binding(1)
-var<storage, read> referenceOrbit: array<vec2f, {{MAX_ITERATIONS}}>;
+var<storage, read> referenceOrbit: array<ExpComplex, {{MAX_ITERATIONS}}>;
 
 @group(0) @binding(2)
-var<storage, read_write> iterationCounter: AtomicU64;
+var<storage, read_write> iterationCounter: IterationCounters;
+
+// A BLA step of l iterations: dz_{n+l} = a dz_n + b dc, while
+// |dz_n| < radius * 2^perturbExponent.
+struct BlaStep {
+    a: vec2f,
+    b: vec2f,
+    radius: f32,
+};
+
+@group(0) @binding(3)
+var<storage, read> blaTable: array<BlaStep, {{MAX_BLA_STEPS}}>;
+
+// The reference orbit each pixel is rendered with: pixels that glitch with
+// reference k are set to k + 1, for the next pass.
+@group(0) @binding(4)
+var<storage, read_write> glitches: array<u32>;
+
+// Escape velocities sampled by the histogram pass, of a pixel every
+// HISTOGRAM_STRIDE in both directions. The samples that glitch are set to
+// maxIter, to be left out with the points that do not escape.
+@group(0) @binding(5)
+var<storage, read_write> escapes: array<f32>;
+
+// Cumulative density of the escape velocities below each bin of the histogram
+// coloring, and 1 past the last one: see escapeHistogram() in core/palette.js
+@group(0) @binding(6)
+var<storage, read> histogramEdges: array<f32>;
+
+// The shading of each pixel of the last render, to light it again: its color
+// and distance shade packed as 4x8 unorm, and its normal as 2x16 snorm.
+@group(0) @binding(7)
+var<storage, read_write> pixelShading: array<vec2u>;
+
+// Whether the perturbed orbit of the sample glitched
+var<private> glitched: bool;
+// Minimum distance of the orbit of the sample to the orbit trap, over the
+// points passed to trapStep()
+var<private> trapDistance: f32;
+
+// Average of the average coloring along the orbit of the sample, like
+// OrbitAverage in math/orbit-average.js, over the points passed to
+// averageStep()
+struct OrbitAverage {
+    // Sums of the terms up to z_n and z_(n-1), and their count
+    sum: f32,
+    lastSum: f32,
+    terms: f32,
+    // Points of the orbit seen, and the 2 last ones
+    steps: u32,
+    z1: vec2f,
+    z2: vec2f,
+    squareMod: f32,
+    // |c| of the iteration
+    c: f32,
+};
+
+var<private> average: OrbitAverage;
 
 const MIN_VARIANCE_SAMPLES: u32 = {{MIN_VARIANCE_SAMPLES}}u;
 const SUPER_SAMPLE_VARIANCE: f32 = {{SUPER_SAMPLE_VARIANCE}};
+const GLITCH_TOLERANCE: f32 = {{GLITCH_TOLERANCE}};
+const HISTOGRAM_BINS: u32 = {{HISTOGRAM_BINS}}u;
+const HISTOGRAM_SPAN: f32 = {{HISTOGRAM_SPAN}};
+const HISTOGRAM_STRIDE: u32 = {{HISTOGRAM_STRIDE}}u;
+const TRAP_SPAN: f32 = {{TRAP_SPAN}};
+const TRAP_FAR: f32 = 1e30;
+const AVERAGE_SPAN: f32 = {{AVERAGE_SPAN}};
+const STRIPE_DENSITY: f32 = {{STRIPE_DENSITY}};
+// Field lines per turn of arg z_n, and their width, as a fraction of the gap
+// between two lines
+const FIELD_LINES: f32 = {{FIELD_LINES}};
+const FIELD_LINE_WIDTH: f32 = {{FIELD_LINE_WIDTH}};
 const PI: f32 = 3.141592653589793;
-const NORMAL_MAP_LIGHT_ANGLE_DEG: f32 = 45.0;
-const NORMAL_MAP_LIGHT_HEIGHT: f32 = 1.5;
 const NORMAL_MAP_BAILOUT: f32 = 512.0;
-const NORMAL_MAP_BLEND: f32 = 0.65;
-const NORMAL_MAP_MAX_GAIN: f32 = 2.0;
-const FLAT_BASE_COLOR: vec3f = vec3f(0.82, 0.82, 0.8);
+const MAX_LIGHTS: u32 = {{MAX_LIGHTS}}u;
+const SPECULAR_SHININESS: f32 = {{SPECULAR_SHININESS}};
+// Width, in pixels, of the boundary lines drawn by the distance estimation
+const DISTANCE_LINE_WIDTH: f32 = 2.0;
+// Distances are all the same past 2^DISTANCE_MAX_EXPONENT pixels.
+const DISTANCE_MAX_EXPONENT: i32 = 64;
+// Interior detection: an orbit coming back within PERIODICITY_TOLERANCE pixels
+// of a previous point is periodic, and an orbit whose derivative |dz_n / dz_1|
+// falls below INTERIOR_DERIVATIVE is attracted to a cycle.
+const PERIODICITY_TOLERANCE: f32 = 1e-6;
+const INTERIOR_DERIVATIVE: f32 = 1e-6;
+// Cycle search of the interior coloring: tolerance relative to |z|, and
+// tolerance factor of the refinement of the period
+const CYCLE_TOLERANCE: f32 = 1e-6;
+const CYCLE_REFINEMENT: f32 = 100.0;
+const INTERIOR_SATURATION: f32 = 0.75;
+const GOLDEN_RATIO_CONJUGATE: f32 = 0.6180339887;
+const MULTIPLIER_MIN_SHADE: f32 = 0.2;
+const ATOM_DOMAIN_SHADE: f32 = 0.6;
+const MAX_EXPONENT: u32 = 16u;
+const NEWTON_TOLERANCE: f32 = 1e-6;
+const NEWTON_SATURATION: f32 = 0.75;
+const NEWTON_SHADE: f32 = 0.92;
+// Below this |w|², log1p(w) and expm1(w) use their series: log() and exp()
+// lose the digits of w next to 1.
+const SERIES_SQUARE_MOD: f32 = 0.0009765625;
 
 // --- Math functions
 
@@ -77,6 +228,95 @@ fn complexSquareMod(c: vec2f) -> f32 {
     return dot(c, c);
 }
 
+// Compute z^d, for any real exponent d.
+fn complexPow(z: vec2f, d: f32) -> vec2f {
+    if (d == 2.0) {
+        return complexSquare(z);
+    }
+    let squareMod = complexSquareMod(z);
+    if (squareMod == 0.0) {
+        return vec2f(0.0);
+    }
+    if (d == floor(d)) {
+        var w = z;
+        for (var k = 1u; k < MAX_EXPONENT && f32(k) < d; k += 1u) {
+            w = complexMul(w, z);
+        }
+        return w;
+    }
+    // Polar form: z^d = |z|^d * e^(i * d * arg(z))
+    let r = pow(squareMod, 0.5 * d);
+    let theta = d * atan2(z.y, z.x);
+    return r * vec2f(cos(theta), sin(theta));
+}
+
+// Compute log(1 + w).
+fn complexLog1p(w: vec2f) -> vec2f {
+    if (complexSquareMod(w) < SERIES_SQUARE_MOD) {
+        // w - w²/2 + w³/3 - w⁴/4
+        var s = vec2f(1.0 / 3.0, 0.0) - 0.25 * w;
+        s = vec2f(0.5, 0.0) - complexMul(w, s);
+        return complexMul(w, vec2f(1.0, 0.0) - complexMul(w, s));
+    }
+    let a = vec2f(1.0 + w.x, w.y);
+    return vec2f(0.5 * log(complexSquareMod(a)), atan2(a.y, a.x));
+}
+
+// Compute e^w - 1.
+fn complexExpm1(w: vec2f) -> vec2f {
+    if (complexSquareMod(w) < SERIES_SQUARE_MOD) {
+        // w + w²/2 + w³/6 + w⁴/24
+        var s = vec2f(1.0 / 6.0, 0.0) + w / 24.0;
+        s = vec2f(0.5, 0.0) + complexMul(w, s);
+        return complexMul(w, vec2f(1.0, 0.0) + complexMul(w, s));
+    }
+    return exp(w.x) * vec2f(cos(w.y), sin(w.y)) - vec2f(1.0, 0.0);
+}
+
+// Normalize the mantissa of m * 2^e.
+fn expNormalize(m: vec2f, e: i32) -> ExpComplex {
+    let f = frexp(max(abs(m.x), abs(m.y)));
+    if (f.fract == 0.0) {
+        return ExpComplex(vec2f(0.0), EXP_ZERO);
+    }
+    return ExpComplex(ldexp(m, vec2i(-f.exp)), e + f.exp);
+}
+
+// Compute a + b, aligned on the largest exponent.
+fn expAdd(a: ExpComplex, b: ExpComplex) -> ExpComplex {
+    let e = max(a.e, b.e);
+    return expNormalize(ldexp(a.m, vec2i(a.e - e)) + ldexp(b.m, vec2i(b.e - e)), e);
+}
+
+// Compute a x b, for a complex number b on f32.
+fn expMulValue(a: ExpComplex, b: vec2f) -> ExpComplex {
+    return expNormalize(complexMul(a.m, b), a.e);
+}
+
+// Compute a^d in polar form, with the fraction of the exponent d * e folded
+// into the modulus.
+fn expPow(a: ExpComplex, d: f32) -> ExpComplex {
+    let squareMod = complexSquareMod(a.m);
+    if (squareMod == 0.0) {
+        return a;
+    }
+    let exponent = d * f32(a.e);
+    let e = floor(exponent);
+    let r = pow(squareMod, 0.5 * d) * exp2(exponent - e);
+    let theta = d * atan2(a.m.y, a.m.x);
+    return expNormalize(r * vec2f(cos(theta), sin(theta)), i32(e));
+}
+
+// The value of a on f32, that underflows to 0.
+fn expValue(a: ExpComplex) -> vec2f {
+    return ldexp(a.m, vec2i(min(a.e, 127)));
+}
+
+// Compute |a|² on f32, that underflows to 0.
+fn expSquareMod(a: ExpComplex) -> f32 {
+    return ldexp(complexSquareMod(a.m), min(2 * a.e, 127));
+}
+
 var<private> seed: u32 = 123456789u;
 const MAX_U32 = f32(0xffffffffu);
 
@@ -95,50 +335,33 @@ fn fmod(a: f32, b: f32) -> f32 {
 
 // --- Color functions
 
-const RED = vec3f(1, 0, 0);
-const YELLOW = vec3f(1, 1, 0);
-const GREEN = vec3f(0, 1, 0);
-const CYAN = vec3f(0, 1, 1);
-const BLUE = vec3f(0, 0, 1);
-const MAGENTA = vec3f(1, 0, 1);
 const BLACK = vec3f(0, 0, 0);
-const WHITE = vec3f(1, 1, 1);
-const UNUSED = BLACK;
-
-const MAX_COLORS: u32 = 6u;
-const ELECTRIC = array<vec3f, MAX_COLORS>(BLUE, WHITE, UNUSED, UNUSED, UNUSED, UNUSED);
-const RAINBOW = array<vec3f, MAX_COLORS>(YELLOW, GREEN, CYAN, BLUE, MAGENTA, RED);
-const ZEBRA = array<vec3f, MAX_COLORS>(WHITE, BLACK, UNUSED, UNUSED, UNUSED, UNUSED);
-
-// Same color palette as used on the Wikipedia page: https://en.wikipedia.org/wiki/Mandelbrot_set
-const WIKI0 = vec3f(  0,   7, 100) / 255.0;
-const WIKI1 = vec3f( 32, 107, 203) / 255.0;
-const WIKI2 = vec3f(237, 255, 255) / 255.0;
-const WIKI3 = vec3f(255, 170,   0) / 255.0;
-const WIKI4 = vec3f(  0,   2,   0) / 255.0;
-const WIKIPEDIA = array<vec3f, MAX_COLORS>(WIKI0, WIKI1, WIKI2, WIKI3, WIKI4, UNUSED);
-const WIKIPEDIA_POSITIONS = array<f32, MAX_COLORS>(0.0, 0.16, 0.42, 0.6425, 0.8575, 1.0);
+
+const MAX_GRADIENT_STOPS = {{MAX_GRADIENT_STOPS}}u;
 
 const PALETTE_INTERPOLATION_LINEAR = 0u;
 const PALETTE_INTERPOLATION_SPLINE = 1u;
+const PALETTE_INTERPOLATION_STEP = 2u;
 
-// Interpolate the color with the given palette, using spline interpolation.
-fn interpolatePaletteSpline(palette: array<vec3f, MAX_COLORS>, count: u32, t: f32) -> vec3f {
-    let wrapped = fract(t);
-    let scaled = wrapped * f32(count);
-    let i = u32(min(scaled, f32(count) - 0.001));
-    let localT = scaled - f32(i);
-
-    let i0 = i;
-    let i1 = (i + 1u) % count;
-    let im1 = (i + count - 1u) % count;
-    let i2 = (i + 2u) % count;
+// The color of the stop i of the gradient, wrapping around after the last one
+fn stopColor(i: u32) -> vec3f {
+    return u.palette[i % u.paletteCount].rgb;
+}
 
-    let p0 = palette[i0];
-    let p1 = palette[i1];
+// The color between the stops i and i + 1 of the gradient, at localT in [0, 1],
+// like interpolateStops() in core/palette.js
+fn interpolateStops(i: u32, localT: f32) -> vec3f {
+    let p0 = stopColor(i);
+    let p1 = stopColor(i + 1u);
+    if (u.paletteInterpolation == PALETTE_INTERPOLATION_STEP) {
+        return p0;
+    }
+    if (u.paletteInterpolation == PALETTE_INTERPOLATION_LINEAR) {
+        return p0 + localT * (p1 - p0);
+    }
 
-    let m0 = 0.5 * (palette[i1] - palette[im1]);
-    let m1 = 0.5 * (palette[i2] - palette[i0]);
+    let m0 = 0.5 * (p1 - stopColor(i + u.paletteCount - 1u));
+    let m1 = 0.5 * (stopColor(i + 2u) - p0);
 
     let t2 = localT * localT;
     let t3 = t2 * localT;
@@ -149,167 +372,203 @@ fn interpolatePaletteSpline(palette: array<vec3f, MAX_COLORS>, count: u32, t: f3
         + (t3 - t2) * m1;
 }
 
-// Interpolate the color with the given palette, using linear interpolation.
-fn interpolatePaletteLinear(palette: array<vec3f, MAX_COLORS>, count: u32, t: f32) -> vec3f {
-    let wrapped = fract(t);
-    let scaled = wrapped * f32(count);
-    let i = u32(min(scaled, f32(count) - 0.001));
-    let localT = scaled - f32(i);
-
-    let c0 = palette[i];
-    let c1 = palette[(i + 1u) % count];
-
-    return c0 + localT * (c1 - c0);
-}
-
-// Interpolate the color with the given color palette, with fixed positions and spline interpolation
-fn interpolatePaletteSplinePos(
-    palette: array<vec3f, MAX_COLORS>,
-    positions: array<f32, MAX_COLORS>,
-    count: u32,
-    index: f32
-) -> vec3f {
-    let lastIndex = count - 1u;
-    let t = fmod(index, 1.0);
-
-    let firstPos = positions[0];
-    let lastPos = positions[lastIndex];
-    if (t <= firstPos) {
-        return palette[0];
+// The color of the gradient at index, repeated every 1, like gradientColor()
+// in core/palette.js
+fn gradientColor(index: f32) -> vec3f {
+    let lastIndex = u.paletteCount - 1u;
+    let firstPos = u.palette[0].w;
+    let lastPos = u.palette[lastIndex].w;
+    var t = fmod(index, 1.0);
+    if (t < firstPos) {
+        t += 1.0;
     }
     if (t >= lastPos) {
         let span = 1.0 - lastPos + firstPos;
-        let wrapT = (t - lastPos) / span;
-        let u = (f32(lastIndex) + wrapT) / f32(count);
-        return interpolatePaletteSpline(palette, count, u);
+        return interpolateStops(lastIndex, (t - lastPos) / span);
     }
 
     for (var i = 0u; i < lastIndex; i += 1u) {
-        let t0 = positions[i];
-        let t1 = positions[i + 1u];
-        if (t >= t0 && t <= t1) {
-            let localT = (t - t0) / (t1 - t0);
-            let u = (f32(i) + localT) / f32(count);
-            return interpolatePaletteSpline(palette, count, u);
+        let t0 = u.palette[i].w;
+        let t1 = u.palette[i + 1u].w;
+        if (t < t1) {
+            return interpolateStops(i, (t - t0) / (t1 - t0));
         }
     }
 
-    return palette[lastIndex];
+    return stopColor(lastIndex);
 }
 
-// Interpolate the color with the given color palette, with fixed positions and linear interpolation
-fn interpolatePaletteLinearPos(
-    palette: array<vec3f, MAX_COLORS>,
-    positions: array<f32, MAX_COLORS>,
-    count: u32,
-    index: f32
-) -> vec3f {
-    let lastIndex = count - 1u;
-    let t = fmod(index, 1.0);
-
-    let firstPos = positions[0];
-    let lastPos = positions[lastIndex];
-    if (t <= firstPos) {
-        return palette[0];
-    }
-    if (t >= lastPos) {
-        let span = 1.0 - lastPos + firstPos;
-        let wrapT = (t - lastPos) / span;
-        let u = (f32(lastIndex) + wrapT) / f32(count);
-        return interpolatePaletteLinear(palette, count, u);
+const NO_INTERIOR_COLORING_ID = 0u;
+const PERIOD_INTERIOR_COLORING_ID = 1u;
+const MULTIPLIER_INTERIOR_COLORING_ID = 2u;
+const ATOM_DOMAINS_INTERIOR_COLORING_ID = 3u;
+
+const NO_ORBIT_TRAP_ID = 0u;
+const POINT_ORBIT_TRAP_ID = 1u;
+const CROSS_ORBIT_TRAP_ID = 2u;
+const CIRCLE_ORBIT_TRAP_ID = 3u;
+const STALKS_ORBIT_TRAP_ID = 4u;
+
+const NO_AVERAGE_COLORING_ID = 0u;
+const STRIPE_AVERAGE_COLORING_ID = 1u;
+const TRIANGLE_AVERAGE_COLORING_ID = 2u;
+const CURVATURE_AVERAGE_COLORING_ID = 3u;
+
+const NO_DECOMPOSITION_ID = 0u;
+const BINARY_DECOMPOSITION_ID = 1u;
+const FIELD_LINES_DECOMPOSITION_ID = 2u;
+
+// The escape velocity equalized by the histogram of the frame: its cumulative
+// density over HISTOGRAM_SPAN, like equalizeEscape() in core/palette.js.
+fn equalizeEscape(escapeVelocity: f32) -> f32 {
+    let range = u.histogramRange.y - u.histogramRange.x;
+    if (range <= 0.0) {
+        return escapeVelocity;
     }
+    let offset = max(escapeVelocity - u.histogramRange.x, 0.0);
+    let t = log(1.0 + offset) / log(1.0 + range);
+    let p = min(t, 1.0) * f32(HISTOGRAM_BINS);
+    let k = min(u32(p), HISTOGRAM_BINS - 1u);
+    let density = mix(histogramEdges[k], histogramEdges[k + 1u], p - f32(k));
+    return density * HISTOGRAM_SPAN;
+}
 
-    for (var i = 0u; i < lastIndex; i += 1u) {
-        let t0 = positions[i];
-        let t1 = positions[i + 1u];
-        if (t >= t0 && t <= t1) {
-            let localT = (t - t0) / (t1 - t0);
-            let u = (f32(i) + localT) / f32(count);
-            return interpolatePaletteLinear(palette, count, u);
-        }
+fn getColor(escapeVelocity: f32) -> vec3f {
+    if (escapeVelocity >= f32(u.maxIter)) {
+        return BLACK;
     }
-
-    return palette[lastIndex];
+    if (u.useHistogram == 1u) {
+        return paletteColor(equalizeEscape(escapeVelocity));
+    }
+    return paletteColor(escapeVelocity);
 }
 
-fn interpolatePalette(palette: array<vec3f, MAX_COLORS>, count: u32, t: f32) -> vec3f {
-    if (u.paletteInterpolation == PALETTE_INTERPOLATION_LINEAR) {
-        return interpolatePaletteLinear(palette, count, t);
-    }
-    return interpolatePaletteSpline(palette, count, t);
+fn paletteColor(escapeVelocity: f32) -> vec3f {
+    return gradientColor(escapeVelocity / u.palettePeriod);
 }
 
-fn interpolatePalettePos(
-    palette: array<vec3f, MAX_COLORS>,
-    positions: array<f32, MAX_COLORS>,
-    count: u32,
-    index: f32
-) -> vec3f {
-    if (u.paletteInterpolation == PALETTE_INTERPOLATION_LINEAR) {
-        return interpolatePaletteLinearPos(palette, positions, count, index);
-    }
-    return interpolatePaletteSplinePos(palette, positions, count, index);
+const FN_MANDELBROT = 0u;
+const FN_JULIA = 1u;
+const FN_BURNING_SHIP = 2u;
+const FN_BURNING_SHIP_JULIA = 3u;
+const FN_TRICORN = 4u;
+const FN_TRICORN_JULIA = 5u;
+const FN_NEWTON = 6u;
+const FN_FORMULA = 7u;
+const FN_FORMULA_JULIA = 8u;
+const BAILOUT = 128;
+
+fn isJuliaFn() -> bool {
+    return u.functionId == FN_JULIA
+        || u.functionId == FN_BURNING_SHIP_JULIA
+        || u.functionId == FN_TRICORN_JULIA
+        || u.functionId == FN_FORMULA_JULIA;
 }
 
-fn getPaletteColor(palette: array<vec3f, MAX_COLORS>, count: u32, index: f32) -> vec3f {
-    return palette[u32(fmod(index, 1.0) * f32(count))];
+fn isFormulaFn() -> bool {
+    return u.functionId == FN_FORMULA || u.functionId == FN_FORMULA_JULIA;
 }
 
-// --- Julia / Mandelbrot coloring
+// User-defined formula: fn formula(z: vec2f, c: vec2f) -> vec2f, compiled from
+// the expression language of math/formula.js.
+{{FORMULA}}
 
-fn rainbowColor(escapeVelocity: f32) -> vec3f {
-    return interpolatePalette(RAINBOW, 6u, escapeVelocity / 150);
+fn isBurningShipFn() -> bool {
+    return u.functionId == FN_BURNING_SHIP || u.functionId == FN_BURNING_SHIP_JULIA;
 }
 
-fn electricColor(escapeVelocity: f32) -> vec3f {
-    return interpolatePalette(ELECTRIC, 2u, escapeVelocity / 100);
+fn isTricornFn() -> bool {
+    return u.functionId == FN_TRICORN || u.functionId == FN_TRICORN_JULIA;
 }
 
-fn zebraColor(escapeVelocity: f32) -> vec3f {
-    return getPaletteColor(ZEBRA, 2u, escapeVelocity / 5);
+// Fold z before it is raised to the exponent: |Re z| + i|Im z| for the
+// Burning Ship, conj(z) for the Tricorn.
+fn fold(z: vec2f) -> vec2f {
+    if (isBurningShipFn()) {
+        return abs(z);
+    }
+    if (isTricornFn()) {
+        return complexConj(z);
+    }
+    return z;
 }
 
-fn wikipediaColor(escapeVelocity: f32) -> vec3f {
-    return interpolatePalettePos(
-        WIKIPEDIA,
-        WIKIPEDIA_POSITIONS,
-        5u,
-        escapeVelocity / 150
-    );
+// Compute |c + d| - |c| without cancellation when c + d and c have the same
+// sign.
+fn diffAbs(c: f32, d: f32) -> f32 {
+    let cd = c + d;
+    if (c >= 0.0) {
+        if (cd >= 0.0) {
+            return d;
+        }
+        return -d - 2.0 * c;
+    }
+    if (cd > 0.0) {
+        return d + 2.0 * c;
+    }
+    return -d;
 }
 
-const ELECTRIC_PALETTE_ID = 0u;
-const RAINBOW_PALETTE_ID = 1u;
-const ZEBRA_PALETTE_ID = 2u;
-const WIKIPEDIA_PALETTE_ID = 3u;
-const BLANK_PALETTE_ID = 4u;
-
-fn getColor(escapeVelocity: f32) -> vec3f {
-    if (escapeVelocity >= f32(u.maxIter)) {
-        return BLACK;
+// Compute fold(z + dz)^d - fold(z)^d, the perturbation of the reference z,
+// without the cancellation of the direct difference:
+// - integer exponents use a^d - b^d = (a - b) * sum(a^k * b^(d-1-k)), on the
+//   mantissas of a and b aligned on their largest exponent,
+// - real exponents use z^d * ((1 + w)^d - 1), with w = dz / z and
+//   (1 + w)^d - 1 = expm1(d * log1p(w)). Past the branch cut of z^d along the
+//   negative reals, or for |dz| >= |z|, the direct difference is left, as it
+//   has no cancellation there.
+fn perturbExp(z: ExpComplex, dz: ExpComplex) -> ExpComplex {
+    var fz = z;
+    var fdz = dz;
+    if (isBurningShipFn()) {
+        // z in the units of dz, only compared with it when z is not much larger
+        let zHat = ldexp(z.m, vec2i(min(z.e - dz.e, 127)));
+        fz.m = abs(z.m);
+        fdz = expNormalize(vec2f(diffAbs(zHat.x, dz.m.x), diffAbs(zHat.y, dz.m.y)), dz.e);
+    } else if (isTricornFn()) {
+        fz.m = complexConj(z.m);
+        fdz.m = complexConj(dz.m);
     }
-    switch (u.paletteId) {
-        case BLANK_PALETTE_ID: {
-            return FLAT_BASE_COLOR;
-        }
-        case ELECTRIC_PALETTE_ID: {
-            return electricColor(escapeVelocity);
-        }
-        case RAINBOW_PALETTE_ID: {
-            return rainbowColor(escapeVelocity);
-        }
-        case ZEBRA_PALETTE_ID: {
-            return zebraColor(escapeVelocity);
-        }
-        case WIKIPEDIA_PALETTE_ID, default: {
-            return wikipediaColor(escapeVelocity);
+    let a = expAdd(fz, fdz);
+    let d = u.exponent;
+    if (d != floor(d)) {
+        let b = expPow(fz, d);
+        if (complexSquareMod(fz.m) > 0.0 && (a.m.x >= 0.0 || (a.m.y < 0.0) == (fz.m.y < 0.0))) {
+            let w = expNormalize(complexDiv(fdz.m, fz.m), fdz.e - fz.e);
+            if (expSquareMod(w) < 1.0) {
+                // (1 + w)^d - 1 = d w, within the precision of f32
+                var p = ExpComplex(d * w.m, w.e);
+                if (w.e > -30) {
+                    p = ExpComplex(complexExpm1(d * complexLog1p(expValue(w))), 0);
+                }
+                return expNormalize(complexMul(b.m, p.m), b.e + p.e);
+            }
         }
+        return expAdd(expPow(a, d), ExpComplex(-b.m, b.e));
     }
+    let e = max(a.e, fz.e);
+    let am = ldexp(a.m, vec2i(a.e - e));
+    let zm = ldexp(fz.m, vec2i(fz.e - e));
+    var sum = vec2f(1.0, 0.0);
+    var b = vec2f(1.0, 0.0);
+    for (var m = 1u; m < MAX_EXPONENT && f32(m) < d; m += 1u) {
+        b = complexMul(b, zm);
+        sum = complexMul(sum, am) + b;
+    }
+    return expNormalize(complexMul(fdz.m, sum), fdz.e + e * (i32(d) - 1));
 }
 
-const FN_MANDELBROT = 0u;
-const FN_JULIA = 1u;
-const BAILOUT = 128;
+// Apply the fold to a derivative taken at z. The folds are not holomorphic,
+// so this only approximates the derivative well enough for shading.
+fn foldDerivative(z: vec2f, der: vec2f) -> vec2f {
+    if (isBurningShipFn()) {
+        return vec2f(sign(z.x) * der.x, sign(z.y) * der.y);
+    }
+    if (isTricornFn()) {
+        return complexConj(der);
+    }
+    return der;
+}
 
 fn isFinite(x: f32) -> bool {
     return x * 0.0 == 0.0;
@@ -320,22 +579,217 @@ fn smoothEscapeVelocity(iter: u32, squareMod: f32) -> f32 {
         return f32(iter);
     }
     let mag = sqrt(squareMod);
-    // nu = n + 1 - log2(log(|z|))
-    return f32(iter) + 1.0 - log2(log(mag));
+    // nu = n + 1 - log_d(log(|z|))
+    return f32(iter) + 1.0 - log(log(mag)) / log(u.exponent);
 }
   
 fn incrementIterations(value: u32) {
-    let prev = atomicAdd(&iterationCounter.lo, value);
+    let prev = atomicAdd(&iterationCounter.iterations.lo, value);
     if (prev + value < prev) { // Overflow detected
-        atomicAdd(&iterationCounter.hi, 1u);
+        atomicAdd(&iterationCounter.iterations.hi, 1u);
+    }
+}
+
+fn incrementSavedIterations(value: u32) {
+    let prev = atomicAdd(&iterationCounter.saved.lo, value);
+    if (prev + value < prev) { // Overflow detected
+        atomicAdd(&iterationCounter.saved.hi, 1u);
+    }
+}
+
+struct InteriorCheck {
+    // Point saved for the cycle detection, at the last power of 2 iteration
+    checkpoint: vec2f,
+    nextCheck: u32,
+    // |dz_n / dz_1|²
+    derivative2: f32,
+};
+
+fn newInteriorCheck(z0: vec2f) -> InteriorCheck {
+    return InteriorCheck(z0, 1u, 1.0);
+}
+
+// Brent's cycle detection: whether z_n, at iteration i = n - 1, comes back to
+// the checkpoint.
+fn isPeriodic(check: ptr<function, InteriorCheck>, i: u32, z: vec2f) -> bool {
+    let epsilon = u.scale * PERIODICITY_TOLERANCE;
+    if (complexSquareMod(z - (*check).checkpoint) <= epsilon * epsilon) {
+        return true;
+    }
+    if (i + 1u == (*check).nextCheck) {
+        (*check).checkpoint = z;
+        (*check).nextCheck *= 2u;
+    }
+    return false;
+}
+
+// Whether the orbit is attracted to a cycle: the derivative |dz_n / dz_1|², the
+// product of the multipliers |d * z^(d-1)|², vanishes along the cycle.
+fn isAttracted(check: ptr<function, InteriorCheck>, squareMod: f32) -> bool {
+    (*check).derivative2 *= u.exponent * u.exponent * pow(squareMod, u.exponent - 1.0);
+    return (*check).derivative2 < INTERIOR_DERIVATIVE * INTERIOR_DERIVATIVE;
+}
+
+// Stop the iteration of an interior point, found at iteration i of an orbit
+// that started at iteration start.
+fn stopInterior(i: u32, start: u32, maxIter: u32) -> f32 {
+    incrementIterations(i + 1u - start);
+    incrementSavedIterations(maxIter - i - 1u);
+    return f32(maxIter);
+}
+
+fn trapStep(z: vec2f) {
+    if (u.orbitTrap == NO_ORBIT_TRAP_ID) {
+        return;
+    }
+    let d = z - u.trapCenter;
+    var distance: f32;
+    switch (u.orbitTrap) {
+        case POINT_ORBIT_TRAP_ID: {
+            distance = length(d);
+        }
+        case CIRCLE_ORBIT_TRAP_ID: {
+            distance = abs(length(d) - u.trapRadius);
+        }
+        default: {
+            distance = min(abs(d.x), abs(d.y));
+        }
+    }
+    trapDistance = min(trapDistance, distance);
+}
+
+// The escape velocity the palette colors the sample with, by the distance of
+// its orbit to the trap, or -1 when it keeps its escape color: Pickover stalks
+// only color the orbits that come within the stalk width.
+fn trapVelocity() -> f32 {
+    if (u.orbitTrap == STALKS_ORBIT_TRAP_ID) {
+        return select(-1.0, TRAP_SPAN * trapDistance / u.trapRadius, trapDistance < u.trapRadius);
+    }
+    if (u.orbitTrap == NO_ORBIT_TRAP_ID || trapDistance >= TRAP_FAR) {
+        return -1.0;
+    }
+    return TRAP_SPAN * trapDistance / (trapDistance + u.trapRadius);
+}
+
+// The c of the iteration of the sample, for the averages. Under perturbation,
+// the c of the reference z_1 = c stands for the c of the pixel.
+fn averageC(fragCoord: vec2f, scaleFactor: vec2f) -> vec2f {
+    if (isJuliaFn()) {
+        return u.param0;
+    }
+    if (u.usePerturbation == 1u) {
+        return expValue(referenceOrbit[1]);
+    }
+    return u.center + (fragCoord - 0.5 * u.resolution) * scaleFactor;
+}
+
+fn averageReset(c: vec2f) {
+    average = OrbitAverage(0.0, 0.0, 0.0, 0u, vec2f(0.0), vec2f(0.0), 0.0, length(c));
+}
+
+fn averageStep(z: vec2f) {
+    if (u.averageColoring == NO_AVERAGE_COLORING_ID) {
+        // The last point of the orbit, for the decomposition
+        average.z1 = z;
+        return;
+    }
+    average.squareMod = complexSquareMod(z);
+    var hasTerm = false;
+    var term = 0.0;
+    switch (u.averageColoring) {
+        case STRIPE_AVERAGE_COLORING_ID: {
+            hasTerm = true;
+            term = 0.5 + 0.5 * sin(STRIPE_DENSITY * atan2(z.y, z.x));
+        }
+        case TRIANGLE_AVERAGE_COLORING_ID: {
+            // |z_n| between the bounds of the triangle inequality
+            let power = pow(length(average.z1), u.exponent);
+            let low = abs(power - average.c);
+            let high = power + average.c;
+            hasTerm = average.steps > 0u && high > low;
+            term = (sqrt(average.squareMod) - low) / max(high - low, 1e-30);
+        }
+        default: {
+            // The angle between z_n - z_(n-1) and z_(n-1) - z_(n-2)
+            let a = z - average.z1;
+            let b = average.z1 - average.z2;
+            hasTerm = average.steps > 1u && dot(a, a) > 0.0 && dot(b, b) > 0.0;
+            term = abs(atan2(a.y * b.x - a.x * b.y, dot(a, b))) / PI;
+        }
+    }
+    if (hasTerm) {
+        average.lastSum = average.sum;
+        average.sum += term;
+        average.terms += 1.0;
+    }
+    average.z2 = average.z1;
+    average.z1 = z;
+    average.steps += 1u;
+}
+
+// The escape velocity the palette colors the escaped sample with, by the
+// average of its orbit, or -1 when it keeps its escape color. The averages up
+// to z_n and z_(n-1) are blended like the smooth escape velocity, for the
+// bailout of the iteration.
+fn averageVelocity(bailout: f32) -> f32 {
+    if (average.terms == 0.0) {
+        return -1.0;
+    }
+    let mean = average.sum / average.terms;
+    var lastMean = mean;
+    if (average.terms > 1.0) {
+        lastMean = average.lastSum / (average.terms - 1.0);
     }
+    let blend = 1.0 + log(2.0 * log(bailout) / log(average.squareMod)) / log(u.exponent);
+    return AVERAGE_SPAN * mix(lastMean, mean, clamp(blend, 0.0, 1.0));
+}
+
+// Split the color of an escaped sample by the angle of its orbit z_n at
+// bailout, like decompositionColor() in core/palette.js
+fn decompositionColor(color: vec3f, z: vec2f) -> vec3f {
+    switch (u.decomposition) {
+        case BINARY_DECOMPOSITION_ID: {
+            return select(color, vec3f(1.0) - color, z.y < 0.0);
+        }
+        case FIELD_LINES_DECOMPOSITION_ID: {
+            // Distance to the nearest line, 1 halfway between two lines
+            let lines = FIELD_LINES * atan2(z.y, z.x) / (2.0 * PI);
+            let distance = 2.0 * abs(lines - floor(lines + 0.5));
+            return color * smoothstep(0.0, FIELD_LINE_WIDTH, distance);
+        }
+        default: {
+            return color;
+        }
+    }
+}
+
+// The color of the sample by its orbit trap or, when it escaped past bailout,
+// by the average of its orbit, or else by its escape velocity. Escaped samples
+// are split by the decomposition.
+fn sampleColor(escapeVelocity: f32, bailout: f32) -> vec3f {
+    let escaped = escapeVelocity < f32(u.maxIter);
+    var velocity = trapVelocity();
+    if (velocity < 0.0 && escaped) {
+        velocity = averageVelocity(bailout);
+    }
+    var color = getColor(escapeVelocity);
+    if (velocity >= 0.0) {
+        color = paletteColor(velocity);
+    }
+    if (escaped) {
+        color = decompositionColor(color, average.z1);
+    }
+    return color;
 }
 
 fn julia(z0: vec2f, c: vec2f, maxIter: u32) -> f32 {
     var z = z0;
+    var interior = newInteriorCheck(z0);
     for (var i = 0u; i < maxIter; i += 1u) {
-        // Compute z = z^2 + c, where z^2 is computed using complex multiplication.
-        z = complexSquare(z) + c;
+        // Compute z = z^d + c, where z^d is computed using complex multiplication.
+        z = complexPow(fold(z), u.exponent) + c;
+        trapStep(z);
+        averageStep(z);
 
         // If the magnitude of z exceeds 2.0 (|z|^2 > 4), the point escapes.
         let squareMod = complexSquareMod(z);
@@ -343,136 +797,335 @@ fn julia(z0: vec2f, c: vec2f, maxIter: u32) -> f32 {
             incrementIterations(i);
             return smoothEscapeVelocity(i, squareMod);
         }
+        if (isPeriodic(&interior, i, z) || isAttracted(&interior, squareMod)) {
+            return stopInterior(i, 0u, maxIter);
+        }
     }
     incrementIterations(maxIter);
     return f32(maxIter);
 }
 
-fn juliaPerturb(dz0_hat: vec2f, dc_hat: vec2f, maxIter: u32) -> f32 {
-    // dz_hat and dc_hat are the *scaled* perturbations.
-    var dz_hat = dz0_hat;
-    var z = referenceOrbit[0];
-
-    let s = u.perturbScale;
-
+fn juliaFormula(z0: vec2f, c: vec2f, maxIter: u32) -> f32 {
+    var z = z0;
     for (var i = 0u; i < maxIter; i += 1u) {
-        // dzhat_{n+1} = (2 z_n + s dzhat_n) dzhat_n + dchat
-        dz_hat = complexMul(2.0 * z + s * dz_hat, dz_hat) + dc_hat;
-
-        // Reconstruct the true orbit: w_n = z_n + s dzhat_n
-        let w = z + s * dz_hat;
-        let squareMod = complexSquareMod(w);
+        z = formula(z, c);
+        trapStep(z);
+        averageStep(z);
 
+        let squareMod = complexSquareMod(z);
         if (squareMod > BAILOUT * BAILOUT) {
             incrementIterations(i);
             return smoothEscapeVelocity(i, squareMod);
         }
+    }
+    incrementIterations(maxIter);
+    return f32(maxIter);
+}
+
+// The perturbation at iteration u.seriesSkip, for the offset q in pixels
+fn seriesDelta(q: vec2f) -> ExpComplex {
+    let dz_hat = complexMul(complexMul(u.seriesC, q) + u.seriesB, q) + u.seriesA;
+    return expNormalize(complexMul(dz_hat, q), u.perturbExponent);
+}
+
+// The derivative of seriesDelta() with respect to q, scaled by
+// 2^-perturbExponent
+fn seriesDerivative(q: vec2f) -> vec2f {
+    return complexMul(complexMul(3.0 * u.seriesC, q) + 2.0 * u.seriesB, q) + u.seriesA;
+}
+
+struct BlaJump {
+    // Index of the step in blaTable, or -1
+    index: i32,
+    length: u32,
+};
+
+// Whether |dz| < radius * 2^perturbExponent, compared on the mantissas.
+fn isWithinRadius(dz: ExpComplex, radius: f32) -> bool {
+    if (radius <= 0.0) {
+        return false;
+    }
+    let r = frexp(radius);
+    // |dz.m| is in [0.5, sqrt(2)), and r.fract in [0.5, 1).
+    let e = dz.e - u.perturbExponent - r.exp;
+    if (e < -2) {
+        return true;
+    }
+    if (e > 0) {
+        return false;
+    }
+    let bound = ldexp(r.fract, -e);
+    return complexSquareMod(dz.m) < bound * bound;
+}
+
+// The BLA step from iteration i with the most iterations that holds for dz.
+// Level k of the table holds the blaCount >> k steps of 2^k iterations, after
+// the levels below it, and the radii only shrink up the levels.
+fn findBlaStep(i: u32, dz: ExpComplex) -> BlaJump {
+    var jump = BlaJump(-1, 0u);
+    var offset = 0u;
+    var n = u.blaCount;
+    for (var k = 0u; n > 0u; k += 1u) {
+        let j = i >> k;
+        if ((j << k) != i || j >= n) {
+            break;
+        }
+        if (!isWithinRadius(dz, blaTable[offset + j].radius)) {
+            break;
+        }
+        jump = BlaJump(i32(offset + j), 1u << k);
+        offset += n;
+        n = n >> 1u;
+    }
+    return jump;
+}
+
+// The multipliers of the points skipped within the BLA step from iteration i,
+// |a|² without the one at z_i, for the interior detection.
+fn blaMultiplier2(step: BlaStep, i: u32) -> f32 {
+    return complexSquareMod(step.a) / complexSquareMod(blaTable[i].a);
+}
+
+// Whether the perturbed orbit w_n = z_n + dz_n glitches, with Pauldelbrot's
+// criterion |w_n| < GLITCH_TOLERANCE |z_n|, or as the reference escaped before
+// it. |w_n| and |z_n| are compared on their mantissas, as both can underflow.
+fn isGlitched(z: ExpComplex, w: ExpComplex) -> bool {
+    if (u.detectGlitches == 0u) {
+        return false;
+    }
+    let shift = clamp(2 * (w.e - z.e), -126, 126);
+    return !isFinite(z.m.x) ||
+        ldexp(complexSquareMod(w.m), shift) <
+            GLITCH_TOLERANCE * GLITCH_TOLERANCE * complexSquareMod(z.m);
+}
+
+// The perturbed orbit starts at iteration start, from dz0, and jumps the
+// iterations of the BLA steps that hold. Glitched orbits set glitched.
+fn juliaPerturb(dz0: ExpComplex, dc: ExpComplex, maxIter: u32, start: u32) -> f32 {
+    var dz = dz0;
+    var z = referenceOrbit[start];
+
+    // The perturbed orbit lacks the precision for the cycle detection.
+    var interior = newInteriorCheck(vec2f(0.0));
+    var jumped = 0u;
+
+    for (var i = start; i < maxIter; i += 1u) {
+        let jump = findBlaStep(i, dz);
+        if (jump.index >= 0) {
+            let step = blaTable[jump.index];
+            dz = expAdd(expMulValue(dz, step.a), expMulValue(dc, step.b));
+            interior.derivative2 *= blaMultiplier2(step, i);
+            i += jump.length - 1u;
+            jumped += jump.length - 1u;
+        } else {
+            // dz_{n+1} = fold(z_n + dz_n)^d - fold(z_n)^d + dc
+            dz = expAdd(perturbExp(z, dz), dc);
+        }
 
+        // Reconstruct the true orbit: w_n = z_n + dz_n
         z = referenceOrbit[i + 1];
+        let w = expAdd(z, dz);
+        trapStep(expValue(w));
+        averageStep(expValue(w));
+        let squareMod = expSquareMod(w);
+
+        // The jumped iterations were not run.
+        if (squareMod > BAILOUT * BAILOUT) {
+            incrementIterations(i - start - jumped);
+            return smoothEscapeVelocity(i, squareMod);
+        }
+        if (isGlitched(z, w)) {
+            glitched = true;
+            incrementIterations(i - start - jumped);
+            return f32(i);
+        }
+        if (isAttracted(&interior, squareMod)) {
+            return stopInterior(i, start + jumped, maxIter);
+        }
     }
-    incrementIterations(maxIter);
+    incrementIterations(maxIter - start - jumped);
     return f32(maxIter);
 }
 
+fn getRoot(k: u32) -> vec2f {
+    let pair = u.roots[k / 2u];
+    if (k % 2u == 0u) {
+        return pair.xy;
+    }
+    return pair.zw;
+}
+
+struct NewtonSample {
+    iter: f32,
+    // Index of the root the orbit converged to, or -1.
+    root: i32,
+};
+
+// Newton's method z = z - p(z) / p'(z), for the polynomial with roots u.roots.
+// Since p'(z) / p(z) = sum(1 / (z - r_k)), the coefficients are never needed.
+fn newton(z0: vec2f, maxIter: u32) -> NewtonSample {
+    var z = z0;
+    for (var i = 0u; i < maxIter; i += 1u) {
+        var sum = vec2f(0.0);
+        for (var k = 0u; k < u.rootCount; k += 1u) {
+            let d = z - getRoot(k);
+            let squareMod = complexSquareMod(d);
+            if (squareMod < NEWTON_TOLERANCE) {
+                incrementIterations(i);
+                // Convergence is quadratic: interpolate between steps.
+                let ratio = log(squareMod) / log(NEWTON_TOLERANCE);
+                return NewtonSample(f32(i) - clamp(log2(ratio), 0.0, 1.0), i32(k));
+            }
+            sum += complexConj(d) / squareMod;
+        }
+        z -= complexConj(sum) / complexSquareMod(sum);
+    }
+    incrementIterations(maxIter);
+    return NewtonSample(f32(maxIter), -1);
+}
+
 // --- Rendering functions
 fn computeEscapeVelocity(fragCoord: vec2f, scaleFactor: vec2f) -> f32 {
     let maxIter = u.maxIter;
+    trapDistance = TRAP_FAR;
+    averageReset(averageC(fragCoord, scaleFactor));
     if u.usePerturbation == 0 {
         let pos = u.center + (fragCoord - 0.5 * u.resolution) * scaleFactor;
-        switch (u.functionId) {
-            case FN_JULIA: {
-                return julia(pos, u.param0, maxIter);
-            }
-            case FN_MANDELBROT, default: {
-                return julia(vec2f(0), pos, maxIter);
+        if (isFormulaFn()) {
+            // Formulas iterate from z0 = c, as they may be undefined at 0.
+            if (isJuliaFn()) {
+                return juliaFormula(pos, u.param0, maxIter);
             }
+            return juliaFormula(pos, pos, maxIter);
+        }
+        if (isJuliaFn()) {
+            return julia(pos, u.param0, maxIter);
         }
+        return julia(vec2f(0), pos, maxIter);
     } else {
-        let delta = (fragCoord - u.center) * scaleFactor;
-        switch (u.functionId) {
-            case FN_JULIA: {
-                return juliaPerturb(delta, vec2f(0), maxIter);
-            }
-            case FN_MANDELBROT, default: {
-                return juliaPerturb(vec2f(0), delta, maxIter);
-            }
+        let delta = expNormalize((fragCoord - u.center) * scaleFactor, u.perturbExponent);
+        var dz = ExpComplex(vec2f(0.0), EXP_ZERO);
+        var dc = dz;
+        if (isJuliaFn()) {
+            dz = delta;
+        } else {
+            dc = delta;
+        }
+        // Past the iterations skipped by the series approximation
+        if (u.seriesSkip > 0u) {
+            dz = seriesDelta((fragCoord - u.center) * vec2f(1.0, -1.0));
         }
+        return juliaPerturb(dz, dc, maxIter, u.seriesSkip);
     }
 
     return f32(maxIter);
 }
 
-struct NormalSample {
+struct DerivativeSample {
     escapeVelocity: f32,
+    // Direction of z / z', for the normal map
     normal2d: vec2f,
+    // Estimated distance to the set, in pixels
+    distance: f32,
     escaped: bool,
 };
 
-fn computeNormalSample(fragCoord: vec2f, scaleFactor: vec2f) -> NormalSample {
+// Iterate z along with its derivative z' with respect to the pixel position,
+// kept as der * 2^derExp: the pixel size underflows f32 at deep zoom, while the
+// derivative grows exponentially along the orbit.
+fn computeDerivativeSample(fragCoord: vec2f, scaleFactor: vec2f) -> DerivativeSample {
     let maxIter = u.maxIter;
-    if (u.usePerturbation == 1u && u.functionId == FN_MANDELBROT) {
-        let delta = (fragCoord - u.center) * scaleFactor;
-        let dc_hat = delta;
-        var dz_hat = vec2f(0.0);
-        var der = vec2f(0.0);
-        var z = referenceOrbit[0];
-        let s = u.perturbScale;
-
-        for (var i = 0u; i < maxIter; i += 1u) {
-            let wPrev = z + s * dz_hat;
-            let derNext = 2.0 * complexMul(wPrev, der) + vec2f(1.0, 0.0);
-            dz_hat = complexMul(2.0 * z + s * dz_hat, dz_hat) + dc_hat;
-            let zNext = referenceOrbit[i + 1u];
-            let wNext = zNext + s * dz_hat;
-
-            let squareMod = complexSquareMod(wNext);
-            if (squareMod > NORMAL_MAP_BAILOUT * NORMAL_MAP_BAILOUT) {
-                incrementIterations(i);
-                let escapeVelocity = smoothEscapeVelocity(i, squareMod);
-                var uDir = complexDivSafe(wNext, derNext);
-                if (dot(uDir, uDir) > 0.0) {
-                    uDir = normalize(uDir);
-                } else {
-                    uDir = vec2f(0.0);
-                }
-                return NormalSample(escapeVelocity, uDir, true);
-            }
-
-            z = zNext;
-            der = derNext;
+    trapDistance = TRAP_FAR;
+    averageReset(averageC(fragCoord, scaleFactor));
+    let usePerturbation = u.usePerturbation == 1u;
+    // z is the orbit on f32. With perturbation, it is the value of
+    // w_n = zRef_n + dz_n, on extended-range floats.
+    var z = vec2f(0.0);
+    var c = vec2f(0.0);
+    var zRef = ExpComplex(vec2f(0.0), EXP_ZERO);
+    var dz = zRef;
+    var dc = zRef;
+    var w = zRef;
+    if (usePerturbation) {
+        let delta = expNormalize((fragCoord - u.center) * scaleFactor, u.perturbExponent);
+        zRef = referenceOrbit[0];
+        if (isJuliaFn()) {
+            dz = delta;
+        } else {
+            dc = delta;
+        }
+    } else {
+        let pos = u.center + (fragCoord - 0.5 * u.resolution) * scaleFactor;
+        if (isJuliaFn()) {
+            z = pos;
+            c = u.param0;
+        } else {
+            c = pos;
         }
-
-        incrementIterations(maxIter);
-        return NormalSample(f32(maxIter), vec2f(0.0), false);
     }
 
-    if (u.usePerturbation == 1u) {
-        return NormalSample(computeEscapeVelocity(fragCoord, scaleFactor), vec2f(0.0), false);
+    // The pixel size is u.scale * 2^perturbExponent: z0' is the pixel size for
+    // Julia fns, and c' is the pixel size otherwise.
+    var der = vec2f(0.0);
+    var derExp = u.perturbExponent;
+    if (isJuliaFn()) {
+        der = vec2f(u.scale, 0.0);
     }
-
-    var z: vec2f;
-    var c: vec2f;
-    var der: vec2f = vec2f(1.0, 0.0);
-
-    if (u.functionId == FN_JULIA) {
-        z = u.center + (fragCoord - 0.5 * u.resolution) * scaleFactor;
-        c = u.param0;
-    } else {
-        c = u.center + (fragCoord - 0.5 * u.resolution) * scaleFactor;
-        z = c;
+    // Past the iterations skipped by the series approximation, where z' is the
+    // derivative of the scaled series, times 2^perturbExponent.
+    var start = 0u;
+    if (usePerturbation && u.seriesSkip > 0u) {
+        let q = (fragCoord - u.center) * vec2f(1.0, -1.0);
+        start = u.seriesSkip;
+        zRef = referenceOrbit[start];
+        dz = seriesDelta(q);
+        der = seriesDerivative(q);
     }
-
-    for (var i = 0u; i < maxIter; i += 1u) {
-        let newZ = complexSquare(z) + c;
-        var newDer = 2.0 * complexMul(z, der);
-        if (u.functionId == FN_MANDELBROT) {
-            newDer += vec2f(1.0, 0.0);
+    if (usePerturbation) {
+        z = expValue(expAdd(zRef, dz));
+    }
+    var interior = newInteriorCheck(z);
+    var jumped = 0u;
+
+    for (var i = start; i < maxIter; i += 1u) {
+        // c' is 0 for Julia fns.
+        let dcDer = select(ldexp(u.scale, u.perturbExponent - derExp), 0.0, isJuliaFn());
+        var jump = BlaJump(-1, 0u);
+        if (usePerturbation) {
+            jump = findBlaStep(i, dz);
         }
-        z = newZ;
-        der = newDer;
+        if (jump.index >= 0) {
+            // z'_{n+l} = a z'_n + b c', along with dz_{n+l}
+            let step = blaTable[jump.index];
+            der = complexMul(step.a, der) + step.b * dcDer;
+            dz = expAdd(expMulValue(dz, step.a), expMulValue(dc, step.b));
+            interior.derivative2 *= blaMultiplier2(step, i);
+            i += jump.length - 1u;
+            jumped += jump.length - 1u;
+        } else {
+            // z'_{n+1} = d fold(z_n)^(d-1) fold'(z'_n) + c'
+            der = u.exponent * complexMul(complexPow(fold(z), u.exponent - 1.0), foldDerivative(z, der));
+            der.x += dcDer;
+            if (usePerturbation) {
+                dz = expAdd(perturbExp(zRef, dz), dc);
+            } else {
+                z = complexPow(fold(z), u.exponent) + c;
+            }
+        }
+        let rescale = frexp(max(abs(der.x), abs(der.y))).exp;
+        der = ldexp(der, vec2i(-rescale));
+        derExp += rescale;
+        if (usePerturbation) {
+            zRef = referenceOrbit[i + 1u];
+            w = expAdd(zRef, dz);
+            z = expValue(w);
+        }
+        trapStep(z);
+        averageStep(z);
+
         let squareMod = complexSquareMod(z);
         if (squareMod > NORMAL_MAP_BAILOUT * NORMAL_MAP_BAILOUT) {
-            incrementIterations(i);
+            incrementIterations(i - start - jumped);
             let escapeVelocity = smoothEscapeVelocity(i, squareMod);
             var uDir = complexDivSafe(z, der);
             if (dot(uDir, uDir) > 0.0) {
@@ -480,47 +1133,307 @@ fn computeNormalSample(fragCoord: vec2f, scaleFactor: vec2f) -> NormalSample {
             } else {
                 uDir = vec2f(0.0);
             }
-            return NormalSample(escapeVelocity, uDir, true);
+            // |z| ln|z| / |z'|
+            let distance = ldexp(
+                0.5 * sqrt(squareMod) * log(squareMod) / length(der),
+                min(-derExp, DISTANCE_MAX_EXPONENT)
+            );
+            return DerivativeSample(escapeVelocity, uDir, distance, true);
+        }
+        if (usePerturbation && isGlitched(zRef, w)) {
+            glitched = true;
+            incrementIterations(i - start - jumped);
+            return DerivativeSample(f32(i), vec2f(0.0), 0.0, false);
+        }
+        // The perturbed orbit lacks the precision for the cycle detection.
+        if ((!usePerturbation && isPeriodic(&interior, i, z)) || isAttracted(&interior, squareMod)) {
+            return DerivativeSample(stopInterior(i, start + jumped, maxIter), vec2f(0.0), 0.0, false);
+        }
+    }
+
+    incrementIterations(maxIter - start - jumped);
+    return DerivativeSample(f32(maxIter), vec2f(0.0), 0.0, false);
+}
+
+struct CycleSample {
+    // Period of the cycle, or of the atom domain of escaping orbits. 0 when no
+    // cycle is found.
+    period: u32,
+    multiplier: vec2f,
+    escaped: bool,
+};
+
+// Search for the cycle the orbit is attracted to, like CycleSearch in
+// math/julia.js: Brent's cycle detection finds a multiple k of the period, then
+// the orbit is followed for up to k iterations to find the period and the
+// multiplier. Escaping orbits get the period of their atom domain.
+fn computeCycleSample(fragCoord: vec2f, scaleFactor: vec2f) -> CycleSample {
+    let maxIter = u.maxIter;
+    let usePerturbation = u.usePerturbation == 1u;
+    // w is the orbit on f32: z without perturbation, and the value of
+    // zRef_n + dz_n, on extended-range floats, with it.
+    var z = vec2f(0.0);
+    var c = vec2f(0.0);
+    var zRef = ExpComplex(vec2f(0.0), EXP_ZERO);
+    var dz = zRef;
+    var dc = zRef;
+    if (usePerturbation) {
+        let delta = expNormalize((fragCoord - u.center) * scaleFactor, u.perturbExponent);
+        zRef = referenceOrbit[0];
+        if (isJuliaFn()) {
+            dz = delta;
+        } else {
+            dc = delta;
+        }
+    } else {
+        let pos = u.center + (fragCoord - 0.5 * u.resolution) * scaleFactor;
+        if (isJuliaFn()) {
+            z = pos;
+            c = u.param0;
+        } else {
+            c = pos;
+        }
+    }
+
+    var w = z;
+    if (usePerturbation) {
+        w = expValue(expAdd(zRef, dz));
+    }
+    var checkpoint = w;
+    var power = 1u;
+    var steps = 0u;
+    var refining = false;
+    // The multiplier is kept as its phase and the log of its modulus, as the
+    // partial products overflow along long cycles.
+    var phase = vec2f(1.0, 0.0);
+    var logModulus = 0.0;
+    var minSquareMod = f32(BAILOUT * BAILOUT);
+    var atomPeriod = 0u;
+    let pixelSize = ldexp(u.scale, u.perturbExponent);
+
+    for (var i = 0u; i < maxIter; i += 1u) {
+        if (refining) {
+            let m = complexPow(fold(w), u.exponent - 1.0);
+            let modulus = length(m);
+            logModulus += log(u.exponent * max(modulus, 1e-30));
+            if (modulus > 0.0) {
+                phase = complexMul(phase, m / modulus);
+            }
+        }
+        if (usePerturbation) {
+            dz = expAdd(perturbExp(zRef, dz), dc);
+            zRef = referenceOrbit[i + 1u];
+            w = expValue(expAdd(zRef, dz));
+        } else {
+            z = complexPow(fold(z), u.exponent) + c;
+            w = z;
+        }
+
+        let squareMod = complexSquareMod(w);
+        if (squareMod > BAILOUT * BAILOUT) {
+            incrementIterations(i);
+            return CycleSample(atomPeriod, vec2f(0.0), true);
+        }
+        if (squareMod < minSquareMod) {
+            minSquareMod = squareMod;
+            atomPeriod = i + 1u;
+        }
+        steps += 1u;
+        let epsilon = max(pixelSize * PERIODICITY_TOLERANCE, CYCLE_TOLERANCE * sqrt(squareMod));
+        let distance2 = complexSquareMod(w - checkpoint);
+        if (refining) {
+            let tolerance = CYCLE_REFINEMENT * epsilon;
+            if (distance2 <= tolerance * tolerance || steps == power) {
+                incrementIterations(i);
+                return CycleSample(steps, exp(logModulus) * phase, false);
+            }
+        } else if (distance2 <= epsilon * epsilon) {
+            // Follow the orbit from here for up to k = steps iterations.
+            refining = true;
+            checkpoint = w;
+            power = steps;
+            steps = 0u;
+        } else if (steps == power) {
+            checkpoint = w;
+            power *= 2u;
+            steps = 0u;
         }
     }
 
     incrementIterations(maxIter);
-    return NormalSample(f32(maxIter), vec2f(0.0), false);
+    return CycleSample(0u, vec2f(0.0), false);
+}
+
+// What the lighting needs of a sample, or the mean of the ones of a pixel: its
+// color, the distance shade of that color, and its normal, 0 where it is not
+// lit.
+struct Shading {
+    color: vec3f,
+    shade: f32,
+    normal: vec2f,
+};
+
+fn unlit(color: vec3f) -> Shading {
+    return Shading(color, 1.0, vec2f(0.0));
+}
+
+fn packShading(shading: Shading) -> vec2u {
+    return vec2u(
+        pack4x8unorm(vec4f(shading.color, shading.shade)),
+        pack2x16snorm(shading.normal)
+    );
+}
+
+fn unpackShading(packed: vec2u) -> Shading {
+    let color = unpack4x8unorm(packed.x);
+    return Shading(color.rgb, color.a, unpack2x16snorm(packed.y));
+}
+
+// Points closer to the set than DISTANCE_LINE_WIDTH fade to black, which draws
+// boundary lines of the same width at any zoom.
+fn distanceShade(sample: DerivativeSample) -> f32 {
+    return clamp(sample.distance / DISTANCE_LINE_WIDTH, 0.0, 1.0);
+}
+
+// Light a shading with the Blinn-Phong model, like LightingModel in
+// core/lighting.js: pixels lit in part, whose normal is shorter, are lit as
+// much.
+fn lightColor(shading: Shading) -> vec3f {
+    let lit = min(length(shading.normal), 1.0);
+    if (lit == 0.0) {
+        return shading.color;
+    }
+    let normal = normalize(vec3f(u.heightScale * shading.normal / lit, 1.0));
+    var diffuse = 0.0;
+    var specular = 0.0;
+    for (var i = 0u; i < u.lightCount; i += 1u) {
+        let light = u.lights[i].xyz;
+        let halfway = normalize(light + vec3f(0.0, 0.0, 1.0));
+        diffuse += max(dot(normal, light), 0.0);
+        specular += pow(max(dot(normal, halfway), 0.0), SPECULAR_SHININESS);
+    }
+    let count = f32(u.lightCount);
+    let gain = 1.0 + lit * (u.ambient + u.diffuse * diffuse / count - 1.0);
+    let highlight = lit * shading.shade * u.specular * specular / count;
+    return shading.color * gain + highlight;
+}
+
+// Fully saturated color of the given hue, in [0, 1].
+fn hueColor(hue: f32) -> vec3f {
+    let h = fract(hue) * 6.0;
+    return clamp(abs(((h + vec3f(0.0, 4.0, 2.0)) % 6.0) - 3.0) - 1.0, vec3f(0.0), vec3f(1.0));
+}
+
+// Root hues are spread evenly on the color wheel, and darken as the iteration
+// count grows.
+fn newtonColor(sample: NewtonSample) -> vec3f {
+    if (sample.root < 0) {
+        return BLACK;
+    }
+    let hue = f32(sample.root) / f32(u.rootCount);
+    return mix(vec3f(1.0), hueColor(hue), NEWTON_SATURATION) * pow(NEWTON_SHADE, sample.iter);
+}
+
+// Successive periods are a golden angle apart on the color wheel, so that
+// neighbouring components stand out. Unknown periods are black.
+fn periodColor(period: u32) -> vec3f {
+    if (period == 0u) {
+        return BLACK;
+    }
+    let hue = fract(f32(period) * GOLDEN_RATIO_CONJUGATE);
+    return mix(vec3f(1.0), hueColor(hue), INTERIOR_SATURATION);
+}
+
+// The phase of the multiplier sets the hue, and its magnitude the shade.
+fn multiplierColor(multiplier: vec2f) -> vec3f {
+    let hue = atan2(multiplier.y, multiplier.x) / (2.0 * PI) + 0.5;
+    let shade = mix(MULTIPLIER_MIN_SHADE, 1.0, min(length(multiplier), 1.0));
+    return mix(vec3f(1.0), hueColor(hue), INTERIOR_SATURATION) * shade;
 }
 
-fn shadeWithNormalMap(baseColor: vec3f, sample: NormalSample) -> vec3f {
-    if (!sample.escaped) {
-        return baseColor;
+fn interiorColor(sample: CycleSample) -> vec3f {
+    if (sample.escaped) {
+        return periodColor(sample.period) * ATOM_DOMAIN_SHADE;
+    }
+    if (sample.period == 0u) {
+        return BLACK;
     }
-    let angle = NORMAL_MAP_LIGHT_ANGLE_DEG * PI / 180.0;
-    let light2d = normalize(vec2f(cos(angle), sin(angle)));
-    var t = (dot(sample.normal2d, light2d) + NORMAL_MAP_LIGHT_HEIGHT) / (1.0 + NORMAL_MAP_LIGHT_HEIGHT);
-    t = clamp(t, 0.0, 1.0);
-    let avg = NORMAL_MAP_LIGHT_HEIGHT / (1.0 + NORMAL_MAP_LIGHT_HEIGHT);
-    let gain = clamp(t / max(avg, 1e-4), 0.0, NORMAL_MAP_MAX_GAIN);
-    let lit = baseColor * gain;
-    return mix(baseColor, lit, NORMAL_MAP_BLEND);
+    if (u.interiorColoring == MULTIPLIER_INTERIOR_COLORING_ID) {
+        return multiplierColor(sample.multiplier);
+    }
+    return periodColor(sample.period);
 }
 
-fn renderOne(fragCoord: vec2f, scaleFactor: vec2f) -> vec3f {
-    if (u.useNormalMap == 0u) {
-        return getColor(computeEscapeVelocity(fragCoord, scaleFactor));
+// Interior points are iterated again to find their cycle, and with atom
+// domains, escaping points to find their atom domain.
+fn needsCycle(escaped: bool) -> bool {
+    if (u.interiorColoring == NO_INTERIOR_COLORING_ID || isFormulaFn()) {
+        return false;
     }
-    let sample = computeNormalSample(fragCoord, scaleFactor);
-    let baseColor = getColor(sample.escapeVelocity);
-    return shadeWithNormalMap(baseColor, sample);
+    return !escaped || u.interiorColoring == ATOM_DOMAINS_INTERIOR_COLORING_ID;
 }
 
-fn renderSuperSample(fragCoord: vec2f, scaleFactor: vec2f) -> vec3f {
+fn renderOne(fragCoord: vec2f, scaleFactor: vec2f) -> Shading {
+    if (u.functionId == FN_NEWTON) {
+        let pos = u.center + (fragCoord - 0.5 * u.resolution) * scaleFactor;
+        return unlit(newtonColor(newton(pos, u.maxIter)));
+    }
+    // The derivative of a user-defined formula is unknown: no normal map, and
+    // no distance estimation.
+    let useDerivative = u.useNormalMap == 1u || u.useDistanceEstimation == 1u;
+    if (!useDerivative || isFormulaFn()) {
+        let escapeVelocity = computeEscapeVelocity(fragCoord, scaleFactor);
+        if (glitched) {
+            return unlit(vec3f(0.0));
+        }
+        if (needsCycle(escapeVelocity < f32(u.maxIter))) {
+            return unlit(interiorColor(computeCycleSample(fragCoord, scaleFactor)));
+        }
+        return unlit(sampleColor(escapeVelocity, f32(BAILOUT)));
+    }
+    let sample = computeDerivativeSample(fragCoord, scaleFactor);
+    if (glitched) {
+        return unlit(vec3f(0.0));
+    }
+    if (needsCycle(sample.escaped)) {
+        let cycle = computeCycleSample(fragCoord, scaleFactor);
+        var shade = 1.0;
+        if (cycle.escaped && u.useDistanceEstimation == 1u) {
+            shade = distanceShade(sample);
+        }
+        return Shading(interiorColor(cycle) * shade, shade, vec2f(0.0));
+    }
+    var shade = 1.0;
+    if (u.useDistanceEstimation == 1u) {
+        shade = distanceShade(sample);
+    }
+    // The normal map lights the escaped points, after the distance shading.
+    var normal = vec2f(0.0);
+    if (u.useNormalMap == 1u && sample.escaped) {
+        normal = sample.normal2d;
+    }
+    let color = sampleColor(sample.escapeVelocity, NORMAL_MAP_BAILOUT);
+    return Shading(color * shade, shade, normal);
+}
+
+fn renderSuperSample(fragCoord: vec2f, scaleFactor: vec2f) -> Shading {
     var mean = vec3f(0);
     var m2 = vec3f(0);
     var sampleCount: u32 = 0u;
+    var shadeSum = 0.0;
+    var normalSum = vec2f(0.0);
 
     for (var i = 0u; i < u.maxSamples; i += 1u) {
         // Add a random jitter in [-0.5, 0.5] to compute the value of the next sample.
         let jitter = vec2f(rand() - 0.5, rand() - 0.5);
-        let sample = renderOne(fragCoord + jitter, scaleFactor);
+        let shading = renderOne(fragCoord + jitter, scaleFactor);
+        if (glitched) {
+            return shading;
+        }
+        let sample = shading.color;
         sampleCount += 1u;
+        shadeSum += shading.shade;
+        normalSum += shading.normal;
 
         // Welford's algorithm for per-channel variance.
         let delta = sample - mean;
@@ -539,7 +1452,8 @@ fn renderSuperSample(fragCoord: vec2f, scaleFactor: vec2f) -> vec3f {
         }
     }
 
-    return mean;
+    let count = f32(sampleCount);
+    return Shading(mean, shadeSum / count, normalSum / count);
 }
 
 @fragment
@@ -547,9 +1461,53 @@ fn main(@builtin(position) fragCoord: vec4f) -> @location(0) vec4f {
     // Per-pixel scale in the complex plane (already rescaled on the CPU).
     let scaleFactor = u.scale * vec2f(1.0, -1.0);
 
+    // The pixels rendered with the previous references keep their color.
+    let pixel = u32(fragCoord.y) * u32(u.resolution.x) + u32(fragCoord.x);
+    if (glitches[pixel] != u.reference) {
+        discard;
+    }
+
+    var shading: Shading;
     if (u.maxSamples == 1u) {
-        return vec4f(renderOne(fragCoord.xy, scaleFactor), 1.0);
+        shading = renderOne(fragCoord.xy, scaleFactor);
     } else {
-        return vec4f(renderSuperSample(fragCoord.xy, scaleFactor), 1.0);
+        shading = renderSuperSample(fragCoord.xy, scaleFactor);
+    }
+    if (glitched) {
+        glitches[pixel] = u.reference + 1u;
     }
+    // The pixel is lit from its packed shading, as the relighting pass does.
+    let packed = packShading(shading);
+    pixelShading[pixel] = packed;
+    return vec4f(lightColor(unpackShading(packed)), 1.0);
+}
+
+// The relighting pass: the pixels of the last render, lit again with the
+// lighting of the uniforms.
+@fragment
+fn relight(@builtin(position) fragCoord: vec4f) -> @location(0) vec4f {
+    let pixel = u32(fragCoord.y) * u32(u.resolution.x) + u32(fragCoord.x);
+    return vec4f(lightColor(unpackShading(pixelShading[pixel])), 1.0);
+}
+
+// The histogram pass: the escape velocity at the center of a pixel every
+// HISTOGRAM_STRIDE in both directions, for the histogram coloring.
+@compute @workgroup_size(8, 8)
+fn sampleEscapes(@builtin(global_invocation_id) id: vec3u) {
+    let size = (vec2u(u.resolution) + HISTOGRAM_STRIDE - 1u) / HISTOGRAM_STRIDE;
+    if (id.x >= size.x || id.y >= size.y) {
+        return;
+    }
+    let pixel = min(
+        id.xy * HISTOGRAM_STRIDE + HISTOGRAM_STRIDE / 2u,
+        vec2u(u.resolution) - 1u
+    );
+    let fragCoord = vec2f(pixel) + 0.5;
+    let scaleFactor = u.scale * vec2f(1.0, -1.0);
+    let escapeVelocity = computeEscapeVelocity(fragCoord, scaleFactor);
+    escapes[id.y * size.x + id.x] = select(
+        escapeVelocity,
+        f32(u.maxIter),
+        glitched
+    );
 }
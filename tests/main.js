@@ -3,11 +3,112 @@ import {
   Complex,
   COMPLEX_PLANE,
   renderComplex,
+  renderComplexDecimal,
   parseComplex,
 } from "../math/complex.js";
-import { DEFAULT_FN } from "../math/julia.js";
+import {
+  accumulateDensity,
+  getDensityLimits,
+  isInMainBulbs,
+} from "../math/density.js";
+import {
+  binaryExponent,
+  EXP_ZERO,
+  ExpComplex,
+  ldexp,
+} from "../math/floatexp.js";
+import {
+  compileFormulaToJs,
+  createFormulaKernel,
+  validateFormula,
+} from "../math/formula.js";
+import {
+  BLA_STEP_SIZE,
+  blaTable,
+  DEFAULT_FN,
+  evaluateSeries,
+  findBlaStep,
+  FN_BURNING_SHIP,
+  FN_JULIA,
+  CycleSearch,
+  FN_MANDELBROT,
+  hasSeriesApproximation,
+  InteriorCheck,
+  julia,
+  juliaCycle,
+  juliaDistance,
+  juliaOrbit,
+  juliaSeries,
+  normalDirection,
+  Orbit,
+  perturbPow,
+  seriesApproximation,
+} from "../math/julia.js";
+import {
+  DEFAULT_ROOTS,
+  newton,
+  parseCoefficients,
+  parseRoots,
+  renderComplexList,
+} from "../math/newton.js";
+import {
+  findPreperiods,
+  isMisiurewicz,
+  locateMisiurewicz,
+} from "../math/misiurewicz.js";
+import { componentSize, findPeriod, locateNucleus } from "../math/nucleus.js";
+import {
+  AVERAGE_SPAN,
+  CURVATURE_AVERAGE_COLORING_ID,
+  NO_AVERAGE_COLORING_ID,
+  OrbitAverage,
+  STRIPE_AVERAGE_COLORING_ID,
+  TRIANGLE_AVERAGE_COLORING_ID,
+} from "../math/orbit-average.js";
+import {
+  CIRCLE_ORBIT_TRAP_ID,
+  CROSS_ORBIT_TRAP_ID,
+  OrbitTrapDistance,
+  parseTrapGeometry,
+  POINT_ORBIT_TRAP_ID,
+  renderTrapGeometry,
+  STALKS_ORBIT_TRAP_ID,
+  TRAP_SPAN,
+} from "../math/orbit-trap.js";
+import { parseAngles, renderAngles, traceRay } from "../math/rays.js";
+import { OrbitCache } from "../math/orbit-cache.js";
+import { ReferenceSearch } from "../math/reference.js";
+import {
+  DEFAULT_LIGHTING,
+  LightingModel,
+  lightDirections,
+  parseLighting,
+  renderLighting,
+} from "../core/lighting.js";
 import { MapControl } from "../core/map.js";
-import { Palette } from "../core/palette.js";
+import {
+  BINARY_DECOMPOSITION_ID,
+  decompositionColor,
+  DEFAULT_GRADIENT,
+  equalizeEscape,
+  escapeHistogram,
+  FIELD_LINES,
+  FIELD_LINES_DECOMPOSITION_ID,
+  getGradient,
+  getGradientInterpolationId,
+  gradientColor,
+  HISTOGRAM_BINS,
+  HISTOGRAM_SPAN,
+  LINEAR_PALETTE_INTERPOLATION_ID,
+  MAX_GRADIENT_STOPS,
+  packGradient,
+  Palette,
+  PaletteInterpolation,
+  parseGradient,
+  renderGradient,
+  STEP_PALETTE_INTERPOLATION_ID,
+  WHITE,
+} from "../core/palette.js";
 import { RenderingEngine, RenderOptions } from "../renderers/renderer.js";
 import { createRenderer, isEngineSupported } from "../renderers/renderers.js";
 import { TestLogger } from "./test-logger.js";
@@ -35,6 +136,31 @@ async function testAll() {
   testComplexProject();
   testScalars();
   testRenderComplex();
+  testComplexPow();
+  testPerturbPow();
+  testComplexFold();
+  testNewton();
+  testFormula();
+  testDensity();
+  testDistanceEstimation();
+  testInteriorCheck();
+  testCycleSearch();
+  testJuliaOrbit();
+  testSeriesApproximation();
+  testBlaTable();
+  testGlitchReference();
+  testFloatExp();
+  testReferenceSearch();
+  testOrbitCache();
+  testNucleus();
+  testMisiurewicz();
+  testRays();
+  testHistogram();
+  testOrbitTrap();
+  testAverageColoring();
+  testDecomposition();
+  testNormalMap();
+  testGradient();
 }
 
 async function testRenderer(renderingEngine, deep) {
@@ -173,6 +299,846 @@ function testRenderComplex() {
   logger.success("testRenderComplex".padEnd(20) + ": success");
 }
 
+function testComplexPow() {
+  const plane = COMPLEX_PLANE;
+  const bigPlane = new BigComplexPlane(16);
+
+  assertEquals(plane.complex(-1, 0), plane.complex(0, 1).pow(2));
+  assertEquals(plane.complex(0, -1), plane.complex(0, 1).pow(3));
+  assertEquals(plane.complex(16, 0), plane.complex(2, 0).pow(4));
+  assertEquals(plane.complex(1, 0), plane.complex(3, 4).pow(0));
+  assertEquals(plane.complex(-11, -2), plane.complex(1, 2).pow(3));
+  assertEquals(bigPlane.complex(-11, -2), bigPlane.complex(1, 2).pow(3));
+  assertEquals(bigPlane.complex(-7, -24), bigPlane.complex(1, 2).pow(4));
+
+  const sqrt = plane.complex(4, 0).pow(0.5);
+  assertEqual(2, sqrt.x);
+  assertEqual(0, sqrt.y);
+
+  logger.success("testComplexPow".padEnd(20) + ": success");
+}
+
+function testPerturbPow() {
+  const d = 2.5;
+  // Past the precision of z + dz, the perturbation is still d z^(d-1) dz.
+  const z = new Complex(0.5, -0.25);
+  const dz = new Complex(3, 4).mulScalar(2 ** -60);
+  const perturbed = perturbPow(z.x, z.y, dz.x, dz.y, d, new Complex());
+  const linear = z.clone().pow(d - 1).mul(dz).mulScalar(d);
+  const error = perturbed.sub(linear).squareMod() / linear.squareMod();
+  assertEqual(true, error < 1e-24);
+
+  // The perturbed orbits escape at the iterations of the orbits iterated
+  // directly, around a reference in the set.
+  const reference = new Complex(-0.09633354116260039, 0.7414409390137473);
+  const iters = juliaSeries(new Complex(0, 0), reference, 500, d);
+  const zn = new Complex();
+  for (let k = -4; k <= 4; k++) {
+    const c = new Complex(reference.x + k * 2 ** -20, reference.y);
+    const direct = julia(new Complex(0, 0), c, 500, d);
+    const dc = new Complex(c.x - reference.x, 0);
+    let deep = 500;
+    dz.x = 0;
+    dz.y = 0;
+    for (let i = 0; i < 500 - 1; i++) {
+      perturbPow(iters[2 * i], iters[2 * i + 1], dz.x, dz.y, d, dz).add(dc);
+      zn.x = iters[2 * i + 2];
+      zn.y = iters[2 * i + 3];
+      const squareMod = zn.add(dz).squareMod();
+      if (squareMod > 128 * 128) {
+        deep = i + 1 - Math.log(Math.log(squareMod)) / Math.log(d);
+        break;
+      }
+    }
+    assertEqual(Math.floor(direct), Math.floor(deep));
+  }
+
+  logger.success("testPerturbPow".padEnd(20) + ": success");
+}
+
+function testComplexFold() {
+  const plane = COMPLEX_PLANE;
+  const bigPlane = new BigComplexPlane(16);
+
+  assertEquals(plane.complex(1, 2), plane.complex(-1, -2).absParts());
+  assertEquals(plane.complex(1, -2), plane.complex(1, 2).conj());
+  assertEquals(bigPlane.complex(1, 2), bigPlane.complex(-1, 2).absParts());
+  assertEquals(bigPlane.complex(-1, 2), bigPlane.complex(-1, -2).conj());
+
+  logger.success("testComplexFold".padEnd(20) + ": success");
+}
+
+function testNewton() {
+  // z^2 - 3z + 2 = (z - 1)(z - 2)
+  const roots = parseCoefficients("1;-3;2");
+  assertEqual(2, roots.length);
+  assertEqual("1,0;2,0", renderComplexList(roots.sort((a, b) => a.x - b.x)));
+  assertEqual(null, parseCoefficients("0;1"));
+  assertEqual(null, parseRoots("1,x"));
+
+  assertEqual(0, newton(1.2, 0.1, DEFAULT_ROOTS, 100).root);
+  // The imaginary axis separates the basins of z^2 - 1
+  assertEqual(-1, newton(0, 0.5, parseRoots("1;-1"), 100).root);
+
+  logger.success("testNewton".padEnd(20) + ": success");
+}
+
+function testFormula() {
+  const out = { x: 0, y: 0 };
+  createFormulaKernel("z^2 + c")(1, 2, 3, 4, out);
+  assertEqual(0, out.x);
+  assertEqual(8, out.y);
+  // Implicit product binds looser than the power: 2 * (1 + 2i)^3
+  createFormulaKernel("2z^3")(1, 2, 0, 0, out);
+  assertEqual(-22, out.x);
+  assertEqual(-4, out.y);
+  createFormulaKernel("exp(i pi)")(0, 0, 0, 0, out);
+  assertEqual(-1, out.x);
+
+  // Negative and parenthesised exponents match z^d + c, also near z = 0.
+  // Integer powers multiply instead of going through log z.
+  assertEqual(false, compileFormulaToJs("z^-2 + c").includes("log"));
+  assertEqual(false, compileFormulaToJs("z^(-2) + c").includes("log"));
+  const points = [
+    [1, 2],
+    [0.5, -0.25],
+    [1e-3, 2e-3],
+    [-1e-4, 0],
+  ];
+  for (const [formula, d] of [
+    ["z^-2 + c", -2],
+    ["z^(-2) + c", -2],
+    ["z^(2) + c", 2],
+    ["z^(0.5) + c", 0.5],
+  ]) {
+    const kernel = createFormulaKernel(formula);
+    for (const [x, y] of points) {
+      kernel(x, y, 0.25, -0.5, out);
+      const expected = new Complex(x, y).pow(d).add(new Complex(0.25, -0.5));
+      const error = Math.hypot(out.x - expected.x, out.y - expected.y);
+      assertEqual(true, error < 1e-12 * Math.hypot(expected.x, expected.y));
+    }
+  }
+
+  assertEqual(null, validateFormula("sin(z) * c"));
+  assertEqual('Unexpected "*" at position 3', validateFormula("z^*2"));
+  assertEqual("Empty formula", validateFormula(" "));
+  assertEqual(
+    'Number "1e400" out of range at position 7',
+    validateFormula("z^2 + 1e400")
+  );
+  assertEqual(
+    'Number "1e39" out of range at position 7',
+    validateFormula("z^2 + 1e39*c")
+  );
+
+  logger.success("testFormula".padEnd(20) + ": success");
+}
+
+function testDensity() {
+  assertEqual("5000,500,50", getDensityLimits(true, 5000).join());
+  assertEqual(true, isInMainBulbs(0, 0));
+  assertEqual(true, isInMainBulbs(-1, 0.1));
+  assertEqual(false, isInMainBulbs(0.5, 0.5));
+
+  // The orbit of c = 0.5 + 0.5i escapes. z2 = 0.5 + i is plotted in [-2, 2]²,
+  // but not the sample z1 = c.
+  const histogram = new Uint32Array(16 * 16);
+  accumulateDensity(histogram, {
+    width: 16,
+    height: 16,
+    center: new Complex(0, 0),
+    zoom: 0,
+    fnId: DEFAULT_FN.id,
+    exponent: 2,
+    param0: new Complex(0, 0),
+    limits: [100],
+    samples: 1,
+    random: () => 0.625,
+  });
+  assertEqual(1, histogram[4 * 16 + 10]);
+  assertEqual(0, histogram[6 * 16 + 10]);
+
+  logger.success("testDensity".padEnd(20) + ": success");
+}
+
+function testDistanceEstimation() {
+  // For z^2, the estimate of |z0| > 1 to the unit circle is |z0| log |z0|.
+  const julia = juliaDistance(
+    new Complex(2, 0),
+    new Complex(0, 0),
+    100,
+    2,
+    FN_JULIA,
+    1
+  );
+  assertEqual(true, Math.abs(julia.distance - 2 * Math.LN2) < 1e-12);
+
+  // Distances are in pixels, and c = 1 is 0.75 away from the Mandelbrot set.
+  const mandelbrot = juliaDistance(
+    new Complex(0, 0),
+    new Complex(1, 0),
+    100,
+    2,
+    FN_MANDELBROT,
+    0.01
+  );
+  assertEqual(true, mandelbrot.distance > 75 / 4 && mandelbrot.distance < 75);
+
+  // Points in the set are at distance 0.
+  const inside = juliaDistance(
+    new Complex(0, 0),
+    new Complex(-1, 0),
+    100,
+    2,
+    FN_MANDELBROT,
+    1
+  );
+  assertEqual(0, inside.distance);
+
+  logger.success("testDistanceEstimation".padEnd(20) + ": success");
+}
+
+function testInteriorCheck() {
+  const zero = new Complex(0, 0);
+  const interior = new InteriorCheck(COMPLEX_PLANE, 0.01, 2);
+  const iterate = (c) => julia(zero, c, 1000, 2, FN_MANDELBROT, interior);
+
+  // c = 0 is a fixed point: caught at the first iteration.
+  assertEqual(1000, iterate(zero));
+  assertEqual(1, interior.iter);
+
+  // c = -1 cycles through 0 and -1.
+  assertEqual(1000, iterate(new Complex(-1, 0)));
+  assertEqual(true, interior.iter > 0 && interior.iter < 10);
+
+  // c = -0.5 is attracted to a fixed point that the orbit never reaches.
+  assertEqual(1000, iterate(new Complex(-0.5, 0)));
+  assertEqual(true, interior.iter > 0 && interior.iter < 100);
+
+  // Escaping points run as before.
+  const c = new Complex(0.3, 0.6);
+  assertEqual(julia(zero, c, 1000), iterate(c));
+  assertEqual(-1, interior.iter);
+
+  logger.success("testInteriorCheck".padEnd(20) + ": success");
+}
+
+function testCycleSearch() {
+  const zero = new Complex(0, 0);
+  const cycle = new CycleSearch(2, FN_MANDELBROT, 0.01);
+  const search = (c) => juliaCycle(zero, c, 1000, 2, FN_MANDELBROT, cycle);
+
+  // The fixed point of c = -0.1 is z* = (1 - sqrt(1.4)) / 2, with multiplier
+  // 2z*.
+  const multiplier = 1 - Math.sqrt(1.4);
+  search(new Complex(-0.1, 0));
+  assertEqual(1, cycle.period);
+  assertEqual(true, Math.abs(cycle.multiplier.x - multiplier) < 1e-6);
+  assertEqual(true, Math.abs(cycle.multiplier.y) < 1e-6);
+
+  // Nuclei have superattracting cycles.
+  search(new Complex(-1, 0));
+  assertEqual(2, cycle.period);
+  assertEqual(0, Math.hypot(cycle.multiplier.x, cycle.multiplier.y));
+  search(new Complex(-0.122, 0.745));
+  assertEqual(3, cycle.period);
+  assertEqual(false, cycle.escaped);
+
+  // Escaping orbits get the period of their atom domain.
+  search(new Complex(0.3, 0.6));
+  assertEqual(true, cycle.escaped);
+  assertEqual(4, cycle.period);
+
+  logger.success("testCycleSearch".padEnd(20) + ": success");
+}
+
+function testJuliaOrbit() {
+  // c = i: 0, i, -1 + i, -i, -1 + i, ...
+  const plane = new BigComplexPlane(100);
+  const orbit = juliaOrbit(plane.complex(0, 0), plane.complex(0, 1), 5);
+  assertEqual(5, orbit.length);
+  assertEqual("-1, 1", renderComplexDecimal(orbit[2]));
+  assertEqual("-1, 1", renderComplexDecimal(orbit[4]));
+
+  // c = 1 escapes: 0, 1, 2, 5, 26, 677
+  const escaping = juliaOrbit(new Complex(0, 0), new Complex(1, 0), 100);
+  assertEqual(6, escaping.length);
+  assertEqual(677, escaping[5].x);
+
+  logger.success("testJuliaOrbit".padEnd(20) + ": success");
+}
+
+function testSeriesApproximation() {
+  assertEqual(true, hasSeriesApproximation(FN_MANDELBROT, 3));
+  assertEqual(false, hasSeriesApproximation(FN_MANDELBROT, 2.5));
+  assertEqual(false, hasSeriesApproximation(FN_BURNING_SHIP, 2));
+
+  // Reference orbit at zoom 2^30, 800 pixels wide
+  const reference = new Complex(-0.743643887037151, 0.13182590420533);
+  const iters = juliaSeries(new Complex(0, 0), reference, 2000);
+  const pixelSize = (4 / 800) * Math.pow(2, -30);
+  const { skip, coefficients } = seriesApproximation(
+    iters,
+    2,
+    false,
+    pixelSize,
+    500,
+    2000
+  );
+  assertEqual(true, skip > 100);
+
+  // The series matches the perturbation iterated from 0, within the viewport.
+  const q = new Complex(300, -200);
+  const dc = q.clone().mulScalar(pixelSize);
+  const dz = new Complex(0, 0);
+  const z = new Complex();
+  for (let n = 0; n < skip; n++) {
+    z.x = iters[2 * n];
+    z.y = iters[2 * n + 1];
+    // dz = 2 z dz + dz² + dc
+    dz.mul(z.mulScalar(2).add(dz)).add(dc);
+  }
+  const approximated = new Complex();
+  evaluateSeries(coefficients, q.x, q.y, approximated);
+  const error = approximated.sub(dz).squareMod() / dz.squareMod();
+  assertEqual(true, error < 1e-12);
+
+  logger.success("testSeriesApproximation".padEnd(20) + ": success");
+}
+
+function testBlaTable() {
+  // Reference orbit at zoom 2^30, 800 pixels wide
+  const reference = new Complex(-0.743643887037151, 0.13182590420533);
+  const iters = juliaSeries(new Complex(0, 0), reference, 2000);
+  const pixelSize = (4 / 800) * Math.pow(2, -30);
+  const bla = blaTable(iters, 2, false, 500 * pixelSize, 2000);
+  assertEqual(2000 - 1, bla.count);
+  // The levels hold 1999 + 999 + 499 + ... + 1 steps.
+  assertEqual(BLA_STEP_SIZE * 3989, bla.table.length);
+
+  // Jumping the BLA steps matches the perturbation iterated one step at a
+  // time, within the viewport.
+  const dc = new Complex(300, -200).mulScalar(pixelSize);
+  const dz = new Complex(0, 0);
+  const jumped = new Complex(0, 0);
+  const z = new Complex();
+  const a = new Complex();
+  const b = new Complex();
+  const step = { level: 0 };
+  let maxLevel = 0;
+  for (let i = 0; i < 1000; ) {
+    const index = findBlaStep(bla, i, jumped.squareMod(), step);
+    const length = index < 0 ? 1 : 1 << step.level;
+    if (index < 0) {
+      z.x = iters[2 * i];
+      z.y = iters[2 * i + 1];
+      jumped.mul(z.mulScalar(2).add(jumped)).add(dc);
+    } else {
+      // dz = A dz + B dc
+      const [ax, ay, bx, by] = bla.table.subarray(BLA_STEP_SIZE * index);
+      a.x = ax;
+      a.y = ay;
+      b.x = bx;
+      b.y = by;
+      jumped.mul(a).add(b.mul(dc));
+      maxLevel = Math.max(maxLevel, step.level);
+    }
+    for (let n = i; n < i + length; n++) {
+      z.x = iters[2 * n];
+      z.y = iters[2 * n + 1];
+      // dz = 2 z dz + dz² + dc
+      dz.mul(z.mulScalar(2).add(dz)).add(dc);
+    }
+    i += length;
+  }
+  assertEqual(true, maxLevel >= 4);
+  const error = jumped.sub(dz).squareMod() / dz.squareMod();
+  assertEqual(true, error < 1e-10);
+
+  logger.success("testBlaTable".padEnd(20) + ": success");
+}
+
+function testGlitchReference() {
+  // 80 x 60 pixels over [-2.5, 1.5] x [-1.5, 1.5]
+  const map = new MapControl();
+  map.moveTo(new Complex(-0.5, 0), 0);
+  const fn = DEFAULT_FN;
+
+  // The new reference is the glitched pixel that escapes last: the corner
+  // escapes at once, while the center is in the set.
+  const center = 30 * 80 + 40;
+  const orbit = Orbit.searchForGlitches(map, 80, 60, 500, fn, [0, center]);
+  assertEqual(40, orbit.sx);
+  assertEqual(30, orbit.sy);
+  assertEqual(500, orbit.escapeVelocity);
+  assertEqual(2 * 500, orbit.iters.length);
+
+  // Fragments are sampled at the pixel centers.
+  const offset = Orbit.searchForGlitches(map, 80, 60, 500, fn, [0], false, 0.5);
+  assertEqual(0.5, offset.sx);
+  assertEqual(0.5, offset.sy);
+  assertEqual(true, offset.escapeVelocity < 500);
+
+  logger.success("testGlitchReference".padEnd(20) + ": success");
+}
+
+function testFloatExp() {
+  assertEqual(-1073, binaryExponent(Number.MIN_VALUE));
+  assertEqual(1, ldexp(Number.MIN_VALUE, 1074));
+  assertEqual(EXP_ZERO, new ExpComplex(0, 0, 12).exponent);
+
+  // Products and sums past the range of doubles
+  const product = new ExpComplex(0.75, 0, -2000).mul(
+    new ExpComplex(0.5, 0.5, -1500)
+  );
+  assertEqual(0.75, product.x);
+  assertEqual(0.75, product.y);
+  assertEqual(-3501, product.exponent);
+  assertEqual(0, product.squareMod());
+  const sum = new ExpComplex(1, 0, -3000).add(new ExpComplex(1, 0, -3001));
+  assertEqual(0.75, sum.x);
+  assertEqual(-2999, sum.exponent);
+  assertEqual(-2999, new ExpComplex().add(sum).exponent);
+
+  // Planes past the range of doubles keep it in frexp().
+  const plane = new BigComplexPlane(1200);
+  assertEqual(0.75, plane.asNumber(plane.complex(0.75, 0).x));
+  const tiny = plane.complex(-0.75, 0).mulScalar(plane.pow2Scalar(-1100));
+  assertEqual(0, plane.asNumber(tiny.x));
+  assertEqual(-0.75, plane.frexp(tiny.x).mantissa);
+  assertEqual(-1100, plane.frexp(tiny.x).exponent);
+
+  // The reference orbit of c = 2^-1100 underflows float32 at z1 = c, but not
+  // its extended range.
+  const c = plane.complex(1, 0).mulScalar(plane.pow2Scalar(-1100));
+  const extended = {
+    mantissas: new Float64Array(2 * 10),
+    exponents: new Int32Array(10),
+  };
+  const iters = juliaSeries(plane.complex(0, 0), c, 10, 2, 0, extended);
+  assertEqual(0, iters[2]);
+  assertEqual(0.5, extended.mantissas[2]);
+  assertEqual(-1099, extended.exponents[1]);
+
+  logger.success("testFloatExp".padEnd(20) + ": success");
+}
+
+function testReferenceSearch() {
+  const map = new MapControl();
+  const fn = DEFAULT_FN;
+
+  // The grid of samples is seeded.
+  map.moveTo(new Complex(-0.75, 0.1), 6);
+  const first = Orbit.searchInViewport(map, 80, 60, 500, fn);
+  const second = Orbit.searchInViewport(map, 80, 60, 500, fn);
+  assertEqual(first.sx, second.sx);
+  assertEqual(first.sy, second.sy);
+
+  // The period 3 nucleus at c = -1.7548776662466927 is the reference of its
+  // viewport, with pixels of 4 / 80 / 16.
+  const references = new ReferenceSearch();
+  map.moveTo(new Complex(-1.755, 0), 4);
+  const orbit = references.search(map, 80, 60, 500, fn);
+  assertEqual(500, orbit.escapeVelocity);
+  assertEqual(true, Math.abs(orbit.sx - 40.04) < 0.01);
+  assertEqual(true, Math.abs(orbit.sy - 30) < 0.01);
+
+  // It is reused after a pan of 1.6 pixels.
+  map.moveTo(new Complex(-1.75, 0), 4);
+  const moved = references.search(map, 80, 60, 500, fn);
+  assertEqual(orbit.iters, moved.iters);
+  assertEqual(true, Math.abs(orbit.sx - 1.6 - moved.sx) < 1e-9);
+
+  // but not after a zoom.
+  map.moveTo(new Complex(-1.75, 0), 5);
+  const zoomed = references.search(map, 80, 60, 500, fn);
+  assertEqual(false, zoomed.iters === moved.iters);
+
+  logger.success("testReferenceSearch".padEnd(20) + ": success");
+}
+
+function testOrbitCache() {
+  const map = new MapControl();
+  map.moveTo(new Complex(-1.755, 0), 4);
+  const fn = DEFAULT_FN;
+
+  // The cached orbit carries on as maxIter grows, as if computed at once,
+  const references = new ReferenceSearch();
+  references.search(map, 80, 60, 200, fn);
+  const longer = references.search(map, 80, 60, 500, fn);
+  const once = new ReferenceSearch().search(map, 80, 60, 500, fn);
+  assertEqual(500, longer.escapeVelocity);
+  assertEqual(once.iters.length, longer.iters.length);
+  assertEqual(
+    true,
+    once.iters.every((x, i) => Math.abs(x - longer.iters[i]) < 1e-6)
+  );
+  assertEqual(1, references.cache.entries.size);
+
+  // and is cut to a lower maxIter.
+  const shorter = references.search(map, 80, 60, 100, fn);
+  assertEqual(200, shorter.iters.length);
+  assertEqual(longer.iters.buffer, shorter.iters.buffer);
+
+  // The least recently used orbits are dropped past the capacity.
+  const cache = new OrbitCache(2);
+  const plane = map.plane;
+  for (const x of [1, 2, 3]) {
+    cache.set(fn, plane, { point: { x, y: 0 } });
+  }
+  const points = [...cache.search(fn, plane)].map((entry) => entry.point.x);
+  assertEqual("3,2", points.join());
+  // Using an orbit keeps it.
+  const [, second] = cache.search(fn, plane);
+  second.time = 0;
+  cache.touch(second);
+  assertEqual(true, second.time > 0);
+  cache.set(fn, plane, { point: { x: 4, y: 0 } });
+  const used = [...cache.search(fn, plane)].map((entry) => entry.point.x);
+  assertEqual("4,2", used.join());
+  const juliaFn = fn.juliaAt(new Complex(0, 0));
+  assertEqual(0, [...cache.search(juliaFn, plane)].length);
+
+  logger.success("testOrbitCache".padEnd(20) + ": success");
+}
+
+function testNucleus() {
+  // The whole set holds the main cardioid, of period 1, nucleus 0 and size 1.
+  assertEqual(1, findPeriod(new Complex(-0.5, 0), 2.5, 100));
+  assertEqual(1, componentSize(new Complex(0, 0), 1));
+
+  // The period 3 minibrot on the real axis, at c = -1.7548776662466927...
+  const result = locateNucleus(new Complex(-1.76, 0.01), 0.05, 100);
+  assertEqual(3, result.period);
+  assertEqual(true, Math.abs(result.size - 0.019) < 1e-3);
+  const nucleus = new Complex().project(result.nucleus);
+  assertEqual(true, Math.abs(nucleus.x + 1.7548776662466927) < 1e-15);
+  assertEqual(true, Math.abs(nucleus.y) < 1e-15);
+
+  // Deep components need more bits than doubles hold.
+  const plane = new BigComplexPlane(120);
+  const deep = locateNucleus(plane.complex(-0.7453, 0.113), 1e-8, 1000);
+  assertEqual(431, deep.period);
+  assertEqual(true, deep.size < 1e-21);
+  assertEqual(
+    true,
+    renderComplexDecimal(deep.nucleus).startsWith("-0.745300004972285337")
+  );
+
+  // Nothing to find in the interior of the main cardioid.
+  assertEqual(null, locateNucleus(new Complex(-0.5, 0), 1e-4, 1000));
+
+  logger.success("testNucleus".padEnd(20) + ": success");
+}
+
+function testMisiurewicz() {
+  const plane = new BigComplexPlane(100);
+
+  // c = i: 0, i, -1 + i, -i, -1 + i, ...
+  assertEqual(true, isMisiurewicz(plane.complex(0, 1), 2, 2));
+  assertEqual(false, isMisiurewicz(plane.complex(0, 1), 2, 4));
+  assertEqual(false, isMisiurewicz(plane.complex(0, 1), 3, 2));
+  const [first] = findPreperiods(plane.complex(0.01, 1.01), 0.05, 100, 16);
+  assertEqual(2, first.preperiod);
+  assertEqual(2, first.period);
+
+  // c = -2: 0, -2, 2, 2, ...
+  const [tip] = locateMisiurewicz(
+    plane.complex(-1.99, 0.01),
+    0.05,
+    100,
+    16,
+    1
+  );
+  assertEqual(2, tip.preperiod);
+  assertEqual(1, tip.period);
+  assertEqual("-2, 0", renderComplexDecimal(tip.point));
+
+  // M_{4,1}, the spiral at -0.1011 + 0.9563i
+  const [spiral] = locateMisiurewicz(
+    plane.complex(-0.1, 0.95),
+    0.01,
+    100,
+    16,
+    1
+  );
+  assertEqual(4, spiral.preperiod);
+  assertEqual(1, spiral.period);
+  const point = new Complex().project(spiral.point);
+  assertEqual(true, Math.abs(point.x + 0.10109636384562216) < 1e-15);
+  assertEqual(true, Math.abs(point.y - 0.9562865108091415) < 1e-15);
+
+  logger.success("testMisiurewicz".padEnd(20) + ": success");
+}
+
+function testRays() {
+  assertEqual(
+    "1/3,2/7,1/7,5/6,3/8,1/2",
+    renderAngles(parseAngles("1/3, 2/7, .(001), 0.1(10), 0.011, 6/4"))
+  );
+  assertEqual(null, parseAngles("1/0"));
+  assertEqual(null, parseAngles("0.12"));
+
+  // The ray 1/2 lands at the tip -2, 1/6 at the Misiurewicz point i
+  const [tip] = parseAngles("1/2");
+  const tipRay = traceRay(tip, new Complex(0, 0), 1e-9, 1000);
+  assertEqual(true, Math.abs(tipRay[tipRay.length - 1].x + 2) < 1e-8);
+
+  const plane = new BigComplexPlane(100);
+  const [angle] = parseAngles("1/6");
+  const ray = traceRay(angle, plane.complex(0, 1), 1e-20, 1000);
+  const end = new Complex().project(ray[ray.length - 1]);
+  assertEqual(true, Math.abs(end.x) < 1e-19);
+  assertEqual(true, Math.abs(end.y - 1) < 1e-19);
+
+  logger.success("testRays".padEnd(20) + ": success");
+}
+
+function testHistogram() {
+  // Escape velocities of 1 to 1000, with points that do not escape.
+  const maxIter = 1000;
+  const escapes = Float32Array.from({ length: 1000 }, (_, i) => i + 1);
+  escapes.set([maxIter, maxIter, NaN], 0);
+  const histogram = escapeHistogram(escapes, maxIter);
+  assertEqual(4, histogram[0]);
+  assertEqual(999, histogram[1]);
+  assertEqual(0, histogram[2]);
+  assertEqual(1, histogram[2 + HISTOGRAM_BINS]);
+
+  // The cumulative density grows with the escape velocity, and spreads the
+  // escape velocities evenly over the span.
+  let previous = -1;
+  for (let i = 3; i < 1000; i++) {
+    const equalized = equalizeEscape(histogram, escapes[i]);
+    assertEqual(true, equalized >= previous);
+    previous = equalized;
+  }
+  const median = equalizeEscape(histogram, 500);
+  assertEqual(true, Math.abs(median / HISTOGRAM_SPAN - 0.5) < 0.02);
+  assertEqual(HISTOGRAM_SPAN, equalizeEscape(histogram, 2000));
+
+  // An empty histogram keeps the escape velocities.
+  const empty = escapeHistogram(new Float32Array([maxIter]), maxIter);
+  assertEqual(42.5, equalizeEscape(empty, 42.5));
+
+  logger.success("testHistogram".padEnd(20) + ": success");
+}
+
+function testOrbitTrap() {
+  const geometry = parseTrapGeometry("-0.5, 1.25;0.5");
+  assertEqual(-0.5, geometry.x);
+  assertEqual(1.25, geometry.y);
+  assertEqual(0.5, geometry.radius);
+  assertEqual("-0.5,1.25;0.5", renderTrapGeometry(geometry));
+  assertEqual(null, parseTrapGeometry("0,0;0"));
+  assertEqual(null, parseTrapGeometry("0,0"));
+  assertEqual(null, parseTrapGeometry("0,;1"));
+
+  // The orbit of c = -1 cycles between -1 and 0.
+  const c = new Complex(-1, 0);
+  const z0 = new Complex(0, 0);
+  const trapVelocity = (trapId, geometry) => {
+    const trap = new OrbitTrapDistance(trapId, geometry);
+    julia(z0, c, 100, 2, FN_MANDELBROT, null, trap);
+    return trap.velocity();
+  };
+  assertEqual(0, trapVelocity(POINT_ORBIT_TRAP_ID, { x: 0, y: 0, radius: 1 }));
+  assertEqual(
+    TRAP_SPAN / 2,
+    trapVelocity(CIRCLE_ORBIT_TRAP_ID, { x: 0, y: 0, radius: 0.5 })
+  );
+  assertEqual(
+    TRAP_SPAN / 2,
+    trapVelocity(CROSS_ORBIT_TRAP_ID, { x: 0.5, y: 0.5, radius: 0.5 })
+  );
+
+  // Pickover stalks only color the orbits within the stalk width.
+  const stalks = { x: 0.5, y: 0.5, radius: 0.25 };
+  assertEqual(-1, trapVelocity(STALKS_ORBIT_TRAP_ID, stalks));
+  stalks.radius = 1;
+  assertEqual(TRAP_SPAN / 2, trapVelocity(STALKS_ORBIT_TRAP_ID, stalks));
+
+  logger.success("testOrbitTrap".padEnd(20) + ": success");
+}
+
+function testAverageColoring() {
+  // The orbit of c = 1 escapes along the positive reals: 1, 2, 5, 26, 677.
+  const c = new Complex(1, 0);
+  const z0 = new Complex(0, 0);
+  const averageVelocity = (averageColoringId, c) => {
+    const average = new OrbitAverage(averageColoringId, 2);
+    julia(z0, c, 100, 2, FN_MANDELBROT, null, null, average);
+    return average.velocity();
+  };
+  // Its arguments are all 0, it reaches the upper bound of the triangle
+  // inequality, and it does not turn.
+  assertEqual(AVERAGE_SPAN / 2, averageVelocity(STRIPE_AVERAGE_COLORING_ID, c));
+  assertEqual(AVERAGE_SPAN, averageVelocity(TRIANGLE_AVERAGE_COLORING_ID, c));
+  assertEqual(0, averageVelocity(CURVATURE_AVERAGE_COLORING_ID, c));
+
+  // The averages stay within their span.
+  const c1 = new Complex(-0.75, 0.2);
+  for (const id of [
+    STRIPE_AVERAGE_COLORING_ID,
+    TRIANGLE_AVERAGE_COLORING_ID,
+    CURVATURE_AVERAGE_COLORING_ID,
+  ]) {
+    const velocity = averageVelocity(id, c1);
+    assertEqual(true, velocity >= 0 && velocity <= AVERAGE_SPAN);
+  }
+
+  // Orbits giving no term keep their escape color.
+  assertEqual(-1, new OrbitAverage(STRIPE_AVERAGE_COLORING_ID).velocity());
+
+  logger.success("testAverageColoring".padEnd(20) + ": success");
+}
+
+function testDecomposition() {
+  // The last point of the orbit of c = 1 is z_5 = 677, at bailout.
+  const average = new OrbitAverage(NO_AVERAGE_COLORING_ID);
+  const c = new Complex(1, 0);
+  julia(new Complex(0, 0), c, 100, 2, FN_MANDELBROT, null, null, average);
+  assertEqual(677, average.x1);
+  assertEqual(0, average.y1);
+
+  // Binary decomposition inverts the lower half plane.
+  assertEqual(WHITE, decompositionColor(BINARY_DECOMPOSITION_ID, WHITE, 1, 0));
+  assertEqual(0, decompositionColor(BINARY_DECOMPOSITION_ID, WHITE, 1, -1).r);
+
+  // Field lines are black on the lines, and keep the color halfway between.
+  const onLine = decompositionColor(FIELD_LINES_DECOMPOSITION_ID, WHITE, 1, 0);
+  assertEqual(0, onLine.g);
+  const angle = Math.PI / FIELD_LINES;
+  const between = decompositionColor(
+    FIELD_LINES_DECOMPOSITION_ID,
+    WHITE,
+    Math.cos(angle),
+    Math.sin(angle)
+  );
+  assertEqual(255, Math.round(between.g));
+
+  logger.success("testDecomposition".padEnd(20) + ": success");
+}
+
+function testNormalMap() {
+  // The orbit and the derivative of c = 1 stay on the positive real axis.
+  const escaped = juliaDistance(
+    new Complex(0, 0),
+    new Complex(1, 0),
+    100,
+    2,
+    FN_MANDELBROT,
+    0.01
+  );
+  assertEqual(1, escaped.normal.x);
+  assertEqual(0, escaped.normal.y);
+
+  // z / der, for z = i and der = 1 + i
+  const normal = normalDirection(0, 1, { x: 1, y: 1 });
+  assertEqual(true, Math.abs(normal.x - Math.SQRT1_2) < 1e-12);
+  assertEqual(true, Math.abs(normal.y - Math.SQRT1_2) < 1e-12);
+  assertEqual(0, normalDirection(1, 0, { x: 0, y: 0 }).x);
+
+  // The default light comes from 45°, 45° over the plane: normals across it
+  // keep the color, the ones facing it brighten it, and the ones facing away
+  // darken it. Points without a normal are not lit.
+  const model = new LightingModel();
+  const across = model.lightColor(WHITE, 1, {
+    x: -Math.SQRT1_2,
+    y: Math.SQRT1_2,
+  });
+  assertEqual(255, Math.round(across.g));
+  const lit = model.lightColor(WHITE, 1, { x: Math.SQRT1_2, y: Math.SQRT1_2 });
+  assertEqual(true, lit.g > 255);
+  const dark = model.lightColor(WHITE, 1, {
+    x: -Math.SQRT1_2,
+    y: -Math.SQRT1_2,
+  });
+  assertEqual(true, dark.g < 255);
+  assertEqual(255, model.lightColor(WHITE, 1, { x: 0, y: 0 }).g);
+
+  // The pixels lit at once match the points lit one by one.
+  const colors = new Uint8ClampedArray([255, 255, 255, 255, 10, 20, 30, 128]);
+  const shading = new Float32Array([Math.SQRT1_2, Math.SQRT1_2, 1, 0, 0, 1]);
+  const out = new Uint8ClampedArray(8);
+  model.lightPixels(colors, shading, out);
+  assertEqual(255, out[0]);
+  assertEqual("10,20,30,128", out.slice(4).join(","));
+
+  // Lights spread evenly around the azimuth, at the same elevation
+  const lights = lightDirections({ azimuth: 0, elevation: 0, lights: 4 });
+  assertEqual(4, lights.length);
+  assertEqual(true, Math.abs(lights[1].y - 1) < 1e-12);
+  assertEqual(true, Math.abs(lights[2].x + 1) < 1e-12);
+  assertEqual(0, lights[3].z);
+
+  const lighting = parseLighting("30,60,2;0.25,1.5,0;2");
+  assertEqual(2, lighting.lights);
+  assertEqual(1.5, lighting.diffuse);
+  assertEqual("30,60,2;0.25,1.5,0;2", renderLighting(lighting));
+  assertEqual(
+    renderLighting(DEFAULT_LIGHTING),
+    renderLighting(parseLighting(renderLighting(DEFAULT_LIGHTING)))
+  );
+  assertEqual(null, parseLighting("45,91,1;0.5,1,0.2;1"));
+  assertEqual(null, parseLighting("45,45,5;0.5,1,0.2;1"));
+  assertEqual(null, parseLighting("45,45,1.5;0.5,1,0.2;1"));
+  assertEqual(null, parseLighting("45,45,1;-0.5,1,0.2;1"));
+  assertEqual(null, parseLighting("45,45,1;0.5,1,0.2;0"));
+  assertEqual(null, parseLighting("45,45,1;0.5,1;1"));
+  assertEqual(null, parseLighting(""));
+
+  logger.success("testNormalMap".padEnd(20) + ": success");
+}
+
+function testGradient() {
+  // The built-in palettes are gradients: the zebra keeps its bands whatever
+  // the interpolation, and the Wikipedia colors are at their positions.
+  const zebra = getGradient(Palette.ZEBRA);
+  const bands = getGradientInterpolationId(zebra, PaletteInterpolation.SPLINE);
+  assertEqual(STEP_PALETTE_INTERPOLATION_ID, bands);
+  assertEqual(255, gradientColor(zebra, 0.25, bands).r);
+  assertEqual(0, gradientColor(zebra, 0.75, bands).r);
+  const wikipedia = gradientColor(DEFAULT_GRADIENT, 0.16, bands);
+  assertEqual("32,107,203", [wikipedia.r, wikipedia.g, wikipedia.b].join(","));
+  assertEqual(DEFAULT_GRADIENT, getGradient(Palette.CUSTOM));
+
+  // The colors wrap around from the last stop to the first one, across 0.
+  const gradient = parseGradient("10;ff0000,0.25;0000ff,0.75");
+  assertEqual(gradient, getGradient(Palette.CUSTOM, gradient));
+  const linear = LINEAR_PALETTE_INTERPOLATION_ID;
+  assertEqual(127.5, gradientColor(gradient, 0.5, linear).r);
+  assertEqual(127.5, gradientColor(gradient, 0, linear).r);
+  assertEqual(127.5, gradientColor(gradient, 1, linear).b);
+  assertEqual(255, gradientColor(gradient, 0.1, bands).b);
+
+  assertEqual(10, gradient.period);
+  assertEqual("10;ff0000,0.25;0000ff,0.75", renderGradient(gradient));
+  assertEqual(
+    renderGradient(DEFAULT_GRADIENT),
+    renderGradient(parseGradient(renderGradient(DEFAULT_GRADIENT)))
+  );
+  const stops = Array.from(
+    { length: MAX_GRADIENT_STOPS + 1 },
+    (_, i) => `ffffff,${i / (MAX_GRADIENT_STOPS + 1)}`
+  );
+  assertEqual(null, parseGradient(["10", ...stops].join(";")));
+  assertEqual(null, parseGradient("10;ff0000,0.75;0000ff,0.25"));
+  assertEqual(null, parseGradient("10;ff0000,0.5;0000ff,0.5"));
+  assertEqual(null, parseGradient("10;ff0000,1"));
+  assertEqual(null, parseGradient("10;ff00,0"));
+  assertEqual(null, parseGradient("0;ff0000,0"));
+  assertEqual(null, parseGradient("10"));
+
+  const packed = packGradient(DEFAULT_GRADIENT);
+  assertEqual(4 * MAX_GRADIENT_STOPS, packed.length);
+  assertEqual(true, Math.abs(packed[2] - 100 / 255) < 1e-6);
+  assertEqual(true, Math.abs(packed[7] - 0.16) < 1e-6);
+
+  logger.success("testGradient".padEnd(20) + ": success");
+}
+
 function assertEqual(expected, actual) {
   console.assert(
     (Number.isNaN(expected) && Number.isNaN(actual)) || expected === actual,
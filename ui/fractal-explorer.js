@@ -1,10 +1,22 @@
 import { BigComplexPlane, Complex, COMPLEX_PLANE } from "../math/complex.js";
-import { DEFAULT_FN } from "../math/julia.js";
-import { MapControl } from "../core/map.js";
+import {
+  DEFAULT_FN,
+  hasPerturbation,
+  isJuliaFn,
+  juliaOrbit,
+} from "../math/julia.js";
+import { hasMisiurewicz } from "../math/misiurewicz.js";
+import { hasNucleus } from "../math/nucleus.js";
+import { MapControl, MAX_ZOOM } from "../core/map.js";
 import { Palette } from "../core/palette.js";
 import { DeepMode } from "../core/state.js";
-import { RenderingEngine, RenderOptions } from "../renderers/renderer.js";
+import {
+  RenderingEngine,
+  RenderMode,
+  RenderOptions,
+} from "../renderers/renderer.js";
 import { createRenderer } from "../renderers/renderers.js";
+import { OrbitOverlay } from "./orbit-overlay.js";
 
 export const DPR = window.devicePixelRatio ?? 1;
 const RENDER_INTERVAL_MS = 33; // target ~30 fps preview
@@ -15,6 +27,20 @@ const DEFAULT_SUPER_SAMPLES = 8;
 const MAX_SUPER_SAMPLES = 64;
 const INTERACTIVE_SUPER_SAMPLES_FACTOR = 0.5;
 const INTERACTION_LINGER_MS = 120;
+// The nucleus search looks for periods up to this bound, whatever the max
+// iterations of the rendering.
+const NUCLEUS_MAX_PERIOD = 4096;
+// Radius of the search for Misiurewicz points around the picked point, as a
+// fraction of the width of the viewport.
+const MISIUREWICZ_SEARCH_RADIUS = 0.02;
+const MISIUREWICZ_MAX_PREPERIOD = 64;
+const MISIUREWICZ_MAX_PERIOD = 32;
+const MISIUREWICZ_MAX_POINTS = 5;
+const ORBIT_MAX_POINTS = 1000;
+// A click moving less than this many pixels picks a point or inspects the
+// orbit, not a drag.
+const CLICK_TOLERANCE = 4;
+const ORBIT_COLOR = "yellow";
 
 export class FractalExplorer {
   constructor(
@@ -40,6 +66,8 @@ export class FractalExplorer {
     this.latestFrameCanvas = document.createElement("canvas");
     this.latestFrameCtx = this.latestFrameCanvas.getContext("2d");
     this.lastRenderState = null;
+    // The options of the last frame, to relight it
+    this.lastRenderOptions = null;
     this.pendingRenderQueue = [];
     this.renderLoopPromise = null;
     this.inFlightRenderPromise = null;
@@ -49,6 +77,7 @@ export class FractalExplorer {
     this.pendingViewportChange = null;
     this.viewportQueueBusy = false;
     this.previewLoopId = null;
+    this.refineTimeoutId = null;
 
     // Mouse & touch state
     this.isDragging = false;
@@ -59,6 +88,14 @@ export class FractalExplorer {
 
     this.lastRenderTime = 0;
     this.zoomAnimationId = null;
+    this.pickPromise = null;
+    this.resolvePick = null;
+    this.inspecting = false;
+    this.clickDownPos = null;
+    // The worker of the nucleus or Misiurewicz search in progress
+    this.searchWorker = null;
+    this.searchRequestId = 0;
+    this.resolveSearch = null;
     this.interactionActive = false;
     this.interactionTimeoutId = null;
     this.isInteractive = false;
@@ -72,6 +109,8 @@ export class FractalExplorer {
     this.onTouchMoveHandler = this.#onTouchMove.bind(this);
     this.onTouchEndHandler = this.#onTouchEnd.bind(this);
     this.onTouchCancelHandler = this.#onTouchCancel.bind(this);
+    this.onPointerDownHandler = this.#onPointerDown.bind(this);
+    this.onPointerUpHandler = this.#onPointerUp.bind(this);
 
     this.fpsMonitor = new FpsMonitor(FPS_WINDOW_MS);
 
@@ -82,6 +121,15 @@ export class FractalExplorer {
     this.latestFrameCtx.imageSmoothingQuality = "low";
     this.latestFrameCanvas.style.imageRendering = "pixelated";
 
+    // Drawings over the fractal, e.g. external rays, following the map.
+    this.overlayCanvas = document.createElement("canvas");
+    this.overlayCanvas.className = "annotations";
+    this.overlayCtx = this.overlayCanvas.getContext("2d");
+    this.overlays = [];
+    this.overlayViewKey = null;
+    this.orbitOverlay = new OrbitOverlay(ORBIT_COLOR);
+    this.addOverlay(this.orbitOverlay);
+
     this.#startPreviewLoop();
   }
 
@@ -347,11 +395,36 @@ export class FractalExplorer {
     });
   }
 
+  #onPointerDown(e) {
+    const clicking = this.inspecting || this.resolvePick !== null;
+    this.clickDownPos = clicking ? this.#offsetPos(e) : null;
+  }
+
+  #onPointerUp(e) {
+    if (this.clickDownPos === null) {
+      return;
+    }
+    const pos = this.#offsetPos(e);
+    const dx = pos.x - this.clickDownPos.x;
+    const dy = pos.y - this.clickDownPos.y;
+    this.clickDownPos = null;
+    if (dx * dx + dy * dy > CLICK_TOLERANCE * CLICK_TOLERANCE) {
+      return;
+    }
+    const point = this.#canvasToComplex(pos.x, pos.y);
+    if (this.resolvePick !== null) {
+      this.#endPick(point);
+    } else if (this.inspecting) {
+      this.inspectOrbit(point);
+    }
+  }
+
   attach() {
     if (this.isAttached) {
       return;
     }
     this.divContainer.appendChild(this.canvas);
+    this.divContainer.appendChild(this.overlayCanvas);
     this.render(true);
     this.isAttached = true;
   }
@@ -361,6 +434,8 @@ export class FractalExplorer {
       return;
     }
     this.divContainer.removeChild(this.canvas);
+    this.divContainer.removeChild(this.overlayCanvas);
+    this.overlays.forEach((overlay) => overlay.detach?.());
     this.isAttached = false;
   }
 
@@ -375,6 +450,8 @@ export class FractalExplorer {
       this.canvas.addEventListener("touchstart", this.onTouchStartHandler, {
         passive: false,
       });
+      this.canvas.addEventListener("pointerdown", this.onPointerDownHandler);
+      this.canvas.addEventListener("pointerup", this.onPointerUpHandler);
     } else {
       this.canvas.removeEventListener("mousedown", this.onMouseDownHandler);
       this.canvas.removeEventListener("wheel", this.onWheelHandler, {
@@ -384,6 +461,8 @@ export class FractalExplorer {
       this.canvas.removeEventListener("touchstart", this.onTouchStartHandler, {
         passive: false,
       });
+      this.canvas.removeEventListener("pointerdown", this.onPointerDownHandler);
+      this.canvas.removeEventListener("pointerup", this.onPointerUpHandler);
     }
   }
 
@@ -417,6 +496,9 @@ export class FractalExplorer {
     this.renderCanvas.height = height * DPR;
     this.latestFrameCanvas.width = width * DPR;
     this.latestFrameCanvas.height = height * DPR;
+    this.overlayCanvas.width = width * DPR;
+    this.overlayCanvas.height = height * DPR;
+    this.overlayViewKey = null;
     if (this.renderer) {
       this.renderer.resize(width * DPR, height * DPR);
       await this.render(true);
@@ -437,13 +519,26 @@ export class FractalExplorer {
     }
     const maxSuperSamples = this.options.maxSuperSamples ?? DEFAULT_SUPER_SAMPLES;
     let maxIter = this.options.maxIter ?? this.#getDefaultIter();
+    const fn = this.options.fn ?? DEFAULT_FN;
     const deepMode = this.options.deepMode ?? DeepMode.AUTO;
     const deep =
-      deepMode === DeepMode.AUTO ? this.map.zoom > 16 : deepMode === DeepMode.YES;
+      hasPerturbation(fn.id) &&
+      (deepMode === DeepMode.AUTO ? this.map.zoom > 16 : deepMode === DeepMode.YES);
+    const bla = this.options.bla !== false;
+    const persistOrbits = this.options.persistOrbits === true;
     const palette = this.options.palette ?? Palette.WIKIPEDIA;
+    const gradient = this.options.gradient;
     const paletteInterpolation = this.options.paletteInterpolation;
-    const fn = this.options.fn ?? DEFAULT_FN;
+    const histogram = this.options.histogram === true;
     const normalMap = this.options.normalMap;
+    const lighting = this.options.lighting;
+    const distanceEstimation = this.options.distanceEstimation === true;
+    const interiorColoring = this.options.interiorColoring;
+    const orbitTrap = this.options.orbitTrap;
+    const trapGeometry = this.options.trapGeometry;
+    const averageColoring = this.options.averageColoring;
+    const decomposition = this.options.decomposition;
+    const renderMode = this.options.renderMode ?? RenderMode.ESCAPE;
     const interactiveMaxSuperSamples = Math.max(
       MIN_SUPER_SAMPLES,
       Math.round(maxSuperSamples * INTERACTIVE_SUPER_SAMPLES_FACTOR)
@@ -453,10 +548,22 @@ export class FractalExplorer {
         ? interactiveMaxSuperSamples
         : maxSuperSamples,
       deep,
+      bla,
+      persistOrbits,
       maxIter,
       palette,
+      gradient,
       paletteInterpolation,
+      histogram,
       normalMap,
+      lighting,
+      distanceEstimation,
+      interiorColoring,
+      orbitTrap,
+      trapGeometry,
+      averageColoring,
+      decomposition,
+      renderMode,
       fn,
     };
 
@@ -469,8 +576,34 @@ export class FractalExplorer {
     return this.renderLoopPromise;
   }
 
+  /**
+   * Shade the last frame again with the lighting of the options, without
+   * iterating it again. Renders the view instead while a render is running,
+   * or when the renderer cannot relight its frame.
+   */
+  async relight() {
+    if (!this.isAttached) {
+      return;
+    }
+    if (this.renderLoopPromise || !this.lastRenderOptions) {
+      return this.render(true);
+    }
+    const options = new RenderOptions({
+      ...this.lastRenderOptions,
+      lighting: this.options.lighting,
+    });
+    const renderResult = await this.renderer.relight(options);
+    if (renderResult === null) {
+      return this.render(true);
+    }
+    this.lastRenderOptions = options;
+    this.#captureLatestFrame();
+    this.#presentFrame();
+  }
+
   #enqueueRender(options) {
     const requestId = this.nextRequestId++;
+    clearTimeout(this.refineTimeoutId);
     let resolvePromise;
     const promise = new Promise((resolve) => {
       resolvePromise = resolve;
@@ -493,6 +626,7 @@ export class FractalExplorer {
   }
 
   async #processRenderQueue() {
+    let refining = false;
     // Run renders sequentially; every enqueued request is rendered in order.
     while (this.pendingRenderQueue.length > 0 && this.isAttached) {
       const { requestId, options, resolve } = this.pendingRenderQueue.shift();
@@ -510,12 +644,23 @@ export class FractalExplorer {
       // Present every finished frame; reprojection keeps it aligned with the
       // current view even if newer requests were queued while it was rendering.
       this.lastRenderState = renderState;
+      this.lastRenderOptions = options;
       this.#captureLatestFrame();
       this.#presentFrame();
+      this.overlays.forEach((overlay) =>
+        overlay.update?.(this.map, this.canvas.width, options)
+      );
       this.onRendered?.(renderResult);
 
       this.fpsMonitor.addFrame(end - start);
       resolve?.(renderResult);
+      refining = renderResult?.refining === true;
+    }
+
+    if (refining) {
+      // Progressive renders keep refining the same view while it is idle.
+      // Wait for this loop to end, so that the next render starts a new one.
+      this.refineTimeoutId = setTimeout(() => this.render(true));
     }
   }
 
@@ -598,6 +743,9 @@ export class FractalExplorer {
       if (this.isAttached && this.lastRenderState) {
         this.#drawPreviewFromLastRender();
       }
+      if (this.isAttached) {
+        this.#drawOverlays();
+      }
       this.previewLoopId = requestAnimationFrame(tick);
     };
     this.previewLoopId = requestAnimationFrame(tick);
@@ -657,6 +805,77 @@ export class FractalExplorer {
     this.ctx.setTransform(1, 0, 0, 1, 0, 0);
   }
 
+  /**
+   * Add a drawing over the fractal, with:
+   * - draw(ctx, view): draw it on the overlay canvas, at the current view
+   * - update(map, width, options): optional, called after each render
+   * - detach(): optional, called when the explorer is detached
+   */
+  addOverlay(overlay) {
+    this.overlays.push(overlay);
+    this.redrawOverlays();
+  }
+
+  removeOverlay(overlay) {
+    this.overlays = this.overlays.filter((o) => o !== overlay);
+    overlay.detach?.();
+    this.redrawOverlays();
+  }
+
+  /**
+   * Redraw the overlays at the next frame, e.g. when their content changed.
+   */
+  redrawOverlays() {
+    this.overlayViewKey = null;
+  }
+
+  #drawOverlays() {
+    // Only redraw when the view changed
+    const { center, zoom } = this.map;
+    const viewKey = `${center.x},${center.y},${zoom},${this.overlays.length}`;
+    if (viewKey === this.overlayViewKey) {
+      return;
+    }
+    this.overlayViewKey = viewKey;
+
+    const w = this.overlayCanvas.width;
+    const h = this.overlayCanvas.height;
+    this.overlayCtx.clearRect(0, 0, w, h);
+    const plane = this.map.plane;
+    const scale = (w / 4) * Math.pow(2, zoom);
+    const offset = new Complex();
+    const view = {
+      scale,
+      pixelRatio: DPR,
+      // Canvas coordinates of a point of the complex plane
+      toCanvas(point) {
+        offset.project(plane.complex().project(point).sub(center));
+        return new Complex(
+          w * 0.5 + offset.x * scale,
+          h * 0.5 - offset.y * scale
+        );
+      },
+    };
+    this.overlays.forEach((overlay) => overlay.draw(this.overlayCtx, view));
+  }
+
+  /**
+   * The current frame with its overlays, e.g. to download it.
+   */
+  snapshot() {
+    if (this.overlays.length === 0) {
+      return this.canvas;
+    }
+    this.#drawOverlays();
+    const canvas = document.createElement("canvas");
+    canvas.width = this.canvas.width;
+    canvas.height = this.canvas.height;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(this.canvas, 0, 0);
+    ctx.drawImage(this.overlayCanvas, 0, 0);
+    return canvas;
+  }
+
   #canvasToComplex(sx, sy) {
     return this.map.screenToComplex(
       sx * DPR,
@@ -750,11 +969,238 @@ export class FractalExplorer {
     this.zoomAnimationId = requestAnimationFrame(tick.bind(this));
   }
 
+  /**
+   * Find the nucleus of the lowest period component in view, and dive to it,
+   * at the zoom where the component is about as large as the main cardioid at
+   * zoom 0.
+   *
+   * Resolves with { nucleus, period, size }, or with null if none was found
+   * or a later search replaced this one.
+   */
+  async snapToNucleus() {
+    const fn = this.options.fn ?? DEFAULT_FN;
+    if (!hasNucleus(fn)) {
+      throw new Error("The nucleus finder only supports the Mandelbrot set z² + c");
+    }
+    // Half the size of the square holding the viewport
+    const radius =
+      2 *
+      Math.pow(2, -this.map.zoom) *
+      Math.max(1, this.canvas.height / this.canvas.width);
+    const result = await this.#search({
+      search: "nucleus",
+      center: this.map.center,
+      radius,
+      maxPeriod: NUCLEUS_MAX_PERIOD,
+    });
+    if (result === null) {
+      return null;
+    }
+    const nucleus = deserializePoint(result.nucleus);
+    const zoom = Math.min(Math.max(-Math.log2(result.size), 0), MAX_ZOOM);
+    const duration = Math.abs(zoom - this.map.zoom) * 1000 * 0.5;
+    this.animateDive(nucleus, this.map.zoom, zoom, duration);
+    return { ...result, nucleus };
+  }
+
+  /**
+   * Find the Misiurewicz points around the given point, lowest preperiod +
+   * period first.
+   *
+   * Resolves with a list of { point, preperiod, period }, or with null if a
+   * later search replaced this one.
+   */
+  async locateMisiurewicz(center) {
+    const fn = this.options.fn ?? DEFAULT_FN;
+    if (!hasMisiurewicz(fn)) {
+      throw new Error(
+        "The Misiurewicz finder only supports the Mandelbrot set z² + c"
+      );
+    }
+    const radius =
+      4 * Math.pow(2, -this.map.zoom) * MISIUREWICZ_SEARCH_RADIUS;
+    const points = await this.#search({
+      search: "misiurewicz",
+      center,
+      radius,
+      maxPreperiod: MISIUREWICZ_MAX_PREPERIOD,
+      maxPeriod: MISIUREWICZ_MAX_PERIOD,
+      maxPoints: MISIUREWICZ_MAX_POINTS,
+    });
+    return (
+      points?.map((point) => ({
+        ...point,
+        point: deserializePoint(point.point),
+      })) ?? null
+    );
+  }
+
+  // Run the search in a worker, off the main thread. Only the latest search
+  // matters: the one in progress is dropped, and resolves with null.
+  #search(payload) {
+    this.#cancelSearch();
+    const requestId = ++this.searchRequestId;
+    return new Promise((resolve, reject) => {
+      this.resolveSearch = resolve;
+      this.searchWorker = new Worker(
+        new URL("../renderers/search-worker.js", import.meta.url),
+        { type: "module" }
+      );
+      this.searchWorker.onmessage = ({ data }) => {
+        if (data.requestId !== this.searchRequestId) {
+          return;
+        }
+        this.#endSearch();
+        if (data.error) {
+          reject(new Error(data.error));
+        } else {
+          resolve(data.result);
+        }
+      };
+      this.searchWorker.onerror = (event) => {
+        this.#endSearch();
+        reject(new Error(event.message ?? "Search worker error"));
+      };
+      this.searchWorker.postMessage({
+        requestId,
+        payload: { ...payload, center: serializePoint(payload.center) },
+      });
+    });
+  }
+
+  #cancelSearch() {
+    this.resolveSearch?.(null);
+    this.#endSearch();
+  }
+
+  #endSearch() {
+    this.searchWorker?.terminate();
+    this.searchWorker = null;
+    this.resolveSearch = null;
+  }
+
+  /**
+   * Resolve with the point of the complex plane under the next click or tap,
+   * or with null if the pick is cancelled. Drags still pan the view.
+   */
+  pickPoint() {
+    this.pickPromise ??= new Promise((resolve) => {
+      this.canvas.style.cursor = "crosshair";
+      this.resolvePick = resolve;
+    });
+    return this.pickPromise;
+  }
+
+  /**
+   * Resolve the pending pick with null. Return whether a pick was pending.
+   */
+  cancelPick() {
+    if (this.resolvePick === null) {
+      return false;
+    }
+    this.#endPick(null);
+    return true;
+  }
+
+  #endPick(point) {
+    const resolve = this.resolvePick;
+    this.canvas.style.cursor = "";
+    this.pickPromise = null;
+    this.resolvePick = null;
+    resolve(point);
+  }
+
+  /**
+   * Center the view on the given point, at the current zoom.
+   */
+  jumpTo(center) {
+    this.map.stop();
+    const precision = this.map.precisionAtZoom(this.map.zoom);
+    const plane =
+      precision === undefined
+        ? COMPLEX_PLANE
+        : new BigComplexPlane(precision);
+    this.#moveTo(plane.complex().project(center), this.map.zoom);
+  }
+
+  /**
+   * In inspection mode, clicking a pixel draws the orbit of its point.
+   */
+  setInspecting(inspecting) {
+    this.inspecting = inspecting;
+    if (!inspecting) {
+      this.#showOrbit([]);
+    }
+  }
+
+  /**
+   * Draw the orbit of the point, on the plane of the map: in the parameter
+   * plane, the orbit of the critical point 0 under z = fold(z)^d + point; in
+   * the Julia plane, the orbit of the point itself.
+   */
+  inspectOrbit(point) {
+    const fn = this.options.fn ?? DEFAULT_FN;
+    const plane = this.map.plane;
+    if (isJuliaFn(fn.id)) {
+      const c = plane.complex().project(fn.param0);
+      this.#showOrbit(this.#orbit(point, c));
+    } else {
+      this.#showOrbit(this.#orbit(plane.complex(0, 0), point));
+    }
+  }
+
+  /**
+   * Draw the orbit of the critical point 0 of the Julia fn.
+   */
+  showCriticalOrbit() {
+    const fn = this.options.fn ?? DEFAULT_FN;
+    const plane = this.map.plane;
+    const c = plane.complex().project(fn.param0);
+    this.#showOrbit(this.#orbit(plane.complex(0, 0), c));
+  }
+
+  #orbit(z0, c) {
+    const fn = this.options.fn ?? DEFAULT_FN;
+    // Newton and formula fns don't iterate z = fold(z)^d + c.
+    if (!hasPerturbation(fn.id)) {
+      return [];
+    }
+    const maxIter = this.options.maxIter ?? this.#getDefaultIter();
+    return juliaOrbit(
+      z0,
+      c,
+      Math.min(maxIter, ORBIT_MAX_POINTS),
+      fn.exponent,
+      fn.id
+    );
+  }
+
+  #showOrbit(points) {
+    this.orbitOverlay.setPoints(points);
+    this.redrawOverlays();
+  }
+
   fps() {
     return this.fpsMonitor.fps();
   }
 }
 
+// A point as {x, y, planeExponent} for the search worker, exact at any zoom
+function serializePoint(point) {
+  const plane = point.plane ?? COMPLEX_PLANE;
+  return {
+    x: point.x,
+    y: point.y,
+    planeExponent: plane.isBigComplex() ? plane.exponent : null,
+  };
+}
+
+function deserializePoint({ x, y, planeExponent }) {
+  const plane =
+    planeExponent === null ? COMPLEX_PLANE : new BigComplexPlane(planeExponent);
+  return plane.complex(x, y);
+}
+
 /**
  * Helper for pinch gestures: distance between two touches
  */
@@ -0,0 +1,195 @@
+import {
+  colorToHex,
+  getGradientInterpolationId,
+  gradientColor,
+  hexToColor,
+  MAX_GRADIENT_STOPS,
+} from "../core/palette.js";
+
+const BAR_HEIGHT = 20;
+const HANDLE_SIZE = 6;
+// Positions are kept to 3 decimals, and apart from each other by at least one
+// step of 0.001.
+const POSITION_SCALE = 1000;
+const POSITION_STEP = 1 / POSITION_SCALE;
+const HANDLE_COLOR = "rgba(255, 255, 255, 0.35)";
+const SELECTED_HANDLE_COLOR = "#ffffff";
+
+/**
+ * The gradient of the palette, with its stops below it. Dragging a stop moves
+ * it between its neighbours, double clicking the gradient adds a stop of the
+ * color there, and the color input and the remove button recolor and remove
+ * the selected stop. Every change is a new gradient, passed to onChange.
+ */
+export class GradientEditor {
+  constructor(canvas, colorInput, removeButton, onChange) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.colorInput = colorInput;
+    this.removeButton = removeButton;
+    this.onChange = onChange;
+    this.gradient = null;
+    this.paletteInterpolation = null;
+    this.selected = 0;
+
+    canvas.addEventListener("pointerdown", (event) => {
+      const stop = this.#stopAt(event);
+      if (stop === null) {
+        return;
+      }
+      this.#select(stop);
+      canvas.setPointerCapture(event.pointerId);
+    });
+    canvas.addEventListener("pointermove", (event) => {
+      if (canvas.hasPointerCapture(event.pointerId)) {
+        this.#move(this.#position(event));
+      }
+    });
+    canvas.addEventListener("dblclick", (event) => {
+      this.#add(this.#position(event));
+    });
+    colorInput.addEventListener("input", () => {
+      const colors = [...this.gradient.colors];
+      colors[this.selected] = hexToColor(colorInput.value);
+      this.#change(colors, this.gradient.positions);
+    });
+    removeButton.addEventListener("click", () => {
+      const { colors, positions } = this.gradient;
+      if (colors.length > 1) {
+        const keep = (_, i) => i !== this.selected;
+        this.selected = Math.max(this.selected - 1, 0);
+        this.#change(colors.filter(keep), positions.filter(keep));
+      }
+    });
+  }
+
+  setGradient(gradient, paletteInterpolation) {
+    this.gradient = gradient;
+    this.paletteInterpolation = paletteInterpolation;
+    this.selected = Math.min(this.selected, gradient.colors.length - 1);
+    this.colorInput.value = "#" + colorToHex(gradient.colors[this.selected]);
+    this.removeButton.disabled = gradient.colors.length <= 1;
+    this.#draw();
+  }
+
+  #select(stop) {
+    this.selected = stop;
+    this.colorInput.value = "#" + colorToHex(this.gradient.colors[stop]);
+    this.#draw();
+  }
+
+  #change(colors, positions) {
+    this.onChange({
+      colors,
+      positions,
+      period: this.gradient.period,
+      interpolation: null,
+    });
+  }
+
+  // The position in [0, 1] of the pointer along the gradient
+  #position(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+  }
+
+  // The index of the stop under the pointer, or null
+  #stopAt(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = this.#position(event) * this.canvas.width;
+    const y = ((event.clientY - rect.top) * this.canvas.height) / rect.height;
+    if (y < BAR_HEIGHT) {
+      return null;
+    }
+    let nearest = null;
+    let nearestDistance = HANDLE_SIZE;
+    this.gradient.positions.forEach((position, i) => {
+      const distance = Math.abs(position * this.canvas.width - x);
+      if (distance <= nearestDistance) {
+        nearest = i;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  #move(position) {
+    const { positions } = this.gradient;
+    const i = this.selected;
+    const min = i === 0 ? 0 : positions[i - 1] + POSITION_STEP;
+    const max =
+      i === positions.length - 1
+        ? 1 - POSITION_STEP
+        : positions[i + 1] - POSITION_STEP;
+    const moved = [...positions];
+    moved[i] = roundPosition(Math.min(Math.max(position, min), max));
+    if (moved[i] !== positions[i]) {
+      this.#change(this.gradient.colors, moved);
+    }
+  }
+
+  #add(position) {
+    const { colors, positions } = this.gradient;
+    position = roundPosition(Math.min(position, 1 - POSITION_STEP));
+    if (
+      colors.length >= MAX_GRADIENT_STOPS ||
+      positions.some((p) => Math.abs(p - position) < POSITION_STEP / 2)
+    ) {
+      return;
+    }
+    const color = hexToColor(
+      colorToHex(
+        gradientColor(this.gradient, position, this.#interpolationId())
+      )
+    );
+    const i = positions.filter((p) => p < position).length;
+    this.selected = i;
+    this.#change(
+      [...colors.slice(0, i), color, ...colors.slice(i)],
+      [...positions.slice(0, i), position, ...positions.slice(i)]
+    );
+  }
+
+  #interpolationId() {
+    return getGradientInterpolationId(this.gradient, this.paletteInterpolation);
+  }
+
+  #draw() {
+    const { ctx, canvas } = this;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (this.gradient === null) {
+      return;
+    }
+    const interpolationId = this.#interpolationId();
+    for (let x = 0; x < canvas.width; x++) {
+      const index = (x + 0.5) / canvas.width;
+      const color = gradientColor(this.gradient, index, interpolationId);
+      ctx.fillStyle = "#" + colorToHex(color);
+      ctx.fillRect(x, 0, 1, BAR_HEIGHT);
+    }
+
+    // The stops as handles below the gradient, the selected one on top
+    const { colors, positions } = this.gradient;
+    const stops = positions
+      .map((_, i) => i)
+      .filter((i) => i !== this.selected);
+    [...stops, this.selected].forEach((i) => {
+      const x = positions[i] * canvas.width;
+      ctx.beginPath();
+      ctx.moveTo(x, BAR_HEIGHT);
+      ctx.lineTo(x + HANDLE_SIZE, canvas.height - 1);
+      ctx.lineTo(x - HANDLE_SIZE, canvas.height - 1);
+      ctx.closePath();
+      ctx.fillStyle = "#" + colorToHex(colors[i]);
+      ctx.fill();
+      const selected = i === this.selected;
+      ctx.strokeStyle = selected ? SELECTED_HANDLE_COLOR : HANDLE_COLOR;
+      ctx.lineWidth = selected ? 2 : 1;
+      ctx.stroke();
+    });
+  }
+}
+
+function roundPosition(position) {
+  return Math.round(position * POSITION_SCALE) / POSITION_SCALE;
+}
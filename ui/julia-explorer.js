@@ -1,7 +1,8 @@
 import { Complex } from "../math/complex.js";
 import { FractalExplorer } from "./fractal-explorer.js";
-import { DEFAULT_FN, Fn } from "../math/julia.js";
+import { Fn } from "../math/julia.js";
 import { appState, Layout } from "../core/state.js";
+import { RayOverlay } from "./ray-overlay.js";
 
 export class JuliaExplorer {
   static async create({
@@ -12,10 +13,16 @@ export class JuliaExplorer {
     onRendered,
   } = {}) {
     const mandelbrotDiv = document.getElementById("mandelbrot");
+    const mandelFn = Fn.forFractal(
+      options.fractal,
+      options.exponent,
+      options.roots,
+      options.formula
+    );
     const mandelExplorer = new FractalExplorer(
       mandelbrotDiv,
       renderingEngine,
-      { ...options, fn: DEFAULT_FN },
+      { ...options, fn: mandelFn },
       onChanged,
       null,
       onRendered
@@ -25,7 +32,7 @@ export class JuliaExplorer {
     const juliaExplorer = new FractalExplorer(
       juliaDiv,
       renderingEngine,
-      { ...options, fn: Fn.julia(new Complex(0, 0)) },
+      { ...options, fn: mandelFn.juliaAt(new Complex(0, 0)) },
       onChanged,
       null,
       onRendered
@@ -35,7 +42,7 @@ export class JuliaExplorer {
       mandelExplorer,
       juliaExplorer,
       onChanged
-    ).#init(layout);
+    ).#init(layout, options.rays ?? []);
   }
 
   constructor(mandelExplorer, juliaExplorer, onChanged) {
@@ -45,9 +52,16 @@ export class JuliaExplorer {
     this.mandelExplorer.onDragged = this.updateJuliaFn.bind(this);
     this.juliaTimeoutId = null;
     this.onClickHandler = this.#onClick.bind(this);
+    this.inspecting = false;
+    // External rays, drawn over the Mandelbrot set
+    this.rayOverlay = new RayOverlay(() =>
+      this.mandelExplorer.redrawOverlays()
+    );
+    this.mandelExplorer.addOverlay(this.rayOverlay);
   }
 
-  async #init(layout) {
+  async #init(layout, rays) {
+    this.rayOverlay.setAngles(rays);
     await this.setLayout(layout);
     await this.mandelExplorer.initRenderer();
     await this.juliaExplorer.initRenderer();
@@ -117,6 +131,7 @@ export class JuliaExplorer {
         break;
     }
     await this.resize(window.innerWidth, window.innerHeight);
+    this.#updateCriticalOrbit();
     this.onChanged?.();
   }
 
@@ -158,7 +173,68 @@ export class JuliaExplorer {
 
   async updateJuliaFn() {
     const mandelMap = this.mandelExplorer.map;
-    this.juliaExplorer.options.fn = Fn.julia(mandelMap.center);
+    this.juliaExplorer.options.fn = this.mandelExplorer.options.fn.juliaAt(
+      mandelMap.center
+    );
+    this.#updateCriticalOrbit();
     await this.juliaExplorer.render();
   }
+
+  /**
+   * In inspection mode, clicking a pixel of either panel draws its orbit. In
+   * split layout, the Julia panel also shows the critical orbit of its c.
+   */
+  setInspecting(inspecting) {
+    this.inspecting = inspecting;
+    this.mandelExplorer.setInspecting(inspecting);
+    this.juliaExplorer.setInspecting(inspecting);
+    this.#updateCriticalOrbit();
+  }
+
+  #updateCriticalOrbit() {
+    if (this.inspecting && this.layout === Layout.SPLIT) {
+      this.juliaExplorer.showCriticalOrbit();
+    }
+  }
+
+  setExponent(exponent) {
+    this.mandelExplorer.options.exponent = exponent;
+    this.juliaExplorer.options.exponent = exponent;
+    this.#updateFns();
+  }
+
+  setFractal(fractal) {
+    this.mandelExplorer.options.fractal = fractal;
+    this.juliaExplorer.options.fractal = fractal;
+    this.#updateFns();
+  }
+
+  setRoots(roots) {
+    this.mandelExplorer.options.roots = roots;
+    this.juliaExplorer.options.roots = roots;
+    this.#updateFns();
+  }
+
+  setFormula(formula) {
+    this.mandelExplorer.options.formula = formula;
+    this.juliaExplorer.options.formula = formula;
+    this.#updateFns();
+  }
+
+  setRays(angles) {
+    this.rayOverlay.setAngles(angles);
+    this.mandelExplorer.render();
+  }
+
+  #updateFns() {
+    const { fractal, exponent, roots, formula } = this.mandelExplorer.options;
+    const mandelFn = Fn.forFractal(fractal, exponent, roots, formula);
+    this.mandelExplorer.options.fn = mandelFn;
+    this.juliaExplorer.options.fn = mandelFn.juliaAt(
+      this.mandelExplorer.map.center
+    );
+    this.#updateCriticalOrbit();
+    this.mandelExplorer.render(true);
+    this.juliaExplorer.render(true);
+  }
 }
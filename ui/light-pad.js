@@ -0,0 +1,101 @@
+import { lightDirections } from "../core/lighting.js";
+
+const PAD_MARGIN = 8;
+const HANDLE_RADIUS = 6;
+const LIGHT_RADIUS = 4;
+const PAD_COLOR = "rgba(255, 255, 255, 0.08)";
+const PAD_LINE_COLOR = "rgba(255, 255, 255, 0.35)";
+const HANDLE_COLOR = "#ffd75e";
+
+/**
+ * The lights seen from above the plane: the center of the pad is the zenith
+ * and its rim the horizon. Dragging the handle of the first light sets the
+ * azimuth and the elevation of the lighting, in whole degrees.
+ */
+export class LightPad {
+  constructor(canvas, onChange) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.onChange = onChange;
+    this.lighting = null;
+
+    canvas.addEventListener("pointerdown", (event) => {
+      canvas.setPointerCapture(event.pointerId);
+      this.#drag(event);
+    });
+    canvas.addEventListener("pointermove", (event) => {
+      if (canvas.hasPointerCapture(event.pointerId)) {
+        this.#drag(event);
+      }
+    });
+  }
+
+  setLighting(lighting) {
+    this.lighting = lighting;
+    this.#draw();
+  }
+
+  #radius() {
+    return Math.min(this.canvas.width, this.canvas.height) / 2 - PAD_MARGIN;
+  }
+
+  #drag(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const scale = this.canvas.width / rect.width;
+    const radius = this.#radius();
+    const x = (event.clientX - rect.left) * scale - this.canvas.width / 2;
+    const y = this.canvas.height / 2 - (event.clientY - rect.top) * scale;
+    const distance = Math.min(Math.hypot(x, y) / radius, 1);
+    const angle = (Math.atan2(y, x) * 180) / Math.PI;
+    const azimuth = Math.round(angle + 360) % 360;
+    const elevation = Math.round((Math.acos(distance) * 180) / Math.PI);
+    this.onChange(azimuth, elevation);
+  }
+
+  #draw() {
+    const { ctx, canvas } = this;
+    const cx = canvas.width / 2;
+    const cy = canvas.height / 2;
+    const radius = this.#radius();
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, 2 * Math.PI);
+    ctx.fillStyle = PAD_COLOR;
+    ctx.fill();
+    ctx.strokeStyle = PAD_LINE_COLOR;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(cx - radius, cy);
+    ctx.lineTo(cx + radius, cy);
+    ctx.moveTo(cx, cy - radius);
+    ctx.lineTo(cx, cy + radius);
+    ctx.stroke();
+
+    if (this.lighting === null) {
+      return;
+    }
+    // The lights at their projection on the plane, the handle last, on top
+    lightDirections(this.lighting)
+      .reverse()
+      .forEach(({ x, y }, i, lights) => {
+        const handle = i === lights.length - 1;
+        ctx.beginPath();
+        ctx.arc(
+          cx + radius * x,
+          cy - radius * y,
+          handle ? HANDLE_RADIUS : LIGHT_RADIUS,
+          0,
+          2 * Math.PI
+        );
+        if (handle) {
+          ctx.fillStyle = HANDLE_COLOR;
+          ctx.fill();
+        } else {
+          ctx.strokeStyle = HANDLE_COLOR;
+          ctx.stroke();
+        }
+      });
+  }
+}
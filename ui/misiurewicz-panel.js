@@ -0,0 +1,41 @@
+import { renderComplexDecimal } from "../math/complex.js";
+
+/**
+ * Lists the Misiurewicz points found around the picked point, labelled
+ * M_{preperiod,period}. Selecting one calls onSelect with it.
+ */
+export class MisiurewiczPanel {
+  constructor(onSelect) {
+    this.panel = document.getElementById("misiurewiczPanel");
+    this.list = document.getElementById("misiurewiczList");
+    this.closeButton = document.getElementById("misiurewiczClose");
+    this.onSelect = onSelect;
+
+    this.closeButton.addEventListener("click", () => this.hide());
+  }
+
+  show(points) {
+    this.list.replaceChildren(
+      ...points.map((point) => {
+        const button = document.createElement("button");
+        button.textContent =
+          `M${point.preperiod},${point.period}  ` +
+          renderComplexDecimal(point.point);
+        button.addEventListener("click", () => this.onSelect(point));
+        return button;
+      })
+    );
+    this.panel.style.display = "block";
+  }
+
+  showMessage(message) {
+    const text = document.createElement("div");
+    text.textContent = message;
+    this.list.replaceChildren(text);
+    this.panel.style.display = "block";
+  }
+
+  hide() {
+    this.panel.style.display = "none";
+  }
+}
@@ -0,0 +1,41 @@
+import { renderComplexDecimal } from "../math/complex.js";
+
+/**
+ * Shows the nucleus found by the minibrot finder, and copies it to the
+ * clipboard.
+ */
+export class NucleusPanel {
+  constructor() {
+    this.panel = document.getElementById("nucleusPanel");
+    this.text = document.getElementById("nucleusText");
+    this.copyButton = document.getElementById("nucleusCopy");
+    this.closeButton = document.getElementById("nucleusClose");
+
+    this.copyButton.addEventListener("click", () => {
+      navigator.clipboard.writeText(this.text.textContent);
+    });
+    this.closeButton.addEventListener("click", () => this.hide());
+  }
+
+  show({ nucleus, period, size }) {
+    const [x, y] = renderComplexDecimal(nucleus, ";").split(";");
+    this.text.textContent = [
+      "period " + period,
+      "size " + size.toExponential(3),
+      "re " + x,
+      "im " + y,
+    ].join("\n");
+    this.copyButton.style.display = "";
+    this.panel.style.display = "block";
+  }
+
+  showMessage(message) {
+    this.text.textContent = message;
+    this.copyButton.style.display = "none";
+    this.panel.style.display = "block";
+  }
+
+  hide() {
+    this.panel.style.display = "none";
+  }
+}
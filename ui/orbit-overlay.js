@@ -0,0 +1,57 @@
+// Only the first points of the orbit are numbered: an orbit attracted to a
+// cycle piles up its points.
+const ORBIT_LABELS = 64;
+const ORBIT_LINE_WIDTH = 1;
+const ORBIT_POINT_RADIUS = 2.5;
+const ORBIT_FONT_SIZE = 11;
+const ORBIT_OUTLINE_COLOR = "rgba(0, 0, 0, 0.6)";
+
+/**
+ * Draws an orbit z₀, z₁, … as a polyline through its numbered points. The
+ * points are kept on the plane they were computed on, so that they stay in
+ * place while the map pans and zooms.
+ */
+export class OrbitOverlay {
+  constructor(color) {
+    this.color = color;
+    this.points = [];
+  }
+
+  setPoints(points) {
+    this.points = points;
+  }
+
+  draw(ctx, view) {
+    if (this.points.length === 0) {
+      return;
+    }
+    const pixelRatio = view.pixelRatio;
+    const positions = this.points.map((point) => view.toCanvas(point));
+
+    ctx.lineJoin = "round";
+    ctx.beginPath();
+    positions.forEach(({ x, y }) => ctx.lineTo(x, y));
+    ctx.strokeStyle = ORBIT_OUTLINE_COLOR;
+    ctx.lineWidth = 3 * ORBIT_LINE_WIDTH * pixelRatio;
+    ctx.stroke();
+    ctx.strokeStyle = this.color;
+    ctx.lineWidth = ORBIT_LINE_WIDTH * pixelRatio;
+    ctx.stroke();
+
+    ctx.font = `${ORBIT_FONT_SIZE * pixelRatio}px sans-serif`;
+    ctx.fillStyle = this.color;
+    positions.forEach(({ x, y }, n) => {
+      ctx.beginPath();
+      ctx.arc(x, y, ORBIT_POINT_RADIUS * pixelRatio, 0, 2 * Math.PI);
+      ctx.fill();
+      if (n < ORBIT_LABELS) {
+        const label = String(n);
+        const lx = x + 2 * ORBIT_POINT_RADIUS * pixelRatio;
+        ctx.strokeStyle = ORBIT_OUTLINE_COLOR;
+        ctx.lineWidth = 3 * pixelRatio;
+        ctx.strokeText(label, lx, y);
+        ctx.fillText(label, lx, y);
+      }
+    });
+  }
+}
@@ -0,0 +1,148 @@
+import { COMPLEX_PLANE } from "../math/complex.js";
+import { hasRays, renderAngle, renderAngles } from "../math/rays.js";
+
+// Rays are traced again once the resolution of the view is finer than the
+// resolution they were traced at by this factor.
+const RAY_RETRACE_FACTOR = 2;
+// The depth of the rays is the max iterations, up to this bound: rays landing
+// at parabolic roots converge slowly.
+const RAY_MAX_DEPTH = 1000;
+const RAY_COLOR = "white";
+const RAY_OUTLINE_COLOR = "rgba(0, 0, 0, 0.6)";
+const RAY_LINE_WIDTH = 1.5;
+const RAY_FONT_SIZE = 12;
+
+/**
+ * Draws the external rays of the given angles over the Mandelbrot set. The
+ * rays are traced in a worker, as offsets from the center of the view they
+ * were requested for, so that they follow the map while it pans and zooms.
+ */
+export class RayOverlay {
+  constructor(onChanged) {
+    this.onChanged = onChanged;
+    this.angles = [];
+    this.worker = null;
+    this.requestId = 0;
+    this.tracedResolution = Infinity;
+    // { center, angles, rays } of the last traced rays
+    this.traced = null;
+  }
+
+  setAngles(angles) {
+    if (renderAngles(angles) === renderAngles(this.angles)) {
+      return;
+    }
+    this.angles = angles;
+    this.#clear();
+  }
+
+  /**
+   * Trace the rays again if the view got finer than the traced rays.
+   */
+  update(map, width, options) {
+    if (this.angles.length === 0 || !hasRays(options.fn)) {
+      this.#clear();
+      return;
+    }
+    const resolution = (4 * Math.pow(2, -map.zoom)) / width;
+    if (resolution * RAY_RETRACE_FACTOR > this.tracedResolution) {
+      return;
+    }
+    this.tracedResolution = resolution;
+    this.#trace({
+      angles: this.angles.map(renderAngle),
+      center: map.center.clone(),
+      resolution,
+      maxDepth: Math.min(options.maxIter, RAY_MAX_DEPTH),
+    });
+  }
+
+  #trace(payload) {
+    // Only the latest request matters: drop the one in progress.
+    this.detach();
+    const requestId = ++this.requestId;
+    this.worker = new Worker(
+      new URL("../renderers/ray-worker.js", import.meta.url),
+      { type: "module" }
+    );
+    this.worker.onmessage = ({ data }) => {
+      if (data.requestId !== this.requestId) {
+        return;
+      }
+      this.detach();
+      if (data.error) {
+        console.error("Ray worker error:", data.error);
+        return;
+      }
+      this.traced = {
+        center: payload.center,
+        angles: payload.angles,
+        rays: data.rays,
+      };
+      this.onChanged?.();
+    };
+    const plane = payload.center.plane ?? COMPLEX_PLANE;
+    this.worker.postMessage({
+      requestId,
+      payload: {
+        ...payload,
+        center: {
+          x: payload.center.x,
+          y: payload.center.y,
+          planeExponent: plane.isBigComplex() ? plane.exponent : null,
+        },
+      },
+    });
+  }
+
+  #clear() {
+    this.detach();
+    this.tracedResolution = Infinity;
+    if (this.traced !== null) {
+      this.traced = null;
+      this.onChanged?.();
+    }
+  }
+
+  /**
+   * Draw the rays, and label them with their angle at their inner end.
+   */
+  draw(ctx, view) {
+    if (this.traced === null) {
+      return;
+    }
+    const { center, angles, rays } = this.traced;
+    const origin = view.toCanvas(center);
+    const scale = view.scale;
+    ctx.lineJoin = "round";
+    ctx.font = `${RAY_FONT_SIZE * view.pixelRatio}px sans-serif`;
+    rays.forEach((offsets, i) => {
+      ctx.beginPath();
+      for (let k = 0; k < offsets.length; k += 2) {
+        ctx.lineTo(
+          origin.x + offsets[k] * scale,
+          origin.y - offsets[k + 1] * scale
+        );
+      }
+      ctx.strokeStyle = RAY_OUTLINE_COLOR;
+      ctx.lineWidth = 3 * RAY_LINE_WIDTH * view.pixelRatio;
+      ctx.stroke();
+      ctx.strokeStyle = RAY_COLOR;
+      ctx.lineWidth = RAY_LINE_WIDTH * view.pixelRatio;
+      ctx.stroke();
+
+      const x = origin.x + offsets[offsets.length - 2] * scale;
+      const y = origin.y - offsets[offsets.length - 1] * scale;
+      ctx.strokeStyle = RAY_OUTLINE_COLOR;
+      ctx.lineWidth = 3 * view.pixelRatio;
+      ctx.strokeText(angles[i], x + 4 * view.pixelRatio, y);
+      ctx.fillStyle = RAY_COLOR;
+      ctx.fillText(angles[i], x + 4 * view.pixelRatio, y);
+    });
+  }
+
+  detach() {
+    this.worker?.terminate();
+    this.worker = null;
+  }
+}
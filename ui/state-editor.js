@@ -1,5 +1,30 @@
-import { Palette, PaletteInterpolation } from "../core/palette.js";
+import {
+  Decomposition,
+  getGradient,
+  InteriorColoring,
+  MAX_GRADIENT_PERIOD,
+  MIN_GRADIENT_PERIOD,
+  Palette,
+  PaletteInterpolation,
+} from "../core/palette.js";
 import { appState, DeepMode, StateAttributes } from "../core/state.js";
+import { DEFAULT_FORMULA, validateFormula } from "../math/formula.js";
+import { Fractal, MAX_EXPONENT, MIN_EXPONENT } from "../math/julia.js";
+import {
+  parseCoefficients,
+  parseRoots,
+  renderComplexList,
+} from "../math/newton.js";
+import { AverageColoring } from "../math/orbit-average.js";
+import {
+  OrbitTrap,
+  parseTrapGeometry,
+  renderTrapGeometry,
+} from "../math/orbit-trap.js";
+import { parseAngles, renderAngles } from "../math/rays.js";
+import { RenderMode } from "../renderers/renderer.js";
+import { GradientEditor } from "./gradient-editor.js";
+import { LightPad } from "./light-pad.js";
 
 const PALETTES = [
   Palette.WIKIPEDIA,
@@ -7,16 +32,37 @@ const PALETTES = [
   Palette.RAINBOW,
   Palette.ZEBRA,
   Palette.BLANK,
+  Palette.CUSTOM,
 ];
+const FRACTALS = [
+  Fractal.MANDELBROT,
+  Fractal.BURNING_SHIP,
+  Fractal.TRICORN,
+  Fractal.NEWTON,
+  Fractal.FORMULA,
+];
+const PolynomialInput = {
+  ROOTS: "roots",
+  COEFFICIENTS: "coefficients",
+};
 const PALETTE_INTERPOLATIONS = [
   PaletteInterpolation.SPLINE,
   PaletteInterpolation.LINEAR,
+  PaletteInterpolation.STEP,
 ];
 const RENDERER_AUTO = "auto";
 const DEEP_MODES = [DeepMode.AUTO, DeepMode.NO, DeepMode.YES];
 const MIN_SUPER_SAMPLES = 1;
 const DEFAULT_SUPER_SAMPLES = 8;
 const MAX_SUPER_SAMPLES = 64;
+// The terms of the lighting set with a range, by id "<term>Range"
+const LIGHTING_TERMS = [
+  "lights",
+  "ambient",
+  "diffuse",
+  "specular",
+  "heightScale",
+];
 
 export class AppStateEditor {
   constructor(supportedRenderers) {
@@ -24,10 +70,13 @@ export class AppStateEditor {
     this.gear = document.getElementById("gearIcon");
     this.rendererSelect = document.getElementById("rendererSelect");
     this.deepSelect = document.getElementById("deepSelect");
+    this.blaToggle = document.getElementById("blaToggle");
+    this.cacheToggle = document.getElementById("cacheToggle");
     this.paletteSelect = document.getElementById("paletteSelect");
     this.paletteInterpolationSelect = document.getElementById(
       "paletteInterpolationSelect"
     );
+    this.histogramToggle = document.getElementById("histogramToggle");
     this.iterAuto = document.getElementById("iterAuto");
     this.iterRange = document.getElementById("iterRange");
     this.iterValue = document.getElementById("iterValue");
@@ -55,11 +104,95 @@ export class AppStateEditor {
       opt.textContent = interp.toLowerCase();
       this.paletteInterpolationSelect.appendChild(opt);
     });
+    this.gradientEditor = new GradientEditor(
+      document.getElementById("gradientEditor"),
+      document.getElementById("gradientColorInput"),
+      document.getElementById("gradientRemoveButton"),
+      (gradient) => appState.setGradient(gradient)
+    );
+    this.gradientPeriodRange = document.getElementById("gradientPeriodRange");
+    this.gradientPeriodValue = document.getElementById("gradientPeriodValue");
 
     this.maxSuperSamplesRange = document.getElementById("maxSuperSamplesRange");
     this.maxSuperSamplesValue = document.getElementById("maxSuperSamplesValue");
     this.normalMapToggle = document.getElementById("normalMapToggle");
+    this.lightPad = new LightPad(
+      document.getElementById("lightPad"),
+      (azimuth, elevation) => {
+        appState.setLighting({ ...appState.lighting, azimuth, elevation });
+      }
+    );
+    this.lightingRanges = LIGHTING_TERMS.map((term) =>
+      document.getElementById(`${term}Range`)
+    );
+    this.lightingValues = LIGHTING_TERMS.map((term) =>
+      document.getElementById(`${term}Value`)
+    );
+    this.distanceEstimationToggle = document.getElementById(
+      "distanceEstimationToggle"
+    );
+    this.interiorColoringSelect = document.getElementById(
+      "interiorColoringSelect"
+    );
+    Object.values(InteriorColoring).forEach((interiorColoring) => {
+      const opt = document.createElement("option");
+      opt.value = interiorColoring;
+      opt.textContent = interiorColoring;
+      this.interiorColoringSelect.appendChild(opt);
+    });
+    this.orbitTrapSelect = document.getElementById("orbitTrapSelect");
+    Object.values(OrbitTrap).forEach((orbitTrap) => {
+      const opt = document.createElement("option");
+      opt.value = orbitTrap;
+      opt.textContent = orbitTrap;
+      this.orbitTrapSelect.appendChild(opt);
+    });
+    this.trapGeometryInput = document.getElementById("trapGeometryInput");
+    this.averageColoringSelect = document.getElementById(
+      "averageColoringSelect"
+    );
+    Object.values(AverageColoring).forEach((averageColoring) => {
+      const opt = document.createElement("option");
+      opt.value = averageColoring;
+      opt.textContent = averageColoring;
+      this.averageColoringSelect.appendChild(opt);
+    });
+    this.decompositionSelect = document.getElementById("decompositionSelect");
+    Object.values(Decomposition).forEach((decomposition) => {
+      const opt = document.createElement("option");
+      opt.value = decomposition;
+      opt.textContent = decomposition;
+      this.decompositionSelect.appendChild(opt);
+    });
+    this.exponentRange = document.getElementById("exponentRange");
+    this.exponentValue = document.getElementById("exponentValue");
+    this.fractalSelect = document.getElementById("fractalSelect");
+    FRACTALS.forEach((fractal) => {
+      const opt = document.createElement("option");
+      opt.value = fractal;
+      opt.textContent = fractal;
+      this.fractalSelect.appendChild(opt);
+    });
+
+    this.renderModeSelect = document.getElementById("renderModeSelect");
+    Object.values(RenderMode).forEach((mode) => {
+      const opt = document.createElement("option");
+      opt.value = mode;
+      opt.textContent = mode;
+      this.renderModeSelect.appendChild(opt);
+    });
+
+    this.polynomialSelect = document.getElementById("polynomialSelect");
+    this.polynomialInput = document.getElementById("polynomialInput");
+    this.formulaInput = document.getElementById("formulaInput");
+    Object.values(PolynomialInput).forEach((input) => {
+      const opt = document.createElement("option");
+      opt.value = input;
+      opt.textContent = input;
+      this.polynomialSelect.appendChild(opt);
+    });
 
+    this.raysInput = document.getElementById("raysInput");
     this.layoutSelect = document.getElementById("layoutSelect");
 
     this.defaultIter = 0;
@@ -82,12 +215,30 @@ export class AppStateEditor {
       appState.setDeepMode(this.deepSelect.value);
     });
 
+    this.blaToggle.addEventListener("change", () => {
+      appState.setBla(this.blaToggle.checked);
+    });
+
+    this.cacheToggle.addEventListener("change", () => {
+      appState.setPersistOrbits(this.cacheToggle.checked);
+    });
+
     this.paletteSelect.addEventListener("change", () => {
       appState.setPalette(this.paletteSelect.value);
     });
     this.paletteInterpolationSelect.addEventListener("change", () => {
       appState.setPaletteInterpolation(this.paletteInterpolationSelect.value);
     });
+    this.gradientPeriodRange.addEventListener("input", () => {
+      appState.setGradient({
+        ...this.#gradient(),
+        period: Number(this.gradientPeriodRange.value),
+        interpolation: null,
+      });
+    });
+    this.histogramToggle.addEventListener("change", () => {
+      appState.setHistogram(this.histogramToggle.checked);
+    });
 
     this.iterAuto.addEventListener("change", () => {
       appState.setMaxIter(this.iterAuto.checked ? null : this.iterRange.value);
@@ -108,6 +259,93 @@ export class AppStateEditor {
       appState.setNormalMap(this.normalMapToggle.checked);
     });
 
+    this.lightingRanges.forEach((range, i) => {
+      range.addEventListener("input", () => {
+        appState.setLighting({
+          ...appState.lighting,
+          [LIGHTING_TERMS[i]]: Number(range.value),
+        });
+      });
+    });
+
+    this.distanceEstimationToggle.addEventListener("change", () => {
+      appState.setDistanceEstimation(this.distanceEstimationToggle.checked);
+    });
+
+    this.interiorColoringSelect.addEventListener("change", () => {
+      appState.setInteriorColoring(this.interiorColoringSelect.value);
+    });
+
+    this.orbitTrapSelect.addEventListener("change", () => {
+      appState.setOrbitTrap(this.orbitTrapSelect.value);
+    });
+
+    this.trapGeometryInput.addEventListener("change", () => {
+      const trapGeometry = parseTrapGeometry(this.trapGeometryInput.value);
+      this.trapGeometryInput.setCustomValidity(
+        trapGeometry ? "" : "invalid trap geometry"
+      );
+      this.trapGeometryInput.reportValidity();
+      if (trapGeometry) {
+        appState.setTrapGeometry(trapGeometry);
+      }
+    });
+
+    this.averageColoringSelect.addEventListener("change", () => {
+      appState.setAverageColoring(this.averageColoringSelect.value);
+    });
+
+    this.decompositionSelect.addEventListener("change", () => {
+      appState.setDecomposition(this.decompositionSelect.value);
+    });
+
+    this.exponentRange.addEventListener("input", () => {
+      appState.setExponent(parseFloat(this.exponentRange.value));
+      this.#refresh();
+    });
+
+    this.fractalSelect.addEventListener("change", () => {
+      appState.setFractal(this.fractalSelect.value);
+    });
+
+    this.renderModeSelect.addEventListener("change", () => {
+      appState.setRenderMode(this.renderModeSelect.value);
+    });
+
+    this.polynomialSelect.addEventListener("change", () => {
+      this.#refreshPolynomialPlaceholder();
+    });
+    this.polynomialInput.addEventListener("change", () => {
+      // Coefficients are converted to roots, so the link only holds roots.
+      const roots =
+        this.polynomialSelect.value === PolynomialInput.ROOTS
+          ? parseRoots(this.polynomialInput.value)
+          : parseCoefficients(this.polynomialInput.value);
+      this.polynomialInput.setCustomValidity(roots ? "" : "invalid polynomial");
+      this.polynomialInput.reportValidity();
+      if (roots) {
+        appState.setRoots(roots);
+      }
+    });
+
+    this.formulaInput.addEventListener("change", () => {
+      const error = validateFormula(this.formulaInput.value);
+      this.formulaInput.setCustomValidity(error ?? "");
+      this.formulaInput.reportValidity();
+      if (error === null) {
+        appState.setFormula(this.formulaInput.value.trim());
+      }
+    });
+
+    this.raysInput.addEventListener("change", () => {
+      const rays = parseAngles(this.raysInput.value);
+      this.raysInput.setCustomValidity(rays ? "" : "invalid angles");
+      this.raysInput.reportValidity();
+      if (rays) {
+        appState.setRays(rays);
+      }
+    });
+
     this.layoutSelect.addEventListener("change", () => {
       appState.setLayout(this.layoutSelect.value);
     });
@@ -116,17 +354,72 @@ export class AppStateEditor {
 
     this.maxSuperSamplesRange.min = MIN_SUPER_SAMPLES;
     this.maxSuperSamplesRange.max = MAX_SUPER_SAMPLES;
+    this.exponentRange.min = MIN_EXPONENT;
+    this.exponentRange.max = MAX_EXPONENT;
+    this.gradientPeriodRange.min = MIN_GRADIENT_PERIOD;
+    this.gradientPeriodRange.max = MAX_GRADIENT_PERIOD;
 
     this.rendererSelect.value = appState.renderingEngine ?? RENDERER_AUTO;
     this.deepSelect.value = appState.deepMode ?? DeepMode.AUTO;
+    this.blaToggle.checked = appState.bla !== false;
+    this.cacheToggle.checked = appState.persistOrbits === true;
     this.paletteSelect.value = appState.palette ?? Palette.WIKIPEDIA;
     this.paletteInterpolationSelect.value =
       appState.paletteInterpolation ?? PaletteInterpolation.SPLINE;
+    this.#refreshGradient();
+    this.histogramToggle.checked = appState.histogram === true;
     this.iterAuto.checked = appState.maxIter === null;
     this.normalMapToggle.checked = appState.normalMap !== false;
+    this.#refreshLighting();
+    this.distanceEstimationToggle.checked = appState.distanceEstimation;
+    this.interiorColoringSelect.value = appState.interiorColoring;
+    this.orbitTrapSelect.value = appState.orbitTrap;
+    this.trapGeometryInput.placeholder = "0,0;0.5";
+    this.trapGeometryInput.value = renderTrapGeometry(appState.trapGeometry);
+    this.averageColoringSelect.value = appState.averageColoring;
+    this.decompositionSelect.value = appState.decomposition;
+    this.exponentRange.value = appState.exponent;
+    this.fractalSelect.value = appState.fractal;
+    this.renderModeSelect.value = appState.renderMode;
+    this.polynomialSelect.value = PolynomialInput.ROOTS;
+    this.polynomialInput.value = renderComplexList(appState.roots);
+    this.#refreshPolynomialPlaceholder();
+    this.formulaInput.placeholder = DEFAULT_FORMULA;
+    this.formulaInput.value = appState.formula;
+    this.raysInput.placeholder = "1/3, 2/7, .(001)";
+    this.raysInput.value = renderAngles(appState.rays);
     this.#refresh();
   }
 
+  #refreshPolynomialPlaceholder() {
+    // z^3 - 1, as roots "x,y;x,y;..." or as coefficients, highest degree first
+    this.polynomialInput.placeholder =
+      this.polynomialSelect.value === PolynomialInput.ROOTS
+        ? "1;-0.5,0.866;-0.5,-0.866"
+        : "1;0;0;-1";
+  }
+
+  // The gradient of the palette, custom or not
+  #gradient() {
+    const palette = appState.palette ?? Palette.WIKIPEDIA;
+    return getGradient(palette, appState.gradient);
+  }
+
+  #refreshGradient() {
+    const gradient = this.#gradient();
+    this.gradientEditor.setGradient(gradient, appState.paletteInterpolation);
+    this.gradientPeriodRange.value = gradient.period;
+    this.gradientPeriodValue.textContent = gradient.period;
+  }
+
+  #refreshLighting() {
+    LIGHTING_TERMS.forEach((term, i) => {
+      this.lightingRanges[i].value = appState.lighting[term];
+      this.lightingValues[i].textContent = appState.lighting[term];
+    });
+    this.lightPad.setLighting(appState.lighting);
+  }
+
   #refresh() {
     this.iterRange.disabled = this.iterAuto.checked;
     if (this.iterAuto.checked) {
@@ -137,6 +430,7 @@ export class AppStateEditor {
       appState.maxSuperSamples ?? DEFAULT_SUPER_SAMPLES
     );
     this.maxSuperSamplesValue.textContent = this.getMaxSuperSamples();
+    this.exponentValue.textContent = appState.exponent;
   }
 
   #onAppStateChanged(event) {
@@ -148,11 +442,39 @@ export class AppStateEditor {
       this.rendererSelect.value = appState.renderingEngine ?? RENDERER_AUTO;
     } else if (event.detail === StateAttributes.DEEP_MODE) {
       this.deepSelect.value = appState.deepMode ?? DeepMode.AUTO;
+    } else if (event.detail === StateAttributes.BLA) {
+      this.blaToggle.checked = appState.bla !== false;
+    } else if (event.detail === StateAttributes.PERSIST_ORBITS) {
+      this.cacheToggle.checked = appState.persistOrbits === true;
+    } else if (event.detail === StateAttributes.PALETTE) {
+      this.paletteSelect.value = appState.palette ?? Palette.WIKIPEDIA;
+      this.#refreshGradient();
     } else if (event.detail === StateAttributes.PALETTE_INTERPOLATION) {
       this.paletteInterpolationSelect.value =
         appState.paletteInterpolation ?? PaletteInterpolation.SPLINE;
+      this.#refreshGradient();
+    } else if (event.detail === StateAttributes.HISTOGRAM) {
+      this.histogramToggle.checked = appState.histogram === true;
     } else if (event.detail === StateAttributes.NORMAL_MAP) {
       this.normalMapToggle.checked = appState.normalMap !== false;
+    } else if (event.detail === StateAttributes.LIGHTING) {
+      this.#refreshLighting();
+    } else if (event.detail === StateAttributes.DISTANCE_ESTIMATION) {
+      this.distanceEstimationToggle.checked = appState.distanceEstimation;
+    } else if (event.detail === StateAttributes.INTERIOR_COLORING) {
+      this.interiorColoringSelect.value = appState.interiorColoring;
+    } else if (event.detail === StateAttributes.ORBIT_TRAP) {
+      this.orbitTrapSelect.value = appState.orbitTrap;
+      this.trapGeometryInput.value = renderTrapGeometry(appState.trapGeometry);
+    } else if (event.detail === StateAttributes.AVERAGE_COLORING) {
+      this.averageColoringSelect.value = appState.averageColoring;
+    } else if (event.detail === StateAttributes.DECOMPOSITION) {
+      this.decompositionSelect.value = appState.decomposition;
+    } else if (event.detail === StateAttributes.EXPONENT) {
+      this.exponentRange.value = appState.exponent;
+      this.exponentValue.textContent = appState.exponent;
+    } else if (event.detail === StateAttributes.FRACTAL) {
+      this.fractalSelect.value = appState.fractal;
     }
   }
 